@@ -1,4 +1,4 @@
-import { getAllPlugins } from './board-items/plugin-registry.js';
+import { getAllPlugins, getIdGenKeyForType, onPluginRegistered } from './board-items/plugin-registry.js';
 
 export function getAppState() {
   if (!window.appState) {
@@ -34,6 +34,8 @@ export function getAppState() {
       // Initialize plugin storage dynamically
       ...pluginState,
       connectors: {},
+      // Dot votes by voter id, see board/board-voting.js
+      votes: {},
       // Initialize id generators dynamically
       idGen: 0,
       connectorIdGen: 0,
@@ -46,6 +48,10 @@ export function getAppState() {
         currentColor: "khaki", // Legacy - kept for backward compatibility
         currentConnectorColor: "#000000", // Current color for new connectors
         currentArrowHead: "filled",
+        currentConnectorRouting: "curved",
+        currentOriginArrowHead: "none",
+        currentConnectorLineStyle: "solid",
+        currentConnectorStrokeWidth: 4,
         nextClickCreatesConnector: false,
         connectorOriginId: null,
         selection: {},
@@ -61,3 +67,29 @@ export function getAppState() {
   }
   return window.appState;
 }
+
+// Plugins registered after the state was created get their part of it too
+onPluginRegistered((plugin) => {
+  if (window.appState) {
+    addPluginState(window.appState, plugin);
+  }
+});
+
+function addPluginState(appState, plugin) {
+  const type = plugin.getType();
+  const storageKey = plugin.getSelectionType();
+  const idGenKey = getIdGenKeyForType(type);
+  appState[storageKey] = appState[storageKey] || {};
+  appState[idGenKey] = appState[idGenKey] || 0;
+  const ui = appState.ui;
+  const creationFlag = plugin.getCreationModeFlag();
+  if (creationFlag) {
+    ui[creationFlag] = false;
+    if (ui.pluginState) {
+      ui.pluginState[creationFlag] = false;
+    }
+  }
+  ui[`${storageKey}MovedByDragging`] = ui[`${storageKey}MovedByDragging`] || [];
+  ui[`current${type.charAt(0).toUpperCase() + type.slice(1)}Color`] = plugin.getDefaultColor();
+  ui[storageKey] = ui[storageKey] || {};
+}
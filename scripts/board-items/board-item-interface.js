@@ -3,7 +3,7 @@
  * This abstraction allows connectors to work with any item type without knowing specific details.
  */
 
-import { getAllPlugins } from './plugin-registry.js';
+import { getAllPlugins, getPlugin } from './plugin-registry.js';
 
 /**
  * Z-order layers for board elements
@@ -37,31 +37,28 @@ export function getElementLayer(element) {
  * 
  * @param {Object|null} item - Item data (sticky or image)
  * @param {Object} boardOrigin - Board origin {x, y}
- * @param {number} stickyBaseSize - Base size for stickies in pixels
+ * @param {string} [type] - Item type, e.g. a connector's originItemType
  * @returns {Object|null} Bounds object with {centerX, centerY, width, height} or null if item is null
  */
-export function getBoardItemBounds(item, boardOrigin) {
+export function getBoardItemBounds(item, boardOrigin, type) {
   if (!item) {
     return null;
   }
-
-  // Prefer plugin-provided bounds if available
-  try {
-    for (const plugin of getAllPlugins()) {
-      if (plugin.isItem(item)) {
-        return plugin.getBounds(item, boardOrigin);
-      }
-    }
-  } catch (e) {
-    // Plugin registry might not be loaded yet, fall through to legacy logic
-  }
-
-  return null;
+  const plugin = getPluginForItem(item, type);
+  return plugin ? plugin.getBounds(item, boardOrigin) : null;
 }
 
-// Helpers using plugin system
-export function getPluginForItem(item) {
+/**
+ * Finds the plugin an item belongs to. Items are recognized by their fields
+ * only when the type is unknown, as in data saved before types were stored.
+ * @param {Object} item - Item data
+ * @param {string} [type] - Item type
+ */
+export function getPluginForItem(item, type) {
   try {
+    if (type) {
+      return getPlugin(type) || null;
+    }
     for (const plugin of getAllPlugins()) {
       if (plugin.isItem(item)) return plugin;
     }
@@ -70,4 +67,3 @@ export function getPluginForItem(item) {
   }
   return null;
 }
-
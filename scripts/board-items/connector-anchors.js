@@ -0,0 +1,139 @@
+/**
+ * Connector Anchors
+ * A connector end attached to an item either aims at the item's center and
+ * is clipped to its edge, or sits on an anchor: a fixed point on one side of
+ * the item. Anchors keep several connectors between the same items apart.
+ *
+ * Anchor layout, stored as originAnchor/destinationAnchor on the connector:
+ * { side: "top" | "right" | "bottom" | "left", position: 0..1 }
+ * The position runs along the side from left to right, or top to bottom;
+ * 0.5 is the middle of the side, where the ports shown while dragging are.
+ */
+
+export const ANCHOR_SIDES = ["top", "right", "bottom", "left"];
+
+// How close to a port or side (in board pixels) an endpoint snaps to it
+export const PORT_SNAP_DISTANCE = 16;
+export const SIDE_SNAP_DISTANCE = 10;
+
+/**
+ * @param {*} anchor - Stored anchor
+ * @returns {boolean} Whether the anchor names a side and a position on it
+ */
+export function isValidAnchor(anchor) {
+  return !!anchor && ANCHOR_SIDES.includes(anchor.side) &&
+    typeof anchor.position === "number" && anchor.position >= 0 && anchor.position <= 1;
+}
+
+/**
+ * Endpoint data for updateConnectorEndpoint, with an anchor if one is given
+ * @param {string} itemId - Item ID
+ * @param {string} itemType - Item type
+ * @param {Object} [anchor] - Anchor on the item
+ * @returns {{itemId: string, itemType: string, anchor?: Object}} Endpoint data
+ */
+export function createEndpointData(itemId, itemType, anchor) {
+  return isValidAnchor(anchor) ? { itemId, itemType, anchor } : { itemId, itemType };
+}
+
+/**
+ * @param {{centerX: number, centerY: number, width: number, height: number}} bounds - Item bounds
+ * @param {Object} anchor - Anchor on the item
+ * @returns {{x: number, y: number}} The anchor point, in the coordinates of the bounds
+ */
+export function getAnchorPoint(bounds, anchor) {
+  const left = bounds.centerX - bounds.width / 2;
+  const top = bounds.centerY - bounds.height / 2;
+  switch (anchor.side) {
+    case "top":
+      return { x: left + bounds.width * anchor.position, y: top };
+    case "bottom":
+      return { x: left + bounds.width * anchor.position, y: top + bounds.height };
+    case "left":
+      return { x: left, y: top + bounds.height * anchor.position };
+    default:
+      return { x: left + bounds.width, y: top + bounds.height * anchor.position };
+  }
+}
+
+/**
+ * The ports at the middle of each side, shown as snap targets
+ * @param {Object} bounds - Item bounds
+ * @returns {Array<{anchor: Object, point: {x: number, y: number}}>} One port per side
+ */
+export function getAnchorPorts(bounds) {
+  return ANCHOR_SIDES.map((side) => {
+    const anchor = { side, position: 0.5 };
+    return { anchor, point: getAnchorPoint(bounds, anchor) };
+  });
+}
+
+/**
+ * Finds the anchor an endpoint dropped at a point snaps to: the closest
+ * port, or else the closest point on a nearby side
+ * @param {Object} bounds - Item bounds
+ * @param {{x: number, y: number}} point - Pointer position, in the coordinates of the bounds
+ * @returns {Object|null} Anchor, or null to aim at the center of the item
+ */
+export function findAnchorAtPoint(bounds, point) {
+  let closestPort = null;
+  let closestDistance = PORT_SNAP_DISTANCE;
+  getAnchorPorts(bounds).forEach((port) => {
+    const distance = Math.hypot(port.point.x - point.x, port.point.y - point.y);
+    if (distance <= closestDistance) {
+      closestPort = port;
+      closestDistance = distance;
+    }
+  });
+  if (closestPort) {
+    return closestPort.anchor;
+  }
+
+  const left = bounds.centerX - bounds.width / 2;
+  const top = bounds.centerY - bounds.height / 2;
+  const alongX = Math.min(Math.max((point.x - left) / (bounds.width || 1), 0), 1);
+  const alongY = Math.min(Math.max((point.y - top) / (bounds.height || 1), 0), 1);
+  const sides = [
+    { side: "top", distance: Math.abs(point.y - top), position: alongX },
+    { side: "bottom", distance: Math.abs(point.y - top - bounds.height), position: alongX },
+    { side: "left", distance: Math.abs(point.x - left), position: alongY },
+    { side: "right", distance: Math.abs(point.x - left - bounds.width), position: alongY },
+  ];
+  const closestSide = sides.reduce((best, side) => (side.distance < best.distance ? side : best));
+  if (closestSide.distance > SIDE_SNAP_DISTANCE) {
+    return null;
+  }
+  return { side: closestSide.side, position: Math.round(closestSide.position * 100) / 100 };
+}
+
+/**
+ * Shows the ports of an item while a connector end is dragged over it,
+ * highlighting the anchor the end would snap to
+ * @param {HTMLElement} boardElement - Board element
+ * @param {Object} bounds - Item bounds, in board element coordinates
+ * @param {Object|null} activeAnchor - Anchor the end snaps to
+ */
+export function renderAnchorPorts(boardElement, bounds, activeAnchor) {
+  clearAnchorPorts(boardElement);
+  const ports = getAnchorPorts(bounds);
+  if (activeAnchor && activeAnchor.position !== 0.5) {
+    ports.push({ anchor: activeAnchor, point: getAnchorPoint(bounds, activeAnchor) });
+  }
+  ports.forEach(({ anchor, point }) => {
+    const port = document.createElement("div");
+    port.className = "connector-anchor-port";
+    if (activeAnchor && anchor.side === activeAnchor.side && anchor.position === activeAnchor.position) {
+      port.classList.add("active");
+    }
+    port.style.left = point.x + "px";
+    port.style.top = point.y + "px";
+    boardElement.appendChild(port);
+  });
+}
+
+/**
+ * @param {HTMLElement} boardElement - Board element
+ */
+export function clearAnchorPorts(boardElement) {
+  boardElement.querySelectorAll(".connector-anchor-port").forEach((port) => port.remove());
+}
@@ -5,6 +5,14 @@ import { completeKeyboardAction } from "../ui/keyboard-handlers.js";
 import { isClickOnConnectorStroke } from "./connector-hit-testing.js";
 import { getEventCoordinates } from "../ui/movement-utils.js";
 import { getAllPlugins } from "./plugin-registry.js";
+import {
+  normalizeLabel,
+  getOrCreateLabelElement,
+  getClosestPositionOnPath,
+  MAX_LABEL_LENGTH,
+} from "./connector-label.js";
+import { findWaypointInsertIndex, supportsWaypoints } from "./connector-waypoints.js";
+import { findAnchorAtPoint, renderAnchorPorts, clearAnchorPorts } from "./connector-anchors.js";
 
 /**
  * Connector State Machine
@@ -15,9 +23,21 @@ const ConnectorState = {
   DRAGGING_NEW: 'dragging_new',
   CLICK_TO_CLICK_WAITING: 'click_to_click_waiting',
   DRAGGING_HANDLE: 'dragging_handle',
-  DRAGGING_CURVE_HANDLE: 'dragging_curve_handle'
+  DRAGGING_CURVE_HANDLE: 'dragging_curve_handle',
+  DRAGGING_WAYPOINT: 'dragging_waypoint',
+  DRAGGING_LABEL: 'dragging_label',
+  EDITING_LABEL: 'editing_label'
 };
 
+/**
+ * @param {HTMLElement} container - Connector container element
+ * @returns {string|null} Id of the connector, from its connector-{id} class
+ */
+function getConnectorIdFromContainer(container) {
+  const connectorIdClass = Array.from(container.classList).find(cls => cls.startsWith('connector-') && cls !== 'connector-container');
+  return connectorIdClass ? connectorIdClass.replace('connector-', '') : null;
+}
+
 /**
  * Helper function to find plugin item from an element
  * @param {HTMLElement} element - DOM element to check
@@ -107,6 +127,7 @@ class ConnectorStateMachine extends StateMachine {
         if (stateMachine.globalListeners) {
           stateMachine.enableProximityDetection();
           stateMachine.setupIdleListeners();
+          stateMachine.closeHistoryStep();
         }
       },
       cleanup: (stateData, stateMachine) => {
@@ -130,6 +151,7 @@ class ConnectorStateMachine extends StateMachine {
       cleanup: (stateData, stateMachine) => {
         if (stateMachine.globalListeners) {
           stateMachine.clearAllListeners();
+          clearAnchorPorts(stateMachine.boardElement);
         }
       }
     };
@@ -150,6 +172,9 @@ class ConnectorStateMachine extends StateMachine {
           clearTimeout(stateData.timeout);
           stateData.timeout = null;
         }
+        if (stateMachine.globalListeners) {
+          clearAnchorPorts(stateMachine.boardElement);
+        }
       }
     };
     
@@ -164,6 +189,7 @@ class ConnectorStateMachine extends StateMachine {
       cleanup: (stateData, stateMachine) => {
         if (stateMachine.globalListeners) {
           stateMachine.clearAllListeners();
+          clearAnchorPorts(stateMachine.boardElement);
         }
       }
     };
@@ -183,6 +209,46 @@ class ConnectorStateMachine extends StateMachine {
       }
     };
     
+    stateConfig[ConnectorState.DRAGGING_WAYPOINT] = {
+      setup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.disableProximityDetection();
+          stateMachine.setupWaypointDragListeners();
+          stateMachine.ensureHandleVisibility(stateData.connectorId);
+        }
+      },
+      cleanup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.clearAllListeners();
+        }
+      }
+    };
+    
+    stateConfig[ConnectorState.DRAGGING_LABEL] = {
+      setup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.disableProximityDetection();
+          stateMachine.setupLabelDragListeners();
+        }
+      },
+      cleanup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.clearAllListeners();
+        }
+      }
+    };
+    
+    stateConfig[ConnectorState.EDITING_LABEL] = {
+      setup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.disableProximityDetection();
+          stateMachine.startLabelEditing(stateData.connectorId);
+        }
+      },
+      cleanup: (stateData, stateMachine) => {
+        stateMachine.stopLabelEditing(stateData.connectorId);
+      }
+    };
     
     super(ConnectorState.IDLE, stateConfig);
     
@@ -196,6 +262,9 @@ class ConnectorStateMachine extends StateMachine {
     // Global listener manager
     this.globalListeners = new GlobalListenerManager();
     
+    // Whether a gesture has an undo step open on the board
+    this.historyStepOpen = false;
+    
     // Proximity detection state
     this.proximityDetectionActive = true;
     this.lastProximityUpdate = 0;
@@ -213,7 +282,11 @@ class ConnectorStateMachine extends StateMachine {
       handleDragPending: false,
       handleDragEvent: null,
       curveDragPending: false,
-      curveDragEvent: null
+      curveDragEvent: null,
+      waypointDragPending: false,
+      waypointDragEvent: null,
+      labelDragPending: false,
+      labelDragEvent: null
     };
     
     // Store cleanup functions for window event listeners
@@ -224,6 +297,24 @@ class ConnectorStateMachine extends StateMachine {
     this.setupWindowEventListeners();
   }
   
+  /**
+   * Open an undo step for the gesture that is starting. It is closed when the
+   * machine returns to IDLE, so creating or dragging a connector is one step.
+   */
+  openHistoryStep() {
+    if (!this.historyStepOpen) {
+      this.historyStepOpen = true;
+      this.board.beginHistoryStep();
+    }
+  }
+  
+  closeHistoryStep() {
+    if (this.historyStepOpen) {
+      this.historyStepOpen = false;
+      this.board.endHistoryStep();
+    }
+  }
+  
   enableProximityDetection() {
     this.proximityDetectionActive = true;
     this.globalListeners.setListeners({
@@ -361,10 +452,89 @@ class ConnectorStateMachine extends StateMachine {
     });
   }
   
+  setupWaypointDragListeners() {
+    const onMove = (e) => {
+      this._raf.waypointDragEvent = e;
+      if (this._raf.waypointDragPending) return;
+      this._raf.waypointDragPending = true;
+      requestAnimationFrame(() => {
+        this._raf.waypointDragPending = false;
+        const evt = this._raf.waypointDragEvent;
+        if (evt) this.handleWaypointDrag(evt);
+      });
+    };
+    this.globalListeners.setListeners({
+      'mousemove': onMove,
+      'mouseup': this.handleWaypointDragEnd.bind(this),
+      'touchmove': (e) => {
+        e.preventDefault(); // Prevent scrolling during drag
+        onMove(e);
+      },
+      'touchend': (e) => {
+        e.preventDefault();
+        this.handleWaypointDragEnd(e);
+      }
+    });
+  }
+  
+  setupLabelDragListeners() {
+    this.globalListeners.setListeners({
+      'mousemove': (e) => {
+        this._raf.labelDragEvent = e;
+        if (this._raf.labelDragPending) return;
+        this._raf.labelDragPending = true;
+        requestAnimationFrame(() => {
+          this._raf.labelDragPending = false;
+          const evt = this._raf.labelDragEvent;
+          if (evt) this.handleLabelDrag(evt);
+        });
+      },
+      'mouseup': this.handleLabelDragEnd.bind(this)
+    });
+  }
+  
   clearAllListeners() {
     this.globalListeners.clearAll();
   }
   
+  /**
+   * Finds the item a connector end at the pointer would attach to, and the
+   * anchor on it the end snaps to
+   * @returns {{plugin: Object, id: string, bounds: Object, anchor: Object|null}|null} Target, or null over empty space
+   */
+  findEndpointTarget(clientX, clientY) {
+    const pluginItem = findPluginItemAtPoint(clientX, clientY);
+    if (!pluginItem) {
+      return null;
+    }
+    const { plugin, type, id } = pluginItem;
+    const item = this.board.getBoardItemByType(type, id);
+    const bounds = item ? plugin.getBounds(item, this.board.getOrigin()) : null;
+    if (!bounds) {
+      return { plugin, id, bounds: null, anchor: null };
+    }
+    // Item bounds are in board element coordinates, unlike endpoint points
+    const rect = this.boardElement.getBoundingClientRect();
+    const boardScale = this.store.getAppState().ui.boardScale || 1;
+    const anchor = findAnchorAtPoint(bounds, {
+      x: (clientX - rect.left) / boardScale,
+      y: (clientY - rect.top) / boardScale
+    });
+    return { plugin, id, bounds, anchor };
+  }
+
+  /**
+   * Shows the anchor ports of the item under a dragged connector end
+   */
+  showAnchorPorts(clientX, clientY) {
+    const target = this.findEndpointTarget(clientX, clientY);
+    if (target && target.bounds) {
+      renderAnchorPorts(this.boardElement, target.bounds, target.anchor);
+    } else {
+      clearAnchorPorts(this.boardElement);
+    }
+  }
+
   ensureHandleVisibility(connectorId) {
     if (connectorId) {
       const activeConnector = document.querySelector(`.connector-${connectorId}`);
@@ -538,6 +708,10 @@ class ConnectorStateMachine extends StateMachine {
           const connectorData = {
             destinationPoint: point,
             arrowHead: appState.ui.currentArrowHead,
+            originArrowHead: appState.ui.currentOriginArrowHead,
+            routing: appState.ui.currentConnectorRouting,
+            lineStyle: appState.ui.currentConnectorLineStyle,
+            strokeWidth: appState.ui.currentConnectorStrokeWidth,
             color: appState.ui.currentConnectorColor,
           };
           
@@ -549,6 +723,7 @@ class ConnectorStateMachine extends StateMachine {
             connectorData.originPoint = point;
           }
           
+          this.openHistoryStep();
           stateData.connectorId = this.board.putConnector(connectorData);
           
           // Select the newly created connector
@@ -570,6 +745,7 @@ class ConnectorStateMachine extends StateMachine {
           const handle = event.target.closest('.curve-control-handle');
           return state === ConnectorState.IDLE && 
                  handle !== null &&
+                 !this.board.isReadOnly() &&
                  !appState.ui.nextClickCreatesConnector;
         },
         
@@ -587,19 +763,53 @@ class ConnectorStateMachine extends StateMachine {
           if (this.isDebugMode()) {
             console.log('[CONNECTOR] Transitioning to DRAGGING_CURVE_HANDLE', { connectorId: handleConnectorId });
           }
+          this.openHistoryStep();
           this.transitionTo(ConnectorState.DRAGGING_CURVE_HANDLE, 'curve handle drag started');
         }
       },
       
+      // Handler for dragging waypoints; double-clicking a waypoint removes it
+      waypointDragging: {
+        canHandle: (event, state, appState) => {
+          return state === ConnectorState.IDLE &&
+                 event.target.closest('.waypoint-handle') !== null &&
+                 !this.board.isReadOnly() &&
+                 !appState.ui.nextClickCreatesConnector;
+        },
+        
+        onMouseDown: (event, stateData) => {
+          const handle = event.target.closest('.waypoint-handle');
+          event.preventDefault();
+          
+          stateData.connectorId = getConnectorIdFromContainer(handle.closest('.connector-container'));
+          stateData.waypointIndex = Number(handle.getAttribute('data-waypoint-index'));
+          this.openHistoryStep();
+          this.transitionTo(ConnectorState.DRAGGING_WAYPOINT, 'waypoint drag started');
+        },
+        
+        onDoubleClick: (event) => {
+          const handle = event.target.closest('.waypoint-handle');
+          const connectorId = getConnectorIdFromContainer(handle.closest('.connector-container'));
+          event.preventDefault();
+          event.stopPropagation();
+          
+          this.board.removeConnectorWaypoint(connectorId, Number(handle.getAttribute('data-waypoint-index')));
+          this.renderCallback();
+        }
+      },
+      
       // Handler for dragging existing connector handles
       handleDragging: {
         canHandle: (event, state, appState) => {
           const handle = event.target.closest('.connector-handle');
-          // Exclude curve control handles - they have their own handler
+          // Exclude curve control and waypoint handles - they have their own handlers
           const isCurveHandle = handle && handle.classList.contains('curve-control-handle');
+          const isWaypointHandle = handle && handle.classList.contains('waypoint-handle');
           return state === ConnectorState.IDLE && 
                  handle !== null &&
                  !isCurveHandle &&
+                 !isWaypointHandle &&
+                 !this.board.isReadOnly() &&
                  !appState.ui.nextClickCreatesConnector;
         },
         
@@ -618,6 +828,7 @@ class ConnectorStateMachine extends StateMachine {
           if (this.isDebugMode()) {
             console.log('[CONNECTOR] Transitioning to DRAGGING_HANDLE', { connectorId: handleConnectorId, handleType: stateData.handleType });
           }
+          this.openHistoryStep();
           this.transitionTo(ConnectorState.DRAGGING_HANDLE, 'handle drag started');
         }
       },
@@ -674,12 +885,12 @@ class ConnectorStateMachine extends StateMachine {
           
           // Check if we're clicking on a plugin item (ignoring connector elements)
           // Use findPluginItemAtPoint to find items below connector elements
-          const pluginItem = findPluginItemAtPoint(event.clientX, event.clientY);
+          const target = this.findEndpointTarget(event.clientX, event.clientY);
           
-          if (pluginItem) {
-            const { type, id } = pluginItem;
+          if (target) {
+            const { plugin, id, anchor } = target;
             // Update connector endpoint using generic item properties
-            this.board.updateConnectorEndpoint(stateData.connectorId, 'destination', { itemId: id, itemType: type });
+            this.board.updateConnectorEndpoint(stateData.connectorId, 'destination', plugin.getConnectorEndpointData(id, anchor));
           } else {
             this.board.updateConnectorEndpoint(stateData.connectorId, 'destination', { point });
           }
@@ -699,6 +910,100 @@ class ConnectorStateMachine extends StateMachine {
         }
       },
       
+      // Handler for dragging a label along its connector
+      labelDragging: {
+        canHandle: (event, state, appState) => {
+          const label = event.target.closest('.connector-label');
+          return state === ConnectorState.IDLE &&
+                 label !== null &&
+                 !label.classList.contains('editing') &&
+                 !appState.ui.nextClickCreatesConnector;
+        },
+        
+        onMouseDown: (event, stateData) => {
+          const container = event.target.closest('.connector-container');
+          const connectorId = container ? getConnectorIdFromContainer(container) : null;
+          if (!connectorId) return;
+          
+          event.preventDefault();
+          event.stopPropagation();
+          
+          this.selectionManager.selectItem('connectors', connectorId, {
+            addToSelection: event.shiftKey
+          });
+          this.renderCallback();
+          
+          if (this.board.isReadOnly()) return;
+          
+          stateData.connectorId = connectorId;
+          stateData.labelDragStart = { x: event.clientX, y: event.clientY };
+          stateData.labelMoved = false;
+          this.transitionTo(ConnectorState.DRAGGING_LABEL, 'label drag started');
+        }
+      },
+      
+      // Handler for editing the label of a connector: double-click the label
+      // or the path
+      labelEditing: {
+        canHandle: (event, state, appState) => {
+          if (state !== ConnectorState.IDLE || this.board.isReadOnly() || appState.ui.nextClickCreatesConnector) {
+            return false;
+          }
+          if (event.target.closest('.connector-label') !== null) {
+            return true;
+          }
+          return event.target.classList.contains('connector-path') &&
+                 !(event.altKey && this.takesWaypoints(event.target));
+        },
+        
+        onDoubleClick: (event, stateData) => {
+          const container = event.target.closest('.connector-container');
+          const connectorId = container ? getConnectorIdFromContainer(container) : null;
+          if (!connectorId || !this.board.getConnectorSafe(connectorId)) return;
+          
+          event.preventDefault();
+          event.stopPropagation();
+          
+          this.selectionManager.selectItem('connectors', connectorId);
+          this.renderCallback();
+          
+          stateData.connectorId = connectorId;
+          this.transitionTo(ConnectorState.EDITING_LABEL, 'label editing started');
+        }
+      },
+      
+      // Handler for adding a waypoint where the path is Alt+double-clicked
+      waypointCreation: {
+        canHandle: (event, state, appState) => {
+          return state === ConnectorState.IDLE &&
+                 event.altKey &&
+                 !this.board.isReadOnly() &&
+                 !appState.ui.nextClickCreatesConnector &&
+                 event.target.classList.contains('connector-path') &&
+                 this.takesWaypoints(event.target);
+        },
+        
+        onDoubleClick: (event) => {
+          const container = event.target.closest('.connector-container');
+          const connectorId = getConnectorIdFromContainer(container);
+          const rect = this.boardElement.getBoundingClientRect();
+          const boardOrigin = this.board.getOrigin();
+          const boardScale = this.store.getAppState().ui.boardScale || 1;
+          const point = {
+            x: (event.clientX - rect.left) / boardScale - boardOrigin.x,
+            y: (event.clientY - rect.top) / boardScale - boardOrigin.y
+          };
+          
+          event.preventDefault();
+          event.stopPropagation();
+          
+          const index = container.bendPoints ? findWaypointInsertIndex(container.bendPoints, point) : 0;
+          this.board.addConnectorWaypoint(connectorId, index, point);
+          this.selectionManager.selectItem('connectors', connectorId);
+          this.renderCallback();
+        }
+      },
+      
       // Handler for dragging disconnected connectors
       disconnectedDragging: {
         canHandle: (event, state, appState) => {
@@ -792,7 +1097,11 @@ class ConnectorStateMachine extends StateMachine {
     return [
       'clickToClickCompletion',    // Highest - overrides everything
       'curveHandleDragging',        // High priority - curve handle dragging
+      'waypointDragging',           // High priority - waypoint handles are connector handles too
       'handleDragging',             // Mid priority
+      'labelDragging',              // Mid priority - labels sit on top of the path
+      'labelEditing',               // Double-click only
+      'waypointCreation',           // Alt+double-click only
       'disconnectedDragging',       // Mid priority
       'newConnectorCreation',       // Lowest - only if nothing else matched
     ];
@@ -816,6 +1125,29 @@ class ConnectorStateMachine extends StateMachine {
     }
   }
   
+  routeDoubleClick(event) {
+    const appState = this.store.getAppState();
+    const handlers = this.getConnectorHandlers();
+    
+    for (const handlerName of this.getHandlerPriority()) {
+      const handler = handlers[handlerName];
+      if (handler.onDoubleClick && handler.canHandle(event, this.currentState, appState)) {
+        return this.handleEvent('dblclick', event, handler.onDoubleClick);
+      }
+    }
+  }
+  
+  /**
+   * Whether the connector of a path element follows waypoints, so that
+   * Alt+double-clicking its path adds one
+   */
+  takesWaypoints(pathElement) {
+    const container = pathElement.closest('.connector-container');
+    const connectorId = container ? getConnectorIdFromContainer(container) : null;
+    const connector = connectorId ? this.board.getConnectorSafe(connectorId) : null;
+    return !!connector && supportsWaypoints(connector);
+  }
+  
   routeMouseUp(event) {
     // Route based on current state
     switch(this.currentState) {
@@ -836,6 +1168,12 @@ class ConnectorStateMachine extends StateMachine {
       case ConnectorState.DRAGGING_CURVE_HANDLE:
         return this.handleEvent('mouseup', event, this.handleCurveHandleDragEnd.bind(this));
       
+      case ConnectorState.DRAGGING_WAYPOINT:
+        return this.handleEvent('mouseup', event, this.handleWaypointDragEnd.bind(this));
+      
+      case ConnectorState.DRAGGING_LABEL:
+        return this.handleEvent('mouseup', event, this.handleLabelDragEnd.bind(this));
+      
       default:
         return; // Ignore mouseup in other states
     }
@@ -884,6 +1222,7 @@ class ConnectorStateMachine extends StateMachine {
     
     // Update the destination point
     this.board.updateConnectorEndpoint(this.stateData.connectorId, 'destination', { point });
+    this.showAnchorPorts(event.clientX, event.clientY);
   }
 
   handleConnectorDragEnd(event) {
@@ -939,12 +1278,12 @@ class ConnectorStateMachine extends StateMachine {
     
     // This was a drag - complete connector creation normally
     // Check if we're over a plugin item (ignoring connector elements)
-    const pluginItem = findPluginItemAtPoint(event.clientX, event.clientY);
+    const target = this.findEndpointTarget(event.clientX, event.clientY);
     
-    if (pluginItem) {
-      const { type, id } = pluginItem;
+    if (target) {
+      const { plugin, id, anchor } = target;
       // Update connector endpoint using generic item properties
-      this.board.updateConnectorEndpoint(this.stateData.connectorId, 'destination', { itemId: id, itemType: type });
+      this.board.updateConnectorEndpoint(this.stateData.connectorId, 'destination', plugin.getConnectorEndpointData(id, anchor));
     } else {
       this.board.updateConnectorEndpoint(this.stateData.connectorId, 'destination', { point });
     }
@@ -986,6 +1325,7 @@ class ConnectorStateMachine extends StateMachine {
     
     // Update the destination point to follow the mouse
     this.board.updateConnectorEndpoint(this.stateData.connectorId, 'destination', { point });
+    this.showAnchorPorts(event.clientX, event.clientY);
   }
 
   handleHandleDrag(event) {
@@ -1019,6 +1359,7 @@ class ConnectorStateMachine extends StateMachine {
     
     // Update the dragged handle position
     this.board.updateConnectorEndpoint(this.stateData.connectorId, this.stateData.handleType, { point });
+    this.showAnchorPorts(coords.clientX, coords.clientY);
   }
 
   handleHandleDragEnd(event) {
@@ -1054,12 +1395,12 @@ class ConnectorStateMachine extends StateMachine {
     };
     
     // Check if we're over a plugin item (ignoring connector elements)
-    const pluginItem = findPluginItemAtPoint(coords.clientX, coords.clientY);
+    const target = this.findEndpointTarget(coords.clientX, coords.clientY);
     
-    if (pluginItem) {
-      const { type, id } = pluginItem;
+    if (target) {
+      const { plugin, id, anchor } = target;
       // Update connector endpoint using generic item properties
-      this.board.updateConnectorEndpoint(this.stateData.connectorId, this.stateData.handleType, { itemId: id, itemType: type });
+      this.board.updateConnectorEndpoint(this.stateData.connectorId, this.stateData.handleType, plugin.getConnectorEndpointData(id, anchor));
     } else {
       this.board.updateConnectorEndpoint(this.stateData.connectorId, this.stateData.handleType, { point });
     }
@@ -1119,6 +1460,162 @@ class ConnectorStateMachine extends StateMachine {
     }
   }
 
+  handleWaypointDrag(event) {
+    if (this.currentState !== ConnectorState.DRAGGING_WAYPOINT || !this.stateData.connectorId) return;
+    
+    const coords = getEventCoordinates(event);
+    if (!coords) return;
+    
+    const rect = this.boardElement.getBoundingClientRect();
+    const boardOrigin = this.board.getOrigin();
+    const boardScale = this.store.getAppState().ui.boardScale || 1;
+    const point = {
+      x: (coords.clientX - rect.left) / boardScale - boardOrigin.x,
+      y: (coords.clientY - rect.top) / boardScale - boardOrigin.y
+    };
+    
+    this.board.moveConnectorWaypoint(this.stateData.connectorId, this.stateData.waypointIndex, point);
+  }
+  
+  handleWaypointDragEnd(event) {
+    if (this.currentState !== ConnectorState.DRAGGING_WAYPOINT) return;
+    
+    event.preventDefault();
+    event.stopPropagation(); // Prevent click events from firing after drag
+    
+    this.transitionTo(ConnectorState.IDLE, 'waypoint drag completed');
+    
+    if (this.renderCallback) {
+      this.renderCallback();
+    }
+  }
+  
+  handleLabelDrag(event) {
+    if (this.currentState !== ConnectorState.DRAGGING_LABEL || !this.stateData.connectorId) return;
+    
+    const start = this.stateData.labelDragStart;
+    // Small movements are clicks that select the connector, not drags
+    if (!this.stateData.labelMoved &&
+        Math.hypot(event.clientX - start.x, event.clientY - start.y) < 3) {
+      return;
+    }
+    
+    const container = this.boardElement.querySelector(`.connector-${this.stateData.connectorId}`);
+    if (!container || !container.pathPoints) return;
+    
+    const rect = this.boardElement.getBoundingClientRect();
+    const boardScale = this.store.getAppState().ui.boardScale || 1;
+    // Path points are relative to the connector container
+    const point = {
+      x: (event.clientX - rect.left) / boardScale - parseFloat(container.style.left || 0),
+      y: (event.clientY - rect.top) / boardScale - parseFloat(container.style.top || 0)
+    };
+    
+    this.stateData.labelMoved = true;
+    this.openHistoryStep();
+    this.board.updateConnectorLabelPosition(
+      this.stateData.connectorId,
+      getClosestPositionOnPath(container.pathPoints, point)
+    );
+  }
+  
+  handleLabelDragEnd(event) {
+    if (this.currentState !== ConnectorState.DRAGGING_LABEL) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    this.transitionTo(ConnectorState.IDLE, 'label drag completed');
+    
+    if (this.renderCallback) {
+      this.renderCallback();
+    }
+  }
+  
+  /**
+   * Replaces the label of a connector with a text input. The label element
+   * is created for connectors without a label, so there is a place to type.
+   */
+  startLabelEditing(connectorId) {
+    const container = this.boardElement.querySelector(`.connector-${connectorId}`);
+    const connector = this.board.getConnectorSafe(connectorId);
+    if (!container || !connector) return;
+    
+    const label = getOrCreateLabelElement(container);
+    if (container.labelPoint) {
+      label.style.left = container.labelPoint.x + "px";
+      label.style.top = container.labelPoint.y + "px";
+    }
+    label.classList.add('editing');
+    label.textContent = '';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'connector-label-input';
+    input.maxLength = MAX_LABEL_LENGTH;
+    input.placeholder = 'Label';
+    input.value = connector.label || '';
+    // Keep typing away from the board's keyboard shortcuts and drag handlers
+    input.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.finishLabelEditing(true);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.finishLabelEditing(false);
+      }
+    });
+    input.addEventListener('keyup', (event) => event.stopPropagation());
+    input.addEventListener('mousedown', (event) => event.stopPropagation());
+    input.onblur = () => this.finishLabelEditing(true);
+    label.appendChild(input);
+    input.focus();
+    input.select();
+    this.stateData.labelInput = input;
+  }
+  
+  stopLabelEditing(connectorId) {
+    const input = this.stateData.labelInput;
+    this.stateData.labelInput = null;
+    if (input) {
+      input.onblur = null;
+    }
+    const container = connectorId && this.boardElement.querySelector(`.connector-${connectorId}`);
+    const label = container && container.label;
+    if (!label) return;
+    
+    label.classList.remove('editing');
+    const connector = this.board.getConnectorSafe(connectorId);
+    if (connector && connector.label) {
+      label.textContent = connector.label;
+    } else {
+      label.remove();
+      container.label = null;
+    }
+  }
+  
+  /**
+   * Leaves label editing, saving the typed text as one undo step if commit
+   * is true and the text changed
+   */
+  finishLabelEditing(commit) {
+    if (this.currentState !== ConnectorState.EDITING_LABEL) return;
+    
+    const connectorId = this.stateData.connectorId;
+    const text = this.stateData.labelInput ? normalizeLabel(this.stateData.labelInput.value) : '';
+    this.transitionTo(ConnectorState.IDLE, commit ? 'label editing completed' : 'label editing cancelled');
+    
+    const connector = this.board.getConnectorSafe(connectorId);
+    if (commit && connector && text !== (connector.label || '')) {
+      this.board.updateConnectorLabel(connectorId, text);
+    }
+    
+    if (this.renderCallback) {
+      this.renderCallback();
+    }
+  }
+  
   // Helper function to cancel click-to-click mode
   cancelClickToClickMode() {
     if (this.currentState === ConnectorState.CLICK_TO_CLICK_WAITING && this.stateData.connectorId) {
@@ -1145,6 +1642,7 @@ class ConnectorStateMachine extends StateMachine {
     // Single entry point event listeners
     this.boardElement.addEventListener('mousedown', this.routeMouseDown.bind(this));
     this.boardElement.addEventListener('mouseup', this.routeMouseUp.bind(this));
+    this.boardElement.addEventListener('dblclick', this.routeDoubleClick.bind(this));
     this.boardElement.addEventListener('touchstart', (event) => {
       // Handle touch start on connector handles
       const handle = event.target.closest('.connector-handle');
@@ -1267,8 +1765,9 @@ class ConnectorStateMachine extends StateMachine {
    */
   setupWindowEventListeners() {
     // Handle window blur (tab loses focus, window minimized, etc.)
+    // Label editing is left alone here and below: its input commits when it loses focus
     this._windowBlurHandler = () => {
-      if (this.currentState !== ConnectorState.IDLE) {
+      if (this.currentState !== ConnectorState.IDLE && this.currentState !== ConnectorState.EDITING_LABEL) {
         if (this.isDebugMode()) {
           console.log('[Connector] Window blur detected, forcing transition to IDLE');
         }
@@ -1286,7 +1785,7 @@ class ConnectorStateMachine extends StateMachine {
     
     // Handle mouse leaving the window
     this._mouseLeaveHandler = () => {
-      if (this.currentState !== ConnectorState.IDLE) {
+      if (this.currentState !== ConnectorState.IDLE && this.currentState !== ConnectorState.EDITING_LABEL) {
         if (this.isDebugMode()) {
           console.log('[Connector] Mouse left window, forcing transition to IDLE');
         }
@@ -1,5 +1,10 @@
+import { getPlugin, getStorageKeyForType } from './plugin-registry.js';
+import { getConnectorRouting } from './connector-routing.js';
+import { getConnectorWaypoints } from './connector-waypoints.js';
+import { isValidAnchor, getAnchorPoint } from './connector-anchors.js';
+
 /**
- * Hit testing utilities for connector click pass-through
+ * Hit testing utilities for connector click pass-through and area selection
  */
 
 /**
@@ -44,3 +49,53 @@ export function isClickOnConnectorStroke(event, pathElement) {
     return false;
   }
 }
+
+/**
+ * Computes approximate bounds of a connector: the box around its two ends
+ * (anchors or centers of connected items, or free endpoints), its waypoints and, when
+ * curved, its curve control point.
+ * Same shape as plugin getBounds() so both can be tested against a rectangle.
+ * 
+ * @param {Object} connector - Connector data
+ * @param {Object} state - Store state, used to look up connected items
+ * @param {Object} boardOrigin - Board origin {x, y}
+ * @returns {{centerX:number, centerY:number, width:number, height:number}|null} Bounds relative to the board origin
+ */
+export function getConnectorBounds(connector, state, boardOrigin) {
+  const getEndPoint = (itemType, itemId, point, anchor) => {
+    if (itemType && itemId) {
+      const plugin = getPlugin(itemType);
+      const item = state[getStorageKeyForType(itemType)]?.[itemId];
+      const bounds = plugin && item ? plugin.getBounds(item, boardOrigin) : null;
+      if (bounds && isValidAnchor(anchor)) {
+        return getAnchorPoint(bounds, anchor);
+      }
+      return bounds ? { x: bounds.centerX, y: bounds.centerY } : null;
+    }
+    return point ? { x: point.x - boardOrigin.x, y: point.y - boardOrigin.y } : null;
+  };
+  
+  const waypoints = getConnectorWaypoints(connector);
+  const points = [
+    getEndPoint(connector.originItemType, connector.originItemId, connector.originPoint, connector.originAnchor),
+    getEndPoint(connector.destinationItemType, connector.destinationItemId, connector.destinationPoint, connector.destinationAnchor),
+    // The control point and waypoints are stored relative to the board origin
+    // already; the control point only bends curved connectors without waypoints
+    ...waypoints,
+    getConnectorRouting(connector) === 'curved' && waypoints.length === 0 ? connector.curveControlPoint || null : null
+  ].filter(Boolean);
+  if (points.length < 2) {
+    return null;
+  }
+  
+  const minX = Math.min(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const maxX = Math.max(...points.map(p => p.x));
+  const maxY = Math.max(...points.map(p => p.y));
+  return {
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+    width: maxX - minX,
+    height: maxY - minY
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Connector Labels
+ * Text shown on a connector, e.g. "depends on" or "blocks". The label sits
+ * on the path at labelPosition, a fraction of the path length from the
+ * origin (0) to the destination (1), on a background so the line does not
+ * run through the text.
+ */
+
+export const DEFAULT_LABEL_POSITION = 0.5;
+
+// Longest label; connectors are annotated, not documented
+export const MAX_LABEL_LENGTH = 200;
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {number} Where the label sits along the path, between 0 and 1
+ */
+export function getLabelPosition(connector) {
+  const position = connector?.labelPosition;
+  return typeof position === "number" && position >= 0 && position <= 1
+    ? position
+    : DEFAULT_LABEL_POSITION;
+}
+
+/**
+ * Cleans up label text typed by the user
+ * @param {string} text - Label text
+ * @returns {string} Trimmed text of at most MAX_LABEL_LENGTH characters, "" for no label
+ */
+export function normalizeLabel(text) {
+  return (text || "").trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Points along a cubic Bezier curve, for measuring and following curved paths
+ * @returns {Array<{x: number, y: number}>} steps + 1 points from p0 to p3
+ */
+export function sampleCubicBezier(p0, p1, p2, p3, steps = 16) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const u = 1 - t;
+    points.push({
+      x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+      y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y,
+    });
+  }
+  return points;
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} points - Path as a polyline
+ * @param {number} fraction - Fraction of the path length, from 0 to 1
+ * @returns {{x: number, y: number}|null} The point that far along the path
+ */
+export function getPointAlongPath(points, fraction) {
+  if (!points || points.length === 0) {
+    return null;
+  }
+  const lengths = getSegmentLengths(points);
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  let remaining = Math.min(Math.max(fraction, 0), 1) * total;
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      return {
+        x: points[i].x + (points[i + 1].x - points[i].x) * t,
+        y: points[i].y + (points[i + 1].y - points[i].y) * t,
+      };
+    }
+    remaining -= lengths[i];
+  }
+  return { ...points[points.length - 1] };
+}
+
+/**
+ * Finds the point on a path closest to a given point, e.g. to follow the
+ * pointer while a label is dragged
+ * @param {Array<{x: number, y: number}>} points - Path as a polyline
+ * @param {{x: number, y: number}} point - Point to project onto the path
+ * @returns {number} Fraction of the path length where the closest point is
+ */
+export function getClosestPositionOnPath(points, point) {
+  const lengths = getSegmentLengths(points || []);
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  if (total === 0) {
+    return DEFAULT_LABEL_POSITION;
+  }
+  let best = { distance: Infinity, along: 0 };
+  let before = 0;
+  lengths.forEach((length, i) => {
+    const from = points[i];
+    const to = points[i + 1];
+    const t = length === 0 ? 0 : Math.min(Math.max(
+      ((point.x - from.x) * (to.x - from.x) + (point.y - from.y) * (to.y - from.y)) / (length * length),
+      0), 1);
+    const distance = Math.hypot(from.x + (to.x - from.x) * t - point.x, from.y + (to.y - from.y) * t - point.y);
+    if (distance < best.distance) {
+      best = { distance, along: before + t * length };
+    }
+    before += length;
+  });
+  return best.along / total;
+}
+
+function getSegmentLengths(points) {
+  const lengths = [];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  return lengths;
+}
+
+/**
+ * Returns the label element of a connector container, creating it if needed
+ * @param {HTMLElement} container - Connector container from createConnectorDOM
+ * @returns {HTMLElement} The label element
+ */
+export function getOrCreateLabelElement(container) {
+  if (!container.label) {
+    const label = document.createElement("div");
+    label.className = "connector-label";
+    container.appendChild(label);
+    container.label = label;
+  }
+  return container.label;
+}
+
+/**
+ * Places the label of a connector along its path, or removes it when the
+ * connector has no label. Labels being edited keep their input.
+ * @param {HTMLElement} container - Connector container
+ * @param {Object} connector - Connector data
+ * @param {Array<{x: number, y: number}>} pathPoints - Path as a polyline, in container coordinates
+ * @param {string} color - Text and border color
+ */
+export function renderConnectorLabel(container, connector, pathPoints, color) {
+  const text = connector.label || "";
+  const isEditing = !!container.label && container.label.classList.contains("editing");
+  container.labelPoint = getPointAlongPath(pathPoints, getLabelPosition(connector));
+  if (!text && !isEditing) {
+    if (container.label) {
+      container.label.remove();
+      container.label = null;
+    }
+    return;
+  }
+
+  const label = getOrCreateLabelElement(container);
+  if (!isEditing) {
+    label.textContent = text;
+  }
+  label.style.left = container.labelPoint.x + "px";
+  label.style.top = container.labelPoint.y + "px";
+  label.style.color = color;
+  label.style.borderColor = color;
+}
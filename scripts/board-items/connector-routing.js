@@ -0,0 +1,213 @@
+import { getAnchorPoint } from "./connector-anchors.js";
+
+/**
+ * Connector Routing
+ * How a connector gets from its origin to its destination:
+ * - curved: a straight line that bends through the curve control point, if any
+ * - straight: always a straight line between the two ends
+ * - orthogonal: horizontal and vertical segments that leave and enter items
+ *   at right angles to one of their sides and go around the connected items;
+ *   anchored ends leave from the side of their anchor
+ */
+
+export const CONNECTOR_ROUTING_TYPES = ["curved", "straight", "orthogonal"];
+export const DEFAULT_CONNECTOR_ROUTING = "curved";
+
+// Distance an orthogonal route keeps from the items it connects
+export const ROUTE_MARGIN = 20;
+
+const EPSILON = 0.5;
+
+const SIDE_DIRECTIONS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  top: { x: 0, y: -1 },
+  bottom: { x: 0, y: 1 },
+};
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {string} The routing of the connector, "curved" for connectors without a known routing
+ */
+export function getConnectorRouting(connector) {
+  return CONNECTOR_ROUTING_TYPES.includes(connector?.routing)
+    ? connector.routing
+    : DEFAULT_CONNECTOR_ROUTING;
+}
+
+/**
+ * Computes the points of an orthogonal route. Each end is either a connected
+ * item, given by its bounds, or a free point. Routes attach to the middle of
+ * the item side that faces the other end.
+ *
+ * @param {{bounds?: Object, anchor?: Object, point?: {x: number, y: number}}} origin - Origin item bounds ({centerX, centerY, width, height}) and optional anchor, or point
+ * @param {{bounds?: Object, anchor?: Object, point?: {x: number, y: number}}} destination - Destination item bounds and anchor, or point
+ * @returns {Array<{x: number, y: number}>} Route points from origin to destination, without repeated or collinear points
+ */
+export function computeOrthogonalRoute(origin, destination) {
+  const originCenter = getCenter(origin);
+  const destinationCenter = getCenter(destination);
+  const originPort = getPort(origin, destinationCenter);
+  const destinationPort = getPort(destination, originCenter);
+  const a = getStubPoint(originPort);
+  const b = getStubPoint(destinationPort);
+  const obstacles = [origin.bounds, destination.bounds].filter(Boolean).map(toRect);
+
+  let best = null;
+  getMiddleCandidates(a, b, obstacles).forEach((middle) => {
+    const route = simplifyRoute([originPort.point, a, ...middle, b, destinationPort.point]);
+    const score = scoreRoute(route, obstacles);
+    if (!best || compareScores(score, best.score) < 0) {
+      best = { route, score };
+    }
+  });
+  return best.route;
+}
+
+function getCenter(end) {
+  return end.bounds ? { x: end.bounds.centerX, y: end.bounds.centerY } : end.point;
+}
+
+function toRect(bounds) {
+  return {
+    left: bounds.centerX - bounds.width / 2,
+    right: bounds.centerX + bounds.width / 2,
+    top: bounds.centerY - bounds.height / 2,
+    bottom: bounds.centerY + bounds.height / 2,
+  };
+}
+
+/**
+ * The point where a route attaches to an end, and the direction it leaves in
+ */
+function getPort(end, target) {
+  if (!end.bounds) {
+    return { point: end.point, direction: null };
+  }
+  if (end.anchor) {
+    return { point: getAnchorPoint(end.bounds, end.anchor), direction: SIDE_DIRECTIONS[end.anchor.side] };
+  }
+  const { centerX, centerY, width, height } = end.bounds;
+  const dx = target.x - centerX;
+  const dy = target.y - centerY;
+  // Compare relative to the item size, so wide items prefer their long sides
+  let side;
+  if (Math.abs(dx) / (width || 1) >= Math.abs(dy) / (height || 1)) {
+    side = dx >= 0 ? "right" : "left";
+  } else {
+    side = dy >= 0 ? "bottom" : "top";
+  }
+  const direction = SIDE_DIRECTIONS[side];
+  return {
+    point: {
+      x: centerX + direction.x * width / 2,
+      y: centerY + direction.y * height / 2,
+    },
+    direction,
+  };
+}
+
+function getStubPoint(port) {
+  if (!port.direction) {
+    return port.point;
+  }
+  return {
+    x: port.point.x + port.direction.x * ROUTE_MARGIN,
+    y: port.point.y + port.direction.y * ROUTE_MARGIN,
+  };
+}
+
+/**
+ * Ways to join the two stub points with horizontal and vertical segments.
+ * Balanced elbows come first, so they win ties with lopsided ones.
+ */
+function getMiddleCandidates(a, b, obstacles) {
+  const midX = (a.x + b.x) / 2;
+  const midY = (a.y + b.y) / 2;
+  const candidates = [
+    [{ x: midX, y: a.y }, { x: midX, y: b.y }],
+    [{ x: a.x, y: midY }, { x: b.x, y: midY }],
+    [{ x: b.x, y: a.y }],
+    [{ x: a.x, y: b.y }],
+  ];
+  // Straight across when the stubs line up
+  if (Math.abs(a.x - b.x) < EPSILON || Math.abs(a.y - b.y) < EPSILON) {
+    candidates.unshift([]);
+  }
+
+  // Detours around everything, for ends that face away from each other
+  const left = Math.min(a.x, b.x, ...obstacles.map((rect) => rect.left)) - ROUTE_MARGIN;
+  const right = Math.max(a.x, b.x, ...obstacles.map((rect) => rect.right)) + ROUTE_MARGIN;
+  const top = Math.min(a.y, b.y, ...obstacles.map((rect) => rect.top)) - ROUTE_MARGIN;
+  const bottom = Math.max(a.y, b.y, ...obstacles.map((rect) => rect.bottom)) + ROUTE_MARGIN;
+  [left, right].forEach((x) => candidates.push([{ x, y: a.y }, { x, y: b.y }]));
+  [top, bottom].forEach((y) => candidates.push([{ x: a.x, y }, { x: b.x, y }]));
+  return candidates;
+}
+
+function simplifyRoute(points) {
+  const route = [];
+  points.forEach((point) => {
+    const last = route[route.length - 1];
+    if (last && Math.abs(last.x - point.x) < EPSILON && Math.abs(last.y - point.y) < EPSILON) {
+      return;
+    }
+    const beforeLast = route[route.length - 2];
+    if (beforeLast && isSameDirection(beforeLast, last, point)) {
+      route[route.length - 1] = point;
+    } else {
+      route.push(point);
+    }
+  });
+  return route;
+}
+
+function isSameDirection(p1, p2, p3) {
+  const d1 = { x: Math.sign(round(p2.x - p1.x)), y: Math.sign(round(p2.y - p1.y)) };
+  const d2 = { x: Math.sign(round(p3.x - p2.x)), y: Math.sign(round(p3.y - p2.y)) };
+  return d1.x === d2.x && d1.y === d2.y;
+}
+
+function round(value) {
+  return Math.abs(value) < EPSILON ? 0 : value;
+}
+
+/**
+ * Scores a route by how badly it breaks the rules (crossing an item, or
+ * doubling back on itself), then by its number of bends and its length
+ */
+function scoreRoute(route, obstacles) {
+  let violations = 0;
+  let length = 0;
+  for (let i = 1; i < route.length; i++) {
+    const from = route[i - 1];
+    const to = route[i];
+    length += Math.abs(to.x - from.x) + Math.abs(to.y - from.y);
+    violations += obstacles.filter((rect) => segmentCrossesRect(from, to, rect)).length;
+    if (i > 1) {
+      const previous = route[i - 2];
+      const dot = (from.x - previous.x) * (to.x - from.x) + (from.y - previous.y) * (to.y - from.y);
+      if (dot < 0) {
+        violations++;
+      }
+    }
+  }
+  return { violations, bends: Math.max(0, route.length - 2), length };
+}
+
+function compareScores(a, b) {
+  return a.violations - b.violations || a.bends - b.bends || a.length - b.length;
+}
+
+/**
+ * Whether a horizontal or vertical segment passes through the inside of a
+ * rectangle; running along its edge does not count
+ */
+function segmentCrossesRect(from, to, rect) {
+  const minX = Math.min(from.x, to.x);
+  const maxX = Math.max(from.x, to.x);
+  const minY = Math.min(from.y, to.y);
+  const maxY = Math.max(from.y, to.y);
+  return maxX > rect.left + EPSILON && minX < rect.right - EPSILON &&
+    maxY > rect.top + EPSILON && minY < rect.bottom - EPSILON;
+}
@@ -1,7 +1,86 @@
 import { calculateEdgePoint } from "./connector-dom.js";
 import { getBoardItemBounds } from "./board-item-interface.js";
+import { getConnectorRouting, computeOrthogonalRoute } from "./connector-routing.js";
+import { renderConnectorLabel, sampleCubicBezier } from "./connector-label.js";
+import { getConnectorWaypoints, buildSplineSegments } from "./connector-waypoints.js";
+import { isValidAnchor, getAnchorPoint } from "./connector-anchors.js";
 
 export const ARROW_HEAD_TYPES = ["none", "line", "hollow", "filled"];
+// The origin end has no arrow head unless one is picked
+export const DEFAULT_ORIGIN_ARROW_HEAD = "none";
+
+export const CONNECTOR_LINE_STYLES = ["solid", "dashed", "dotted"];
+export const DEFAULT_CONNECTOR_LINE_STYLE = "solid";
+
+// Stroke width presets in board pixels; arrow heads scale along
+export const CONNECTOR_STROKE_WIDTHS = [2, 4, 6, 8];
+export const DEFAULT_CONNECTOR_STROKE_WIDTH = 4;
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {string} The arrow head at the origin end, "none" if there is none
+ */
+export function getOriginArrowHead(connector) {
+  return ARROW_HEAD_TYPES.includes(connector?.originArrowHead)
+    ? connector.originArrowHead
+    : DEFAULT_ORIGIN_ARROW_HEAD;
+}
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {string} The line style of the connector, "solid" for unknown styles
+ */
+export function getConnectorLineStyle(connector) {
+  return CONNECTOR_LINE_STYLES.includes(connector?.lineStyle)
+    ? connector.lineStyle
+    : DEFAULT_CONNECTOR_LINE_STYLE;
+}
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {number} The stroke width of the connector, one of CONNECTOR_STROKE_WIDTHS
+ */
+export function getConnectorStrokeWidth(connector) {
+  return CONNECTOR_STROKE_WIDTHS.includes(connector?.strokeWidth)
+    ? connector.strokeWidth
+    : DEFAULT_CONNECTOR_STROKE_WIDTH;
+}
+
+/**
+ * Dash pattern for a line style, scaled to the stroke width so dashes and
+ * dots keep their proportions on thick lines
+ * @param {string} lineStyle - Line style
+ * @param {number} strokeWidth - Stroke width
+ * @returns {string|null} Value for stroke-dasharray, null for solid lines
+ */
+export function getDashArray(lineStyle, strokeWidth) {
+  switch (lineStyle) {
+    case "dashed":
+      return `${strokeWidth * 3} ${strokeWidth * 2}`;
+    case "dotted":
+      // Zero-length dashes with round caps are drawn as dots
+      return `0 ${strokeWidth * 2}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Steps through the values of a connector style, e.g. from the menu or the keyboard
+ * @param {Array} values - Values in rotation, e.g. CONNECTOR_LINE_STYLES
+ * @param {*} current - Current value
+ * @param {boolean} reverse - Whether to go backwards in the list
+ * @returns {*} Next value
+ */
+export function getNextConnectorStyle(values, current, reverse = false) {
+  const currentIndex = values.indexOf(current);
+  if (currentIndex === -1) {
+    return values[0];
+  }
+  return reverse
+    ? values[(currentIndex - 1 + values.length) % values.length]
+    : values[(currentIndex + 1) % values.length];
+}
 
 /**
  * Sets the styles and position of a connector
@@ -24,6 +103,17 @@ export function setConnectorStyles(
   connectorId
 ) {
   const arrowHeadType = connector.arrowHead || "filled";
+  const originArrowHeadType = getOriginArrowHead(connector);
+  const strokeWidth = getConnectorStrokeWidth(connector);
+  const lineStyle = getConnectorLineStyle(connector);
+  const dashArray = getDashArray(lineStyle, strokeWidth);
+  const routing = getConnectorRouting(connector);
+  const waypoints = getConnectorWaypoints(connector);
+  // Only curved connectors without waypoints bend through their control point
+  const curveControlPoint = routing === "curved" && waypoints.length === 0 ? connector.curveControlPoint || null : null;
+  // Connected ends face the nearest waypoint, or the control point
+  const firstBend = waypoints[0] || curveControlPoint;
+  const lastBend = waypoints[waypoints.length - 1] || curveControlPoint;
   
   // Validate inputs to prevent NaN errors
   if (!boardOrigin || typeof boardOrigin.x !== 'number' || typeof boardOrigin.y !== 'number' || 
@@ -35,8 +125,8 @@ export function setConnectorStyles(
   // Calculate start and end points using generic bounds
   let startPoint, endPoint;
   
-  const originBounds = getBoardItemBounds(originItem, boardOrigin);
-  const destBounds = getBoardItemBounds(destItem, boardOrigin);
+  const originBounds = getBoardItemBounds(originItem, boardOrigin, connector.originItemType);
+  const destBounds = getBoardItemBounds(destItem, boardOrigin, connector.destinationItemType);
   
   if (originBounds) {
     // Origin is connected to an item (sticky or image)
@@ -47,9 +137,8 @@ export function setConnectorStyles(
       const destCenter = { x: destBounds.centerX, y: destBounds.centerY };
       
       // Determine targeting point for curved connectors
-      const controlTarget = connector.curveControlPoint || null;
-      const targetForStart = controlTarget || destCenter;
-      const targetForEnd = controlTarget || originCenter;
+      const targetForStart = firstBend || destCenter;
+      const targetForEnd = lastBend || originCenter;
       
       startPoint = calculateEdgePoint(
         originCenter.x,
@@ -84,8 +173,7 @@ export function setConnectorStyles(
         y: destPoint.y - boardOrigin.y,
       };
       
-      const controlTarget = connector.curveControlPoint || null;
-      const targetForStart = controlTarget || destCenter;
+      const targetForStart = firstBend || destCenter;
       
       startPoint = calculateEdgePoint(
         originCenter.x,
@@ -119,8 +207,7 @@ export function setConnectorStyles(
       const destCenter = { x: destBounds.centerX, y: destBounds.centerY };
       
       // When curved, aim the ray from the destination center towards control target if present
-      const controlTarget = connector.curveControlPoint || null;
-      const targetForEnd = controlTarget || startPoint;
+      const targetForEnd = lastBend || startPoint;
       endPoint = calculateEdgePoint(
         destCenter.x,
         destCenter.y,
@@ -147,6 +234,16 @@ export function setConnectorStyles(
     }
   }
   
+  // Ends attached to an anchor sit on it instead of facing the other end
+  const originAnchor = originBounds && isValidAnchor(connector.originAnchor) ? connector.originAnchor : null;
+  const destinationAnchor = destBounds && isValidAnchor(connector.destinationAnchor) ? connector.destinationAnchor : null;
+  if (originAnchor) {
+    startPoint = getAnchorPoint(originBounds, originAnchor);
+  }
+  if (destinationAnchor) {
+    endPoint = getAnchorPoint(destBounds, destinationAnchor);
+  }
+
   // Validate that we have valid start and end points
   if (!startPoint || !endPoint || 
       typeof startPoint.x !== 'number' || typeof startPoint.y !== 'number' ||
@@ -164,18 +261,38 @@ export function setConnectorStyles(
                             connector.destinationItemId && connector.destinationItemType &&
                             connector.originItemId === connector.destinationItemId &&
                             connector.originItemType === connector.destinationItemType);
+  // The item a self-connection loops around
+  const loopItem = originItem || destItem;
+  const loopItemType = connector.originItemType;
 
   // Compute an effective control point used for traditional 2-segment curves and handle placement
-  let effectiveControlPoint = null;
-  if (connector.curveControlPoint) {
-    effectiveControlPoint = connector.curveControlPoint;
+  const effectiveControlPoint = curveControlPoint;
+
+  // Orthogonal routes attach to the sides of connected items and go around them
+  let routePoints = null;
+  if (routing === "orthogonal" && !isSelfConnection) {
+    routePoints = computeOrthogonalRoute(
+      originBounds ? { bounds: originBounds, anchor: originAnchor } : { point: startPoint },
+      destBounds ? { bounds: destBounds, anchor: destinationAnchor } : { point: endPoint }
+    );
+    startPoint = routePoints[0];
+    endPoint = routePoints[routePoints.length - 1];
   }
 
+  // Curved connectors follow a spline through their waypoints
+  const splineSegments = routing === "curved" && waypoints.length > 0
+    ? buildSplineSegments([startPoint, ...waypoints, endPoint])
+    : null;
+
   // Calculate bounding box for the SVG
-  let minX = Math.min(startPoint.x, endPoint.x);
-  let minY = Math.min(startPoint.y, endPoint.y);
-  let maxX = Math.max(startPoint.x, endPoint.x);
-  let maxY = Math.max(startPoint.y, endPoint.y);
+  const extentPoints = routePoints || [startPoint, ...waypoints, endPoint];
+  if (splineSegments) {
+    splineSegments.forEach(segment => extentPoints.push(segment.c1, segment.c2));
+  }
+  let minX = Math.min(...extentPoints.map(point => point.x));
+  let minY = Math.min(...extentPoints.map(point => point.y));
+  let maxX = Math.max(...extentPoints.map(point => point.x));
+  let maxY = Math.max(...extentPoints.map(point => point.y));
   
   // Include curve control point in bounding box if it exists
   if (effectiveControlPoint) {
@@ -186,7 +303,6 @@ export function setConnectorStyles(
   }
   
   // Add padding for arrow head and handles
-  const strokeWidth = 4;
   const markerExtension = 6 * strokeWidth;
   const handleSize = 8; // Size of unconnected endpoint handles
   // Compute additional padding if the curve bulges far from the chord
@@ -234,10 +350,15 @@ export function setConnectorStyles(
   
   // Update arrow head marker
   const connectorColor = connector.color || "#000000";
-  const markerId = updateArrowHeadMarker(container.defs, arrowHeadType, isSelected, connectorColor, connectorId);
+  const markerId = updateArrowHeadMarker(container.defs, arrowHeadType, isSelected, connectorColor, connectorId, "destination");
+  const originMarkerId = originArrowHeadType !== "none"
+    ? updateArrowHeadMarker(container.defs, originArrowHeadType, isSelected, connectorColor, connectorId, "origin")
+    : removeArrowHeadMarkers(container.defs, connectorId, "origin");
   
   // Draw the path - check for curve control point and self-loop
   let pathData;
+  // The path as a polyline in local coordinates, to place the label along it
+  let pathPoints;
   let arrowOrientation = "auto";
   let usedSelfLoopPath = false;
   let selfLoopCenterBoard = null; // {x,y} for arrowhead orientation
@@ -245,7 +366,7 @@ export function setConnectorStyles(
   // Helper to build a very simple self-loop (two smooth cubic segments via one apex)
   function buildSelfLoopPath() {
     // Use generic bounds to determine object center and size
-    const bounds = getBoardItemBounds(originItem || destItem, boardOrigin);
+    const bounds = getBoardItemBounds(loopItem, boardOrigin, loopItemType);
     if (!bounds) {
       return null;
     }
@@ -268,9 +389,13 @@ export function setConnectorStyles(
     const loopCenterBoardX = objCenterX + dirX * (radius + margin);
     const loopCenterBoardY = objCenterY + dirY * (radius + margin);
 
-    // Always derive anchors from object edges to ensure consistent self-loop
-    const startEdge = calculateEdgePoint(objCenterX, objCenterY, objCenterX + objWidth, objCenterY + objHeight * 0.25, objWidth, objHeight);
-    const endEdge = calculateEdgePoint(objCenterX, objCenterY, objCenterX + objWidth * 0.25, objCenterY + objHeight, objWidth, objHeight);
+    // Derive the loop ends from the object edges unless they are anchored
+    const startEdge = originAnchor
+      ? getAnchorPoint(bounds, originAnchor)
+      : calculateEdgePoint(objCenterX, objCenterY, objCenterX + objWidth, objCenterY + objHeight * 0.25, objWidth, objHeight);
+    const endEdge = destinationAnchor
+      ? getAnchorPoint(bounds, destinationAnchor)
+      : calculateEdgePoint(objCenterX, objCenterY, objCenterX + objWidth * 0.25, objCenterY + objHeight, objWidth, objHeight);
     const sBX = startEdge.x; const sBY = startEdge.y;
     const eBX = endEdge.x; const eBY = endEdge.y;
 
@@ -290,16 +415,18 @@ export function setConnectorStyles(
     const largeArcFlag = 1;
     const sweepFlag = 1;
     const dStr = `M ${sX} ${sY} A ${rx} ${ry} ${xAxisRotation} ${largeArcFlag} ${sweepFlag} ${eX} ${eY}`;
+    // Labels of self-loops sit at the far end of the loop
+    pathPoints = [{ x: sX, y: sY }, { x: cX + norm * radius, y: cY + norm * radius }, { x: eX, y: eY }];
     return dStr;
   }
 
-  if (isSelfConnection && !connector.curveControlPoint) {
+  if (isSelfConnection && !curveControlPoint && waypoints.length === 0) {
     const loopPath = buildSelfLoopPath();
     if (loopPath) {
       pathData = loopPath;
       usedSelfLoopPath = true;
       // Derive center for arrow orientation using generic bounds
-      const bounds = getBoardItemBounds(originItem || destItem, boardOrigin);
+      const bounds = getBoardItemBounds(loopItem, boardOrigin, loopItemType);
       if (bounds) {
         selfLoopCenterBoard = {
           x: bounds.centerX,
@@ -309,7 +436,31 @@ export function setConnectorStyles(
     }
   }
 
-  if (!pathData && effectiveControlPoint) {
+  if (!pathData && routePoints) {
+    pathPoints = routePoints.map(point => ({ x: point.x - minX + padding, y: point.y - minY + padding }));
+    pathData = pathPoints
+      .map((point, index) => `${index === 0 ? "M" : "L"} ${point.x} ${point.y}`)
+      .join(" ");
+  } else if (!pathData && waypoints.length > 0) {
+    const toLocal = point => ({ x: point.x - minX + padding, y: point.y - minY + padding });
+    const localPoints = [startPoint, ...waypoints, endPoint].map(toLocal);
+    if (splineSegments) {
+      pathData = `M ${localPoints[0].x} ${localPoints[0].y}`;
+      pathPoints = [localPoints[0]];
+      splineSegments.forEach((segment, i) => {
+        const c1 = toLocal(segment.c1);
+        const c2 = toLocal(segment.c2);
+        const to = localPoints[i + 1];
+        pathData += ` C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${to.x} ${to.y}`;
+        pathPoints.push(...sampleCubicBezier(localPoints[i], c1, c2, to).slice(1));
+      });
+    } else {
+      pathPoints = localPoints;
+      pathData = localPoints
+        .map((point, index) => `${index === 0 ? "M" : "L"} ${point.x} ${point.y}`)
+        .join(" ");
+    }
+  } else if (!pathData && effectiveControlPoint) {
     // Convert control point to local coordinates
     const controlX = effectiveControlPoint.x - minX + padding;
     const controlY = effectiveControlPoint.y - minY + padding;
@@ -364,6 +515,10 @@ export function setConnectorStyles(
       const c4y = localEndY - dirCEy * (lenCE * endHandleScale);
       
       pathData = `M ${localStartX} ${localStartY} C ${c1x} ${c1y} ${c2x} ${c2y} ${controlX} ${controlY} C ${c3x} ${c3y} ${c4x} ${c4y} ${localEndX} ${localEndY}`;
+      pathPoints = [
+        ...sampleCubicBezier({ x: localStartX, y: localStartY }, { x: c1x, y: c1y }, { x: c2x, y: c2y }, { x: controlX, y: controlY }),
+        ...sampleCubicBezier({ x: controlX, y: controlY }, { x: c3x, y: c3y }, { x: c4x, y: c4y }, { x: localEndX, y: localEndY }).slice(1),
+      ];
       
       // Let marker orient automatically follow the path tangent at the end
       arrowOrientation = "auto";
@@ -377,6 +532,9 @@ export function setConnectorStyles(
   }
   
   container.path.setAttribute("d", pathData);
+  container.pathPoints = pathPoints || [{ x: localStartX, y: localStartY }, { x: localEndX, y: localEndY }];
+  // Ends and bend points in waypoint coordinates, to find where a new waypoint goes
+  container.bendPoints = [startPoint, ...(waypoints.length > 0 ? waypoints : [curveControlPoint].filter(Boolean)), endPoint];
   
   // Only apply marker-end if arrow head is not "none"
   if (arrowHeadType !== "none") {
@@ -397,21 +555,39 @@ export function setConnectorStyles(
     container.path.removeAttribute("marker-end");
   }
   
+  // The origin marker is mirrored so it points away from the line
+  if (originMarkerId) {
+    container.path.setAttribute("marker-start", `url(#${originMarkerId})`);
+  } else {
+    container.path.removeAttribute("marker-start");
+  }
+  
   container.path.style.pointerEvents = "all"; // Allow clicks on the path
   
   // Add handles for unconnected endpoints
-  updateConnectorHandles(container, connector, localStartX, localStartY, localEndX, localEndY, isSelected, startPoint, endPoint, effectiveControlPoint);
+  updateConnectorHandles(container, connector, localStartX, localStartY, localEndX, localEndY, isSelected, startPoint, endPoint, effectiveControlPoint, routing, waypoints);
   
   // Update selection state and color
   if (isSelected) {
     container.classList.add("selected");
     container.path.setAttribute("stroke", "#4646d8");
-    container.path.setAttribute("stroke-width", "4");
   } else {
     container.classList.remove("selected");
     container.path.setAttribute("stroke", connectorColor);
-    container.path.setAttribute("stroke-width", "4");
   }
+  container.path.setAttribute("stroke-width", String(strokeWidth));
+  if (dashArray) {
+    container.path.setAttribute("stroke-dasharray", dashArray);
+  } else {
+    container.path.removeAttribute("stroke-dasharray");
+  }
+  if (lineStyle === "dotted") {
+    container.path.setAttribute("stroke-linecap", "round");
+  } else {
+    container.path.removeAttribute("stroke-linecap");
+  }
+  
+  renderConnectorLabel(container, connector, container.pathPoints, isSelected ? "#4646d8" : connectorColor);
   
   // Apply z-index from connector data
   if (connector.zIndex !== undefined) {
@@ -420,9 +596,10 @@ export function setConnectorStyles(
 }
 
 /**
- * Updates or creates handles for unconnected connector endpoints
+ * Updates or creates handles for unconnected connector endpoints, waypoints
+ * and the curve control point
  */
-function updateConnectorHandles(container, connector, localStartX, localStartY, localEndX, localEndY, isSelected, startPoint, endPoint, effectiveControlPoint) {
+function updateConnectorHandles(container, connector, localStartX, localStartY, localEndX, localEndY, isSelected, startPoint, endPoint, effectiveControlPoint, routing, waypoints) {
   const svg = container.svg;
   
   // Remove existing handles
@@ -484,17 +661,46 @@ function updateConnectorHandles(container, connector, localStartX, localStartY,
     svg.appendChild(destHandle);
   }
   
-  // Add curve control handle for all connectors
+  // Compute board->local offsets using known start point mapping
+  const offsetX = localStartX - startPoint.x;
+  const offsetY = localStartY - startPoint.y;
+  
+  // Waypoints take the place of the curve control handle
+  if (waypoints.length > 0) {
+    waypoints.forEach((waypoint, index) => {
+      const waypointHandle = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+      waypointHandle.classList.add("connector-handle");
+      waypointHandle.classList.add("waypoint-handle");
+      waypointHandle.classList.add("connector-handle-hidden"); // Hidden by default
+      waypointHandle.setAttribute("cx", String(waypoint.x + offsetX));
+      waypointHandle.setAttribute("cy", String(waypoint.y + offsetY));
+      waypointHandle.setAttribute("r", String(handleSize / 2));
+      waypointHandle.setAttribute("fill", "rgba(70, 70, 216, 0.6)");
+      waypointHandle.setAttribute("stroke", "white");
+      waypointHandle.setAttribute("stroke-width", "2");
+      waypointHandle.setAttribute("cursor", "grab");
+      waypointHandle.setAttribute("data-handle-position", `${waypoint.x},${waypoint.y}`);
+      waypointHandle.setAttribute("data-waypoint-index", String(index));
+      waypointHandle.style.pointerEvents = "all";
+      if (isSelected) {
+        waypointHandle.classList.remove("connector-handle-hidden");
+      }
+      svg.appendChild(waypointHandle);
+    });
+    return;
+  }
+  
+  // Only curved connectors can be bent with a curve control handle
+  if (routing !== "curved") {
+    return;
+  }
+
   const midpointX = (localStartX + localEndX) / 2;
   const midpointY = (localStartY + localEndY) / 2;
   
   // Determine curve control handle position
   let curveHandleX, curveHandleY, curveHandleBoardX, curveHandleBoardY;
   
-  // Compute board->local offsets using known start point mapping
-  const offsetX = localStartX - startPoint.x;
-  const offsetY = localStartY - startPoint.y;
-  
   if (connector.curveControlPoint) {
     // Use existing control point
     curveHandleX = connector.curveControlPoint.x + offsetX;
@@ -536,25 +742,21 @@ function updateConnectorHandles(container, connector, localStartX, localStartY,
 }
 
 /**
- * Updates or creates the arrow head marker in the SVG defs
+ * Updates or creates the arrow head marker of one end in the SVG defs
  * @param {HTMLElement} defs - SVG defs element
  * @param {string} arrowHeadType - Type of arrow head (line, hollow, filled)
  * @param {boolean} isSelected - Whether the connector is selected
  * @param {string} connectorColor - The color of the connector
  * @param {string} connectorId - The unique ID of the connector
+ * @param {string} end - "origin" or "destination"
  * @returns {string} The marker ID
  */
-function updateArrowHeadMarker(defs, arrowHeadType, isSelected, connectorColor, connectorId) {
-  const markerId = `arrowhead-${connectorId}-${arrowHeadType}-${isSelected ? 'selected' : 'unselected'}`;
+function updateArrowHeadMarker(defs, arrowHeadType, isSelected, connectorColor, connectorId, end) {
+  const markerId = `arrowhead-${connectorId}-${end}-${arrowHeadType}-${isSelected ? 'selected' : 'unselected'}`;
   let marker = defs.querySelector(`#${markerId}`);
   
-  // Clean up old markers for this connector (different selection states or arrow types)
-  const oldMarkers = defs.querySelectorAll(`[id^="arrowhead-${connectorId}-"]`);
-  oldMarkers.forEach(oldMarker => {
-    if (oldMarker.id !== markerId) {
-      oldMarker.remove();
-    }
-  });
+  // Clean up old markers for this end (different selection states or arrow types)
+  removeArrowHeadMarkers(defs, connectorId, end, markerId);
   
   if (!marker) {
     marker = document.createElementNS("http://www.w3.org/2000/svg", "marker");
@@ -563,7 +765,7 @@ function updateArrowHeadMarker(defs, arrowHeadType, isSelected, connectorColor,
     marker.setAttribute("markerHeight", "10");
     marker.setAttribute("refX", "6");
     marker.setAttribute("refY", "5");
-    marker.setAttribute("orient", "auto");
+    marker.setAttribute("orient", end === "origin" ? "auto-start-reverse" : "auto");
     marker.setAttribute("markerUnits", "strokeWidth");
     defs.appendChild(marker);
   }
@@ -618,4 +820,21 @@ function updateArrowHeadMarker(defs, arrowHeadType, isSelected, connectorColor,
   }
   
   return markerId;
-}
\ No newline at end of file
+}
+
+/**
+ * Removes the arrow head markers of one end of a connector
+ * @param {HTMLElement} defs - SVG defs element
+ * @param {string} connectorId - The unique ID of the connector
+ * @param {string} end - "origin" or "destination"
+ * @param {string} [keepId] - ID of a marker to keep
+ * @returns {null} No marker ID, so the end is drawn without a marker
+ */
+function removeArrowHeadMarkers(defs, connectorId, end, keepId) {
+  defs.querySelectorAll(`[id^="arrowhead-${connectorId}-${end}-"]`).forEach(marker => {
+    if (marker.id !== keepId) {
+      marker.remove();
+    }
+  });
+  return null;
+}
@@ -0,0 +1,91 @@
+import { getConnectorRouting } from "./connector-routing.js";
+
+/**
+ * Connector Waypoints
+ * Bend points a connector passes through on its way from origin to
+ * destination, in order. Curved connectors follow a smooth spline through
+ * their waypoints, straight connectors a polyline. Orthogonal connectors
+ * route themselves and ignore waypoints.
+ *
+ * Waypoints use the same coordinates as the curve control point, which they
+ * replace: a curved connector with waypoints does not use its control point.
+ */
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {boolean} Whether the routing of the connector uses waypoints
+ */
+export function supportsWaypoints(connector) {
+  return getConnectorRouting(connector) !== "orthogonal";
+}
+
+/**
+ * @param {Object} connector - Connector data
+ * @returns {Array<{x: number, y: number}>} The waypoints the connector passes through, [] if none
+ */
+export function getConnectorWaypoints(connector) {
+  if (!supportsWaypoints(connector) || !Array.isArray(connector.waypoints)) {
+    return [];
+  }
+  return connector.waypoints.filter(isValidWaypoint);
+}
+
+/**
+ * @param {*} point - Stored waypoint
+ * @returns {boolean} Whether the point has numeric coordinates
+ */
+export function isValidWaypoint(point) {
+  return !!point && typeof point.x === "number" && typeof point.y === "number" &&
+    !isNaN(point.x) && !isNaN(point.y);
+}
+
+/**
+ * Where a waypoint added at a point belongs in the list of waypoints: after
+ * the start of the leg of the connector closest to the point
+ * @param {Array<{x: number, y: number}>} points - Start point, waypoints and end point of the connector
+ * @param {{x: number, y: number}} point - Point of the new waypoint
+ * @returns {number} Index in the waypoint list to insert the new waypoint at
+ */
+export function findWaypointInsertIndex(points, point) {
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    const distance = distanceToSegment(point, points[i - 1], points[i]);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = i - 1;
+    }
+  }
+  return bestIndex;
+}
+
+function distanceToSegment(point, from, to) {
+  const lengthSquared = (to.x - from.x) ** 2 + (to.y - from.y) ** 2;
+  const t = lengthSquared === 0 ? 0 : Math.min(Math.max(
+    ((point.x - from.x) * (to.x - from.x) + (point.y - from.y) * (to.y - from.y)) / lengthSquared,
+    0), 1);
+  return Math.hypot(from.x + (to.x - from.x) * t - point.x, from.y + (to.y - from.y) * t - point.y);
+}
+
+/**
+ * Cubic Bezier segments of a Catmull-Rom spline that passes through all
+ * points, so that curved connectors bend smoothly at each waypoint
+ * @param {Array<{x: number, y: number}>} points - Points to pass through, at least two
+ * @returns {Array<{c1: Object, c2: Object, to: Object}>} One segment per pair of consecutive points
+ */
+export function buildSplineSegments(points) {
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    // The ends are repeated, so the spline leaves and enters them straight
+    const p0 = points[Math.max(i - 1, 0)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(i + 2, points.length - 1)];
+    segments.push({
+      c1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+      c2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+      to: p2,
+    });
+  }
+  return segments;
+}
@@ -31,6 +31,17 @@ export class BoardItemPlugin {
   /** @returns {string} selection type key, e.g. 'stickies' */
   getSelectionType() { throw new Error('Not implemented'); }
 
+  /**
+   * Optional: attach board-wide event handlers, e.g. to capture pen strokes.
+   * Called once when the board is rendered.
+   * @param {HTMLElement} domElement - The board element
+   * @param {object} board
+   * @param {object} selectionManager
+   * @param {object} store
+   * @returns {{cleanup: Function}|null}
+   */
+  setupBoardEvents(domElement, board, selectionManager, store) { return null; }
+
   /** Create new item on the board, return id */
   createItem(board, itemData) { throw new Error('Not implemented'); }
 
@@ -67,6 +78,16 @@ export class BoardItemPlugin {
    */
   getBounds(item, boardOrigin, options) { throw new Error('Not implemented'); }
 
+  /**
+   * Optional: render an item as SVG for image export (see ui/svg-export.js).
+   * Items of plugins that return null are left out of exported images.
+   * @param {object} item
+   * @param {{x:number,y:number}} boardOrigin
+   * @param {{measureText: (text: string, fontSize: number) => number}} context
+   * @returns {SVGElement|null}
+   */
+  createSvgElement(item, boardOrigin, context) { return null; }
+
   /**
    * Check if a connector is connected to an item of this plugin type.
    * @param {object} connector - The connector object
@@ -85,11 +106,34 @@ export class BoardItemPlugin {
 
   /**
    * Get connector endpoint data format for an item ID.
-   * Returns the format expected by updateConnectorEndpoint (e.g., {stickyId: id} or {imageId: id}).
+   * Returns the format expected by updateConnectorEndpoint.
+   * @param {string} id - The item ID
+   * @param {{side: string, position: number}} [anchor] - Point on a side of the item to attach to (see connector-anchors.js)
+   * @returns {{itemId: string, itemType: string, anchor?: Object}} Endpoint data object (e.g., {itemId: id, itemType: 'sticky'})
+   */
+  getConnectorEndpointData(id, anchor) { throw new Error('Not implemented'); }
+
+  /**
+   * Optional: layer the items of this plugin are drawn in. Items in lower layers are
+   * always drawn behind items in higher layers, whatever their z-index.
+   * @returns {number} 0 for regular items, negative for background items like frames
+   */
+  getLayer() { return 0; }
+
+  /**
+   * Optional: items that move along when this item is moved, e.g. the contents of a frame.
+   * @param {object} board
    * @param {string} id - The item ID
-   * @returns {object} Endpoint data object (e.g., {stickyId: id} or {imageId: id})
+   * @returns {{items: Array<{type: string, id: string}>, connectorIds: Array<string>}|null}
+   */
+  getOwnedItems(board, id) { return null; }
+
+  /**
+   * Optional: label shown for an item in the minimap, which navigates to the item when clicked.
+   * @param {object} item
+   * @returns {string|null} Label, or null for items without one
    */
-  getConnectorEndpointData(id) { throw new Error('Not implemented'); }
+  getMinimapLabel(item) { return null; }
 
   // UI Integration Methods
 
@@ -111,6 +155,16 @@ export class BoardItemPlugin {
    */
   getMenuItems() { return []; }
 
+  /**
+   * Get menu items shown while items of this plugin type are selected.
+   * Each click runs as a single undo step. Items with isAvailable are only
+   * shown while it returns true.
+   * @returns {Array<Object>} Array of menu item configs with {itemLabel, className, icon,
+   *   itemClickHandler(board, selectedIds, appState, event), customLabel(dom, label, board, selectedIds),
+   *   isAvailable(board)}
+   */
+  getSelectionMenuItems() { return []; }
+
   /**
    * Get the CSS selector for elements in editing mode.
    * @returns {string} CSS selector (e.g., ".sticky-container.editing")
@@ -148,3 +202,49 @@ export class BoardItemPlugin {
 }
 
 
+
+// Methods without a default above, every plugin has to implement them
+const REQUIRED_METHODS = [
+  'getType',
+  'createRenderer',
+  'getContainerBaseClass',
+  'getContainerClassPrefix',
+  'getSelectionType',
+  'createItem',
+  'deleteItem',
+  'moveItem',
+  'getItem',
+  'getLocation',
+  'updateItem',
+  'isItem',
+  'isElement',
+  'getBounds',
+  'isConnectorConnectedToItem',
+  'isEndpointConnected',
+  'getConnectorEndpointData',
+  'getDefaultColor',
+  'getColorPalette',
+];
+
+/**
+ * Checks that a plugin implements everything BoardItemPlugin asks for. Plugins
+ * loaded from other modules may extend their own copy of BoardItemPlugin, so
+ * this looks at the methods rather than the class.
+ * @param {object} plugin
+ * @throws {Error} Naming the first method that is missing or not implemented
+ */
+export function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('A plugin must be an object');
+  }
+  const name = plugin.constructor.name;
+  Object.getOwnPropertyNames(BoardItemPlugin.prototype)
+    .filter((method) => method !== 'constructor')
+    .forEach((method) => {
+      const implementation = plugin[method];
+      if (typeof implementation !== 'function' ||
+          (REQUIRED_METHODS.includes(method) && implementation === BoardItemPlugin.prototype[method])) {
+        throw new Error(`Plugin ${name} does not implement ${method}()`);
+      }
+    });
+}
@@ -1,11 +1,26 @@
 import { StickyPlugin } from './plugins/sticky/sticky-plugin.js';
 import { ImagePlugin } from './plugins/image/image-plugin.js';
+import { ShapePlugin } from './plugins/shape/shape-plugin.js';
+import { FramePlugin } from './plugins/frame/frame-plugin.js';
+import { DrawingPlugin } from './plugins/drawing/drawing-plugin.js';
+import { validatePlugin } from './plugin-interface.js';
 
 const registry = new Map();
+const registrationListeners = [];
+
+// Types and storage keys the board already uses for its own state
+const RESERVED_TYPES = ['connector', 'vote', 'board', 'doc'];
+// (presence and votes are Firestore collections with access rules of their own, see firestore.rules)
+const RESERVED_STORAGE_KEYS = ['connectors', 'votes', 'presence', 'board', 'ui'];
+// Types become parts of state keys, observer method names and Firestore collection names
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
 
 // Register built-in plugins statically
 registry.set('sticky', new StickyPlugin());
 registry.set('image', new ImagePlugin());
+registry.set('shape', new ShapePlugin());
+registry.set('frame', new FramePlugin());
+registry.set('drawing', new DrawingPlugin());
 
 export function getPlugin(type) {
   return registry.get(type);
@@ -15,6 +30,73 @@ export function getAllPlugins() {
   return Array.from(registry.values());
 }
 
+/**
+ * Adds a board item type at runtime. Parts of the app that were set up
+ * before are told through onPluginRegistered.
+ * @param {object} plugin - Implementation of BoardItemPlugin
+ * @returns {object} The registered plugin
+ * @throws {Error} If the plugin is incomplete or its type or storage key is taken
+ */
+export function registerPlugin(plugin) {
+  validatePlugin(plugin);
+  const type = plugin.getType();
+  const storageKey = plugin.getSelectionType();
+  if (!KEY_PATTERN.test(type) || RESERVED_TYPES.includes(type)) {
+    throw new Error(`Invalid plugin type: ${type}`);
+  }
+  if (!KEY_PATTERN.test(storageKey) || RESERVED_STORAGE_KEYS.includes(storageKey)) {
+    throw new Error(`Invalid storage key for plugin ${type}: ${storageKey}`);
+  }
+  if (registry.has(type)) {
+    throw new Error(`Plugin already registered: ${type}`);
+  }
+  if (getAllPlugins().some((other) => other.getSelectionType() === storageKey)) {
+    throw new Error(`Storage key already in use: ${storageKey}`);
+  }
+  registry.set(type, plugin);
+  registrationListeners.slice().forEach((listener) => listener(plugin));
+  return plugin;
+}
+
+/**
+ * Calls the listener for every plugin registered from now on.
+ * @param {(plugin: object) => void} listener
+ * @returns {Function} Stops listening
+ */
+export function onPluginRegistered(listener) {
+  registrationListeners.push(listener);
+  return () => {
+    const index = registrationListeners.indexOf(listener);
+    if (index !== -1) {
+      registrationListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Registers the plugins exported by ES modules. The default export of each
+ * module is a plugin instance or a class to instantiate. One failing module
+ * doesn't keep the others from loading.
+ * @param {Array<string>} urls - Module URLs
+ * @param {(url: string) => Promise<object>} [importModule] - Loads a module
+ * @returns {Promise<{loaded: Array<string>, failed: Array<{url: string, error: Error}>}>} Loaded types and failed URLs
+ */
+export async function loadPlugins(urls, importModule = (url) => import(url)) {
+  const loaded = [];
+  const failed = [];
+  for (const url of urls) {
+    try {
+      const module = await importModule(url);
+      const exported = module && module.default;
+      const plugin = typeof exported === 'function' ? new exported() : exported;
+      loaded.push(registerPlugin(plugin).getType());
+    } catch (error) {
+      failed.push({ url, error });
+    }
+  }
+  return { loaded, failed };
+}
+
 /**
  * Get the storage key (selection type) for a plugin type.
  * @param {string} type - Plugin type (e.g., 'sticky')
@@ -26,3 +108,12 @@ export function getStorageKeyForType(type) {
 }
 
 
+
+/**
+ * Get the app state key of the id generator for a plugin type.
+ * @param {string} type - Plugin type (e.g., 'image')
+ * @returns {string} idGen key ('idGen' for stickies, e.g. 'imageIdGen' for the others)
+ */
+export function getIdGenKeyForType(type) {
+  return type === 'sticky' ? 'idGen' : `${type}IdGen`;
+}
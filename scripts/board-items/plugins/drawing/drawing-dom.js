@@ -0,0 +1,91 @@
+import { toPathData } from "./drawing-geometry.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+// Thin strokes are hard to hit, so clicks land on a wider invisible copy of the stroke
+const MIN_HIT_WIDTH = 12;
+
+/**
+ * Creates the DOM structure for a drawing container: an SVG holding the
+ * stroke and a wider transparent copy of it that takes pointer events
+ *
+ * @param {string} drawingIdClass - CSS class name for the drawing (e.g., "drawing-1")
+ * @returns {HTMLElement} Container element with references to svg, path and hitPath
+ */
+export function createDrawingContainerDOM(drawingIdClass) {
+  const container = document.createElement("div");
+  container.classList.add("drawing-container", drawingIdClass);
+  container.innerHTML =
+    `<svg class="drawing-stroke" xmlns="${SVG_NS}">` +
+    '<path class="drawing-path" fill="none" stroke-linecap="round" stroke-linejoin="round"></path>' +
+    '<path class="drawing-hit-path" fill="none" stroke="transparent" stroke-linecap="round" stroke-linejoin="round"></path>' +
+    "</svg>";
+  container.svg = container.querySelector(".drawing-stroke");
+  container.path = container.querySelector(".drawing-path");
+  container.hitPath = container.querySelector(".drawing-hit-path");
+  return container;
+}
+
+/**
+ * Redraws the stroke of a drawing container
+ *
+ * @param {HTMLElement} container - The drawing container
+ * @param {Object} drawing - Drawing data object
+ * @param {string} defaultColor - Color for drawings without one
+ */
+export function updateDrawingStroke(container, drawing, defaultColor) {
+  const { svg, path, hitPath } = container;
+  svg.setAttribute("width", drawing.width);
+  svg.setAttribute("height", drawing.height);
+  svg.setAttribute("viewBox", `0 0 ${drawing.width} ${drawing.height}`);
+  const pathData = toPathData(drawing.points);
+  path.setAttribute("d", pathData);
+  path.setAttribute("stroke", drawing.color || defaultColor);
+  path.setAttribute("stroke-width", drawing.strokeWidth);
+  hitPath.setAttribute("d", pathData);
+  hitPath.setAttribute("stroke-width", Math.max(MIN_HIT_WIDTH, drawing.strokeWidth + 8));
+}
+
+/**
+ * Creates the SVG path showing a stroke while it is being drawn
+ *
+ * @param {number} width - Board width in pixels
+ * @param {number} height - Board height in pixels
+ * @returns {SVGSVGElement} Preview element with a reference to its path
+ */
+export function createStrokePreviewDOM(width, height) {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("class", "drawing-preview");
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  svg.path = document.createElementNS(SVG_NS, "path");
+  svg.path.setAttribute("fill", "none");
+  svg.path.setAttribute("stroke-linecap", "round");
+  svg.path.setAttribute("stroke-linejoin", "round");
+  svg.appendChild(svg.path);
+  return svg;
+}
+
+/**
+ * Creates an SVG rendering of a drawing
+ *
+ * @param {Object} drawing - Drawing data object
+ * @param {Object} bounds - Drawing bounds {centerX, centerY, width, height} relative to the board origin
+ * @param {string} defaultColor - Color for drawings without one
+ * @returns {SVGGElement} Group element containing the stroke
+ */
+export function createDrawingSvgElement(drawing, bounds, defaultColor) {
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "drawing");
+  const path = document.createElementNS(SVG_NS, "path");
+  path.setAttribute("d", toPathData(drawing.points, {
+    x: bounds.centerX - bounds.width / 2,
+    y: bounds.centerY - bounds.height / 2,
+  }));
+  path.setAttribute("fill", "none");
+  path.setAttribute("stroke", drawing.color || defaultColor);
+  path.setAttribute("stroke-width", drawing.strokeWidth);
+  path.setAttribute("stroke-linecap", "round");
+  path.setAttribute("stroke-linejoin", "round");
+  group.appendChild(path);
+  return group;
+}
@@ -0,0 +1,232 @@
+import { getEventCoordinates, getEventPageCoordinates } from "../../../ui/movement-utils.js";
+import { createStrokePreviewDOM } from "./drawing-dom.js";
+import { simplifyPolyline, toPathData } from "./drawing-geometry.js";
+
+// Pointer travel before a press on a drawing turns into a drag
+const DRAG_THRESHOLD = 5;
+// Points closer than this (in board pixels) to the simplified stroke are dropped
+const SIMPLIFY_TOLERANCE = 1;
+
+/**
+ * Sets up selection and dragging of a rendered drawing. Only the stroke
+ * itself takes pointer events, so presses next to it reach the items below.
+ *
+ * @returns {{cleanup: Function}}
+ */
+export function setupDrawingEvents(container, id, board, selectionManager, store) {
+  let pointer = null;
+
+  const select = (addToSelection) => {
+    selectionManager.selectItem('drawings', id, { addToSelection });
+    if (window.menuRenderCallback) {
+      window.menuRenderCallback();
+    }
+  };
+
+  const removePointerListeners = () => {
+    if (!pointer) return;
+    document.removeEventListener('mousemove', pointer.onMove);
+    document.removeEventListener('touchmove', pointer.onTouchMove);
+    document.removeEventListener('mouseup', pointer.onMouseUp);
+    document.removeEventListener('touchend', pointer.onTouchEnd);
+  };
+
+  const stopTrackingPointer = () => {
+    removePointerListeners();
+    pointer = null;
+  };
+
+  // Starts a drag through the drag manager once the pointer moved far enough
+  const trackPointer = (pageCoords) => {
+    stopTrackingPointer();
+    const tracked = { start: { x: pageCoords.pageX, y: pageCoords.pageY }, dragStarted: false };
+    tracked.onMove = (moveEvent) => {
+      const moveCoords = getEventPageCoordinates(moveEvent);
+      if (!moveCoords) return;
+      if (Math.abs(moveCoords.pageX - tracked.start.x) > DRAG_THRESHOLD ||
+          Math.abs(moveCoords.pageY - tracked.start.y) > DRAG_THRESHOLD) {
+        removePointerListeners();
+        tracked.dragStarted = true;
+        if (window.dragManager.startDrag(id, 'drawing', moveEvent)) {
+          moveEvent.preventDefault();
+          moveEvent.stopPropagation();
+        }
+      }
+    };
+    tracked.onTouchMove = (moveEvent) => {
+      moveEvent.preventDefault(); // Prevent scrolling
+      tracked.onMove(moveEvent);
+    };
+    // The click that follows a mouse press still needs to know whether it ended a drag
+    tracked.onMouseUp = () => removePointerListeners();
+    // Touch presses are prevented from turning into clicks, so a tap selects here
+    tracked.onTouchEnd = () => {
+      removePointerListeners();
+      if (!tracked.dragStarted && !(window.dragManager && window.dragManager.justCompletedDrag)) {
+        select(false);
+      }
+    };
+    pointer = tracked;
+    document.addEventListener('mousemove', tracked.onMove);
+    document.addEventListener('touchmove', tracked.onTouchMove, { passive: false });
+    document.addEventListener('mouseup', tracked.onMouseUp);
+    document.addEventListener('touchend', tracked.onTouchEnd);
+  };
+
+  const canDrag = () => !store.getAppState().ui.nextClickCreatesConnector && !!window.dragManager;
+
+  container.onmousedown = (event) => {
+    const pageCoords = getEventPageCoordinates(event);
+    if (canDrag() && pageCoords) {
+      trackPointer(pageCoords);
+    }
+  };
+  container.addEventListener('touchstart', (event) => {
+    const pageCoords = getEventPageCoordinates(event);
+    if (canDrag() && pageCoords) {
+      event.preventDefault();
+      trackPointer(pageCoords);
+    }
+  }, { passive: false });
+  container.onclick = (event) => {
+    if (store.getAppState().ui.nextClickCreatesConnector) return;
+    const dragStarted = pointer && pointer.dragStarted;
+    stopTrackingPointer();
+    // Ignore the click ending a drag
+    if (dragStarted || (window.dragManager && window.dragManager.justCompletedDrag)) {
+      return;
+    }
+    event.stopPropagation();
+    select(!!(event.shiftKey || window.currentShiftPressed));
+  };
+
+  return {
+    cleanup: stopTrackingPointer
+  };
+}
+
+/**
+ * Captures pen strokes on the board while pen mode is on, and adds each
+ * finished stroke to the board as a drawing. Presses anywhere on the board,
+ * also on items, draw instead of selecting or dragging.
+ *
+ * @param {HTMLElement} domElement - The board element
+ * @param {Object} board - Board instance
+ * @param {Object} store - Datastore instance
+ * @param {Object} options
+ * @param {string} options.modeFlag - appState.ui flag that is set while pen mode is on
+ * @param {(stroke: {points: Array, color: string, strokeWidth: number}) => void} options.onStroke - Called with each finished stroke, in board coordinates
+ * @param {() => {color: string, strokeWidth: number}} options.getPen - Current pen color and width
+ * @returns {{cleanup: Function}}
+ */
+export function setupPenCapture(domElement, board, store, { modeFlag, onStroke, getPen }) {
+  let stroke = null;
+
+  const isPenPress = (event) =>
+    store.getAppState().ui[modeFlag] && !board.isReadOnly() && domElement.contains(event.target);
+
+  const toBoardPoint = (event) => {
+    const coords = getEventCoordinates(event);
+    if (!coords) return null;
+    const rect = domElement.getBoundingClientRect();
+    const scale = store.getAppState().ui.boardScale || 1;
+    const origin = board.getOrigin();
+    const { limit } = board.getBoardBounds();
+    return {
+      x: Math.max(origin.x, Math.min(limit.x, (coords.clientX - rect.left) / scale + origin.x)),
+      y: Math.max(origin.y, Math.min(limit.y, (coords.clientY - rect.top) / scale + origin.y)),
+    };
+  };
+
+  const updatePreview = () => {
+    const origin = board.getOrigin();
+    stroke.preview.path.setAttribute("d", toPathData(stroke.points, { x: -origin.x, y: -origin.y }));
+  };
+
+  const start = (event) => {
+    const point = toBoardPoint(event);
+    if (!point) return;
+    const pen = getPen();
+    const size = board.getBoardSize();
+    const preview = createStrokePreviewDOM(size.width, size.height);
+    preview.path.setAttribute("stroke", pen.color);
+    preview.path.setAttribute("stroke-width", pen.strokeWidth);
+    domElement.appendChild(preview);
+    stroke = { points: [point], pen, preview };
+    updatePreview();
+    document.addEventListener('mousemove', move);
+    document.addEventListener('touchmove', move, { passive: false });
+    document.addEventListener('mouseup', end);
+    document.addEventListener('touchend', end);
+  };
+
+  const move = (event) => {
+    if (!stroke) return;
+    event.preventDefault();
+    const point = toBoardPoint(event);
+    if (point) {
+      stroke.points.push(point);
+      updatePreview();
+    }
+  };
+
+  const stopListening = () => {
+    document.removeEventListener('mousemove', move);
+    document.removeEventListener('touchmove', move);
+    document.removeEventListener('mouseup', end);
+    document.removeEventListener('touchend', end);
+  };
+
+  const end = (event) => {
+    if (!stroke) return;
+    event.preventDefault();
+    stopListening();
+    const { points, pen, preview } = stroke;
+    stroke = null;
+    preview.remove();
+    onStroke({
+      points: simplifyPolyline(points, SIMPLIFY_TOLERANCE),
+      color: pen.color,
+      strokeWidth: pen.strokeWidth,
+    });
+  };
+
+  // Capturing on the document keeps item and board handlers from seeing pen presses
+  const onMouseDown = (event) => {
+    if (event.button === 0 && isPenPress(event)) {
+      event.preventDefault();
+      event.stopPropagation();
+      start(event);
+    }
+  };
+  const onTouchStart = (event) => {
+    // Two finger gestures are left to pinch zoom
+    if (event.touches.length === 1 && isPenPress(event)) {
+      event.preventDefault();
+      event.stopPropagation();
+      start(event);
+    }
+  };
+  // Every press in pen mode draws, so the click ending it must not select or create anything
+  const onClick = (event) => {
+    if (isPenPress(event)) {
+      event.stopPropagation();
+    }
+  };
+  document.addEventListener('mousedown', onMouseDown, true);
+  document.addEventListener('touchstart', onTouchStart, { capture: true, passive: false });
+  document.addEventListener('click', onClick, true);
+
+  return {
+    cleanup: () => {
+      stopListening();
+      if (stroke) {
+        stroke.preview.remove();
+        stroke = null;
+      }
+      document.removeEventListener('mousedown', onMouseDown, true);
+      document.removeEventListener('touchstart', onTouchStart, true);
+      document.removeEventListener('click', onClick, true);
+    }
+  };
+}
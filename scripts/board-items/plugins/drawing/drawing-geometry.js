@@ -0,0 +1,90 @@
+/**
+ * Geometry of free-hand strokes. A drawing stores its stroke as a polyline of
+ * board-pixel points relative to the drawing's location, which is the top left
+ * corner of the box around the stroke (including the stroke width).
+ */
+
+/**
+ * Removes points that hardly change the course of a polyline (Ramer-Douglas-Peucker)
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline
+ * @param {number} tolerance - Largest distance in pixels a removed point may lie from the simplified line
+ * @returns {Array<{x: number, y: number}>} Simplified polyline, keeping the first and last point
+ */
+export function simplifyPolyline(points, tolerance) {
+  if (points.length <= 2) {
+    return points.slice();
+  }
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  // Iterative, so long strokes cannot overflow the call stack
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest >= 0) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, index) => keep[index]);
+}
+
+function distanceToSegment(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+/**
+ * Computes the stored form of a stroke: its location, and points relative to
+ * that location, with half the stroke width of room around the points
+ *
+ * @param {{x: number, y: number}} location - Location the points are relative to
+ * @param {Array<{x: number, y: number}>} points - Stroke points relative to location
+ * @param {number} strokeWidth - Stroke width in pixels
+ * @returns {{location: {x: number, y: number}, points: Array<{x: number, y: number}>, width: number, height: number}}
+ */
+export function normalizeDrawing(location, points, strokeWidth) {
+  const pad = strokeWidth / 2;
+  const minX = Math.min(...points.map((point) => point.x));
+  const minY = Math.min(...points.map((point) => point.y));
+  const maxX = Math.max(...points.map((point) => point.x));
+  const maxY = Math.max(...points.map((point) => point.y));
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    location: { x: round(location.x + minX - pad), y: round(location.y + minY - pad) },
+    points: points.map((point) => ({ x: round(point.x - minX + pad), y: round(point.y - minY + pad) })),
+    width: round(maxX - minX + strokeWidth),
+    height: round(maxY - minY + strokeWidth),
+  };
+}
+
+/**
+ * Converts a polyline to SVG path data. A single point becomes a zero-length
+ * line, which round line caps draw as a dot.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline
+ * @param {{x: number, y: number}} [offset] - Added to every point
+ * @returns {string} Path data
+ */
+export function toPathData(points, offset = { x: 0, y: 0 }) {
+  const coordinates = points.map((point) => `${point.x + offset.x} ${point.y + offset.y}`);
+  if (coordinates.length === 1) {
+    coordinates.push(coordinates[0]);
+  }
+  return "M " + coordinates.join(" L ");
+}
@@ -0,0 +1,233 @@
+import { BoardItemPlugin } from '../../plugin-interface.js';
+import { createEndpointData } from '../../connector-anchors.js';
+import { createRenderer as createDrawingRenderer } from './drawing.js';
+import { createDrawingSvgElement } from './drawing-dom.js';
+import { setupPenCapture } from './drawing-events.js';
+import { normalizeDrawing } from './drawing-geometry.js';
+import { getNextZIndex } from '../../../ui/z-index-manager.js';
+import {
+  DEFAULT_DRAWING_COLOR,
+  DEFAULT_DRAWING_STROKE_WIDTH,
+  DRAWING_STROKE_WIDTHS,
+  drawingColorPalette,
+} from './drawing-styling.js';
+
+/**
+ * Returns the entry after (or before) current in list, wrapping around
+ */
+function cycle(list, current, reverse) {
+  const index = list.indexOf(current);
+  const step = reverse ? -1 : 1;
+  return list[(index + step + list.length) % list.length];
+}
+
+/**
+ * Free-hand pen strokes. While pen mode is on, every press on the board draws
+ * a stroke, which is simplified and stored as a polyline.
+ */
+export class DrawingPlugin extends BoardItemPlugin {
+  getType() { return 'drawing'; }
+  getContainerBaseClass() { return 'drawing-container'; }
+  getContainerClassPrefix() { return 'drawing-'; }
+  getSelectionType() { return 'drawings'; }
+
+  createRenderer(board, domElement, selectionManager, itemsMovedByDragging, store) {
+    return createDrawingRenderer(board, domElement, selectionManager, itemsMovedByDragging, store);
+  }
+
+  setupBoardEvents(domElement, board, selectionManager, store) {
+    return setupPenCapture(domElement, board, store, {
+      modeFlag: this.getCreationModeFlag(),
+      getPen: () => {
+        const ui = store.getAppState().ui;
+        return {
+          color: ui.currentDrawingColor || DEFAULT_DRAWING_COLOR,
+          strokeWidth: ui.currentDrawingStrokeWidth || DEFAULT_DRAWING_STROKE_WIDTH,
+        };
+      },
+      onStroke: (stroke) => board.putBoardItem(this.getType(), stroke),
+    });
+  }
+
+  /**
+   * itemData.points are relative to itemData.location, or in board coordinates
+   * when no location is given. Strokes are stored where they were drawn, without
+   * snapping to the grid.
+   */
+  createItem(board, itemData) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    if (!Array.isArray(itemData.points) || itemData.points.length === 0) {
+      throw new Error("A drawing needs at least one point");
+    }
+    itemData.color = itemData.color || DEFAULT_DRAWING_COLOR;
+    itemData.strokeWidth = itemData.strokeWidth || DEFAULT_DRAWING_STROKE_WIDTH;
+    Object.assign(itemData, normalizeDrawing(
+      itemData.location || { x: 0, y: 0 },
+      itemData.points,
+      itemData.strokeWidth
+    ));
+
+    // Initialize zIndex if not provided
+    if (itemData.zIndex === undefined) {
+      itemData.zIndex = getNextZIndex(store);
+    }
+
+    return store.createBoardItem(type, itemData);
+  }
+
+  deleteItem(board, id) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    // Delete all connectors attached to this drawing
+    const state = store.getState();
+    Object.entries(state.connectors).forEach(([connectorId, connector]) => {
+      if (this.isConnectorConnectedToItem(connector, id)) {
+        store.deleteConnector(connectorId);
+      }
+    });
+
+    store.deleteBoardItem(type, id);
+  }
+
+  moveItem(board, id, location) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    const drawing = store.getBoardItem(type, id);
+    const snappedLocation = board.snapLocationWithSize(
+      location || { x: 0, y: 0 },
+      drawing.width,
+      drawing.height
+    );
+
+    store.updateBoardItem(type, id, { location: snappedLocation });
+  }
+
+  getItem(board, id) {
+    const store = board.getStore();
+    const type = this.getType();
+    return store.getBoardItem(type, id);
+  }
+
+  getLocation(board, id) {
+    const item = this.getItem(board, id);
+    return item.location;
+  }
+
+  updateItem(board, id, updates) {
+    const store = board.getStore();
+    const type = this.getType();
+    const updateData = {};
+
+    if ('color' in updates) updateData.color = updates.color;
+    if ('location' in updates) updateData.location = updates.location;
+    // The room around the stroke depends on its width
+    if ('strokeWidth' in updates) {
+      const drawing = store.getBoardItem(type, id);
+      updateData.strokeWidth = updates.strokeWidth;
+      Object.assign(updateData, normalizeDrawing(
+        updateData.location || drawing.location,
+        drawing.points,
+        updates.strokeWidth
+      ));
+    }
+
+    if (Object.keys(updateData).length > 0) {
+      store.updateBoardItem(type, id, updateData);
+    }
+  }
+
+  isItem(itemData) { return !!(itemData && Array.isArray(itemData.points)); }
+  isElement(element) { return element?.classList?.contains('drawing-container'); }
+  getBounds(item, boardOrigin) {
+    if (!item) return null;
+    const width = item.width;
+    const height = item.height;
+    return {
+      centerX: item.location.x - boardOrigin.x + width / 2,
+      centerY: item.location.y - boardOrigin.y + height / 2,
+      width,
+      height
+    };
+  }
+
+  createSvgElement(item, boardOrigin) {
+    return createDrawingSvgElement(item, this.getBounds(item, boardOrigin), DEFAULT_DRAWING_COLOR);
+  }
+
+  isConnectorConnectedToItem(connector, itemId) {
+    return ((connector.originItemId == itemId && connector.originItemType === 'drawing') ||
+            (connector.destinationItemId == itemId && connector.destinationItemType === 'drawing'));
+  }
+
+  isEndpointConnected(connector, endpoint) {
+    if (endpoint === 'origin') {
+      return !!(connector.originItemId && connector.originItemType === 'drawing');
+    } else if (endpoint === 'destination') {
+      return !!(connector.destinationItemId && connector.destinationItemType === 'drawing');
+    }
+    return false;
+  }
+
+  getConnectorEndpointData(id, anchor) {
+    return createEndpointData(id, this.getType(), anchor);
+  }
+
+  // UI Integration Methods
+
+  getDefaultColor() {
+    return DEFAULT_DRAWING_COLOR;
+  }
+
+  getColorPalette() {
+    return drawingColorPalette;
+  }
+
+  getMenuItems() {
+    return [
+      {
+        itemLabel: "Pen",
+        className: "pen-mode",
+        icon: "images/pen-icon.svg",
+        itemClickHandler: (appState, renderCallback) => {
+          appState.ui.penModeActive = true;
+          appState.ui.nextClickCreatesConnector = false;
+          appState.ui.connectorOriginId = null;
+          renderCallback();
+        }
+      }
+    ];
+  }
+
+  getSelectionMenuItems() {
+    return [
+      {
+        itemLabel: "Stroke width",
+        className: "change-stroke-width",
+        icon: "images/stroke-width-icon.svg",
+        itemClickHandler: (board, selectedIds, appState, event) => {
+          const first = board.getBoardItemByType('drawing', selectedIds[0]);
+          const strokeWidth = cycle(DRAWING_STROKE_WIDTHS, first.strokeWidth, event.shiftKey);
+          selectedIds.forEach((id) => this.updateItem(board, id, { strokeWidth }));
+          appState.ui.currentDrawingStrokeWidth = strokeWidth;
+        }
+      }
+    ];
+  }
+
+  canHandlePaste(items) {
+    return false; // Drawings don't handle paste
+  }
+
+  handlePaste(items, board, location) {
+    return null;
+  }
+
+  /** Unlike other creation modes, pen mode stays on until it is cancelled */
+  getCreationModeFlag() {
+    return 'penModeActive';
+  }
+}
@@ -0,0 +1,43 @@
+import { updateDrawingStroke } from "./drawing-dom.js";
+
+export const DEFAULT_DRAWING_COLOR = "#333333";
+export const DRAWING_STROKE_WIDTHS = [2, 4, 8]; // pixels: thin, medium, thick
+export const DEFAULT_DRAWING_STROKE_WIDTH = 4;
+
+export const drawingColorPalette = [
+  "#333333",
+  "#d83b3b",
+  "#4646d8",
+  "#2e9e5b",
+  "#e6a700",
+];
+Object.freeze(drawingColorPalette);
+
+/**
+ * Applies all styling to a drawing element
+ *
+ * @param {Object} drawing - Drawing data object
+ * @param {HTMLElement} container - Container element for the drawing
+ * @param {boolean} animateMove - Whether to animate position changes
+ * @param {boolean} isSelected - Whether the drawing is currently selected
+ * @param {Object} origin - Board origin point {x, y}
+ */
+export function setDrawingStyles(drawing, container, animateMove, isSelected, origin) {
+  container.classList.toggle("animate-move", animateMove);
+  container.classList.toggle("selected", isSelected);
+
+  container.style.left = drawing.location.x - origin.x + "px";
+  container.style.top = drawing.location.y - origin.y + "px";
+  container.style.width = drawing.width + "px";
+  container.style.height = drawing.height + "px";
+  if (drawing.zIndex !== undefined) {
+    container.style.zIndex = drawing.zIndex.toString();
+  }
+
+  // Strokes only need redrawing when they change, not when they move
+  const strokeKey = JSON.stringify([drawing.points, drawing.color, drawing.strokeWidth]);
+  if (container.lastStrokeKey !== strokeKey) {
+    container.lastStrokeKey = strokeKey;
+    updateDrawingStroke(container, drawing, DEFAULT_DRAWING_COLOR);
+  }
+}
@@ -0,0 +1,75 @@
+import { createDrawingContainerDOM } from "./drawing-dom.js";
+import { setDrawingStyles } from "./drawing-styling.js";
+import { setupDrawingEvents } from "./drawing-events.js";
+
+export const createRenderer = (
+  board,
+  domElement,
+  selectionManager,
+  drawingsMovedByDragging,
+  store
+) => {
+  return function renderDrawing(drawingId, drawing) {
+    const selectedDrawings = selectionManager.getSelection('drawings');
+    const shouldDelete = drawing === undefined;
+    const container = getDrawingElement(
+      domElement,
+      drawingId,
+      board,
+      selectionManager,
+      shouldDelete,
+      store
+    );
+    // if container is falsy, then drawing was deleted
+    if (container) {
+      const shouldAnimateMove = !drawingsMovedByDragging.includes(drawingId);
+      const drawingIsSelected = !!selectedDrawings.isSelected(drawingId);
+      setDrawingStyles(
+        drawing,
+        container,
+        shouldAnimateMove,
+        drawingIsSelected,
+        board.getOrigin()
+      );
+      if (!shouldAnimateMove) {
+        // mutate the global UI array instead of reassigning the local variable
+        const index = drawingsMovedByDragging.indexOf(drawingId);
+        if (index >= 0) {
+          drawingsMovedByDragging.splice(index, 1);
+        }
+      }
+    }
+  };
+};
+
+function getDrawingElement(
+  boardElement,
+  id,
+  board,
+  selectionManager,
+  shouldDelete = false,
+  store
+) {
+  const drawingIdClass = "drawing-" + id;
+  let container = boardElement[drawingIdClass];
+  if (shouldDelete) {
+    delete boardElement[drawingIdClass];
+    if (container) {
+      container.drawingEvents.cleanup();
+      boardElement.removeChild(container);
+    }
+    container = undefined;
+  } else if (!container) {
+    container = createDrawingContainerDOM(drawingIdClass);
+    boardElement[drawingIdClass] = container;
+    boardElement.appendChild(container);
+    container.drawingEvents = setupDrawingEvents(
+      container,
+      id,
+      board,
+      selectionManager,
+      store
+    );
+  }
+  return container;
+}
@@ -0,0 +1,86 @@
+const SVG_NS = "http://www.w3.org/2000/svg";
+export const FRAME_TITLE_HEIGHT = 32; // pixels
+const TITLE_FONT_SIZE = 16;
+const TITLE_PADDING = 10;
+const TITLE_COLOR = "#444";
+const BORDER_COLOR = "#999999";
+
+/**
+ * Creates the DOM structure for a frame container: a title bar holding the
+ * title input, and resize handles
+ *
+ * @param {string} frameIdClass - CSS class name for the frame (e.g., "frame-1")
+ * @returns {HTMLElement} Container element with references to titleBar and inputElement
+ */
+export function createFrameContainerDOM(frameIdClass) {
+  const container = document.createElement("div");
+  container.classList.add("frame-container", frameIdClass);
+  container.innerHTML =
+    '<div class="frame-title"><input class="frame-title-input" type="text" placeholder="Frame" readonly></div>' +
+    '<div class="resize-handle resize-handle-top"></div>' +
+    '<div class="resize-handle resize-handle-right"></div>' +
+    '<div class="resize-handle resize-handle-bottom"></div>' +
+    '<div class="resize-handle resize-handle-left"></div>';
+  container.titleBar = container.querySelector(".frame-title");
+  container.inputElement = container.querySelector(".frame-title-input");
+  return container;
+}
+
+/**
+ * Creates an SVG rendering of a frame: its area with the title in the top left.
+ * Titles that do not fit the frame are cut off with an ellipsis.
+ *
+ * @param {Object} frame - Frame data object
+ * @param {Object} bounds - Frame bounds {centerX, centerY, width, height} relative to the board origin
+ * @param {Object} context - Export context
+ * @param {(text: string, fontSize: number) => number} context.measureText - Measures text in the board font
+ * @param {string} defaultColor - Fill for frames without a color
+ * @param {string} fontFamily - Font of the title
+ * @returns {SVGGElement} Group element containing the frame
+ */
+export function createFrameSvgElement(frame, bounds, context, defaultColor, fontFamily) {
+  const x = bounds.centerX - bounds.width / 2;
+  const y = bounds.centerY - bounds.height / 2;
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "frame");
+
+  const rect = document.createElementNS(SVG_NS, "rect");
+  rect.setAttribute("x", x);
+  rect.setAttribute("y", y);
+  rect.setAttribute("width", bounds.width);
+  rect.setAttribute("height", bounds.height);
+  rect.setAttribute("rx", 4);
+  rect.setAttribute("fill", frame.color || defaultColor);
+  rect.setAttribute("stroke", BORDER_COLOR);
+  group.appendChild(rect);
+
+  const title = truncateToWidth(
+    (frame.title || "").trim(),
+    bounds.width - TITLE_PADDING * 2,
+    (text) => context.measureText(text, TITLE_FONT_SIZE)
+  );
+  if (title) {
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", x + TITLE_PADDING);
+    // Baseline centered in the title bar
+    text.setAttribute("y", y + (FRAME_TITLE_HEIGHT + TITLE_FONT_SIZE * 0.7) / 2);
+    text.setAttribute("font-family", fontFamily);
+    text.setAttribute("font-size", TITLE_FONT_SIZE);
+    text.setAttribute("font-weight", "bold");
+    text.setAttribute("fill", TITLE_COLOR);
+    text.textContent = title;
+    group.appendChild(text);
+  }
+  return group;
+}
+
+function truncateToWidth(text, maxWidth, measure) {
+  if (measure(text) <= maxWidth) {
+    return text;
+  }
+  let end = text.length;
+  while (end > 0 && measure(text.slice(0, end) + "…") > maxWidth) {
+    end--;
+  }
+  return end > 0 ? text.slice(0, end) + "…" : "";
+}
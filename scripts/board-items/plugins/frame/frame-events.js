@@ -0,0 +1,31 @@
+import { setupResizableItemEvents, ResizableItemState } from "../../resizable-item-events.js";
+import { setFrameStyles, MIN_FRAME_SIZE } from "./frame-styling.js";
+
+/**
+ * Frame Events
+ * Resizing, dragging, selection and title editing of a frame, see
+ * resizable-item-events.js. Only the title bar and the resize handles take
+ * pointer events; presses on the frame's area reach the board, so marquees
+ * and new items can start there. The drag manager moves the frame's
+ * contents along with it.
+ */
+const FRAME_ITEM_TYPE = {
+  type: 'frame',
+  selectionType: 'frames',
+  minSize: MIN_FRAME_SIZE,
+  setStyles: setFrameStyles,
+  // The title is renamed after a double click on the title bar
+  editTarget: '.frame-title',
+  finishEditingKeys: ['Escape', 'Enter'],
+  keepFocusOnPress: true
+};
+
+/**
+ * Sets up the events of a frame container
+ */
+export function setupFrameEvents(container, id, board, updateTitleById, selectionManager, store) {
+  return setupResizableItemEvents(container, id, board, updateTitleById, selectionManager, store, FRAME_ITEM_TYPE);
+}
+
+// Export for testing
+export { ResizableItemState as FrameState };
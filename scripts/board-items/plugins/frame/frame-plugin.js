@@ -0,0 +1,267 @@
+import { BoardItemPlugin } from '../../plugin-interface.js';
+import { createEndpointData } from '../../connector-anchors.js';
+import { getAllPlugins } from '../../plugin-registry.js';
+import { createRenderer as createFrameRenderer } from './frame.js';
+import { createFrameSvgElement } from './frame-dom.js';
+import { STICKY_FONT_FAMILY } from '../sticky/sticky-dom.js';
+import { getNextZIndex } from '../../../ui/z-index-manager.js';
+import { getConnectorBounds } from '../../connector-hit-testing.js';
+import {
+  DEFAULT_FRAME_COLOR,
+  DEFAULT_FRAME_SIZE,
+  MIN_FRAME_SIZE,
+  FRAME_LAYER,
+  frameColorPalette,
+} from './frame-styling.js';
+
+/**
+ * Frames are titled regions that organize a board, e.g. the columns of a retro.
+ * They are drawn behind all other items, and items lying completely inside a
+ * frame move along when the frame is moved.
+ */
+export class FramePlugin extends BoardItemPlugin {
+  getType() { return 'frame'; }
+  getContainerBaseClass() { return 'frame-container'; }
+  getContainerClassPrefix() { return 'frame-'; }
+  getSelectionType() { return 'frames'; }
+  getLayer() { return FRAME_LAYER; }
+
+  createRenderer(board, domElement, selectionManager, itemsMovedByDragging, store) {
+    return createFrameRenderer(board, domElement, selectionManager, itemsMovedByDragging, store);
+  }
+
+  createItem(board, itemData) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    itemData.title = itemData.title || "";
+    itemData.width = Math.max(MIN_FRAME_SIZE, itemData.width || DEFAULT_FRAME_SIZE.width);
+    itemData.height = Math.max(MIN_FRAME_SIZE, itemData.height || DEFAULT_FRAME_SIZE.height);
+    itemData.color = itemData.color || DEFAULT_FRAME_COLOR;
+
+    itemData.location = board.snapLocationWithSize(
+      itemData.location || { x: 0, y: 0 },
+      itemData.width,
+      itemData.height
+    );
+
+    // Initialize zIndex if not provided
+    if (itemData.zIndex === undefined) {
+      itemData.zIndex = getNextZIndex(store);
+    }
+
+    return store.createBoardItem(type, itemData);
+  }
+
+  /** Deleting a frame keeps its contents */
+  deleteItem(board, id) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    // Delete all connectors attached to this frame
+    const state = store.getState();
+    Object.entries(state.connectors).forEach(([connectorId, connector]) => {
+      if (this.isConnectorConnectedToItem(connector, id)) {
+        store.deleteConnector(connectorId);
+      }
+    });
+
+    store.deleteBoardItem(type, id);
+  }
+
+  moveItem(board, id, location) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    const frame = store.getBoardItem(type, id);
+    const snappedLocation = board.snapLocationWithSize(
+      location || { x: 0, y: 0 },
+      frame.width,
+      frame.height
+    );
+
+    store.updateBoardItem(type, id, { location: snappedLocation });
+  }
+
+  /**
+   * Frames resize freely: params hold the new width and height, and a new
+   * location when the frame was resized from its top or left side
+   */
+  resizeItem(board, id, params) {
+    if (!params || typeof params.width !== 'number' || typeof params.height !== 'number') {
+      return false;
+    }
+    const store = board.getStore();
+    const type = this.getType();
+    const frame = store.getBoardItem(type, id);
+    const { origin, limit } = board.getBoardBounds();
+
+    const location = {
+      x: Math.max(origin.x, (params.location || frame.location).x),
+      y: Math.max(origin.y, (params.location || frame.location).y),
+    };
+    const width = Math.min(limit.x - location.x, Math.max(MIN_FRAME_SIZE, Math.round(params.width)));
+    const height = Math.min(limit.y - location.y, Math.max(MIN_FRAME_SIZE, Math.round(params.height)));
+
+    store.updateBoardItem(type, id, { width, height, location });
+    return true;
+  }
+
+  getItem(board, id) {
+    const store = board.getStore();
+    const type = this.getType();
+    return store.getBoardItem(type, id);
+  }
+
+  getLocation(board, id) {
+    const item = this.getItem(board, id);
+    return item.location;
+  }
+
+  updateItem(board, id, updates) {
+    const store = board.getStore();
+    const type = this.getType();
+    const updateData = {};
+
+    if ('title' in updates) updateData.title = (updates.title || "").replace(/\n/g, " ");
+    if ('color' in updates) updateData.color = updates.color;
+    if ('width' in updates) updateData.width = updates.width;
+    if ('height' in updates) updateData.height = updates.height;
+    if ('location' in updates) updateData.location = updates.location;
+
+    if (Object.keys(updateData).length > 0) {
+      store.updateBoardItem(type, id, updateData);
+    }
+  }
+
+  /**
+   * Items lying completely inside the frame, and connectors with a free end whose
+   * ends and curve handle lie inside it. Connectors between items are left out:
+   * they follow their items anyway.
+   */
+  getOwnedItems(board, id) {
+    const state = board.getState();
+    const origin = board.getOrigin();
+    const frame = state.frames[id];
+    if (!frame) {
+      return null;
+    }
+    const area = this.getBounds(frame, origin);
+    const isInside = (bounds) => bounds &&
+      bounds.centerX - bounds.width / 2 >= area.centerX - area.width / 2 &&
+      bounds.centerX + bounds.width / 2 <= area.centerX + area.width / 2 &&
+      bounds.centerY - bounds.height / 2 >= area.centerY - area.height / 2 &&
+      bounds.centerY + bounds.height / 2 <= area.centerY + area.height / 2;
+
+    const plugins = getAllPlugins();
+    const items = [];
+    plugins.forEach((plugin) => {
+      const type = plugin.getType();
+      Object.entries(state[plugin.getSelectionType()] || {}).forEach(([itemId, item]) => {
+        if (type === this.getType() && itemId === id) return;
+        if (isInside(plugin.getBounds(item, origin))) {
+          items.push({ type, id: itemId });
+        }
+      });
+    });
+
+    const connectorIds = Object.entries(state.connectors || {})
+      .filter(([, connector]) => {
+        const hasFreeEnd = ['origin', 'destination'].some((endpoint) =>
+          !plugins.some((plugin) => plugin.isEndpointConnected(connector, endpoint)));
+        return hasFreeEnd && isInside(getConnectorBounds(connector, state, origin));
+      })
+      .map(([connectorId]) => connectorId);
+
+    return { items, connectorIds };
+  }
+
+  getMinimapLabel(item) {
+    return item.title || "Frame";
+  }
+
+  isItem(itemData) {
+    return !!(itemData && typeof itemData.title === 'string' && typeof itemData.width === 'number');
+  }
+  isElement(element) { return element?.classList?.contains('frame-container'); }
+  getBounds(item, boardOrigin) {
+    if (!item) return null;
+    const width = item.width;
+    const height = item.height;
+    return {
+      centerX: item.location.x - boardOrigin.x + width / 2,
+      centerY: item.location.y - boardOrigin.y + height / 2,
+      width,
+      height
+    };
+  }
+
+  createSvgElement(item, boardOrigin, context) {
+    return createFrameSvgElement(item, this.getBounds(item, boardOrigin), context, DEFAULT_FRAME_COLOR, STICKY_FONT_FAMILY);
+  }
+
+  isConnectorConnectedToItem(connector, itemId) {
+    return ((connector.originItemId == itemId && connector.originItemType === 'frame') ||
+            (connector.destinationItemId == itemId && connector.destinationItemType === 'frame'));
+  }
+
+  isEndpointConnected(connector, endpoint) {
+    if (endpoint === 'origin') {
+      return !!(connector.originItemId && connector.originItemType === 'frame');
+    } else if (endpoint === 'destination') {
+      return !!(connector.destinationItemId && connector.destinationItemType === 'frame');
+    }
+    return false;
+  }
+
+  getConnectorEndpointData(id, anchor) {
+    return createEndpointData(id, this.getType(), anchor);
+  }
+
+  // UI Integration Methods
+
+  getDefaultColor() {
+    return DEFAULT_FRAME_COLOR;
+  }
+
+  getColorPalette() {
+    return frameColorPalette;
+  }
+
+  getMenuItems() {
+    return [
+      {
+        itemLabel: "New Frame",
+        className: "new-frame",
+        icon: "images/new-frame-icon.svg",
+        itemClickHandler: (appState, renderCallback) => {
+          appState.ui.nextClickCreatesNewFrame = true;
+          appState.ui.nextClickCreatesConnector = false;
+          appState.ui.connectorOriginId = null;
+          renderCallback();
+        }
+      }
+    ];
+  }
+
+  getEditingSelector() {
+    return '.frame-container.editing';
+  }
+
+  isEditingElement(element) {
+    return element?.classList?.contains('frame-container') &&
+           element?.classList?.contains('editing');
+  }
+
+  canHandlePaste(items) {
+    return false; // Frames don't handle paste
+  }
+
+  handlePaste(items, board, location) {
+    return null;
+  }
+
+  getCreationModeFlag() {
+    return 'nextClickCreatesNewFrame';
+  }
+}
@@ -0,0 +1,46 @@
+import { getLayeredZIndex } from "../../../ui/z-index-manager.js";
+
+export const DEFAULT_FRAME_COLOR = "#f2f2f2";
+export const DEFAULT_FRAME_SIZE = { width: 600, height: 400 };
+export const MIN_FRAME_SIZE = 100; // pixels
+// Frames are drawn behind all other items
+export const FRAME_LAYER = -1;
+
+export const frameColorPalette = [
+  "#f2f2f2",
+  "#fdf3c4",
+  "#dcecf9",
+  "#dcf2e3",
+  "#fadcd9",
+  "#ebdff5",
+];
+Object.freeze(frameColorPalette);
+
+/**
+ * Applies all styling to a frame element
+ *
+ * @param {Object} frame - Frame data object
+ * @param {HTMLElement} container - Container element for the frame
+ * @param {boolean} animateMove - Whether to animate position changes
+ * @param {boolean} isSelected - Whether the frame is currently selected
+ * @param {Object} origin - Board origin point {x, y}
+ */
+export function setFrameStyles(frame, container, animateMove, isSelected, origin) {
+  container.classList.toggle("animate-move", animateMove);
+  container.classList.toggle("selected", isSelected);
+
+  container.style.left = frame.location.x - origin.x + "px";
+  container.style.top = frame.location.y - origin.y + "px";
+  container.style.width = frame.width + "px";
+  container.style.height = frame.height + "px";
+  container.style.backgroundColor = frame.color || DEFAULT_FRAME_COLOR;
+  if (frame.zIndex !== undefined) {
+    container.style.zIndex = getLayeredZIndex(frame.zIndex, FRAME_LAYER).toString();
+  }
+
+  const input = container.inputElement;
+  const title = frame.title || "";
+  if (input.value !== title) {
+    input.value = title;
+  }
+}
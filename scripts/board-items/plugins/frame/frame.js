@@ -0,0 +1,83 @@
+import { createFrameContainerDOM } from "./frame-dom.js";
+import { setFrameStyles } from "./frame-styling.js";
+import { setupFrameEvents } from "./frame-events.js";
+
+export const createRenderer = (
+  board,
+  domElement,
+  selectionManager,
+  framesMovedByDragging,
+  store
+) => {
+  return function renderFrame(frameId, frame) {
+    const selectedFrames = selectionManager.getSelection('frames');
+    const shouldDelete = frame === undefined;
+    const container = getFrameElement(
+      domElement,
+      frameId,
+      board,
+      (id, title) => board.updateBoardItem('frame', id, { title }),
+      selectionManager,
+      shouldDelete,
+      store
+    );
+    // if container is falsy, then frame was deleted
+    if (container) {
+      const shouldAnimateMove = !framesMovedByDragging.includes(frameId);
+      const frameIsSelected = !!selectedFrames.isSelected(frameId);
+      setFrameStyles(
+        frame,
+        container,
+        shouldAnimateMove,
+        frameIsSelected,
+        board.getOrigin()
+      );
+      if (!shouldAnimateMove) {
+        // mutate the global UI array instead of reassigning the local variable
+        const index = framesMovedByDragging.indexOf(frameId);
+        if (index >= 0) {
+          framesMovedByDragging.splice(index, 1);
+        }
+      }
+      // The title can only be typed while editing, and never on a read-only board
+      if (board.isReadOnly() && container.classList.contains('editing')) {
+        container.inputElement.blur();
+      }
+      container.inputElement.readOnly = board.isReadOnly() || !container.classList.contains('editing');
+    }
+  };
+};
+
+function getFrameElement(
+  boardElement,
+  id,
+  board,
+  updateTitleById,
+  selectionManager,
+  shouldDelete = false,
+  store
+) {
+  const frameIdClass = "frame-" + id;
+  let container = boardElement[frameIdClass];
+  if (shouldDelete) {
+    delete boardElement[frameIdClass];
+    if (container) {
+      container.frameEvents.cleanup();
+      boardElement.removeChild(container);
+    }
+    container = undefined;
+  } else if (!container) {
+    container = createFrameContainerDOM(frameIdClass);
+    boardElement[frameIdClass] = container;
+    boardElement.appendChild(container);
+    container.frameEvents = setupFrameEvents(
+      container,
+      id,
+      board,
+      updateTitleById,
+      selectionManager,
+      store
+    );
+  }
+  return container;
+}
@@ -1,3 +1,5 @@
+import { getAssetStore } from "../../../network/asset-store.js";
+
 export function createImageContainerDOM(imageIdClass) {
   const container = document.createElement("div");
   container.className = `image-container ${imageIdClass}`;
@@ -66,6 +68,99 @@ export function createImageContainerDOM(imageIdClass) {
   return container;
 }
 
+/**
+ * Shows the image of an item. Inline images are shown right away. Assets are
+ * loaded once the image comes into view, with a placeholder until they are
+ * loaded or when they can't be.
+ * @param {HTMLElement} container - Image container element
+ * @param {Object} image - Image data object
+ */
+export function renderImageSource(container, image) {
+  const source = image.dataUrl || image.assetId;
+  if (container.source === source) {
+    return;
+  }
+  container.source = source;
+  if (container.visibilityObserver) {
+    container.visibilityObserver.disconnect();
+    container.visibilityObserver = null;
+  }
+  if (image.dataUrl) {
+    container.image.src = image.dataUrl;
+    setImagePlaceholder(container, null);
+    return;
+  }
+  const assets = getAssetStore();
+  const cached = assets && assets.getCachedUrl(image.assetId);
+  if (cached) {
+    container.image.src = cached;
+    setImagePlaceholder(container, null);
+    return;
+  }
+  container.image.removeAttribute("src");
+  setImagePlaceholder(container, "loading");
+  whenVisible(container, () => loadAsset(container, image.assetId));
+}
+
+function loadAsset(container, assetId) {
+  const assets = getAssetStore();
+  if (!assets) {
+    setImagePlaceholder(container, "missing");
+    return;
+  }
+  assets.getUrl(assetId).then((url) => {
+    if (container.source === assetId) {
+      container.image.src = url;
+      setImagePlaceholder(container, null);
+    }
+  }, (error) => {
+    console.warn(`Could not load image ${assetId}:`, error);
+    if (container.source === assetId) {
+      setImagePlaceholder(container, "missing");
+    }
+  });
+}
+
+function whenVisible(container, callback) {
+  if (typeof IntersectionObserver === "undefined") {
+    callback();
+    return;
+  }
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) {
+      observer.disconnect();
+      container.visibilityObserver = null;
+      callback();
+    }
+  }, { rootMargin: "200px" });
+  container.visibilityObserver = observer;
+  observer.observe(container);
+}
+
+function setImagePlaceholder(container, state) {
+  container.classList.toggle("loading", state === "loading");
+  container.classList.toggle("missing", state === "missing");
+}
+
 export function removePx(value) {
   return parseInt(value.replace("px", ""));
 }
+
+/**
+ * Creates an SVG rendering of an image with its data embedded
+ * @param {Object} image - Image data object
+ * @param {Object} bounds - Image bounds {centerX, centerY, width, height} relative to the board origin
+ * @returns {SVGImageElement} Image element
+ */
+export function createImageSvgElement(image, bounds) {
+  const element = document.createElementNS("http://www.w3.org/2000/svg", "image");
+  element.setAttribute("x", bounds.centerX - bounds.width / 2);
+  element.setAttribute("y", bounds.centerY - bounds.height / 2);
+  element.setAttribute("width", bounds.width);
+  element.setAttribute("height", bounds.height);
+  // Same scaling as the object-fit: contain of the DOM rendering
+  element.setAttribute("preserveAspectRatio", "xMidYMid meet");
+  // Exports preload assets, so their data is cached by now
+  element.setAttribute("href", image.dataUrl || getAssetStore()?.getCachedUrl(image.assetId) || "");
+  return element;
+}
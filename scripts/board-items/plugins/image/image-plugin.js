@@ -1,6 +1,10 @@
 import { BoardItemPlugin } from '../../plugin-interface.js';
+import { createEndpointData } from '../../connector-anchors.js';
 import { createRenderer as createImageRenderer } from './image.js';
+import { createImageSvgElement } from './image-dom.js';
 import { getNextZIndex } from '../../../ui/z-index-manager.js';
+import { prepareImage } from './image-processing.js';
+import { getAssetStore, blobToDataUrl } from '../../../network/asset-store.js';
 
 export class ImagePlugin extends BoardItemPlugin {
   getType() { return 'image'; }
@@ -16,8 +20,8 @@ export class ImagePlugin extends BoardItemPlugin {
     const store = board.getStore();
     const type = this.getType();
     
-    // Validate image data
-    if (!itemData.dataUrl || !itemData.naturalWidth || !itemData.naturalHeight) {
+    // Validate image data; the image is either inline or an asset in the asset store
+    if (!(itemData.dataUrl || itemData.assetId) || !itemData.naturalWidth || !itemData.naturalHeight) {
       throw new Error("Invalid image data");
     }
     
@@ -174,7 +178,11 @@ export class ImagePlugin extends BoardItemPlugin {
     }
   }
 
-  isItem(itemData) { return !!(itemData && typeof itemData.width === 'number' && typeof itemData.height === 'number'); }
+  isItem(itemData) {
+    // Other items are sized in pixels too, only images have picture data and a natural size
+    return !!(itemData && (typeof itemData.dataUrl === 'string' || typeof itemData.assetId === 'string') &&
+      typeof itemData.naturalWidth === 'number' && typeof itemData.naturalHeight === 'number');
+  }
   isElement(element) { return element?.classList?.contains('image-container'); }
   getBounds(item, boardOrigin) {
     if (!item) return null;
@@ -188,6 +196,10 @@ export class ImagePlugin extends BoardItemPlugin {
     };
   }
 
+  createSvgElement(item, boardOrigin) {
+    return createImageSvgElement(item, this.getBounds(item, boardOrigin));
+  }
+
   isConnectorConnectedToItem(connector, itemId) {
     return ((connector.originItemId == itemId && connector.originItemType === 'image') ||
             (connector.destinationItemId == itemId && connector.destinationItemType === 'image'));
@@ -202,8 +214,8 @@ export class ImagePlugin extends BoardItemPlugin {
     return false;
   }
 
-  getConnectorEndpointData(id) {
-    return { imageId: id };
+  getConnectorEndpointData(id, anchor) {
+    return createEndpointData(id, this.getType(), anchor);
   }
 
   // UI Integration Methods
@@ -242,25 +254,7 @@ export class ImagePlugin extends BoardItemPlugin {
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
       if (item.type.indexOf('image') !== -1) {
-        const file = item.getAsFile();
-        return new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-              const imageData = {
-                dataUrl: e.target.result,
-                naturalWidth: img.naturalWidth,
-                naturalHeight: img.naturalHeight,
-                location: location
-              };
-              const id = board.putBoardItem('image', imageData);
-              resolve(id);
-            };
-            img.src = e.target.result;
-          };
-          reader.readAsDataURL(file);
-        });
+        return this.createItemFromFile(item.getAsFile(), board, location);
       }
     }
     return null;
@@ -269,6 +263,23 @@ export class ImagePlugin extends BoardItemPlugin {
   getCreationModeFlag() {
     return null; // Images are created via paste, not click
   }
+
+  async createItemFromFile(file, board, location) {
+    const { blob, width, height } = await prepareImage(file);
+    const imageData = { naturalWidth: width, naturalHeight: height, location };
+    const assets = getAssetStore();
+    if (assets) {
+      try {
+        imageData.assetId = await assets.put(blob);
+      } catch (error) {
+        console.warn('Image could not be stored as an asset, keeping it in the board instead:', error);
+      }
+    }
+    if (!imageData.assetId) {
+      imageData.dataUrl = await blobToDataUrl(blob);
+    }
+    return board.putBoardItem('image', imageData);
+  }
 }
 
 
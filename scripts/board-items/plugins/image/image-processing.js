@@ -0,0 +1,64 @@
+/**
+ * Shrinks pasted images before they are stored: large photos and screenshots
+ * are scaled down and compressed, small images are kept as they are.
+ */
+
+// Longest side in pixels; more than a board shows at a zoom level that fits an image on screen
+export const MAX_IMAGE_SIZE = 1600;
+// Images smaller than this are kept as they are, unless they have too many pixels
+export const MAX_UNCOMPRESSED_BYTES = 300 * 1024;
+const COMPRESSION_TYPE = "image/webp";
+const COMPRESSION_QUALITY = 0.85;
+
+/**
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} [maxSize] - Longest side allowed
+ * @returns {{width: number, height: number}} Size with the same aspect ratio that fits maxSize
+ */
+export function getScaledSize(width, height, maxSize = MAX_IMAGE_SIZE) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The pasted image could not be read"));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Scales an image down and compresses it when it is large
+ * @param {Blob} file - Pasted image
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Image to store, with its size in pixels
+ */
+export async function prepareImage(file) {
+  const img = await loadImage(file);
+  const { width, height } = getScaledSize(img.naturalWidth, img.naturalHeight);
+  if (width === img.naturalWidth && file.size <= MAX_UNCOMPRESSED_BYTES) {
+    return { blob: file, width, height };
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+  // Browsers without WebP encoding fall back to PNG
+  const compressed = await new Promise((resolve) => canvas.toBlob(resolve, COMPRESSION_TYPE, COMPRESSION_QUALITY));
+  if (!compressed || (width === img.naturalWidth && compressed.size >= file.size)) {
+    return { blob: file, width: img.naturalWidth, height: img.naturalHeight };
+  }
+  return { blob: compressed, width, height };
+}
@@ -10,9 +10,6 @@ export function setImageStyles(image, container, shouldAnimateMove, isSelected,
   container.style.width = image.width + "px";
   container.style.height = image.height + "px";
   
-  // Set the image source
-  container.image.src = image.dataUrl;
-  
   // Handle selection state
   if (isSelected) {
     container.classList.add("selected");
@@ -1,4 +1,4 @@
-import { createImageContainerDOM } from "./image-dom.js";
+import { createImageContainerDOM, renderImageSource } from "./image-dom.js";
 import { setImageStyles } from "./image-styling.js";
 import { setupImageEvents } from "./image-events.js";
 
@@ -44,6 +44,7 @@ export const createRenderer = (
         imageIsSelected,
         board.getOrigin()
       );
+      renderImageSource(container, image);
       
       if (!shouldAnimateMove) {
         // mutate the global UI array instead of reassigning the local variable
@@ -72,6 +73,9 @@ function getImageElement(
   if (shouldDelete) {
     delete boardElement[imageIdClass];
     if (container) {
+      if (container.visibilityObserver) {
+        container.visibilityObserver.disconnect();
+      }
       boardElement.removeChild(container);
     }
     container = undefined;
@@ -0,0 +1,213 @@
+import { fitTextInBox } from "../../text-fitting.js";
+import { STICKY_FONT_FAMILY } from "../sticky/sticky-dom.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const STROKE_WIDTH = 2;
+const CORNER_RADIUS = 12;
+const TEXT_PADDING = 6;
+const TEXT_COLOR = "#444";
+const LINE_HEIGHT = 1.2;
+const MAX_FONT_SIZE = 16;
+const MIN_FONT_SIZE = 8;
+
+/**
+ * Creates the DOM structure for a shape container: an SVG outline, a
+ * textarea centered on top of it and resize handles
+ *
+ * @param {string} shapeIdClass - CSS class name for the shape (e.g., "shape-1")
+ * @returns {HTMLElement} Container element with references to outline, textBox and inputElement
+ */
+export function createShapeContainerDOM(shapeIdClass) {
+  const container = document.createElement("div");
+  container.classList.add("shape-container", shapeIdClass);
+  container.innerHTML =
+    `<svg class="shape-outline" xmlns="${SVG_NS}"></svg>` +
+    '<div class="shape-text"><textarea class="text-input" rows="1" readonly></textarea></div>' +
+    '<div class="resize-handle resize-handle-top"></div>' +
+    '<div class="resize-handle resize-handle-right"></div>' +
+    '<div class="resize-handle resize-handle-bottom"></div>' +
+    '<div class="resize-handle resize-handle-left"></div>';
+  container.outline = container.querySelector(".shape-outline");
+  container.textBox = container.querySelector(".shape-text");
+  container.inputElement = container.querySelector(".text-input");
+  return container;
+}
+
+/**
+ * Creates the SVG element drawing the outline of a shape. The stroke is kept
+ * inside the given box so shapes do not grow with their stroke.
+ *
+ * @param {string} kind - One of SHAPE_KINDS
+ * @param {{x: number, y: number, width: number, height: number}} box - Box the shape fills
+ * @param {string} fill - Fill color
+ * @param {string} stroke - Stroke color
+ * @returns {SVGElement} rect, ellipse or polygon element
+ */
+export function createShapeOutlineElement(kind, box, fill, stroke) {
+  const inset = STROKE_WIDTH / 2;
+  const x = box.x + inset;
+  const y = box.y + inset;
+  const width = Math.max(0, box.width - STROKE_WIDTH);
+  const height = Math.max(0, box.height - STROKE_WIDTH);
+  let element;
+  if (kind === "ellipse") {
+    element = document.createElementNS(SVG_NS, "ellipse");
+    element.setAttribute("cx", x + width / 2);
+    element.setAttribute("cy", y + height / 2);
+    element.setAttribute("rx", width / 2);
+    element.setAttribute("ry", height / 2);
+  } else if (kind === "diamond") {
+    element = document.createElementNS(SVG_NS, "polygon");
+    element.setAttribute("points", [
+      [x + width / 2, y],
+      [x + width, y + height / 2],
+      [x + width / 2, y + height],
+      [x, y + height / 2],
+    ].map((point) => point.join(",")).join(" "));
+  } else {
+    element = document.createElementNS(SVG_NS, "rect");
+    element.setAttribute("x", x);
+    element.setAttribute("y", y);
+    element.setAttribute("width", width);
+    element.setAttribute("height", height);
+    if (kind === "rounded-rectangle") {
+      const radius = Math.min(CORNER_RADIUS, width / 2, height / 2);
+      element.setAttribute("rx", radius);
+      element.setAttribute("ry", radius);
+    }
+  }
+  element.setAttribute("fill", fill);
+  element.setAttribute("stroke", stroke);
+  element.setAttribute("stroke-width", STROKE_WIDTH);
+  return element;
+}
+
+/**
+ * Redraws the outline SVG of a shape container
+ *
+ * @param {SVGSVGElement} svg - The container's outline element
+ * @param {Object} shape - Shape data object
+ * @param {string} defaultFill - Fill for shapes without a color
+ * @param {string} defaultStroke - Stroke for shapes without a stroke color
+ */
+export function updateShapeOutline(svg, shape, defaultFill, defaultStroke) {
+  svg.setAttribute("width", shape.width);
+  svg.setAttribute("height", shape.height);
+  svg.setAttribute("viewBox", `0 0 ${shape.width} ${shape.height}`);
+  svg.innerHTML = "";
+  svg.appendChild(createShapeOutlineElement(
+    shape.shape,
+    { x: 0, y: 0, width: shape.width, height: shape.height },
+    shape.color || defaultFill,
+    shape.strokeColor || defaultStroke
+  ));
+}
+
+/**
+ * Computes the box text is laid out in, relative to the top left of the shape.
+ * For ellipses and diamonds this is the largest centered rectangle inside the outline.
+ *
+ * @param {string} kind - One of SHAPE_KINDS
+ * @param {number} width - Shape width in pixels
+ * @param {number} height - Shape height in pixels
+ * @returns {{x: number, y: number, width: number, height: number}} Text box
+ */
+export function getShapeTextBox(kind, width, height) {
+  let scale = 1;
+  if (kind === "ellipse") {
+    scale = Math.SQRT1_2;
+  } else if (kind === "diamond") {
+    scale = 0.5;
+  }
+  const boxWidth = Math.max(0, width * scale - TEXT_PADDING * 2);
+  const boxHeight = Math.max(0, height * scale - TEXT_PADDING * 2);
+  return {
+    x: (width - boxWidth) / 2,
+    y: (height - boxHeight) / 2,
+    width: boxWidth,
+    height: boxHeight,
+  };
+}
+
+/**
+ * Shrinks the font of a shape's textarea until its text fits the text box,
+ * and sizes the textarea to its content so the text stays vertically centered
+ *
+ * @param {HTMLElement} textBox - The element holding the textarea
+ * @param {HTMLTextAreaElement} textarea - The textarea
+ */
+export function fitShapeText(textBox, textarea) {
+  const available = textBox.clientHeight;
+  let fontSize = MAX_FONT_SIZE;
+  for (; fontSize > MIN_FONT_SIZE; fontSize--) {
+    textarea.style.fontSize = fontSize + "px";
+    textarea.style.height = "auto";
+    if (textarea.scrollHeight <= available && textarea.scrollWidth <= textarea.clientWidth) {
+      break;
+    }
+  }
+  textarea.style.fontSize = fontSize + "px";
+  textarea.style.height = "auto";
+  textarea.style.height = Math.min(textarea.scrollHeight, available) + "px";
+}
+
+/**
+ * Creates an SVG rendering of a shape: its outline with the text wrapped and
+ * centered inside it.
+ *
+ * @param {Object} shape - Shape data object
+ * @param {Object} bounds - Shape bounds {centerX, centerY, width, height} relative to the board origin
+ * @param {Object} context - Export context
+ * @param {(text: string, fontSize: number) => number} context.measureText - Measures text in the board font
+ * @param {{fill: string, stroke: string}} defaults - Colors for shapes without colors
+ * @returns {SVGGElement} Group element containing the shape
+ */
+export function createShapeSvgElement(shape, bounds, context, defaults) {
+  const x = bounds.centerX - bounds.width / 2;
+  const y = bounds.centerY - bounds.height / 2;
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "shape");
+  group.appendChild(createShapeOutlineElement(
+    shape.shape,
+    { x, y, width: bounds.width, height: bounds.height },
+    shape.color || defaults.fill,
+    shape.strokeColor || defaults.stroke
+  ));
+
+  const text = (shape.text || "").trim();
+  if (!text) {
+    return group;
+  }
+  const textBox = getShapeTextBox(shape.shape, bounds.width, bounds.height);
+  // Lines entered by the user are kept; each is wrapped on its own
+  const fit = (fontSize) => text.split("\n").flatMap((paragraph) =>
+    fitTextInBox(paragraph, textBox.width, Infinity, context.measureText, {
+      minFontSize: fontSize,
+      maxFontSize: fontSize,
+    }).lines
+  );
+  let fontSize = MAX_FONT_SIZE;
+  let lines = fit(fontSize);
+  while (fontSize > MIN_FONT_SIZE && lines.length * fontSize * LINE_HEIGHT > textBox.height) {
+    fontSize--;
+    lines = fit(fontSize);
+  }
+
+  const textElement = document.createElementNS(SVG_NS, "text");
+  textElement.setAttribute("text-anchor", "middle");
+  textElement.setAttribute("font-family", STICKY_FONT_FAMILY);
+  textElement.setAttribute("font-size", fontSize);
+  textElement.setAttribute("fill", TEXT_COLOR);
+  const lineStep = fontSize * LINE_HEIGHT;
+  // Center the block of lines vertically; baselines sit one font size below each line top
+  const top = bounds.centerY - (lines.length * lineStep) / 2;
+  lines.forEach((line, index) => {
+    const tspan = document.createElementNS(SVG_NS, "tspan");
+    tspan.setAttribute("x", bounds.centerX);
+    tspan.setAttribute("y", top + fontSize + index * lineStep);
+    tspan.textContent = line;
+    textElement.appendChild(tspan);
+  });
+  group.appendChild(textElement);
+  return group;
+}
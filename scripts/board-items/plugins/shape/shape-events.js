@@ -0,0 +1,28 @@
+import { setupResizableItemEvents, ResizableItemState } from "../../resizable-item-events.js";
+import { setShapeStyles, MIN_SHAPE_SIZE } from "./shape-styling.js";
+
+/**
+ * Shape Events
+ * Resizing, dragging, selection and text editing of a shape, see
+ * resizable-item-events.js. The text can be edited after a double click
+ * anywhere on the shape and takes several lines, so only Escape ends editing.
+ */
+const SHAPE_ITEM_TYPE = {
+  type: 'shape',
+  selectionType: 'shapes',
+  minSize: MIN_SHAPE_SIZE,
+  setStyles: setShapeStyles,
+  editTarget: null,
+  finishEditingKeys: ['Escape'],
+  keepFocusOnPress: false
+};
+
+/**
+ * Sets up the events of a shape container
+ */
+export function setupShapeEvents(container, id, board, updateTextById, selectionManager, store) {
+  return setupResizableItemEvents(container, id, board, updateTextById, selectionManager, store, SHAPE_ITEM_TYPE);
+}
+
+// Export for testing
+export { ResizableItemState as ShapeState };
@@ -0,0 +1,279 @@
+import { BoardItemPlugin } from '../../plugin-interface.js';
+import { createEndpointData } from '../../connector-anchors.js';
+import { createRenderer as createShapeRenderer } from './shape.js';
+import { createShapeSvgElement } from './shape-dom.js';
+import { getNextZIndex } from '../../../ui/z-index-manager.js';
+import {
+  SHAPE_KINDS,
+  DEFAULT_SHAPE_KIND,
+  DEFAULT_SHAPE_COLOR,
+  DEFAULT_SHAPE_STROKE_COLOR,
+  DEFAULT_SHAPE_SIZE,
+  MIN_SHAPE_SIZE,
+  shapeColorPalette,
+  shapeStrokeColorPalette,
+} from './shape-styling.js';
+
+/**
+ * Returns the entry after (or before) current in list, wrapping around
+ */
+function cycle(list, current, reverse) {
+  const index = list.indexOf(current);
+  const step = reverse ? -1 : 1;
+  return list[(index + step + list.length) % list.length];
+}
+
+function validateShapeKind(kind) {
+  if (!SHAPE_KINDS.includes(kind)) {
+    throw new Error(`Unknown shape ${kind}`);
+  }
+  return kind;
+}
+
+export class ShapePlugin extends BoardItemPlugin {
+  getType() { return 'shape'; }
+  getContainerBaseClass() { return 'shape-container'; }
+  getContainerClassPrefix() { return 'shape-'; }
+  getSelectionType() { return 'shapes'; }
+
+  createRenderer(board, domElement, selectionManager, itemsMovedByDragging, store) {
+    return createShapeRenderer(board, domElement, selectionManager, itemsMovedByDragging, store);
+  }
+
+  createItem(board, itemData) {
+    const store = board.getStore();
+    const type = this.getType();
+    const ui = store.getAppState().ui;
+
+    // New shapes take the kind and stroke last picked in the menu
+    itemData.shape = validateShapeKind(itemData.shape || ui.currentShapeKind || DEFAULT_SHAPE_KIND);
+    itemData.width = Math.max(MIN_SHAPE_SIZE, itemData.width || DEFAULT_SHAPE_SIZE.width);
+    itemData.height = Math.max(MIN_SHAPE_SIZE, itemData.height || DEFAULT_SHAPE_SIZE.height);
+    itemData.text = itemData.text || "";
+    itemData.color = itemData.color || DEFAULT_SHAPE_COLOR;
+    itemData.strokeColor = itemData.strokeColor || ui.currentShapeStrokeColor || DEFAULT_SHAPE_STROKE_COLOR;
+
+    itemData.location = board.snapLocationWithSize(
+      itemData.location || { x: 0, y: 0 },
+      itemData.width,
+      itemData.height
+    );
+
+    // Initialize zIndex if not provided
+    if (itemData.zIndex === undefined) {
+      itemData.zIndex = getNextZIndex(store);
+    }
+
+    return store.createBoardItem(type, itemData);
+  }
+
+  deleteItem(board, id) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    // Delete all connectors attached to this shape
+    const state = store.getState();
+    Object.entries(state.connectors).forEach(([connectorId, connector]) => {
+      if (this.isConnectorConnectedToItem(connector, id)) {
+        store.deleteConnector(connectorId);
+      }
+    });
+
+    store.deleteBoardItem(type, id);
+  }
+
+  moveItem(board, id, location) {
+    const store = board.getStore();
+    const type = this.getType();
+
+    const shape = store.getBoardItem(type, id);
+    const snappedLocation = board.snapLocationWithSize(
+      location || { x: 0, y: 0 },
+      shape.width,
+      shape.height
+    );
+
+    store.updateBoardItem(type, id, { location: snappedLocation });
+  }
+
+  /**
+   * Shapes resize freely: params hold the new width and height, and a new
+   * location when the shape was resized from its top or left side
+   */
+  resizeItem(board, id, params) {
+    if (!params || typeof params.width !== 'number' || typeof params.height !== 'number') {
+      return false;
+    }
+    const store = board.getStore();
+    const type = this.getType();
+    const shape = store.getBoardItem(type, id);
+    const { origin, limit } = board.getBoardBounds();
+
+    const location = {
+      x: Math.max(origin.x, (params.location || shape.location).x),
+      y: Math.max(origin.y, (params.location || shape.location).y),
+    };
+    const width = Math.min(limit.x - location.x, Math.max(MIN_SHAPE_SIZE, Math.round(params.width)));
+    const height = Math.min(limit.y - location.y, Math.max(MIN_SHAPE_SIZE, Math.round(params.height)));
+
+    store.updateBoardItem(type, id, { width, height, location });
+    return true;
+  }
+
+  getItem(board, id) {
+    const store = board.getStore();
+    const type = this.getType();
+    return store.getBoardItem(type, id);
+  }
+
+  getLocation(board, id) {
+    const item = this.getItem(board, id);
+    return item.location;
+  }
+
+  updateItem(board, id, updates) {
+    const store = board.getStore();
+    const type = this.getType();
+    const updateData = {};
+
+    // Unlike sticky text, shape text keeps its line breaks
+    if ('text' in updates) updateData.text = updates.text || "";
+    if ('color' in updates) updateData.color = updates.color;
+    if ('strokeColor' in updates) updateData.strokeColor = updates.strokeColor;
+    if ('shape' in updates) updateData.shape = validateShapeKind(updates.shape);
+    if ('width' in updates) updateData.width = updates.width;
+    if ('height' in updates) updateData.height = updates.height;
+    if ('location' in updates) updateData.location = updates.location;
+
+    if (Object.keys(updateData).length > 0) {
+      store.updateBoardItem(type, id, updateData);
+    }
+  }
+
+  isItem(itemData) { return !!(itemData && typeof itemData.shape === 'string'); }
+  isElement(element) { return element?.classList?.contains('shape-container'); }
+  getBounds(item, boardOrigin) {
+    if (!item) return null;
+    const width = item.width;
+    const height = item.height;
+    return {
+      centerX: item.location.x - boardOrigin.x + width / 2,
+      centerY: item.location.y - boardOrigin.y + height / 2,
+      width,
+      height
+    };
+  }
+
+  createSvgElement(item, boardOrigin, context) {
+    return createShapeSvgElement(item, this.getBounds(item, boardOrigin), context, {
+      fill: DEFAULT_SHAPE_COLOR,
+      stroke: DEFAULT_SHAPE_STROKE_COLOR,
+    });
+  }
+
+  isConnectorConnectedToItem(connector, itemId) {
+    return ((connector.originItemId == itemId && connector.originItemType === 'shape') ||
+            (connector.destinationItemId == itemId && connector.destinationItemType === 'shape'));
+  }
+
+  isEndpointConnected(connector, endpoint) {
+    if (endpoint === 'origin') {
+      return !!(connector.originItemId && connector.originItemType === 'shape');
+    } else if (endpoint === 'destination') {
+      return !!(connector.destinationItemId && connector.destinationItemType === 'shape');
+    }
+    return false;
+  }
+
+  getConnectorEndpointData(id, anchor) {
+    return createEndpointData(id, this.getType(), anchor);
+  }
+
+  // UI Integration Methods
+
+  getDefaultColor() {
+    return DEFAULT_SHAPE_COLOR;
+  }
+
+  getColorPalette() {
+    return shapeColorPalette;
+  }
+
+  getMenuItems() {
+    return [
+      {
+        itemLabel: "New Shape",
+        className: "new-shape",
+        icon: "images/new-shape-icon.svg",
+        itemClickHandler: (appState, renderCallback) => {
+          appState.ui.nextClickCreatesNewShape = true;
+          appState.ui.nextClickCreatesConnector = false;
+          appState.ui.connectorOriginId = null;
+          renderCallback();
+        }
+      }
+    ];
+  }
+
+  getSelectionMenuItems() {
+    return [
+      {
+        itemLabel: "Shape",
+        className: "change-shape",
+        icon: "images/change-shape-icon.svg",
+        itemClickHandler: (board, selectedIds, appState, event) => {
+          const first = board.getBoardItemByType('shape', selectedIds[0]);
+          const kind = cycle(SHAPE_KINDS, first.shape, event.shiftKey);
+          selectedIds.forEach((id) => this.updateItem(board, id, { shape: kind }));
+          appState.ui.currentShapeKind = kind;
+        }
+      },
+      {
+        itemLabel: "Stroke color",
+        className: "change-stroke-color",
+        itemClickHandler: (board, selectedIds, appState, event) => {
+          const first = board.getBoardItemByType('shape', selectedIds[0]);
+          const strokeColor = cycle(shapeStrokeColorPalette, first.strokeColor, event.shiftKey);
+          selectedIds.forEach((id) => this.updateItem(board, id, { strokeColor }));
+          appState.ui.currentShapeStrokeColor = strokeColor;
+        },
+        customLabel: (dom, label, board, selectedIds) => {
+          const first = board.getBoardItemByType('shape', selectedIds[0]);
+          dom.innerHTML = '';
+          const img = document.createElement('img');
+          img.src = 'images/stroke-color-icon.svg';
+          img.alt = label;
+          img.className = 'menu-icon';
+          dom.appendChild(img);
+          dom.appendChild(document.createTextNode(' '));
+          const colorPreview = document.createElement('div');
+          colorPreview.className = 'color-preview';
+          colorPreview.style.borderColor = first.strokeColor || DEFAULT_SHAPE_STROKE_COLOR;
+          dom.appendChild(colorPreview);
+          dom.title = label;
+        }
+      }
+    ];
+  }
+
+  getEditingSelector() {
+    return '.shape-container.editing';
+  }
+
+  isEditingElement(element) {
+    return element?.classList?.contains('shape-container') &&
+           element?.classList?.contains('editing');
+  }
+
+  canHandlePaste(items) {
+    return false; // Shapes don't handle paste
+  }
+
+  handlePaste(items, board, location) {
+    return null;
+  }
+
+  getCreationModeFlag() {
+    return 'nextClickCreatesNewShape';
+  }
+}
@@ -0,0 +1,77 @@
+import { updateShapeOutline, getShapeTextBox, fitShapeText } from "./shape-dom.js";
+
+export const SHAPE_KINDS = ["rectangle", "rounded-rectangle", "ellipse", "diamond"];
+export const DEFAULT_SHAPE_KIND = "rectangle";
+export const DEFAULT_SHAPE_COLOR = "#ffffff";
+export const DEFAULT_SHAPE_STROKE_COLOR = "#444444";
+export const DEFAULT_SHAPE_SIZE = { width: 140, height: 70 };
+export const MIN_SHAPE_SIZE = 20; // pixels
+
+export const shapeColorPalette = [
+  "#ffffff",
+  "khaki",
+  "#F8C471",
+  "#AED6F1",
+  "#82E0AA",
+  "#F1948A",
+  "#C39BD3",
+];
+Object.freeze(shapeColorPalette);
+
+export const shapeStrokeColorPalette = [
+  "#444444",
+  "#000000",
+  "#4646d8",
+  "#5BA67A",
+  "#B86B5A",
+  "transparent",
+];
+Object.freeze(shapeStrokeColorPalette);
+
+/**
+ * Applies all styling to a shape element
+ *
+ * @param {Object} shape - Shape data object
+ * @param {HTMLElement} container - Container element for the shape
+ * @param {boolean} animateMove - Whether to animate position changes
+ * @param {boolean} isSelected - Whether the shape is currently selected
+ * @param {Object} origin - Board origin point {x, y}
+ */
+export function setShapeStyles(shape, container, animateMove, isSelected, origin) {
+  container.classList.toggle("animate-move", animateMove);
+  container.classList.toggle("selected", isSelected);
+
+  container.style.left = shape.location.x - origin.x + "px";
+  container.style.top = shape.location.y - origin.y + "px";
+  container.style.width = shape.width + "px";
+  container.style.height = shape.height + "px";
+  if (shape.zIndex !== undefined) {
+    container.style.zIndex = shape.zIndex.toString();
+  }
+
+  // Redrawing the outline and refitting the text is only needed when their inputs change
+  const kind = shape.shape || DEFAULT_SHAPE_KIND;
+  const outlineKey = JSON.stringify([kind, shape.width, shape.height, shape.color, shape.strokeColor]);
+  if (container.lastOutlineKey !== outlineKey) {
+    container.lastOutlineKey = outlineKey;
+    container.dataset.shape = kind;
+    updateShapeOutline(container.outline, shape, DEFAULT_SHAPE_COLOR, DEFAULT_SHAPE_STROKE_COLOR);
+    const textBox = getShapeTextBox(kind, shape.width, shape.height);
+    const { style } = container.textBox;
+    style.left = textBox.x + "px";
+    style.top = textBox.y + "px";
+    style.width = textBox.width + "px";
+    style.height = textBox.height + "px";
+    container.lastFittedText = null;
+  }
+
+  const textarea = container.inputElement;
+  const text = shape.text || "";
+  if (textarea.value !== text) {
+    textarea.value = text;
+  }
+  if (container.lastFittedText !== text) {
+    container.lastFittedText = text;
+    fitShapeText(container.textBox, textarea);
+  }
+}
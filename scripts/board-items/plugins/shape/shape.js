@@ -0,0 +1,83 @@
+import { createShapeContainerDOM } from "./shape-dom.js";
+import { setShapeStyles } from "./shape-styling.js";
+import { setupShapeEvents } from "./shape-events.js";
+
+export const createRenderer = (
+  board,
+  domElement,
+  selectionManager,
+  shapesMovedByDragging,
+  store
+) => {
+  return function renderShape(shapeId, shape) {
+    const selectedShapes = selectionManager.getSelection('shapes');
+    const shouldDelete = shape === undefined;
+    const container = getShapeElement(
+      domElement,
+      shapeId,
+      board,
+      (id, text) => board.updateBoardItem('shape', id, { text }),
+      selectionManager,
+      shouldDelete,
+      store
+    );
+    // if container is falsy, then shape was deleted
+    if (container) {
+      const shouldAnimateMove = !shapesMovedByDragging.includes(shapeId);
+      const shapeIsSelected = !!selectedShapes.isSelected(shapeId);
+      setShapeStyles(
+        shape,
+        container,
+        shouldAnimateMove,
+        shapeIsSelected,
+        board.getOrigin()
+      );
+      if (!shouldAnimateMove) {
+        // mutate the global UI array instead of reassigning the local variable
+        const index = shapesMovedByDragging.indexOf(shapeId);
+        if (index >= 0) {
+          shapesMovedByDragging.splice(index, 1);
+        }
+      }
+      // Text can only be typed while editing, and never on a read-only board
+      if (board.isReadOnly() && container.classList.contains('editing')) {
+        container.inputElement.blur();
+      }
+      container.inputElement.readOnly = board.isReadOnly() || !container.classList.contains('editing');
+    }
+  };
+};
+
+function getShapeElement(
+  boardElement,
+  id,
+  board,
+  updateTextById,
+  selectionManager,
+  shouldDelete = false,
+  store
+) {
+  const shapeIdClass = "shape-" + id;
+  let container = boardElement[shapeIdClass];
+  if (shouldDelete) {
+    delete boardElement[shapeIdClass];
+    if (container) {
+      container.shapeEvents.cleanup();
+      boardElement.removeChild(container);
+    }
+    container = undefined;
+  } else if (!container) {
+    container = createShapeContainerDOM(shapeIdClass);
+    boardElement[shapeIdClass] = container;
+    boardElement.appendChild(container);
+    container.shapeEvents = setupShapeEvents(
+      container,
+      id,
+      board,
+      updateTextById,
+      selectionManager,
+      store
+    );
+  }
+  return container;
+}
@@ -1,13 +1,16 @@
+import { fitTextInBox } from "../../text-fitting.js";
+import { getStickyPlainText, hasStickyMarkup, renderStickyMarkup } from "./sticky-markup.js";
+
 /**
  * Creates the DOM structure for a sticky note container
  * 
  * @param {string} stickyIdClass - CSS class name for the sticky (e.g., "sticky-1")
- * @returns {HTMLElement} Container element with references to sticky and inputElement
+ * @returns {HTMLElement} Container element with references to sticky, inputElement and richText
  */
 export function createStickyContainerDOM(stickyIdClass) {
   const container = document.createElement("div");
   container.innerHTML =
-    '<div class="sticky"><textarea class="text-input text" rows="1"></textarea></div>' +
+    '<div class="sticky"><textarea class="text-input text" rows="1"></textarea><div class="sticky-rich-text"></div></div>' +
     '<div class="resize-handle resize-handle-top"></div>' +
     '<div class="resize-handle resize-handle-right"></div>' +
     '<div class="resize-handle resize-handle-bottom"></div>' +
@@ -15,11 +18,89 @@ export function createStickyContainerDOM(stickyIdClass) {
   container.classList.add(stickyIdClass);
   container.inputElement = container.querySelector(".text-input");
   container.sticky = container.querySelector(".sticky");
+  container.richText = container.querySelector(".sticky-rich-text");
   container.classList.add("sticky-container");
   // Custom drag is now handled by the state machine - no HTML5 draggable needed
   return container;
 }
 
+/**
+ * Shows formatted text over the textarea while the sticky isn't being edited.
+ * Text without markup is left to the textarea alone.
+ * 
+ * @param {HTMLElement} container - Sticky container element
+ * @param {string} text - Sticky text
+ */
+export function renderStickyRichText(container, text) {
+  const isRich = hasStickyMarkup(text);
+  container.classList.toggle("rich-text", isRich);
+  if (isRich) {
+    renderStickyMarkup(container.richText, text);
+  } else {
+    container.richText.replaceChildren();
+  }
+}
+
+/**
+ * Shows the votes on a sticky as a badge in its top right corner. The badge
+ * is created on first use and hidden while there are no votes to show.
+ * 
+ * @param {HTMLElement} container - Sticky container element
+ * @param {{total: number, own: number}|null} votes - Visible votes, null outside voting sessions
+ */
+export function renderStickyVotes(container, votes) {
+  const total = votes ? votes.total : 0;
+  if (!container.voteBadge) {
+    if (!total) {
+      return;
+    }
+    container.voteBadge = document.createElement("div");
+    container.voteBadge.className = "sticky-vote-badge";
+    container.appendChild(container.voteBadge);
+  }
+  const badge = container.voteBadge;
+  badge.style.display = total ? "" : "none";
+  badge.textContent = total ? String(total) : "";
+  badge.classList.toggle("own-votes", !!(votes && votes.own));
+  badge.title = total
+    ? `${total} vote${total === 1 ? "" : "s"}` + (votes.own && votes.own !== total ? `, ${votes.own} of them yours` : "")
+    : "";
+}
+
+/**
+ * Marks a sticky whose text was also changed by somebody else while it was
+ * edited here. The badge shows the other text and is dismissed by clicking it.
+ * 
+ * @param {HTMLElement} container - Sticky container element
+ * @param {Object} conflicts - Other values by field name, see FieldVersions
+ * @param {Function} onDismiss - Called when the badge is clicked
+ */
+export function renderStickyConflict(container, conflicts, onDismiss) {
+  const hasConflict = "text" in conflicts;
+  container.classList.toggle("conflict", hasConflict);
+  if (!container.conflictBadge) {
+    if (!hasConflict) {
+      return;
+    }
+    container.conflictBadge = document.createElement("div");
+    container.conflictBadge.className = "sticky-conflict-badge";
+    container.conflictBadge.textContent = "!";
+    // Clicking the badge shouldn't select or drag the sticky
+    container.conflictBadge.addEventListener("pointerdown", (event) => event.stopPropagation());
+    container.conflictBadge.addEventListener("click", (event) => {
+      event.stopPropagation();
+      container.conflictBadge.onDismiss();
+    });
+    container.appendChild(container.conflictBadge);
+  }
+  const badge = container.conflictBadge;
+  badge.onDismiss = onDismiss;
+  badge.style.display = hasConflict ? "" : "none";
+  badge.title = hasConflict
+    ? `Somebody else changed this text at the same time to:\n\n${conflicts.text ?? ""}\n\nYour text was kept. Click to dismiss.`
+    : "";
+}
+
 /**
  * Removes 'px' suffix from a CSS size string and returns the numeric value
  * @param {string} s - CSS size string (e.g., "100px")
@@ -28,3 +109,68 @@ export function createStickyContainerDOM(stickyIdClass) {
 export function removePx(s) {
   return +s.substring(0, s.length - 2);
 }
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+// Matches the .sticky font in global.css
+export const STICKY_FONT_FAMILY = '"Lucida Sans", "Lucida Sans Regular", "Lucida Grande", "Lucida Sans Unicode", Geneva, Verdana, sans-serif';
+const STICKY_TEXT_COLOR = "#444";
+const STICKY_LINE_HEIGHT = 1.2;
+// Container padding (5px) plus the note's own padding (12px/5px) and the textarea padding (2px)
+const CONTAINER_INSET = 5;
+const TEXT_INSET_X = CONTAINER_INSET + 5 + 2;
+const TEXT_INSET_Y = CONTAINER_INSET + 12 + 2;
+
+/**
+ * Creates an SVG rendering of a sticky note: a colored rect with the text
+ * wrapped and centered inside it, laid out like the DOM rendering.
+ * 
+ * @param {Object} sticky - Sticky data object
+ * @param {Object} bounds - Sticky bounds {centerX, centerY, width, height} relative to the board origin
+ * @param {Object} context - Export context
+ * @param {(text: string, fontSize: number) => number} context.measureText - Measures text in the sticky font
+ * @param {string} defaultColor - Fill color for stickies without a color
+ * @returns {SVGGElement} Group element containing the sticky
+ */
+export function createStickySvgElement(sticky, bounds, context, defaultColor) {
+  const x = bounds.centerX - bounds.width / 2;
+  const y = bounds.centerY - bounds.height / 2;
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "sticky");
+
+  const rect = document.createElementNS(SVG_NS, "rect");
+  rect.setAttribute("x", x + CONTAINER_INSET);
+  rect.setAttribute("y", y + CONTAINER_INSET);
+  rect.setAttribute("width", bounds.width - CONTAINER_INSET * 2);
+  rect.setAttribute("height", bounds.height - CONTAINER_INSET * 2);
+  rect.setAttribute("fill", sticky.color || defaultColor);
+  group.appendChild(rect);
+
+  // Formatting is dropped, bullets and line breaks are kept
+  const text = getStickyPlainText(sticky.text).trim();
+  if (!text) {
+    return group;
+  }
+  const textWidth = bounds.width - TEXT_INSET_X * 2;
+  const textHeight = bounds.height - TEXT_INSET_Y * 2;
+  const { fontSize, lines } = fitTextInBox(text, textWidth, textHeight, context.measureText, {
+    lineHeight: STICKY_LINE_HEIGHT,
+  });
+
+  const textElement = document.createElementNS(SVG_NS, "text");
+  textElement.setAttribute("x", bounds.centerX);
+  textElement.setAttribute("text-anchor", "middle");
+  textElement.setAttribute("font-family", STICKY_FONT_FAMILY);
+  textElement.setAttribute("font-size", fontSize);
+  textElement.setAttribute("fill", STICKY_TEXT_COLOR);
+  // The textarea starts at the top of the note; the first baseline sits one ascent below it
+  const lineStep = fontSize * STICKY_LINE_HEIGHT;
+  lines.forEach((line, index) => {
+    const tspan = document.createElementNS(SVG_NS, "tspan");
+    tspan.setAttribute("x", bounds.centerX);
+    tspan.setAttribute("y", y + TEXT_INSET_Y + fontSize + index * lineStep);
+    tspan.textContent = line;
+    textElement.appendChild(tspan);
+  });
+  group.appendChild(textElement);
+  return group;
+}
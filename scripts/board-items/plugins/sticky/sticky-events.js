@@ -3,6 +3,13 @@ import { createStateConfig } from "../../../ui/state-config-pattern.js";
 import { fitContentInSticky } from "../../text-fitting.js";
 import { SelectionManager } from "../../../ui/selection-manager.js";
 import { getEventPageCoordinates } from "../../../ui/movement-utils.js";
+import { renderStickyRichText } from "./sticky-dom.js";
+import {
+  continueBulletList,
+  getFormattingShortcut,
+  toggleBulletList,
+  toggleInlineFormat,
+} from "./sticky-markup.js";
 
 /**
  * Sticky Resize State Machine
@@ -20,7 +27,7 @@ const STICKY_SIZE = 70; // pixels per size unit
  * Uses the new StateMachine base class for consistent behavior
  */
 class StickyResizeStateMachine extends StateMachine {
-  constructor(container, id, updateTextById, getStickyLocation, selectionManager, store) {
+  constructor(container, id, board, updateTextById, getStickyLocation, selectionManager, store) {
     const stateConfig = createStateConfig(StickyResizeState);
     
     // Configure each state
@@ -64,6 +71,7 @@ class StickyResizeStateMachine extends StateMachine {
     // Initialize properties after super constructor
     this.container = container;
     this.id = id;
+    this.board = board;
     this.updateTextById = updateTextById;
     this.getStickyLocation = getStickyLocation;
     this.selectionManager = selectionManager;
@@ -197,7 +205,7 @@ class StickyResizeStateMachine extends StateMachine {
       resizeStartHandler: {
         canHandle: (event, state) => {
           const handle = event.target.closest('[class*="resize-handle"]');
-          return state === StickyResizeState.IDLE && handle !== null;
+          return state === StickyResizeState.IDLE && handle !== null && !this.board.isReadOnly();
         },
         
         onMouseDown: (event, stateData) => {
@@ -263,8 +271,7 @@ class StickyResizeStateMachine extends StateMachine {
               (stateData.startSize.y - finalSize.y) * STICKY_SIZE;
           }
           
-          this.store.updateSize(stateData.stickyId, finalSize);
-          this.store.setLocation(stateData.stickyId, finalLocation);
+          this.board.resizeBoardItem('sticky', stateData.stickyId, { size: finalSize, location: finalLocation });
           
           this.transitionTo(StickyResizeState.IDLE, 'resize completed');
         }
@@ -489,6 +496,7 @@ class StickyResizeStateMachine extends StateMachine {
  * 
  * @param {HTMLElement} container - The sticky container element
  * @param {string} id - Sticky ID
+ * @param {Board} board - Board the sticky is on
  * @param {Function} updateTextById - Function to update sticky text
  * @param {Function} getStickyLocation - Function to get sticky location
  * @param {SelectionManager} selectionManager - Selection manager instance
@@ -498,6 +506,7 @@ class StickyResizeStateMachine extends StateMachine {
 export function setupStickyEvents(
   container,
   id,
+  board,
   updateTextById,
   getStickyLocation,
   selectionManager,
@@ -507,7 +516,7 @@ export function setupStickyEvents(
   
   // Create sticky resize state machine
   const resizeStateMachine = new StickyResizeStateMachine(
-    container, id, updateTextById, getStickyLocation, selectionManager, store
+    container, id, board, updateTextById, getStickyLocation, selectionManager, store
   );
   
   // Custom drag is now handled by the state machine
@@ -517,10 +526,13 @@ export function setupStickyEvents(
   function setEditable(enabled) {
     if (enabled) {
       container.classList.add("editing");
+      // Text typed by others shows up once editing ends, instead of replacing the text being typed
+      store.beginFieldEdit("sticky", id, "text");
       container.inputElement.focus();
     } else {
       container.classList.remove("editing");
       container.inputElement.blur();
+      store.endFieldEdit("sticky", id, "text");
     }
   }
 
@@ -539,8 +551,33 @@ export function setupStickyEvents(
     }
     if (event.key === "Escape") {
       setEditable(false);
+    } else if (container.classList.contains("editing") && !container.inputElement.readOnly) {
+      applyFormattingKey(event);
     }
   };
+
+  // Formatting shortcuts, and Enter on a bullet line, edit the markup around the selection
+  function applyFormattingKey(event) {
+    const textarea = container.inputElement;
+    const { value, selectionStart, selectionEnd } = textarea;
+    const shortcut = getFormattingShortcut(event);
+    let edit = null;
+    if (shortcut === "bullets") {
+      edit = toggleBulletList(value, selectionStart, selectionEnd);
+    } else if (shortcut) {
+      edit = toggleInlineFormat(value, selectionStart, selectionEnd, shortcut);
+    } else if (event.key === "Enter" && !event.isComposing &&
+        !event.shiftKey && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      edit = continueBulletList(value, selectionStart, selectionEnd);
+    }
+    if (!edit) {
+      return;
+    }
+    event.preventDefault();
+    textarea.value = edit.value;
+    textarea.setSelectionRange(edit.selectionStart, edit.selectionEnd);
+    textarea.dispatchEvent(new Event("input"));
+  }
   
   container.inputElement.onkeyup = (event) => {
     event.stopPropagation();
@@ -564,11 +601,13 @@ export function setupStickyEvents(
   // Input event for text updates
   container.inputElement.addEventListener("input", () => {
     moveToFront();
-    container.inputElement.value = updateTextById(
-      id,
-      container.inputElement.value
-    );
-    fitContentInSticky(container.sticky, container.inputElement);
+    const text = updateTextById(id, container.inputElement.value);
+    // Only write back changed text, so the caret stays where it is
+    if (container.inputElement.value !== text) {
+      container.inputElement.value = text;
+    }
+    renderStickyRichText(container, text);
+    fitContentInSticky(container.sticky, container.inputElement, container.richText);
   });
 
   // Track pointer down position for drag detection (works for both mouse and touch)
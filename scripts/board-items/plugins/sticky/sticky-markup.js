@@ -0,0 +1,308 @@
+/**
+ * Sticky Markup
+ * Sticky text is stored as plain text with a small markup, never as HTML:
+ *   **bold**, _italic_, ~~strikethrough~~
+ *   "- " at the start of a line makes it a bullet
+ *   line breaks are kept
+ *   http(s):// and www. addresses become links
+ * Markers that are not closed on the same line are shown as typed.
+ * Rendering builds elements and text nodes, so markup can't inject HTML.
+ */
+
+const INLINE_FORMATS = {
+  bold: { marker: "**", tagName: "strong" },
+  strike: { marker: "~~", tagName: "s" },
+  italic: { marker: "_", tagName: "em" },
+};
+
+const BULLET_PREFIX = "- ";
+const BULLET_SYMBOL = "• ";
+
+// Trailing punctuation is left out of links, so "see www.example.com." links the address only
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)'\]]/gi;
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+const WHITESPACE = /\s/;
+
+/**
+ * Cleans text typed or pasted into a sticky: Windows line breaks become
+ * plain ones and other control characters are dropped.
+ * @param {string} text - Sticky text
+ * @returns {string} Normalized text
+ */
+export function normalizeStickyText(text) {
+  return (text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\t/g, " ")
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, "");
+}
+
+/**
+ * Parses sticky text into lines of styled spans
+ * @param {string} text - Sticky text
+ * @returns {Array<{bullet: boolean, spans: Array<{text: string, bold?: boolean, italic?: boolean, strike?: boolean, href?: string}>}>} Lines
+ */
+export function parseStickyMarkup(text) {
+  return normalizeStickyText(text).split("\n").map((line) => {
+    const bullet = line.startsWith(BULLET_PREFIX);
+    const spans = [];
+    parseInline(bullet ? line.slice(BULLET_PREFIX.length) : line, {}, spans);
+    return { bullet, spans };
+  });
+}
+
+function parseInline(text, styles, spans) {
+  let plain = "";
+  let index = 0;
+  while (index < text.length) {
+    const style = Object.keys(INLINE_FORMATS).find((name) =>
+      !styles[name] && canOpen(text, index, INLINE_FORMATS[name].marker));
+    if (style) {
+      const { marker } = INLINE_FORMATS[style];
+      const closeIndex = findClose(text, index + marker.length, marker);
+      if (closeIndex !== -1) {
+        addTextSpans(plain, styles, spans);
+        plain = "";
+        parseInline(text.slice(index + marker.length, closeIndex), { ...styles, [style]: true }, spans);
+        index = closeIndex + marker.length;
+        continue;
+      }
+    }
+    plain += text[index];
+    index++;
+  }
+  addTextSpans(plain, styles, spans);
+}
+
+// An opening marker is followed by text; "_" also can't start inside a word, as in snake_case
+function canOpen(text, index, marker) {
+  if (!text.startsWith(marker, index)) {
+    return false;
+  }
+  const next = text[index + marker.length];
+  if (next === undefined || WHITESPACE.test(next)) {
+    return false;
+  }
+  return marker !== "_" || index === 0 || !WORD_CHARACTER.test(text[index - 1]);
+}
+
+function findClose(text, from, marker) {
+  for (let index = text.indexOf(marker, from + 1); index !== -1; index = text.indexOf(marker, index + 1)) {
+    const before = text[index - 1];
+    const after = text[index + marker.length];
+    const closesWord = marker !== "_" || after === undefined || !WORD_CHARACTER.test(after);
+    if (!WHITESPACE.test(before) && closesWord) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function addTextSpans(text, styles, spans) {
+  let last = 0;
+  for (const match of text.matchAll(URL_PATTERN)) {
+    if (match.index > last) {
+      spans.push({ ...styles, text: text.slice(last, match.index) });
+    }
+    spans.push({ ...styles, text: match[0], href: getLinkHref(match[0]) });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    spans.push({ ...styles, text: text.slice(last) });
+  }
+}
+
+function getLinkHref(url) {
+  return /^https?:\/\//i.test(url) ? url : "https://" + url;
+}
+
+/**
+ * @param {string} text - Sticky text
+ * @returns {boolean} Whether the text renders differently from the plain text
+ */
+export function hasStickyMarkup(text) {
+  const lines = parseStickyMarkup(text);
+  return lines.length > 1 || lines.some((line) =>
+    line.bullet || line.spans.some((span) => span.bold || span.italic || span.strike || span.href));
+}
+
+/**
+ * The text as it reads without markup, with "•" bullets. Used for searching and exporting.
+ * @param {string} text - Sticky text
+ * @returns {string} Plain text
+ */
+export function getStickyPlainText(text) {
+  return parseStickyMarkup(text)
+    .map((line) => (line.bullet ? BULLET_SYMBOL : "") + line.spans.map((span) => span.text).join(""))
+    .join("\n");
+}
+
+/**
+ * Renders sticky text into an element, replacing its contents
+ * @param {HTMLElement} element - Element to render into
+ * @param {string} text - Sticky text
+ */
+export function renderStickyMarkup(element, text) {
+  element.replaceChildren();
+  parseStickyMarkup(text).forEach((line) => {
+    const lineElement = document.createElement("div");
+    lineElement.className = line.bullet ? "sticky-line sticky-bullet" : "sticky-line";
+    line.spans.forEach((span) => lineElement.appendChild(createSpanElement(span)));
+    if (!line.spans.length) {
+      // Keeps empty lines one line high
+      lineElement.appendChild(document.createElement("br"));
+    }
+    element.appendChild(lineElement);
+  });
+}
+
+function createSpanElement(span) {
+  let node = document.createTextNode(span.text);
+  if (span.href) {
+    const link = document.createElement("a");
+    link.className = "sticky-link";
+    link.href = span.href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.appendChild(node);
+    // Following a link shouldn't start dragging or editing the sticky
+    ["mousedown", "touchstart"].forEach((type) =>
+      link.addEventListener(type, (event) => event.stopPropagation()));
+    node = link;
+  }
+  Object.keys(INLINE_FORMATS).forEach((style) => {
+    if (span[style]) {
+      const wrapper = document.createElement(INLINE_FORMATS[style].tagName);
+      wrapper.appendChild(node);
+      node = wrapper;
+    }
+  });
+  return node;
+}
+
+/**
+ * Adds or removes a style around the selected text. Without a selection the
+ * markers are inserted with the caret between them.
+ * @param {string} value - Textarea value
+ * @param {number} selectionStart - Selection start
+ * @param {number} selectionEnd - Selection end
+ * @param {"bold" | "italic" | "strike"} style - Style to toggle
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}} New value and selection
+ */
+export function toggleInlineFormat(value, selectionStart, selectionEnd, style) {
+  const format = INLINE_FORMATS[style];
+  if (!format) {
+    throw new Error(`Unknown text style: ${style}`);
+  }
+  const { marker } = format;
+  let start = selectionStart;
+  let end = selectionEnd;
+  // Markers can't sit next to spaces, so spaces at the edges of the selection stay outside
+  while (start < end && WHITESPACE.test(value[start])) start++;
+  while (end > start && WHITESPACE.test(value[end - 1])) end--;
+
+  const selected = value.slice(start, end);
+  const before = value.slice(0, start);
+  const after = value.slice(end);
+  if (before.endsWith(marker) && after.startsWith(marker)) {
+    return {
+      value: before.slice(0, -marker.length) + selected + after.slice(marker.length),
+      selectionStart: start - marker.length,
+      selectionEnd: end - marker.length,
+    };
+  }
+  if (selected.length >= marker.length * 2 + 1 && selected.startsWith(marker) && selected.endsWith(marker)) {
+    return {
+      value: before + selected.slice(marker.length, -marker.length) + after,
+      selectionStart: start,
+      selectionEnd: end - marker.length * 2,
+    };
+  }
+  return {
+    value: before + marker + selected + marker + after,
+    selectionStart: start + marker.length,
+    selectionEnd: end + marker.length,
+  };
+}
+
+/**
+ * Turns the lines touched by the selection into bullets, or back into plain
+ * lines when they all are bullets already
+ * @param {string} value - Textarea value
+ * @param {number} selectionStart - Selection start
+ * @param {number} selectionEnd - Selection end
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}} New value, with the changed lines selected
+ */
+export function toggleBulletList(value, selectionStart, selectionEnd) {
+  const start = value.lastIndexOf("\n", selectionStart - 1) + 1;
+  // A selection ending at the start of a line doesn't take that line along
+  const last = selectionEnd > selectionStart && value[selectionEnd - 1] === "\n" ? selectionEnd - 1 : selectionEnd;
+  const lineEnd = value.indexOf("\n", last);
+  const end = lineEnd === -1 ? value.length : lineEnd;
+  const lines = value.slice(start, end).split("\n");
+  const isList = lines.every((line) => !line.trim() || line.startsWith(BULLET_PREFIX));
+  const changed = lines.map((line) => {
+    if (isList) {
+      return line.startsWith(BULLET_PREFIX) ? line.slice(BULLET_PREFIX.length) : line;
+    }
+    return line.trim() ? BULLET_PREFIX + line : line;
+  }).join("\n");
+  return {
+    value: value.slice(0, start) + changed + value.slice(end),
+    selectionStart: start,
+    selectionEnd: start + changed.length,
+  };
+}
+
+/**
+ * Handles Enter on a bullet line: the next line becomes a bullet too, and
+ * Enter on an empty bullet ends the list
+ * @param {string} value - Textarea value
+ * @param {number} selectionStart - Selection start
+ * @param {number} selectionEnd - Selection end
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}|null} New value and caret, or null outside lists
+ */
+export function continueBulletList(value, selectionStart, selectionEnd) {
+  const start = value.lastIndexOf("\n", selectionStart - 1) + 1;
+  const line = value.slice(start, selectionStart);
+  if (!line.startsWith(BULLET_PREFIX)) {
+    return null;
+  }
+  if (line === BULLET_PREFIX && (value[selectionEnd] === undefined || value[selectionEnd] === "\n")) {
+    return {
+      value: value.slice(0, start) + value.slice(selectionEnd),
+      selectionStart: start,
+      selectionEnd: start,
+    };
+  }
+  const inserted = "\n" + BULLET_PREFIX;
+  const caret = selectionStart + inserted.length;
+  return {
+    value: value.slice(0, selectionStart) + inserted + value.slice(selectionEnd),
+    selectionStart: caret,
+    selectionEnd: caret,
+  };
+}
+
+/**
+ * The formatting a key press in a sticky asks for:
+ * Ctrl/Cmd+B bold, Ctrl/Cmd+I italic, Ctrl/Cmd+Shift+X strikethrough and Ctrl/Cmd+Shift+8 bullets
+ * @param {KeyboardEvent} event - Key event
+ * @returns {"bold" | "italic" | "strike" | "bullets" | null} Formatting, or null
+ */
+export function getFormattingShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+    return null;
+  }
+  const key = (event.key || "").toLowerCase();
+  if (!event.shiftKey) {
+    return { b: "bold", i: "italic" }[key] || null;
+  }
+  if (key === "x") {
+    return "strike";
+  }
+  if (key === "8" || key === "*" || event.code === "Digit8") {
+    return "bullets";
+  }
+  return null;
+}
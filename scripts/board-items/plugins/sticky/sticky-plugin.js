@@ -1,7 +1,10 @@
 import { BoardItemPlugin } from '../../plugin-interface.js';
+import { createEndpointData } from '../../connector-anchors.js';
 import { createRenderer as createStickyRenderer } from './sticky.js';
 import { getNextZIndex } from '../../../ui/z-index-manager.js';
 import { DEFAULT_STICKY_COLOR } from './sticky-styling.js';
+import { createStickySvgElement } from './sticky-dom.js';
+import { normalizeStickyText } from './sticky-markup.js';
 import { stickyColorPalette } from '../../../ui/color-management.js';
 
 export class StickyPlugin extends BoardItemPlugin {
@@ -18,9 +21,8 @@ export class StickyPlugin extends BoardItemPlugin {
     const store = board.getStore();
     const type = this.getType();
     
-    // Normalize text
-    itemData.text = itemData.text || "";
-    itemData.text = board.removeNewlines(itemData.text);
+    // Normalize text; line breaks are part of the markup and are kept
+    itemData.text = normalizeStickyText(itemData.text);
     
     // Calculate size
     const sizeUnits = (itemData.size && { x: itemData.size.x || 1, y: itemData.size.y || 1 }) || { x: 1, y: 1 };
@@ -108,9 +110,7 @@ export class StickyPlugin extends BoardItemPlugin {
     const updateData = {};
     
     if ('text' in updates) {
-      let text = updates.text || "";
-      text = board.removeNewlines(text);
-      updateData.text = text;
+      updateData.text = normalizeStickyText(updates.text);
     }
     if ('color' in updates) {
       updateData.color = updates.color;
@@ -127,7 +127,8 @@ export class StickyPlugin extends BoardItemPlugin {
     }
   }
 
-  isItem(itemData) { return !!(itemData && typeof itemData.text === 'string'); }
+  // Shapes have text too; they are told apart by their shape kind
+  isItem(itemData) { return !!(itemData && typeof itemData.text === 'string' && itemData.shape === undefined); }
   isElement(element) { return element?.classList?.contains('sticky-container'); }
   getBounds(item, boardOrigin) {
     if (!item) return null;
@@ -142,6 +143,10 @@ export class StickyPlugin extends BoardItemPlugin {
     };
   }
 
+  createSvgElement(item, boardOrigin, context) {
+    return createStickySvgElement(item, this.getBounds(item, boardOrigin), context, DEFAULT_STICKY_COLOR);
+  }
+
   isConnectorConnectedToItem(connector, itemId) {
     return ((connector.originItemId == itemId && connector.originItemType === 'sticky') ||
             (connector.destinationItemId == itemId && connector.destinationItemType === 'sticky'));
@@ -156,8 +161,8 @@ export class StickyPlugin extends BoardItemPlugin {
     return false;
   }
 
-  getConnectorEndpointData(id) {
-    return { stickyId: id };
+  getConnectorEndpointData(id, anchor) {
+    return createEndpointData(id, this.getType(), anchor);
   }
 
   // UI Integration Methods
@@ -186,6 +191,21 @@ export class StickyPlugin extends BoardItemPlugin {
     ];
   }
 
+  getSelectionMenuItems() {
+    return [
+      {
+        itemLabel: "Sort by votes",
+        className: "sort-by-votes",
+        icon: "images/sort-votes-icon.svg",
+        // Only useful once there are votes to sort by
+        isAvailable: (board) => !!board.getVotingSession(),
+        itemClickHandler: (board, selectedIds) => {
+          board.sortStickiesByVotes(selectedIds);
+        }
+      }
+    ];
+  }
+
   getEditingSelector() {
     return '.sticky-container.editing';
   }
@@ -1,8 +1,7 @@
 import { fitContentInSticky } from "../../text-fitting.js";
-import { createStickyContainerDOM } from "./sticky-dom.js";
+import { createStickyContainerDOM, renderStickyConflict, renderStickyRichText, renderStickyVotes } from "./sticky-dom.js";
 import { setStickyStyles, DEFAULT_STICKY_COLOR } from "./sticky-styling.js";
 import { setupStickyEvents } from "./sticky-events.js";
-import { getPlugin } from "../../plugin-registry.js";
 
 export { DEFAULT_STICKY_COLOR };
 
@@ -30,12 +29,9 @@ export const createRenderer = (
     const container = getStickyElement(
       domElement,
       stickyId,
+      board,
       (id, text) => {
-        const plugin = getPlugin('sticky');
-        if (plugin) {
-          plugin.updateItem(board, id, { text });
-          return text;
-        }
+        board.updateBoardItem('sticky', id, { text });
         return text;
       },
       (id) => board.getBoardItemLocationByType('sticky', id),
@@ -64,19 +60,25 @@ export const createRenderer = (
         }
       }
       const textarea = container.inputElement;
+      textarea.readOnly = board.isReadOnly();
       const textChanged = textarea.value !== sticky.text;
       const sizeChanged = container.lastKnownSize !== JSON.stringify(sticky.size || { x: 1, y: 1 });
       
       if (textChanged) {
         textarea.value = sticky.text;
-        fitContentInSticky(container.sticky, textarea);
+        renderStickyRichText(container, sticky.text);
+        fitContentInSticky(container.sticky, textarea, container.richText);
       } else if (sizeChanged) {
         // Size changed but text didn't - re-evaluate text fitting for new dimensions
-        fitContentInSticky(container.sticky, textarea);
+        fitContentInSticky(container.sticky, textarea, container.richText);
       }
       
       // Track the current size for future comparisons
       container.lastKnownSize = JSON.stringify(sticky.size || { x: 1, y: 1 });
+      renderStickyVotes(container, board.getStickyVotes(stickyId));
+      renderStickyConflict(container, store.getFieldConflicts('sticky', stickyId), () => {
+        store.dismissFieldConflicts('sticky', stickyId);
+      });
     }
   };
 };
@@ -84,6 +86,7 @@ export const createRenderer = (
 function getStickyElement(
   boardElement,
   id,
+  board,
   updateTextById,
   getStickyLocation,
   selectionManager,
@@ -106,6 +109,7 @@ function getStickyElement(
     setupStickyEvents(
       container,
       id,
+      board,
       updateTextById,
       getStickyLocation,
       selectionManager,
@@ -0,0 +1,345 @@
+import { StateMachine, GlobalListenerManager } from "../ui/state-machine-base.js";
+import { createStateConfig } from "../ui/state-config-pattern.js";
+import { getEventCoordinates, getEventPageCoordinates, resizeFromSide } from "../ui/movement-utils.js";
+
+/**
+ * Resizable Item State Machine
+ * Handles resizing, dragging, selection and text editing of an item that is
+ * resized from the handles on its sides and has a text input that is edited
+ * after a double click, like shapes and frames. The item type decides:
+ *   type, selectionType - item type and storage key, e.g. 'shape' and 'shapes'
+ *   minSize - smallest width and height when resizing
+ *   setStyles(item, container, isSelected, isResizing, boardOrigin) - shows the item
+ *   editTarget - selector of the part that starts editing when double clicked, anywhere if unset
+ *   finishEditingKeys - keys that end editing, e.g. ['Escape']
+ *   keepFocusOnPress - whether a press must not focus the input
+ */
+const ResizableItemState = {
+  IDLE: 'idle',
+  RESIZING: 'resizing'
+};
+
+// Pointer travel before a press on an item turns into a drag
+const DRAG_THRESHOLD = 5;
+
+class ResizableItemStateMachine extends StateMachine {
+  constructor(container, id, board, updateTextById, selectionManager, store, itemType) {
+    const stateConfig = createStateConfig(ResizableItemState);
+
+    stateConfig[ResizableItemState.IDLE] = {
+      setup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.globalListeners.clearAll();
+          document.body.style.cursor = '';
+        }
+        stateData.resize = null;
+      },
+      cleanup: (stateData, stateMachine) => {
+        stateMachine.globalListeners.clearAll();
+      }
+    };
+
+    stateConfig[ResizableItemState.RESIZING] = {
+      setup: (stateData, stateMachine) => {
+        document.body.style.cursor = getCursorForResizeSide(stateData.resize.side);
+        stateMachine.globalListeners.setListeners({
+          'mousemove': (event) => stateMachine.handleResizeMove(event),
+          'mouseup': (event) => stateMachine.handleResizeEnd(event),
+          'touchmove': (event) => {
+            event.preventDefault(); // Prevent scrolling during resize
+            stateMachine.handleResizeMove(event);
+          },
+          'touchend': (event) => {
+            event.preventDefault();
+            stateMachine.handleResizeEnd(event);
+          }
+        });
+      },
+      cleanup: (stateData, stateMachine) => {
+        stateMachine.globalListeners.clearAll();
+        document.body.style.cursor = '';
+      }
+    };
+
+    super(ResizableItemState.IDLE, stateConfig);
+
+    this.container = container;
+    this.id = id;
+    this.board = board;
+    this.updateTextById = updateTextById;
+    this.selectionManager = selectionManager;
+    this.store = store;
+    this.itemType = itemType;
+    this.globalListeners = new GlobalListenerManager();
+    this.pointer = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Sub-handler architecture with explicit precedence
+   */
+  getItemHandlers() {
+    return {
+      resizeHandler: {
+        canHandle: (event, state, appState) => {
+          return state === ResizableItemState.IDLE &&
+                 !!event.target?.closest?.('.resize-handle') &&
+                 !appState.ui.nextClickCreatesConnector &&
+                 !this.board.isReadOnly();
+        },
+
+        onMouseDown: (event) => {
+          const handle = event.target.closest('.resize-handle');
+          const side = Array.from(handle.classList)
+            .find((className) => className.startsWith('resize-handle-'))
+            ?.replace('resize-handle-', '');
+          const coords = getEventCoordinates(event);
+          if (!side || !coords) return;
+
+          event.preventDefault();
+          event.stopPropagation();
+
+          const item = this.store.getBoardItem(this.itemType.type, this.id);
+          this.stateData.resize = {
+            side,
+            start: { x: coords.clientX, y: coords.clientY },
+            original: { width: item.width, height: item.height, location: { ...item.location } },
+            current: null
+          };
+          this.transitionTo(ResizableItemState.RESIZING, 'resize started');
+        }
+      },
+
+      dragHandler: {
+        canHandle: (event, state, appState) => {
+          return state === ResizableItemState.IDLE &&
+                 !this.isEditing() &&
+                 !appState.ui.nextClickCreatesConnector &&
+                 !!window.dragManager;
+        },
+
+        onMouseDown: (event) => {
+          const pageCoords = getEventPageCoordinates(event);
+          if (!pageCoords) return;
+          if (this.itemType.keepFocusOnPress) {
+            // The input is only edited after a double click
+            event.preventDefault();
+          }
+          this.trackPointer(pageCoords);
+        }
+      },
+
+      selectionHandler: {
+        canHandle: (event, state, appState) => {
+          return state === ResizableItemState.IDLE &&
+                 !this.isEditing() &&
+                 !appState.ui.nextClickCreatesConnector;
+        },
+
+        onClick: (event) => {
+          const dragStarted = this.pointer && this.pointer.dragStarted;
+          this.stopTrackingPointer();
+          // Ignore the click ending a drag
+          if (dragStarted || (window.dragManager && window.dragManager.justCompletedDrag)) {
+            return;
+          }
+          event.stopPropagation();
+          this.select(!!(event.shiftKey || window.currentShiftPressed));
+        }
+      }
+    };
+  }
+
+  getHandlerPriority() {
+    return ['resizeHandler', 'dragHandler', 'selectionHandler'];
+  }
+
+  routeEvent(eventName, handlerMethod, event) {
+    const appState = this.store.getAppState();
+    const handlers = this.getItemHandlers();
+    for (const handlerName of this.getHandlerPriority()) {
+      const handler = handlers[handlerName];
+      if (handler[handlerMethod] && handler.canHandle(event, this.currentState, appState)) {
+        if (this.isDebugMode()) {
+          const typeName = this.itemType.type[0].toUpperCase() + this.itemType.type.slice(1);
+          console.log(`[${typeName}Event] ${eventName} handled by ${handlerName} in ${this.currentState}`);
+        }
+        return handler[handlerMethod](event);
+      }
+    }
+  }
+
+  /**
+   * Starts a drag through the drag manager once the pointer moved far enough
+   */
+  trackPointer(pageCoords) {
+    this.stopTrackingPointer();
+    const pointer = { start: { x: pageCoords.pageX, y: pageCoords.pageY }, dragStarted: false };
+    pointer.onMove = (moveEvent) => {
+      const moveCoords = getEventPageCoordinates(moveEvent);
+      if (!moveCoords) return;
+      if (Math.abs(moveCoords.pageX - pointer.start.x) > DRAG_THRESHOLD ||
+          Math.abs(moveCoords.pageY - pointer.start.y) > DRAG_THRESHOLD) {
+        this.removePointerListeners(pointer);
+        pointer.dragStarted = true;
+        if (window.dragManager.startDrag(this.id, this.itemType.type, moveEvent)) {
+          moveEvent.preventDefault();
+          moveEvent.stopPropagation();
+        }
+      }
+    };
+    pointer.onTouchMove = (moveEvent) => {
+      moveEvent.preventDefault(); // Prevent scrolling
+      pointer.onMove(moveEvent);
+    };
+    // The click that follows a mouse press still needs to know whether it ended a drag
+    pointer.onMouseUp = () => this.removePointerListeners(pointer);
+    // Touch presses are prevented from turning into clicks, so a tap selects here
+    pointer.onTouchEnd = () => {
+      this.removePointerListeners(pointer);
+      if (!pointer.dragStarted && !(window.dragManager && window.dragManager.justCompletedDrag)) {
+        this.select(false);
+      }
+    };
+    document.addEventListener('mousemove', pointer.onMove);
+    document.addEventListener('touchmove', pointer.onTouchMove, { passive: false });
+    document.addEventListener('mouseup', pointer.onMouseUp);
+    document.addEventListener('touchend', pointer.onTouchEnd);
+    this.pointer = pointer;
+  }
+
+  stopTrackingPointer() {
+    if (this.pointer) {
+      this.removePointerListeners(this.pointer);
+      this.pointer = null;
+    }
+  }
+
+  removePointerListeners(pointer) {
+    document.removeEventListener('mousemove', pointer.onMove);
+    document.removeEventListener('touchmove', pointer.onTouchMove);
+    document.removeEventListener('mouseup', pointer.onMouseUp);
+    document.removeEventListener('touchend', pointer.onTouchEnd);
+  }
+
+  select(addToSelection) {
+    this.selectionManager.selectItem(this.itemType.selectionType, this.id, { addToSelection });
+    if (window.menuRenderCallback) {
+      window.menuRenderCallback();
+    }
+  }
+
+  /**
+   * Shows the new size while resizing; the board is only changed when the resize ends
+   */
+  handleResizeMove(event) {
+    const { resize } = this.stateData;
+    const coords = getEventCoordinates(event);
+    if (!resize || !coords) return;
+
+    const boardScale = this.store.getAppState().ui.boardScale || 1;
+    const dx = (coords.clientX - resize.start.x) / boardScale;
+    const dy = (coords.clientY - resize.start.y) / boardScale;
+    resize.current = resizeFromSide(resize.original, resize.side, dx, dy, this.itemType.minSize);
+
+    const item = this.store.getBoardItem(this.itemType.type, this.id);
+    this.itemType.setStyles({ ...item, ...resize.current }, this.container, false, true, this.board.getOrigin());
+  }
+
+  handleResizeEnd(event) {
+    const { resize } = this.stateData;
+    event.preventDefault();
+    event.stopPropagation(); // Prevent click events from firing after resize
+    this.transitionTo(ResizableItemState.IDLE, 'resize ended');
+    if (resize && resize.current) {
+      this.board.resizeBoardItem(this.itemType.type, this.id, resize.current);
+    }
+  }
+
+  isEditing() {
+    return this.container.classList.contains('editing');
+  }
+
+  setEditing(enabled) {
+    const input = this.container.inputElement;
+    this.container.classList.toggle('editing', enabled);
+    input.readOnly = !enabled;
+    if (enabled) {
+      input.focus();
+      input.select();
+    } else if (document.activeElement === input) {
+      input.blur();
+    }
+  }
+
+  setupEventListeners() {
+    const input = this.container.inputElement;
+    const { editTarget, finishEditingKeys } = this.itemType;
+
+    this.container.onmousedown = (event) => {
+      if (!this.isEditing()) {
+        this.routeEvent('mousedown', 'onMouseDown', event);
+      }
+    };
+    this.container.addEventListener('touchstart', (event) => {
+      if (!this.isEditing()) {
+        event.preventDefault();
+        this.routeEvent('touchstart', 'onMouseDown', event);
+      }
+    }, { passive: false });
+    this.container.onclick = (event) => {
+      this.routeEvent('click', 'onClick', event);
+    };
+
+    // Text is edited after a double click, like a label
+    this.container.ondblclick = (event) => {
+      if (this.isEditing() || this.board.isReadOnly() || event.target.closest('.resize-handle') ||
+          (editTarget && !event.target.closest(editTarget))) {
+        return;
+      }
+      event.stopPropagation();
+      this.selectionManager.selectItem(this.itemType.selectionType, this.id);
+      this.setEditing(true);
+    };
+    input.onblur = () => this.setEditing(false);
+    input.onkeydown = (event) => {
+      // Keys typed into the item must not trigger board shortcuts
+      event.stopPropagation();
+      if (finishEditingKeys.includes(event.key)) {
+        this.setEditing(false);
+      }
+    };
+    input.onkeyup = (event) => event.stopPropagation();
+    input.oninput = () => this.updateTextById(this.id, input.value);
+  }
+
+  cleanup() {
+    this.stopTrackingPointer();
+    this.transitionTo(ResizableItemState.IDLE, 'cleanup');
+  }
+}
+
+function getCursorForResizeSide(side) {
+  return side === 'left' || side === 'right' ? 'ew-resize' : 'ns-resize';
+}
+
+/**
+ * Setup function that creates and returns a ResizableItemStateMachine instance
+ * @param {Object} itemType - What sets the item type apart, see the module comment
+ */
+export function setupResizableItemEvents(container, id, board, updateTextById, selectionManager, store, itemType) {
+  const stateMachine = new ResizableItemStateMachine(container, id, board, updateTextById, selectionManager, store, itemType);
+
+  return {
+    cleanup: () => stateMachine.cleanup(),
+    getCurrentState: () => stateMachine.currentState,
+    isEditing: () => stateMachine.isEditing()
+  };
+}
+
+// Export for testing
+export {
+  ResizableItemState,
+  ResizableItemStateMachine
+};
@@ -6,8 +6,9 @@
  * 
  * @param {HTMLElement} sticky - The sticky note container element
  * @param {HTMLTextAreaElement} textarea - The textarea element containing the text
+ * @param {HTMLElement} [richText] - Formatted rendering of the text shown over the textarea
  */
-export function fitContentInSticky(sticky, textarea) {
+export function fitContentInSticky(sticky, textarea, richText) {
   textarea.rows = 1;
   textarea.style.fontSize = "1.5rem"; // Reduced from 3rem for 70px stickies
   let fontSize = 1.5; // Reduced from 3.0 for 70px stickies
@@ -151,4 +152,89 @@ export function fitContentInSticky(sticky, textarea) {
     
     // If we successfully increased without overflow, continue to next iteration
   }
+
+  if (richText) {
+    fitRichText(richText, fontSize);
+  }
+}
+
+/**
+ * Starts the formatted text at the textarea's font size and shrinks it until it fits.
+ * Bold text and bullets can take more room than the markup they replace.
+ * 
+ * @param {HTMLElement} richText - Formatted text element
+ * @param {number} fontSize - Font size of the textarea in rem
+ */
+function fitRichText(richText, fontSize) {
+  let richFontSize = fontSize;
+  richText.style.fontSize = richFontSize + "rem";
+  while (richText.scrollHeight > richText.clientHeight && richFontSize > 0.5) {
+    richFontSize -= 0.1;
+    richText.style.fontSize = richFontSize + "rem";
+  }
+}
+
+/**
+ * Wraps text into lines no wider than maxWidth, breaking at whitespace.
+ * A word wider than maxWidth is put on a line of its own rather than split.
+ * Line breaks in the text are kept, and empty lines stay as blank lines.
+ * 
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @param {(text: string) => number} measure - Returns the rendered width of a string
+ * @returns {Array<string>} Lines of text
+ */
+export function wrapText(text, maxWidth, measure) {
+  if (text.includes("\n")) {
+    return text.split("\n").flatMap((paragraph) => {
+      const lines = wrapText(paragraph, maxWidth, measure);
+      return lines.length ? lines : [""];
+    });
+  }
+  const words = text.match(/\S+/g) || [];
+  const lines = [];
+  let line = "";
+  words.forEach((word) => {
+    const candidate = line ? line + " " + word : word;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Finds the largest font size at which the wrapped text fits in a box.
+ * Used where there is no live textarea to measure, e.g. when rendering stickies to SVG.
+ * The font size range matches fitContentInSticky (0.5rem to 5rem).
+ * 
+ * @param {string} text - Text to fit
+ * @param {number} width - Available width in pixels
+ * @param {number} height - Available height in pixels
+ * @param {(text: string, fontSize: number) => number} measureText - Returns the width of text at a font size
+ * @param {Object} [options]
+ * @param {number} [options.minFontSize=8] - Smallest font size in pixels
+ * @param {number} [options.maxFontSize=80] - Largest font size in pixels
+ * @param {number} [options.lineHeight=1.2] - Line height as a multiple of the font size
+ * @returns {{fontSize: number, lines: Array<string>}} Chosen font size and wrapped lines
+ */
+export function fitTextInBox(text, width, height, measureText, options = {}) {
+  const { minFontSize = 8, maxFontSize = 80, lineHeight = 1.2 } = options;
+  let lines = [];
+  for (let fontSize = maxFontSize; fontSize >= minFontSize; fontSize--) {
+    const measure = (s) => measureText(s, fontSize);
+    lines = wrapText(text, width, measure);
+    const fitsHeight = lines.length * fontSize * lineHeight <= height;
+    const fitsWidth = lines.every((line) => measure(line) <= width);
+    if (fitsHeight && fitsWidth) {
+      return { fontSize, lines };
+    }
+  }
+  return { fontSize: minFontSize, lines };
 }
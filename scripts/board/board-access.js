@@ -0,0 +1,100 @@
+/**
+ * Board Access
+ * Roles of users on a board, derived from the creatorId, editors and viewers
+ * fields of the board document. Members are added by email address; entries
+ * holding a user id (from before sharing by email existed) are still honored.
+ * firestore.rules enforces the same roles on the server.
+ */
+
+export const BoardRole = {
+  OWNER: "owner",
+  EDITOR: "editor",
+  VIEWER: "viewer",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {string} email - Email address as entered
+ * @returns {string} Trimmed, lower case email address
+ */
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/**
+ * @param {string} email - Email address as entered
+ * @returns {boolean} True if it looks like an email address
+ */
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(normalizeEmail(email));
+}
+
+/**
+ * @param {{uid: string, email?: string}} user - Signed in user
+ * @returns {string[]} The entries editors and viewers lists may hold for the user
+ */
+export function getUserKeys(user) {
+  return [user.uid, normalizeEmail(user.email)].filter(Boolean);
+}
+
+/**
+ * Determines the role of a user on a board
+ * @param {{creatorId?: string, editors?: string[], viewers?: string[]}} access - Board access fields
+ * @param {{uid: string, email?: string}|null} user - Signed in user, null when working offline
+ * @returns {string|null} A BoardRole, or null if the user has no access
+ */
+export function getBoardRole(access, user) {
+  // Offline boards belong to whoever has them open
+  if (!user) {
+    return BoardRole.OWNER;
+  }
+  // Boards without a creator are claimed by the first user opening them (see FirestoreStore.connect)
+  if (!access || !access.creatorId || access.creatorId === user.uid) {
+    return BoardRole.OWNER;
+  }
+  const keys = getUserKeys(user);
+  const isListed = (list) => Array.isArray(list) && list.some((entry) => keys.includes(normalizeEmail(entry)) || keys.includes(entry));
+  if (isListed(access.editors)) {
+    return BoardRole.EDITOR;
+  }
+  if (isListed(access.viewers)) {
+    return BoardRole.VIEWER;
+  }
+  return null;
+}
+
+/**
+ * @param {string|null} role - A BoardRole
+ * @returns {boolean} True if the role may change board contents
+ */
+export function canEditBoard(role) {
+  return role === BoardRole.OWNER || role === BoardRole.EDITOR;
+}
+
+/**
+ * Gives a member a role, or removes the member
+ * @param {{editors?: string[], viewers?: string[]}} access - Current board access fields
+ * @param {string} email - Email address of the member
+ * @param {string|null} role - BoardRole.EDITOR, BoardRole.VIEWER, or null to remove the member
+ * @returns {{editors: string[], viewers: string[]}} New editors and viewers lists
+ * @throws {Error} If the email address or role is invalid
+ */
+export function setMemberRole(access, email, role) {
+  if (!isValidEmail(email)) {
+    throw new Error(`"${email}" is not a valid email address`);
+  }
+  if (role !== null && role !== BoardRole.EDITOR && role !== BoardRole.VIEWER) {
+    throw new Error(`Invalid role ${role}`);
+  }
+  const member = normalizeEmail(email);
+  const without = (list) => (list || []).filter((entry) => normalizeEmail(entry) !== member);
+  const editors = without(access.editors);
+  const viewers = without(access.viewers);
+  if (role === BoardRole.EDITOR) {
+    editors.push(member);
+  } else if (role === BoardRole.VIEWER) {
+    viewers.push(member);
+  }
+  return { editors, viewers };
+}
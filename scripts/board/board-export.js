@@ -0,0 +1,209 @@
+import { getAllPlugins } from '../board-items/plugin-registry.js';
+import { convertOldFormatToNewFormat } from './data-format-converter.js';
+import { getAssetStore } from '../network/asset-store.js';
+
+/**
+ * Board Export Module
+ * Serializes a board into a versioned JSON document and loads such documents
+ * back into a board, independent of the store (LocalDatastore or FirestoreStore)
+ * behind it. This is how boards move between offline and Firestore mode.
+ *
+ * Images kept in the asset store are written into the document as data URLs,
+ * so a file doesn't depend on the store it came from. They have to be loaded
+ * (see getImageAssetIds) before exporting.
+ *
+ * Document layout:
+ * {
+ *   format: "put-it-up-board",
+ *   version: 1,
+ *   exportedAt: <ms since epoch>,
+ *   board: { title, origin, limit },
+ *   state: <board.getState(): plugin items, connectors and id generators>
+ * }
+ */
+
+export const BOARD_EXPORT_FORMAT = 'put-it-up-board';
+export const BOARD_EXPORT_VERSION = 1;
+
+/**
+ * Creates the export document for a board
+ * @param {Object} board - Board instance
+ * @returns {Object} Export document
+ */
+export function exportBoard(board) {
+  const { origin, limit } = board.getBoardBounds();
+  const boardData = { origin, limit };
+  const title = board.getBoardTitle();
+  if (title) {
+    boardData.title = title;
+  }
+  return {
+    format: BOARD_EXPORT_FORMAT,
+    version: BOARD_EXPORT_VERSION,
+    exportedAt: Date.now(),
+    board: boardData,
+    state: inlineImageAssets(board.getState()),
+  };
+}
+
+/**
+ * @param {Object} board - Board instance
+ * @returns {string[]} Ids of the assets shown by image items of the board
+ */
+export function getImageAssetIds(board) {
+  const images = board.getState().images || {};
+  return Object.values(images)
+    .filter((image) => !image.dataUrl && image.assetId)
+    .map((image) => image.assetId);
+}
+
+/**
+ * Loads the assets of the board's images, so they can be inlined
+ * @param {Object} board - Board instance
+ * @returns {Promise<void>} Resolves once loaded; images that can't be loaded keep their asset id
+ */
+export async function loadImageAssets(board) {
+  const assets = getAssetStore();
+  if (assets) {
+    await assets.preload(getImageAssetIds(board));
+  }
+}
+
+/**
+ * @param {Object} state - Board state, like board.getState()
+ * @returns {Object} The state with loaded image assets written into their items as data URLs
+ */
+export function inlineImageAssets(state) {
+  const assets = getAssetStore();
+  if (!assets || !state.images) {
+    return state;
+  }
+  const images = {};
+  Object.entries(state.images).forEach(([id, image]) => {
+    const dataUrl = !image.dataUrl && image.assetId && assets.getCachedUrl(image.assetId);
+    if (dataUrl) {
+      const { assetId, ...inline } = image;
+      images[id] = { ...inline, dataUrl };
+    } else {
+      images[id] = image;
+    }
+  });
+  return { ...state, images };
+}
+
+/**
+ * Serializes a board to a JSON string
+ * @param {Object} board - Board instance
+ * @returns {string} JSON text of the export document
+ */
+export function serializeBoard(board) {
+  return JSON.stringify(exportBoard(board), null, 2);
+}
+
+/**
+ * Parses and validates the text of an export document
+ * @param {string} text - JSON text
+ * @returns {Object} Validated export document with its state converted to the current format
+ * @throws {Error} If the text is not a valid board export
+ */
+export function parseBoardExport(text) {
+  let exported;
+  try {
+    exported = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Board file is not valid JSON: ${e.message}`);
+  }
+  return validateBoardExport(exported);
+}
+
+/**
+ * Validates an export document
+ * @param {Object} exported - Parsed export document
+ * @returns {Object} The document with its state converted to the current format
+ * @throws {Error} Describing the first problem found
+ */
+export function validateBoardExport(exported) {
+  if (!isPlainObject(exported) || exported.format !== BOARD_EXPORT_FORMAT) {
+    throw new Error('Not a board export file');
+  }
+  if (!Number.isInteger(exported.version) || exported.version < 1) {
+    throw new Error(`Invalid board export version: ${exported.version}`);
+  }
+  if (exported.version > BOARD_EXPORT_VERSION) {
+    throw new Error(`Board export version ${exported.version} is newer than the supported version ${BOARD_EXPORT_VERSION}`);
+  }
+  if (!isPlainObject(exported.state)) {
+    throw new Error('Board export has no state');
+  }
+
+  // Checked before conversion, which would silently drop malformed connectors
+  validateCollection(exported.state.connectors, 'connectors');
+  const state = convertOldFormatToNewFormat(exported.state);
+  getAllPlugins().forEach(plugin => {
+    const storageKey = plugin.getSelectionType();
+    if (state[storageKey] !== undefined) {
+      validateCollection(state[storageKey], storageKey);
+      Object.entries(state[storageKey]).forEach(([id, item]) => {
+        if (!plugin.isItem(item)) {
+          throw new Error(`Invalid ${plugin.getType()} with id=${id}`);
+        }
+      });
+    }
+  });
+  Object.keys(state)
+    .filter(key => key === 'idGen' || key.endsWith('IdGen'))
+    .forEach(key => {
+      if (typeof state[key] !== 'number' || state[key] < 0) {
+        throw new Error(`Invalid id generator ${key}: ${state[key]}`);
+      }
+    });
+
+  const boardData = exported.board || {};
+  if (!isPlainObject(boardData)) {
+    throw new Error('Invalid board metadata');
+  }
+  ['origin', 'limit'].forEach(key => {
+    const point = boardData[key];
+    if (point !== undefined && !(isPlainObject(point) && Number.isFinite(point.x) && Number.isFinite(point.y))) {
+      throw new Error(`Invalid board ${key}`);
+    }
+  });
+
+  return { ...exported, board: boardData, state };
+}
+
+/**
+ * Loads a validated export document into a board, replacing its contents
+ * @param {Object} board - Board instance
+ * @param {Object} exported - Export document (validated again before loading)
+ */
+export function importBoard(board, exported) {
+  const { board: boardData, state } = validateBoardExport(exported);
+  const store = board.getStore();
+
+  board.setState(state);
+  // Bounds missing from the document keep the board's current ones
+  const { origin, limit } = board.getBoardBounds();
+  store.updateBoard({ origin: boardData.origin || origin, limit: boardData.limit || limit });
+  if (boardData.title) {
+    store.updateBoardTitle(boardData.title);
+  }
+}
+
+function validateCollection(collection, name) {
+  if (collection === undefined) {
+    return;
+  }
+  if (!isPlainObject(collection)) {
+    throw new Error(`Invalid ${name} in board export`);
+  }
+  Object.entries(collection).forEach(([id, entry]) => {
+    if (!isPlainObject(entry)) {
+      throw new Error(`Invalid entry in ${name} with id=${id}`);
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,253 @@
+import { getStorageKeyForType } from '../board-items/plugin-registry.js';
+
+/**
+ * Board History Module
+ * Records undoable steps for board mutations.
+ *
+ * A step is the list of entities (plugin items and connectors) that changed
+ * while a recorded mutation ran. Created and deleted entities are kept with
+ * their value before and after, modified ones only with the fields that
+ * changed. Undoing a step applies the inverse operation for every change
+ * (re-create a deleted entity, delete a created one, put back the changed
+ * fields of a modified one); redoing re-applies the recorded result. Fields
+ * the step didn't change are left alone, so later edits to them, by this
+ * user or by others, survive undo and redo.
+ *
+ * A step recorded with a merge key extends the previous step if that one was
+ * recorded with the same key, so typing into an item is undone at once.
+ */
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+export class BoardHistory {
+  undoStack = [];
+  redoStack = [];
+  // Nesting depth of open steps; only the outermost step is committed
+  depth = 0;
+  // Greater than zero while a recorded mutation is running synchronously.
+  // Store notifications outside of that window (e.g. remote Firestore
+  // changes arriving during a drag) are not attributed to the step.
+  capturing = 0;
+  applying = false;
+  snapshot = null;
+  touched = new Map();
+  mergeKey = null;
+
+  constructor(store, limit = DEFAULT_HISTORY_LIMIT) {
+    this.store = store;
+    this.limit = limit;
+    store.addObserver(this);
+  }
+
+  /**
+   * Opens a step. Mutations recorded until the matching endStep() are
+   * undone and redone together.
+   */
+  beginStep = () => {
+    if (this.depth === 0) {
+      this.snapshot = this.store.getState();
+      this.touched.clear();
+      this.mergeKey = null;
+    }
+    this.depth++;
+  };
+
+  /**
+   * Closes a step opened with beginStep(). Closing the outermost step
+   * pushes it onto the undo stack if anything actually changed.
+   */
+  endStep = () => {
+    if (this.depth === 0) {
+      return;
+    }
+    this.depth--;
+    if (this.depth === 0) {
+      this.commit();
+    }
+  };
+
+  /**
+   * Runs a mutation as (part of) a step
+   * @param {Function} mutation - Function performing the store changes
+   * @param {string} [mergeKey] - Merges the step into the previous one with the same key
+   * @returns {*} The mutation's return value
+   */
+  record = (mutation, mergeKey) => {
+    this.beginStep();
+    if (this.depth === 1) {
+      this.mergeKey = mergeKey ?? null;
+    }
+    this.capturing++;
+    try {
+      return mutation();
+    } finally {
+      this.capturing--;
+      this.endStep();
+    }
+  };
+
+  commit = () => {
+    const changes = [];
+    const current = this.store.getState();
+    this.touched.forEach(({ type, id }) => {
+      const before = readEntity(this.snapshot, type, id);
+      const after = readEntity(current, type, id);
+      if (before !== undefined && after !== undefined) {
+        const fields = diffFields(before, after);
+        if (Object.keys(fields).length > 0) {
+          changes.push({ type, id, fields });
+        }
+      } else if (before !== after) {
+        changes.push({ type, id, before, after });
+      }
+    });
+    this.snapshot = null;
+    this.touched.clear();
+
+    if (changes.length === 0 || this.merge(changes)) {
+      return;
+    }
+    this.undoStack.push({ changes, mergeKey: this.mergeKey });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  };
+
+  // Extends the previous step with changes recorded under the same merge key
+  merge = (changes) => {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (!this.mergeKey || !last || last.mergeKey !== this.mergeKey || this.redoStack.length > 0) {
+      return false;
+    }
+    const mergeable = changes.every((change) => change.fields &&
+      last.changes.some((previous) => previous.fields && previous.type === change.type && previous.id === change.id));
+    if (!mergeable) {
+      return false;
+    }
+    changes.forEach((change) => {
+      const previous = last.changes.find((p) => p.type === change.type && p.id === change.id);
+      Object.entries(change.fields).forEach(([field, { before, after }]) => {
+        previous.fields[field] = { before: field in previous.fields ? previous.fields[field].before : before, after };
+      });
+    });
+    return true;
+  };
+
+  canUndo = () => this.depth === 0 && this.undoStack.length > 0;
+
+  canRedo = () => this.depth === 0 && this.redoStack.length > 0;
+
+  /**
+   * Reverts the most recent step
+   * @returns {boolean} True if a step was undone
+   */
+  undo = () => {
+    if (!this.canUndo()) {
+      return false;
+    }
+    const step = this.undoStack.pop();
+    this.apply([...step.changes].reverse(), 'before');
+    this.redoStack.push(step);
+    return true;
+  };
+
+  /**
+   * Re-applies the most recently undone step
+   * @returns {boolean} True if a step was redone
+   */
+  redo = () => {
+    if (!this.canRedo()) {
+      return false;
+    }
+    const step = this.redoStack.pop();
+    this.apply(step.changes, 'after');
+    this.undoStack.push(step);
+    return true;
+  };
+
+  clear = () => {
+    this.undoStack = [];
+    this.redoStack = [];
+  };
+
+  apply = (changes, side) => {
+    const current = this.store.getState();
+    this.applying = true;
+    try {
+      changes.forEach((change) => {
+        const exists = readEntity(current, change.type, change.id) !== undefined;
+        if (change.fields) {
+          // An entity somebody else deleted in the meantime stays deleted
+          if (exists) {
+            this.restoreFields(change, side);
+          }
+          return;
+        }
+        const value = change[side];
+        if (change.type === 'connector') {
+          if (value !== undefined) {
+            this.store.restoreConnector(change.id, clone(value));
+          } else if (exists) {
+            this.store.deleteConnector(change.id);
+          }
+        } else if (value !== undefined) {
+          this.store.restoreBoardItem(change.type, change.id, clone(value));
+        } else if (exists) {
+          this.store.deleteBoardItem(change.type, change.id);
+        }
+      });
+    } finally {
+      this.applying = false;
+    }
+  };
+
+  restoreFields = (change, side) => {
+    const fields = {};
+    Object.entries(change.fields).forEach(([field, values]) => {
+      fields[field] = values[side] === undefined ? undefined : clone(values[side]);
+    });
+    if (change.type === 'connector') {
+      this.store.restoreConnectorFields(change.id, fields);
+    } else {
+      this.store.restoreBoardItemFields(change.type, change.id, fields);
+    }
+  };
+
+  // Store observer interface
+  onBoardItemChange = (type, id) => {
+    this.touch(type, id);
+  };
+
+  onConnectorChange = (id) => {
+    this.touch('connector', id);
+  };
+
+  onBoardChange = () => {};
+
+  touch = (type, id) => {
+    if (this.capturing > 0 && !this.applying) {
+      this.touched.set(`${type}:${id}`, { type, id: String(id) });
+    }
+  };
+}
+
+function readEntity(state, type, id) {
+  const storageKey = type === 'connector' ? 'connectors' : getStorageKeyForType(type);
+  return state[storageKey]?.[id];
+}
+
+// Top level fields whose values differ, with their values before and after
+function diffFields(before, after) {
+  const fields = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      fields[field] = { before: before[field], after: after[field] };
+    }
+  });
+  return fields;
+}
+
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
@@ -0,0 +1,245 @@
+/**
+ * Board Layout
+ * Computes where layout commands put the selected items:
+ * - align-left, align-center, align-right: lines items up on one vertical
+ *   edge or their vertical center line
+ * - align-top, align-middle, align-bottom: the same for horizontal edges
+ * - distribute-horizontally, distribute-vertically: equal gaps between
+ *   items, the outermost items stay in place
+ * - grid: rows of equally sized cells in reading order
+ * - layered: items joined by connectors as a top-down tree, connectors
+ *   pointing from a layer to the layers below it
+ *
+ * Items are rectangles { key, x, y, width, height } with x/y the top left
+ * corner. Results map keys to new top left corners; items that don't move
+ * may be left out. Snapping to the grid is up to the caller.
+ */
+
+export const LAYOUT_COMMANDS = [
+  "align-left",
+  "align-center",
+  "align-right",
+  "align-top",
+  "align-middle",
+  "align-bottom",
+  "distribute-horizontally",
+  "distribute-vertically",
+  "grid",
+  "layered",
+];
+
+// Space between items placed next to each other, a multiple of the grid size
+export const LAYOUT_GAP = 20;
+// Layers are further apart, leaving room for the connectors between them
+const LAYER_GAP = LAYOUT_GAP * 3;
+const ORDERING_SWEEPS = 4;
+
+/**
+ * @param {string} command - One of LAYOUT_COMMANDS
+ * @param {Array<{key: string, x: number, y: number, width: number, height: number}>} rects - Items to lay out
+ * @param {Array<{from: string, to: string}>} [edges] - Connections between items, used by the layered layout
+ * @param {{columns?: number}} [options] - Columns of the grid, by default about as many as rows
+ * @returns {Object<string, {x: number, y: number}>} New top left corners by key
+ */
+export function computeLayout(command, rects, edges = [], options = {}) {
+  switch (command) {
+    case "align-left":
+      return alignItems(rects, "x", (min) => min);
+    case "align-right":
+      return alignItems(rects, "x", (min, max, size) => max - size);
+    case "align-center":
+      return alignItems(rects, "x", (min, max, size) => (min + max - size) / 2);
+    case "align-top":
+      return alignItems(rects, "y", (min) => min);
+    case "align-bottom":
+      return alignItems(rects, "y", (min, max, size) => max - size);
+    case "align-middle":
+      return alignItems(rects, "y", (min, max, size) => (min + max - size) / 2);
+    case "distribute-horizontally":
+      return distributeItems(rects, "x");
+    case "distribute-vertically":
+      return distributeItems(rects, "y");
+    case "grid":
+      return arrangeInGrid(rects, options.columns);
+    case "layered":
+      return layoutLayered(rects, edges);
+    default:
+      throw new Error(`Unknown layout command: ${command}`);
+  }
+}
+
+const SIZE = { x: "width", y: "height" };
+const OTHER_AXIS = { x: "y", y: "x" };
+
+function getExtent(rects, axis) {
+  return {
+    min: Math.min(...rects.map((rect) => rect[axis])),
+    max: Math.max(...rects.map((rect) => rect[axis] + rect[SIZE[axis]])),
+  };
+}
+
+function alignItems(rects, axis, getPosition) {
+  if (rects.length < 2) {
+    return {};
+  }
+  const { min, max } = getExtent(rects, axis);
+  const other = OTHER_AXIS[axis];
+  return Object.fromEntries(rects.map((rect) => [rect.key, {
+    [axis]: getPosition(min, max, rect[SIZE[axis]]),
+    [other]: rect[other],
+  }]));
+}
+
+function distributeItems(rects, axis) {
+  if (rects.length < 3) {
+    return {};
+  }
+  const sorted = [...rects].sort((a, b) => (a[axis] + a[SIZE[axis]] / 2) - (b[axis] + b[SIZE[axis]] / 2));
+  const { min, max } = getExtent(rects, axis);
+  const totalSize = sorted.reduce((sum, rect) => sum + rect[SIZE[axis]], 0);
+  const gap = (max - min - totalSize) / (sorted.length - 1);
+  const other = OTHER_AXIS[axis];
+  const positions = {};
+  let position = min;
+  sorted.forEach((rect) => {
+    positions[rect.key] = { [axis]: position, [other]: rect[other] };
+    position += rect[SIZE[axis]] + gap;
+  });
+  return positions;
+}
+
+function byReadingOrder(a, b) {
+  return (a.y - b.y) || (a.x - b.x);
+}
+
+function arrangeInGrid(rects, columns) {
+  if (rects.length === 0) {
+    return {};
+  }
+  const columnCount = Number.isInteger(columns) && columns > 0 ? columns : Math.ceil(Math.sqrt(rects.length));
+  const cellWidth = Math.max(...rects.map((rect) => rect.width)) + LAYOUT_GAP;
+  const cellHeight = Math.max(...rects.map((rect) => rect.height)) + LAYOUT_GAP;
+  const left = getExtent(rects, "x").min;
+  const top = getExtent(rects, "y").min;
+  return Object.fromEntries([...rects].sort(byReadingOrder).map((rect, index) => [rect.key, {
+    x: left + (index % columnCount) * cellWidth,
+    y: top + Math.floor(index / columnCount) * cellHeight,
+  }]));
+}
+
+/**
+ * Sugiyama style layering: cycles are broken, every item goes one layer
+ * below the lowest item pointing to it, and the order within layers is
+ * improved by moving items towards the average position of their neighbors.
+ */
+function layoutLayered(rects, edges) {
+  if (rects.length === 0) {
+    return {};
+  }
+  const keys = [...rects].sort(byReadingOrder).map((rect) => rect.key);
+  const rectsByKey = new Map(rects.map((rect) => [rect.key, rect]));
+  const successors = new Map(keys.map((key) => [key, []]));
+  edges.forEach(({ from, to }) => {
+    if (from !== to && rectsByKey.has(from) && rectsByKey.has(to) && !successors.get(from).includes(to)) {
+      successors.get(from).push(to);
+    }
+  });
+  removeCycles(keys, successors);
+  const predecessors = new Map(keys.map((key) => [key, []]));
+  successors.forEach((targets, key) => targets.forEach((target) => predecessors.get(target).push(key)));
+
+  const layers = orderLayers(assignLayers(keys, successors, predecessors), rectsByKey, successors, predecessors);
+
+  const centerX = rects.reduce((sum, rect) => sum + rect.x + rect.width / 2, 0) / rects.length;
+  const positions = {};
+  let y = getExtent(rects, "y").min;
+  layers.forEach((layer) => {
+    const layerRects = layer.map((key) => rectsByKey.get(key));
+    const width = layerRects.reduce((sum, rect) => sum + rect.width, 0) + LAYOUT_GAP * (layer.length - 1);
+    let x = centerX - width / 2;
+    layerRects.forEach((rect) => {
+      positions[rect.key] = { x, y };
+      x += rect.width + LAYOUT_GAP;
+    });
+    y += Math.max(...layerRects.map((rect) => rect.height)) + LAYER_GAP;
+  });
+  return positions;
+}
+
+// Drops the edges that lead back to an item on the current depth first path
+function removeCycles(keys, successors) {
+  const state = new Map();
+  const visit = (key) => {
+    state.set(key, "visiting");
+    successors.set(key, successors.get(key).filter((target) => {
+      if (state.get(target) === "visiting") {
+        return false;
+      }
+      if (!state.has(target)) {
+        visit(target);
+      }
+      return true;
+    }));
+    state.set(key, "done");
+  };
+  keys.forEach((key) => {
+    if (!state.has(key)) {
+      visit(key);
+    }
+  });
+}
+
+// Longest path layering: every item sits one layer below its lowest predecessor
+function assignLayers(keys, successors, predecessors) {
+  const layerOf = new Map();
+  const remaining = new Map(keys.map((key) => [key, predecessors.get(key).length]));
+  const queue = keys.filter((key) => remaining.get(key) === 0);
+  while (queue.length > 0) {
+    const key = queue.shift();
+    const layer = Math.max(-1, ...predecessors.get(key).map((predecessor) => layerOf.get(predecessor))) + 1;
+    layerOf.set(key, layer);
+    successors.get(key).forEach((target) => {
+      remaining.set(target, remaining.get(target) - 1);
+      if (remaining.get(target) === 0) {
+        queue.push(target);
+      }
+    });
+  }
+  const layers = [];
+  keys.forEach((key) => {
+    const layer = layerOf.get(key);
+    (layers[layer] = layers[layer] || []).push(key);
+  });
+  return layers;
+}
+
+// Barycenter heuristic, sweeping down and up a few times to reduce crossings
+function orderLayers(layers, rectsByKey, successors, predecessors) {
+  const centerX = (key) => rectsByKey.get(key).x + rectsByKey.get(key).width / 2;
+  const ordered = layers.map((layer) => [...layer].sort((a, b) => centerX(a) - centerX(b)));
+  const indexOf = new Map();
+  ordered.forEach((layer) => layer.forEach((key, index) => indexOf.set(key, index)));
+
+  const sortLayer = (layer, neighborsOf) => {
+    const barycenters = new Map(layer.map((key, index) => {
+      const neighbors = neighborsOf.get(key);
+      const barycenter = neighbors.length > 0
+        ? neighbors.reduce((sum, neighbor) => sum + indexOf.get(neighbor), 0) / neighbors.length
+        : index;
+      return [key, barycenter];
+    }));
+    // Sorting is stable, so ties keep their current order
+    layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+    layer.forEach((key, index) => indexOf.set(key, index));
+  };
+
+  for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+    for (let i = 1; i < ordered.length; i++) {
+      sortLayer(ordered[i], predecessors);
+    }
+    for (let i = ordered.length - 2; i >= 0; i--) {
+      sortLayer(ordered[i], successors);
+    }
+  }
+  return ordered;
+}
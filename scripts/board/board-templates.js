@@ -0,0 +1,367 @@
+import { getAllPlugins } from '../board-items/plugin-registry.js';
+import { DEFAULT_ARROW_HEAD } from '../board-items/connector.js';
+import { BOARD_EXPORT_FORMAT, BOARD_EXPORT_VERSION, inlineImageAssets, validateBoardExport } from './board-export.js';
+
+/**
+ * Board Templates
+ * A template is a board-state document (plugin items and connectors keyed by
+ * id, like board.getState()) with a name. Instantiating a template creates
+ * its items through the Board, so they get fresh ids from whichever store
+ * (LocalDatastore or FirestoreStore) is behind it.
+ *
+ * Template layout:
+ * {
+ *   id: "retrospective",
+ *   name: "Retrospective",
+ *   description: "...",
+ *   state: { stickies: {...}, frames: {...}, connectors: {...}, ... }
+ * }
+ */
+
+export const TEMPLATES_STORAGE_KEY = 'put-it-up-templates';
+
+const frame = (title, x, y, width, height, color) =>
+  ({ title, location: { x, y }, width, height, color });
+const sticky = (text, x, y, color = 'khaki') =>
+  ({ text, location: { x, y }, color });
+const arrow = (originItemId, destinationItemId) => ({
+  originItemId, originItemType: 'sticky',
+  destinationItemId, destinationItemType: 'sticky',
+  arrowHead: DEFAULT_ARROW_HEAD,
+  color: '#000000',
+});
+
+export const BUILT_IN_TEMPLATES = Object.freeze([
+  {
+    id: 'empty',
+    name: 'Empty board',
+    description: 'Start from scratch',
+    state: {},
+  },
+  {
+    id: 'retrospective',
+    name: 'Retrospective',
+    description: 'What went well, what to improve, and what to do about it',
+    state: {
+      frames: {
+        1: frame('Went well', 0, 0, 400, 600, '#dcf2e3'),
+        2: frame('To improve', 440, 0, 400, 600, '#fadcd9'),
+        3: frame('Actions', 880, 0, 400, 600, '#dcecf9'),
+      },
+      stickies: {
+        1: sticky('What helped us?', 30, 60, '#82E0AA'),
+        2: sticky('What slowed us down?', 470, 60, '#F1948A'),
+        3: sticky('What will we try next?', 910, 60, '#AED6F1'),
+      },
+    },
+  },
+  {
+    id: 'kanban',
+    name: 'Kanban',
+    description: 'Track work from to do to done',
+    state: {
+      frames: {
+        1: frame('To do', 0, 0, 400, 700, '#f2f2f2'),
+        2: frame('Doing', 440, 0, 400, 700, '#fdf3c4'),
+        3: frame('Done', 880, 0, 400, 700, '#dcf2e3'),
+      },
+      stickies: {
+        1: sticky('First task', 30, 60),
+        2: sticky('Second task', 130, 60),
+      },
+    },
+  },
+  {
+    id: 'swot',
+    name: 'SWOT analysis',
+    description: 'Strengths, weaknesses, opportunities and threats',
+    state: {
+      frames: {
+        1: frame('Strengths', 0, 0, 500, 400, '#dcf2e3'),
+        2: frame('Weaknesses', 540, 0, 500, 400, '#fadcd9'),
+        3: frame('Opportunities', 0, 440, 500, 400, '#dcecf9'),
+        4: frame('Threats', 540, 440, 500, 400, '#fdf3c4'),
+      },
+    },
+  },
+  {
+    id: 'story-map',
+    name: 'User story map',
+    description: 'User activities in order, with the stories of each release below them',
+    state: {
+      frames: {
+        1: frame('Release 1', 0, 160, 880, 200, '#dcecf9'),
+        2: frame('Release 2', 0, 400, 880, 200, '#ebdff5'),
+      },
+      stickies: {
+        1: sticky('Discover', 40, 40, '#F8C471'),
+        2: sticky('Sign up', 260, 40, '#F8C471'),
+        3: sticky('Use', 480, 40, '#F8C471'),
+        4: sticky('Share', 700, 40, '#F8C471'),
+        5: sticky('Landing page', 40, 220),
+        6: sticky('Email sign up', 260, 220),
+        7: sticky('Core feature', 480, 220),
+        8: sticky('Social sign up', 260, 460),
+        9: sticky('Invite friends', 700, 460),
+      },
+      // The backbone: activities in the order users go through them
+      connectors: {
+        1: arrow('1', '2'),
+        2: arrow('2', '3'),
+        3: arrow('3', '4'),
+      },
+    },
+  },
+]);
+
+/**
+ * Templates saved from boards in this browser
+ * @returns {Object[]} Saved templates, oldest first
+ */
+export function getSavedTemplates() {
+  const templatesData = localStorage.getItem(TEMPLATES_STORAGE_KEY);
+  if (!templatesData) {
+    return [];
+  }
+  try {
+    const templates = JSON.parse(templatesData);
+    return Array.isArray(templates) ? templates : [];
+  } catch (error) {
+    console.warn('Failed to read saved templates:', error);
+    return [];
+  }
+}
+
+/**
+ * @returns {Object[]} Built-in templates followed by saved templates
+ */
+export function getTemplates() {
+  return [...BUILT_IN_TEMPLATES, ...getSavedTemplates()];
+}
+
+/**
+ * @param {string} id - Template id
+ * @returns {Object|undefined} The template with that id
+ */
+export function getTemplate(id) {
+  return getTemplates().find(template => template.id === id);
+}
+
+/**
+ * Creates a template from the current contents of a board. Images kept as
+ * assets are written into the template like exports do, so their assets
+ * have to be loaded first (see loadImageAssets).
+ * @param {Object} board - Board instance
+ * @param {string} name - Template name
+ * @param {string} [description] - Template description
+ * @returns {Object} Template document
+ */
+export function createTemplateFromBoard(board, name, description = '') {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('A template needs a name');
+  }
+  const boardState = board.getState();
+  const state = { connectors: boardState.connectors };
+  getAllPlugins().forEach(plugin => {
+    const storageKey = plugin.getSelectionType();
+    state[storageKey] = boardState[storageKey];
+  });
+  return {
+    id: `saved-${Date.now().toString(36)}`,
+    name: trimmedName,
+    description,
+    state: inlineImageAssets(state),
+  };
+}
+
+/**
+ * Stores a template in this browser, so it is offered when creating boards
+ * @param {Object} template - Template document, e.g. from createTemplateFromBoard
+ * @throws {Error} If the template is invalid or does not fit in local storage
+ */
+export function saveTemplate(template) {
+  getTemplateState(template);
+  const templates = getSavedTemplates().filter(saved => saved.id !== template.id);
+  templates.push(template);
+  try {
+    localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+  } catch (error) {
+    throw new Error(`Template could not be saved: ${error.message}`);
+  }
+}
+
+/**
+ * Removes a saved template; built-in templates cannot be removed
+ * @param {string} id - Template id
+ * @returns {boolean} Whether a template was removed
+ */
+export function deleteSavedTemplate(id) {
+  const templates = getSavedTemplates();
+  const remaining = templates.filter(template => template.id !== id);
+  if (remaining.length === templates.length) {
+    return false;
+  }
+  localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(remaining));
+  return true;
+}
+
+/**
+ * @param {Object} state - Board state, like board.getState()
+ * @returns {boolean} Whether the state has no items and no connectors
+ */
+export function isBoardStateEmpty(state) {
+  const storageKeys = ['connectors', ...getAllPlugins().map(plugin => plugin.getSelectionType())];
+  return storageKeys.every(key => Object.keys(state[key] || {}).length === 0);
+}
+
+/**
+ * Adds the items and connectors of a template to a board as one undo step.
+ * The template is centered on the given point (by default the middle of the
+ * board, where an empty board is first shown).
+ * @param {Object} board - Board instance
+ * @param {Object} template - Template document
+ * @param {{x: number, y: number}} [center] - Board location to center the template on
+ * @returns {Object} New ids by item type and old id, e.g. { sticky: { 1: "abc" }, connector: {...} }
+ * @throws {Error} If the template state is invalid
+ */
+export function instantiateTemplate(board, template, center) {
+  const state = getTemplateState(template);
+  const bounds = getStateBounds(state);
+  if (!bounds) {
+    return {};
+  }
+
+  if (!center) {
+    const { origin, limit } = board.getBoardBounds();
+    center = { x: (origin.x + limit.x) / 2, y: (origin.y + limit.y) / 2 };
+  }
+  // Whole grid steps keep the template's alignment when items are snapped
+  const gridSize = board.getGridSize();
+  const snap = (value) => Math.round(value / gridSize) * gridSize;
+  const offset = {
+    x: snap(center.x - (bounds.minX + bounds.maxX) / 2),
+    y: snap(center.y - (bounds.minY + bounds.maxY) / 2),
+  };
+  const translate = (point) => point && { x: point.x + offset.x, y: point.y + offset.y };
+
+  return board.recordHistoryStep(() => {
+    const ids = {};
+    getAllPlugins().forEach(plugin => {
+      const type = plugin.getType();
+      ids[type] = {};
+      inDrawingOrder(state[plugin.getSelectionType()]).forEach(([oldId, item]) => {
+        const data = JSON.parse(JSON.stringify(item));
+        delete data.zIndex;
+        data.location = translate(item.location);
+        const id = board.putBoardItem(type, data);
+        // Some items (like images) pick their own size when created
+        const created = board.getBoardItemByType(type, id);
+        if (item.width !== undefined && (created.width !== item.width || created.height !== item.height)) {
+          plugin.updateItem(board, id, { width: item.width, height: item.height });
+        }
+        ids[type][oldId] = id;
+      });
+    });
+
+    ids.connector = {};
+    inDrawingOrder(state.connectors).forEach(([oldId, connector]) => {
+      const data = JSON.parse(JSON.stringify(connector));
+      delete data.zIndex;
+      for (const endpoint of ['origin', 'destination']) {
+        const itemId = data[`${endpoint}ItemId`];
+        if (itemId !== undefined) {
+          const newId = ids[data[`${endpoint}ItemType`]]?.[itemId];
+          if (newId === undefined) {
+            // Attached to an item that is not part of the template
+            return;
+          }
+          data[`${endpoint}ItemId`] = newId;
+        }
+      }
+      ['originPoint', 'destinationPoint', 'curveControlPoint'].forEach(key => {
+        if (data[key]) {
+          data[key] = translate(data[key]);
+        }
+      });
+      if (Array.isArray(data.waypoints)) {
+        data.waypoints = data.waypoints.map(translate);
+      }
+      ids.connector[oldId] = board.putConnector(data);
+    });
+    return ids;
+  });
+}
+
+/**
+ * Fills a board that was just created from a template. Boards that already
+ * have contents are left alone, so reopening the link does not add the
+ * template twice, and so are boards the user may only view.
+ * @param {Object} board - Board instance, connected to its store
+ * @param {string} templateId - Template id
+ * @returns {boolean} Whether the template was added
+ * @throws {Error} If there is no template with that id
+ */
+export function applyTemplateToNewBoard(board, templateId) {
+  const template = getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Unknown template ${templateId}`);
+  }
+  if (board.isReadOnly() || !isBoardStateEmpty(board.getState())) {
+    return false;
+  }
+  instantiateTemplate(board, template);
+  return true;
+}
+
+/**
+ * Validates the state of a template, using the same rules as board files
+ */
+function getTemplateState(template) {
+  if (!template || typeof template.name !== 'string' || !template.name.trim()) {
+    throw new Error('Invalid template');
+  }
+  return validateBoardExport({
+    format: BOARD_EXPORT_FORMAT,
+    version: BOARD_EXPORT_VERSION,
+    state: template.state || {},
+  }).state;
+}
+
+/**
+ * Bounding box of all items, free connector points and waypoints of a state
+ */
+function getStateBounds(state) {
+  let bounds = null;
+  const include = (minX, minY, maxX, maxY) => {
+    bounds = bounds
+      ? {
+        minX: Math.min(bounds.minX, minX),
+        minY: Math.min(bounds.minY, minY),
+        maxX: Math.max(bounds.maxX, maxX),
+        maxY: Math.max(bounds.maxY, maxY),
+      }
+      : { minX, minY, maxX, maxY };
+  };
+  getAllPlugins().forEach(plugin => {
+    Object.values(state[plugin.getSelectionType()] || {}).forEach(item => {
+      const { centerX, centerY, width, height } = plugin.getBounds(item, { x: 0, y: 0 });
+      include(centerX - width / 2, centerY - height / 2, centerX + width / 2, centerY + height / 2);
+    });
+  });
+  Object.values(state.connectors || {}).forEach(connector => {
+    [connector.originPoint, connector.destinationPoint, ...(connector.waypoints || [])]
+      .filter(Boolean)
+      .forEach(point => include(point.x, point.y, point.x, point.y));
+  });
+  return bounds;
+}
+
+/**
+ * Entries of a collection ordered by z-index, so that created items keep
+ * their stacking order
+ */
+function inDrawingOrder(collection) {
+  return Object.entries(collection || {})
+    .sort(([, a], [, b]) => (a.zIndex || 0) - (b.zIndex || 0));
+}
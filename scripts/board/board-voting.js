@@ -0,0 +1,100 @@
+/**
+ * Board Voting
+ * Dot voting on stickies. A facilitator opens a voting session, stored in the
+ * voting field of the board document; every participant then places up to
+ * votesPerParticipant votes on stickies, several on one sticky if they like.
+ *
+ * Each participant's votes are one entry keyed by their voter id (the user id,
+ * or LOCAL_VOTER_ID on offline boards) that only they write:
+ *   { sessionId, votes: { [stickyId]: count } }
+ * Entries from an earlier session are ignored, so opening a new session starts
+ * from zero without touching anybody's entry. Until the facilitator reveals
+ * the votes, everyone sees only their own; on Firestore boards the other
+ * entries can't even be read before then (see firestore.rules).
+ */
+
+export const DEFAULT_VOTES_PER_PARTICIPANT = 3;
+export const MAX_VOTES_PER_PARTICIPANT = 20;
+export const LOCAL_VOTER_ID = "local";
+
+/**
+ * @param {{uid: string}|null} user - Signed in user, null when working offline
+ * @returns {string} Id the user's votes are stored under
+ */
+export function getVoterId(user) {
+  return (user && user.uid) || LOCAL_VOTER_ID;
+}
+
+/**
+ * @param {*} count - Votes per participant
+ * @returns {boolean} Whether the count is a usable vote budget
+ */
+export function isValidVoteBudget(count) {
+  return Number.isInteger(count) && count >= 1 && count <= MAX_VOTES_PER_PARTICIPANT;
+}
+
+/**
+ * @returns {string} A new, practically unique session id
+ */
+export function createVotingSessionId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Reads the voting session from the board document
+ * @param {{voting?: Object}} boardData - Board document
+ * @returns {{sessionId: string, active: boolean, votesPerParticipant: number, revealed: boolean, facilitatorId: string|null}|null}
+ *   The session, or null if there is none
+ */
+export function getVotingSession(boardData) {
+  const voting = boardData && boardData.voting;
+  if (!voting || !voting.sessionId) {
+    return null;
+  }
+  return {
+    sessionId: voting.sessionId,
+    active: !!voting.active,
+    votesPerParticipant: isValidVoteBudget(voting.votesPerParticipant)
+      ? voting.votesPerParticipant
+      : DEFAULT_VOTES_PER_PARTICIPANT,
+    revealed: !!voting.revealed,
+    facilitatorId: voting.facilitatorId || null,
+  };
+}
+
+/**
+ * The votes of one participant in a session
+ * @param {{sessionId: string, votes: Object}|undefined} entry - Stored votes of the participant
+ * @param {string} sessionId - Current session
+ * @returns {Object<string, number>} Vote count by sticky id
+ */
+export function getSessionVotes(entry, sessionId) {
+  if (!entry || entry.sessionId !== sessionId || !entry.votes) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(entry.votes)
+    .filter(([, count]) => Number.isInteger(count) && count > 0));
+}
+
+/**
+ * @param {Object<string, number>} votes - Vote count by sticky id
+ * @returns {number} Total number of votes
+ */
+export function countVotes(votes) {
+  return Object.values(votes).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * The ids of the stickies whose vote count differs between two entries of a
+ * participant; those need to be rendered again
+ * @param {Object|undefined} previous - Entry before the change
+ * @param {Object|undefined} next - Entry after the change
+ * @returns {string[]} Sticky ids
+ */
+export function getChangedVoteStickyIds(previous, next) {
+  const before = (previous && previous.votes) || {};
+  const after = (next && next.votes) || {};
+  const sessionChanged = (previous && previous.sessionId) !== (next && next.sessionId);
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((id) => sessionChanged || before[id] !== after[id]);
+}
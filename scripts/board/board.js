@@ -1,5 +1,21 @@
 import { getPlugin, getAllPlugins } from '../board-items/plugin-registry.js';
 import { getNextZIndex, updateItemZIndex, moveItemsZIndex } from '../ui/z-index-manager.js';
+import { BoardHistory } from './board-history.js';
+import { computeLayout } from './board-layout.js';
+import { findOwnedItems } from '../ui/movement-utils.js';
+import { CONNECTOR_ROUTING_TYPES, getConnectorRouting } from '../board-items/connector-routing.js';
+import { getConnectorWaypoints, isValidWaypoint, supportsWaypoints } from '../board-items/connector-waypoints.js';
+import { normalizeLabel } from '../board-items/connector-label.js';
+import { ARROW_HEAD_TYPES, CONNECTOR_LINE_STYLES, CONNECTOR_STROKE_WIDTHS } from '../board-items/connector-styling.js';
+import {
+  DEFAULT_VOTES_PER_PARTICIPANT,
+  LOCAL_VOTER_ID,
+  countVotes,
+  createVotingSessionId,
+  getSessionVotes,
+  getVotingSession,
+  isValidVoteBudget,
+} from './board-voting.js';
 
 const DEFAULT_BOARD = {
   origin: { x: 0, y: 0 },
@@ -28,6 +44,51 @@ export function Board(aStore) {
     return { origin, limit };
   };
 
+  // Viewers may look at a board but not change it. The UI avoids offering
+  // changes; this guard catches anything that slips through.
+  let readOnly = false;
+  const assertWritable = () => {
+    if (readOnly) {
+      throw new Error("Board is read-only");
+    }
+  };
+  this.setReadOnly = (value) => {
+    readOnly = !!value;
+  };
+  this.isReadOnly = () => readOnly;
+
+  // Undo/redo: every mutating method below runs inside history.record so its
+  // store changes become one undoable step (or part of an enclosing step)
+  const history = new BoardHistory(store);
+  const recorded = (mutation) => (...args) => {
+    assertWritable();
+    return history.record(() => mutation(...args));
+  };
+
+  this.getHistory = () => history;
+  this.undo = () => !readOnly && history.undo();
+  this.redo = () => !readOnly && history.redo();
+  this.canUndo = () => history.canUndo();
+  this.canRedo = () => history.canRedo();
+
+  /**
+   * Group all mutations until endHistoryStep() into a single undo step,
+   * e.g. for the lifetime of a drag gesture. Calls may be nested.
+   */
+  this.beginHistoryStep = () => history.beginStep();
+  this.endHistoryStep = () => history.endStep();
+
+  /**
+   * Run a function whose mutations (including direct plugin/store calls)
+   * form a single undo step
+   * @param {Function} mutation - Function performing the changes
+   * @returns {*} The function's return value
+   */
+  this.recordHistoryStep = (mutation) => {
+    assertWritable();
+    return history.record(mutation);
+  };
+
   this.isReadyForUse = () => store.isReadyForUse();
 
   this.getConnector = (id) => store.getConnector(id);
@@ -41,7 +102,7 @@ export function Board(aStore) {
   };
 
 
-  this.putConnector = (connector) => {
+  this.putConnector = recorded((connector) => {
     // Validate that types are provided when IDs are provided
     if (connector.originItemId && !connector.originItemType) {
       throw new Error('originItemType is required when originItemId is provided');
@@ -56,52 +117,177 @@ export function Board(aStore) {
     }
     const id = store.createConnector(connector);
     return id;
-  };
+  });
 
-  this.deleteConnector = (id) => {
+  this.deleteConnector = recorded((id) => {
     store.deleteConnector(id);
-  };
+  });
 
-  this.updateArrowHead = (id, arrowHead) => {
+  this.updateArrowHead = recorded((id, arrowHead) => {
     store.updateArrowHead(id, arrowHead);
-  };
+  });
 
-  this.updateConnectorColor = (id, color) => {
+  this.updateConnectorColor = recorded((id, color) => {
     store.updateConnectorColor(id, color);
-  };
+  });
+
+  this.updateConnectorRouting = recorded((id, routing) => {
+    if (!CONNECTOR_ROUTING_TYPES.includes(routing)) {
+      throw new Error(`Unknown connector routing: ${routing}`);
+    }
+    store.updateConnectorRouting(id, routing);
+  });
+
+  this.updateOriginArrowHead = recorded((id, arrowHead) => {
+    if (!ARROW_HEAD_TYPES.includes(arrowHead)) {
+      throw new Error(`Unknown arrow head: ${arrowHead}`);
+    }
+    store.updateOriginArrowHead(id, arrowHead);
+  });
+
+  this.updateConnectorLineStyle = recorded((id, lineStyle) => {
+    if (!CONNECTOR_LINE_STYLES.includes(lineStyle)) {
+      throw new Error(`Unknown connector line style: ${lineStyle}`);
+    }
+    store.updateConnectorLineStyle(id, lineStyle);
+  });
+
+  this.updateConnectorStrokeWidth = recorded((id, strokeWidth) => {
+    if (!CONNECTOR_STROKE_WIDTHS.includes(strokeWidth)) {
+      throw new Error(`Unknown connector stroke width: ${strokeWidth}`);
+    }
+    store.updateConnectorStrokeWidth(id, strokeWidth);
+  });
+
+  // Labels are trimmed; an empty label removes the label
+  this.updateConnectorLabel = recorded((id, label) => {
+    store.updateConnectorLabel(id, normalizeLabel(label));
+  });
+
+  // Position of the label along the path, from 0 at the origin to 1 at the destination
+  this.updateConnectorLabelPosition = recorded((id, position) => {
+    if (typeof position !== 'number' || isNaN(position)) {
+      throw new Error(`Invalid label position: ${position}`);
+    }
+    store.updateConnectorLabelPosition(id, Math.min(Math.max(position, 0), 1));
+  });
 
   this.ensureConnectorHasColor = (id) => {
     store.ensureConnectorHasColor(id);
   };
 
-  this.updateConnectorEndpoint = (id, endpoint, data) => {
+  this.updateConnectorEndpoint = recorded((id, endpoint, data) => {
     store.updateConnectorEndpoint(id, endpoint, data);
-  };
+  });
 
-  this.updateCurveControlPoint = (connectorId, point) => {
+  this.updateCurveControlPoint = recorded((connectorId, point) => {
     store.updateCurveControlPoint(connectorId, point);
+  });
+
+  const assertWaypoint = (point) => {
+    if (!isValidWaypoint(point)) {
+      throw new Error(`Invalid waypoint: ${JSON.stringify(point)}`);
+    }
   };
 
+  const assertWaypointIndex = (index, count) => {
+    if (!Number.isInteger(index) || index < 0 || index >= count) {
+      throw new Error(`Invalid waypoint index: ${index}`);
+    }
+  };
+
+  /**
+   * Add a bend point to a connector. The first waypoint of a curved connector
+   * takes over from its curve control point, so the curve keeps its shape.
+   *
+   * @param {string} id - Connector ID
+   * @param {number} index - Position of the new waypoint in the waypoint list
+   * @param {{x: number, y: number}} point - Waypoint location
+   */
+  this.addConnectorWaypoint = recorded((id, index, point) => {
+    const connector = store.getConnector(id);
+    if (!supportsWaypoints(connector)) {
+      throw new Error(`Connectors with ${getConnectorRouting(connector)} routing have no waypoints`);
+    }
+    assertWaypoint(point);
+    let waypoints = getConnectorWaypoints(connector);
+    if (waypoints.length === 0 && connector.curveControlPoint && getConnectorRouting(connector) === 'curved') {
+      waypoints = [connector.curveControlPoint];
+      store.updateCurveControlPoint(id, null);
+    }
+    assertWaypointIndex(index, waypoints.length + 1);
+    store.updateConnectorWaypoints(id, [
+      ...waypoints.slice(0, index),
+      { x: point.x, y: point.y },
+      ...waypoints.slice(index),
+    ]);
+  });
+
+  this.moveConnectorWaypoint = recorded((id, index, point) => {
+    const waypoints = getConnectorWaypoints(store.getConnector(id));
+    assertWaypointIndex(index, waypoints.length);
+    assertWaypoint(point);
+    store.updateConnectorWaypoints(id, waypoints.map((waypoint, i) => (i === index ? { x: point.x, y: point.y } : waypoint)));
+  });
+
+  this.removeConnectorWaypoint = recorded((id, index) => {
+    const waypoints = getConnectorWaypoints(store.getConnector(id));
+    assertWaypointIndex(index, waypoints.length);
+    store.updateConnectorWaypoints(id, waypoints.filter((waypoint, i) => i !== index));
+  });
+
+  /**
+   * Move all waypoints of a connector by delta, including those kept while
+   * its routing does not use them
+   *
+   * @param {string} id - Connector ID
+   * @param {number} deltaX - Delta X movement
+   * @param {number} deltaY - Delta Y movement
+   */
+  this.moveConnectorWaypoints = recorded((id, deltaX, deltaY) => {
+    const waypoints = (store.getConnector(id).waypoints || []).filter(isValidWaypoint);
+    if (waypoints.length > 0) {
+      store.updateConnectorWaypoints(id, waypoints.map((waypoint) => ({
+        x: waypoint.x + deltaX,
+        y: waypoint.y + deltaY
+      })));
+    }
+  });
+
   // Generic plugin-based item operations (backward-compatible wrappers kept below)
-  this.putBoardItem = (type, data) => {
+  this.putBoardItem = recorded((type, data) => {
     const plugin = getPlugin(type);
     if (!plugin) throw new Error(`Unknown board item type: ${type}`);
     return plugin.createItem(this, data);
-  };
-  this.deleteBoardItem = (type, id) => {
+  });
+  this.deleteBoardItem = recorded((type, id) => {
     const plugin = getPlugin(type);
     if (!plugin) throw new Error(`Unknown board item type: ${type}`);
     return plugin.deleteItem(this, id);
-  };
-  this.moveBoardItem = (type, id, location) => {
+  });
+  this.moveBoardItem = recorded((type, id, location) => {
     const plugin = getPlugin(type);
     if (!plugin) throw new Error(`Unknown board item type: ${type}`);
     return plugin.moveItem(this, id, location);
-  };
-  this.resizeBoardItem = (type, id, params) => {
+  });
+  this.resizeBoardItem = recorded((type, id, params) => {
     const plugin = getPlugin(type);
     if (!plugin) throw new Error(`Unknown board item type: ${type}`);
     return plugin.resizeItem(this, id, params);
+  });
+  /**
+   * Changes fields of a board item, like its text. Changing the same fields
+   * of the same item right after, as when typing, extends the undo step.
+   * @param {string} type - Item type
+   * @param {string} id - Item ID
+   * @param {Object} updates - New values of the fields
+   */
+  this.updateBoardItem = (type, id, updates) => {
+    assertWritable();
+    const plugin = getPlugin(type);
+    if (!plugin) throw new Error(`Unknown board item type: ${type}`);
+    const mergeKey = `${type}:${id}:${Object.keys(updates).sort().join(",")}`;
+    return history.record(() => plugin.updateItem(this, id, updates), mergeKey);
   };
   this.getBoardItemByType = (type, id) => {
     const plugin = getPlugin(type);
@@ -120,9 +306,9 @@ export function Board(aStore) {
    * @param {string} id - Item ID
    * @param {number} zIndex - New z-index value
    */
-  this.updateBoardItemZIndex = (type, id, zIndex) => {
+  this.updateBoardItemZIndex = recorded((type, id, zIndex) => {
     updateItemZIndex(store, type, id, zIndex);
-  };
+  });
 
   /**
    * Move a board item's z-index
@@ -130,18 +316,18 @@ export function Board(aStore) {
    * @param {string} id - Item ID
    * @param {string} direction - 'up', 'down', 'to-top', 'to-back'
    */
-  this.moveBoardItemZIndex = (type, id, direction) => {
+  this.moveBoardItemZIndex = recorded((type, id, direction) => {
     moveItemsZIndex(store, [{ type, id }], direction);
-  };
+  });
 
   /**
    * Move multiple selected items' z-index together
    * @param {Array} selectedItems - Array of {type, id} objects
    * @param {string} direction - 'up', 'down', 'to-top', 'to-back'
    */
-  this.moveSelectedItemsZIndex = (selectedItems, direction) => {
+  this.moveSelectedItemsZIndex = recorded((selectedItems, direction) => {
     moveItemsZIndex(store, selectedItems, direction);
-  };
+  });
 
   /**
    * Move a connector's curve handle by delta
@@ -151,7 +337,7 @@ export function Board(aStore) {
    * @param {number} deltaX - Delta X movement
    * @param {number} deltaY - Delta Y movement
    */
-  this.moveConnectorCurveHandle = (connectorId, deltaX, deltaY) => {
+  this.moveConnectorCurveHandle = recorded((connectorId, deltaX, deltaY) => {
     const connector = store.getConnector(connectorId);
     
     if (connector.curveControlPoint) {
@@ -161,9 +347,9 @@ export function Board(aStore) {
       };
       store.updateCurveControlPoint(connectorId, newCurveControlPoint);
     }
-  };
+  });
 
-  this.moveConnector = (id, deltaX, deltaY) => {
+  this.moveConnector = recorded((id, deltaX, deltaY) => {
     const connector = store.getConnector(id);
     const plugins = getAllPlugins();
     
@@ -196,19 +382,20 @@ export function Board(aStore) {
       store.updateConnectorEndpoint(id, 'destination', { point: newDestinationPoint });
     }
     
-    // Always move the curve handle if it exists
+    // Always move the curve handle and waypoints if they exist
     this.moveConnectorCurveHandle(id, deltaX, deltaY);
-  };
+    this.moveConnectorWaypoints(id, deltaX, deltaY);
+  });
 
   /**
-   * Move curve handles of connectors connected to board items
+   * Move curve handles and waypoints of connectors connected to board items
    * Tracks which connectors have been moved to avoid double movement
    * 
    * @param {Object} itemIdsByType - Map of type to array of IDs, e.g. { 'sticky': ['1', '2'], 'image': ['3'] }
    * @param {number} deltaX - Movement delta X
    * @param {number} deltaY - Movement delta Y
    */
-  this.moveConnectorsConnectedToItems = (itemIdsByType, deltaX, deltaY, movedConnectors = new Set()) => {
+  this.moveConnectorsConnectedToItems = recorded((itemIdsByType, deltaX, deltaY, movedConnectors = new Set()) => {
     const state = store.getState();
     const plugins = getAllPlugins();
     const itemIdSets = {};
@@ -241,17 +428,94 @@ export function Board(aStore) {
       }
       
       if (isConnected) {
-        // Move the curve handle only once, even if connected to multiple moved items
+        // Move the curve handle and waypoints only once, even if connected to multiple moved items
         this.moveConnectorCurveHandle(connectorId, deltaX, deltaY);
+        this.moveConnectorWaypoints(connectorId, deltaX, deltaY);
         movedConnectors.add(connectorId);
       }
     });
-  };
+  });
+
+  /**
+   * Arranges items with a layout command, see board-layout.js. Items snap to
+   * the grid, the contents of moved frames and the bends of attached
+   * connectors move along, and the whole layout is a single undo step.
+   * 
+   * @param {Array} items - Array of {type, id} objects; connectors are left out
+   * @param {string} command - Layout command, e.g. 'align-left' or 'layered'
+   * @param {Object} [options] - Layout options, e.g. {columns} for 'grid'
+   */
+  this.layoutItems = recorded((items, command, options = {}) => {
+    const entries = items
+      .filter(({ type }) => type !== 'connector')
+      .map(({ type, id }) => {
+        const plugin = getPlugin(type);
+        if (!plugin) throw new Error(`Unknown board item type: ${type}`);
+        const bounds = plugin.getBounds(plugin.getItem(this, id), { x: 0, y: 0 });
+        return {
+          key: `${type}:${id}`,
+          type,
+          id,
+          plugin,
+          location: plugin.getLocation(this, id),
+          x: bounds.centerX - bounds.width / 2,
+          y: bounds.centerY - bounds.height / 2,
+          width: bounds.width,
+          height: bounds.height,
+        };
+      });
+    const keys = new Set(entries.map(({ key }) => key));
+    const edges = Object.values(store.getState().connectors || {})
+      .filter(connector => connector.originItemId && connector.destinationItemId)
+      .map(connector => ({
+        from: `${connector.originItemType || 'sticky'}:${connector.originItemId}`,
+        to: `${connector.destinationItemType || 'sticky'}:${connector.destinationItemId}`,
+      }));
+    const targets = computeLayout(command, entries, edges, options);
+
+    // Frame contents have to be known before their frame moves away from them
+    const ownedByKey = new Map(entries.map(({ key, type, id }) => {
+      const owned = findOwnedItems(this, { [type]: [id] });
+      const ownedItems = Object.entries(owned.itemIdsByType)
+        .flatMap(([ownedType, ids]) => ids.map(ownedId => ({ type: ownedType, id: ownedId })))
+        .filter(item => !keys.has(`${item.type}:${item.id}`));
+      return [key, { items: ownedItems, connectorIds: owned.connectorIds }];
+    }));
+
+    const movedConnectors = new Set();
+    entries.forEach(({ key, type, id, plugin, location, x, y, width, height }) => {
+      const target = targets[key];
+      if (!target) return;
+      const snapped = this.snapLocationWithSize(
+        { x: location.x + target.x - x, y: location.y + target.y - y },
+        width,
+        height
+      );
+      const deltaX = snapped.x - location.x;
+      const deltaY = snapped.y - location.y;
+      if (deltaX === 0 && deltaY === 0) return;
+      plugin.moveItem(this, id, snapped);
+
+      const owned = ownedByKey.get(key);
+      owned.items.forEach(item => {
+        const ownedLocation = this.getBoardItemLocationByType(item.type, item.id);
+        getPlugin(item.type).moveItem(this, item.id, { x: ownedLocation.x + deltaX, y: ownedLocation.y + deltaY });
+      });
+      owned.connectorIds.filter(connectorId => !movedConnectors.has(connectorId)).forEach(connectorId => {
+        this.moveConnector(connectorId, deltaX, deltaY);
+        movedConnectors.add(connectorId);
+      });
+      this.moveConnectorsConnectedToItems({ [type]: [id] }, deltaX, deltaY, movedConnectors);
+    });
+  });
 
   this.getState = () => store.getState();
 
   this.setState = (state) => {
+    assertWritable();
     store.setState(state);
+    // Recorded steps refer to entities of the replaced state
+    history.clear();
   };
 
   this.getGridUnit = () => gridSize;
@@ -263,12 +527,218 @@ export function Board(aStore) {
     };
   };
 
+  this.getBoardTitle = () => store.getBoard(DEFAULT_BOARD).title;
+
+  /**
+   * @returns {{creatorId: string|null, editors: string[], viewers: string[]}} Who may access the board
+   */
+  this.getBoardAccess = () => {
+    const { creatorId = null, editors = [], viewers = [] } = store.getBoard(DEFAULT_BOARD);
+    return { creatorId, editors: [...editors], viewers: [...viewers] };
+  };
+
+  /**
+   * Replaces the editors and viewers of the board. Not part of undo history.
+   * @param {{editors: string[], viewers: string[]}} access - New member lists
+   */
+  this.updateBoardAccess = ({ editors, viewers }) => {
+    assertWritable();
+    store.updateBoard({ editors, viewers });
+  };
+
+  // Dot voting, see board-voting.js. Votes are not part of undo history, and
+  // viewers may vote too; only opening and closing sessions needs edit access.
+  let voterId = LOCAL_VOTER_ID;
+  this.setVoterId = (id) => {
+    voterId = id || LOCAL_VOTER_ID;
+  };
+  this.getVoterId = () => voterId;
+
+  /**
+   * @returns {{sessionId: string, active: boolean, votesPerParticipant: number, revealed: boolean, facilitatorId: string|null}|null}
+   *   The voting session of the board, or null if there is none
+   */
+  this.getVotingSession = () => getVotingSession(store.getBoard(DEFAULT_BOARD));
+
+  const getOpenSession = () => {
+    const session = this.getVotingSession();
+    if (!session || !session.active) {
+      throw new Error("Voting is not open");
+    }
+    return session;
+  };
+
+  const assertFacilitator = (session, action) => {
+    if (!session || session.facilitatorId !== voterId) {
+      throw new Error(`Only the facilitator can ${action}`);
+    }
+  };
+
+  // Live stickies, not a copy: vote badges ask for them on every sticky render
+  const getStickies = () => store.getAppState().stickies || {};
+
+  // Votes of the current session by voter id; votes on deleted stickies don't count
+  const getVotesBySession = (session) => {
+    const stickies = getStickies();
+    const votesByVoter = {};
+    Object.entries(store.getVotes()).forEach(([id, entry]) => {
+      const votes = getSessionVotes(entry, session.sessionId);
+      votesByVoter[id] = Object.fromEntries(Object.entries(votes).filter(([stickyId]) => stickies[stickyId]));
+    });
+    return votesByVoter;
+  };
+
+  const getOwnVotes = (session) => getVotesBySession(session)[voterId] || {};
+
+  /**
+   * Opens a new voting session with this user as facilitator. Votes of earlier
+   * sessions no longer count.
+   * @param {number} votesPerParticipant - Votes every participant may place
+   */
+  this.startVoting = (votesPerParticipant = DEFAULT_VOTES_PER_PARTICIPANT) => {
+    assertWritable();
+    const current = this.getVotingSession();
+    if (current && current.active) {
+      assertFacilitator(current, "restart voting");
+    }
+    if (!isValidVoteBudget(votesPerParticipant)) {
+      throw new Error(`Invalid number of votes: ${votesPerParticipant}`);
+    }
+    store.updateBoard({
+      voting: {
+        sessionId: createVotingSessionId(),
+        active: true,
+        votesPerParticipant,
+        revealed: false,
+        facilitatorId: voterId,
+      },
+    });
+  };
+
+  /**
+   * Shows everybody's votes to all participants
+   */
+  this.revealVotes = () => {
+    assertWritable();
+    const session = this.getVotingSession();
+    assertFacilitator(session, "reveal votes");
+    store.updateBoard({ voting: { ...session, revealed: true } });
+  };
+
+  /**
+   * Closes the session. Votes stay visible to everybody until they are cleared.
+   */
+  this.endVoting = () => {
+    assertWritable();
+    const session = this.getVotingSession();
+    assertFacilitator(session, "end voting");
+    store.updateBoard({ voting: { ...session, active: false, revealed: true } });
+  };
+
+  /**
+   * Removes the voting session and with it all vote badges
+   */
+  this.clearVotes = () => {
+    assertWritable();
+    assertFacilitator(this.getVotingSession(), "clear votes");
+    store.updateBoard({ voting: null });
+  };
+
+  /**
+   * Places one of this user's votes on a sticky
+   * @param {string} stickyId - Sticky to vote for
+   */
+  this.castVote = (stickyId) => {
+    const session = getOpenSession();
+    if (!getStickies()[stickyId]) {
+      throw new Error(`Unknown sticky: ${stickyId}`);
+    }
+    const votes = getOwnVotes(session);
+    if (countVotes(votes) >= session.votesPerParticipant) {
+      throw new Error("No votes left");
+    }
+    votes[stickyId] = (votes[stickyId] || 0) + 1;
+    store.updateVotes(voterId, { sessionId: session.sessionId, votes });
+  };
+
+  /**
+   * Takes back one of this user's votes from a sticky
+   * @param {string} stickyId - Sticky to take the vote from
+   * @returns {boolean} Whether there was a vote to take back
+   */
+  this.removeVote = (stickyId) => {
+    const session = getOpenSession();
+    const votes = getOwnVotes(session);
+    if (!votes[stickyId]) {
+      return false;
+    }
+    if (votes[stickyId] === 1) {
+      delete votes[stickyId];
+    } else {
+      votes[stickyId]--;
+    }
+    store.updateVotes(voterId, { sessionId: session.sessionId, votes });
+    return true;
+  };
+
+  /**
+   * @returns {number} Votes this user can still place, 0 without an open session
+   */
+  this.getVotesLeft = () => {
+    const session = this.getVotingSession();
+    if (!session || !session.active) {
+      return 0;
+    }
+    return Math.max(0, session.votesPerParticipant - countVotes(getOwnVotes(session)));
+  };
+
+  /**
+   * @param {string} stickyId - Sticky ID
+   * @returns {{total: number, own: number}|null} Votes on the sticky as far as
+   *   this user may see them, or null without a voting session
+   */
+  this.getStickyVotes = (stickyId) => {
+    const session = this.getVotingSession();
+    if (!session) {
+      return null;
+    }
+    const votesByVoter = getVotesBySession(session);
+    const own = (votesByVoter[voterId] || {})[stickyId] || 0;
+    if (!session.revealed) {
+      return { total: own, own };
+    }
+    const total = Object.values(votesByVoter).reduce((sum, votes) => sum + (votes[stickyId] || 0), 0);
+    return { total, own };
+  };
+
+  /**
+   * Reorders stickies by their votes, most votes first: the stickies swap
+   * places, so the most voted one takes the top left of the places they
+   * occupy. Stickies with the same number of votes keep their order.
+   * @param {string[]} stickyIds - Stickies to sort
+   */
+  this.sortStickiesByVotes = recorded((stickyIds) => {
+    const plugin = getPlugin('sticky');
+    const stickies = stickyIds.map(id => ({ id, location: plugin.getLocation(this, id), votes: this.getStickyVotes(id)?.total || 0 }));
+    // Reading order: rows from top to bottom, left to right within a row
+    const byReadingOrder = stickies.sort((a, b) => (a.location.y - b.location.y) || (a.location.x - b.location.x));
+    const places = byReadingOrder.map(({ location }) => location);
+    const ranked = [...byReadingOrder].sort((a, b) => b.votes - a.votes);
+    ranked.forEach(({ id, location }, index) => {
+      const place = places[index];
+      if (place.x !== location.x || place.y !== location.y) {
+        plugin.moveItem(this, id, place);
+      }
+    });
+  });
+
   this.getOrigin = () => {
     const { origin } = getBoardInternal();
     return { x: origin.x, y: origin.y };
   };
 
   this.addObserver = store.addObserver;
+  this.removeObserver = store.removeObserver;
 
   this.moveInBounds = ({ origin, limit }) => {
     // Temporarily update board bounds for snapping calculations
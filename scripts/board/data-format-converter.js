@@ -1,4 +1,8 @@
 import { getAllPlugins } from '../board-items/plugin-registry.js';
+import { CONNECTOR_ROUTING_TYPES } from '../board-items/connector-routing.js';
+import { isValidWaypoint } from '../board-items/connector-waypoints.js';
+import { isValidAnchor } from '../board-items/connector-anchors.js';
+import { ARROW_HEAD_TYPES, CONNECTOR_LINE_STYLES, CONNECTOR_STROKE_WIDTHS } from '../board-items/connector-styling.js';
 
 /**
  * Detects if a state object is in the old format (has direct stickies/images properties).
@@ -73,6 +77,40 @@ export function convertOldFormatToNewFormat(state) {
       delete migratedConnector.destinationImageId;
     }
     
+    // Keep the routing of connectors; unknown values fall back to curved
+    if ('routing' in connector && !CONNECTOR_ROUTING_TYPES.includes(connector.routing)) {
+      delete migratedConnector.routing;
+    }
+    
+    // Unknown styles fall back to a plain solid line without an origin arrow head
+    if ('originArrowHead' in connector && !ARROW_HEAD_TYPES.includes(connector.originArrowHead)) {
+      delete migratedConnector.originArrowHead;
+    }
+    if ('lineStyle' in connector && !CONNECTOR_LINE_STYLES.includes(connector.lineStyle)) {
+      delete migratedConnector.lineStyle;
+    }
+    if ('strokeWidth' in connector && !CONNECTOR_STROKE_WIDTHS.includes(connector.strokeWidth)) {
+      delete migratedConnector.strokeWidth;
+    }
+    
+    // Drop waypoints without coordinates
+    if ('waypoints' in connector) {
+      const waypoints = Array.isArray(connector.waypoints) ? connector.waypoints.filter(isValidWaypoint) : [];
+      if (waypoints.length > 0) {
+        migratedConnector.waypoints = waypoints;
+      } else {
+        delete migratedConnector.waypoints;
+      }
+    }
+    
+    // Drop anchors that are malformed or on ends not attached to an item
+    ['origin', 'destination'].forEach(end => {
+      const anchorKey = `${end}Anchor`;
+      if (anchorKey in connector && (!isValidAnchor(connector[anchorKey]) || !migratedConnector[`${end}ItemId`])) {
+        delete migratedConnector[anchorKey];
+      }
+    });
+    
     migratedConnectors[connectorId] = migratedConnector;
   });
   
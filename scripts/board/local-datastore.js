@@ -1,6 +1,8 @@
 import { getAppState } from "../app-state.js";
 import { getStorageKeyForType, getAllPlugins } from "../board-items/plugin-registry.js";
 import { convertOldFormatToNewFormat } from "./data-format-converter.js";
+import { findStickyMatches, getMatchSnippet, normalizeQuery } from "./sticky-search.js";
+import { getChangedVoteStickyIds } from "./board-voting.js";
 
 export class LocalDatastore {
   observers = [];
@@ -9,9 +11,15 @@ export class LocalDatastore {
     return true;
   }
 
+  // Items are in the app state from the start
+  areItemsLoaded() {
+    return true;
+  }
+
   getBoard = (defaults) => {
     const state = getAppState();
-    state.board = state.board || defaults;
+    // A copy, updateBoard changes the board in place
+    state.board = state.board || clone(defaults);
     return clone(state.board);
   };
 
@@ -68,8 +76,23 @@ export class LocalDatastore {
     this.notifyBoardChange();
   };
 
+  // Dot votes by voter id, see board-voting.js
+  getVotes = () => {
+    return clone(getAppState().votes || {});
+  };
+
+  updateVotes = (voterId, entry) => {
+    const state = getAppState();
+    state.votes = state.votes || {};
+    const previous = state.votes[voterId];
+    state.votes[voterId] = { sessionId: entry.sessionId, votes: { ...entry.votes } };
+    this.notifyVoteChange(previous, state.votes[voterId]);
+  };
+
   connect() {}
 
+  disconnect() {}
+
   getConnector = (id) => {
     const connector = getAppState().connectors[id];
     if (!connector) {
@@ -94,6 +117,18 @@ export class LocalDatastore {
     return this.createBoardItem('image', image);
   };
 
+  // Put a connector back under its original id (used by undo/redo)
+  restoreConnector = (id, connector) => {
+    getAppState().connectors[id] = connector;
+    this.notifyConnectorChange(id);
+  };
+
+  // Put back fields of a connector, undefined ones are removed (used by undo/redo)
+  restoreConnectorFields = (id, fields) => {
+    assignFields(this.getConnector(id), fields);
+    this.notifyConnectorChange(id);
+  };
+
   deleteConnector = (id) => {
     const state = getAppState();
     delete state.connectors[id];
@@ -114,6 +149,41 @@ export class LocalDatastore {
     this.notifyConnectorChange(id);
   };
 
+  updateConnectorRouting = (id, routing) => {
+    this.getConnector(id).routing = routing;
+    this.notifyConnectorChange(id);
+  };
+
+  updateOriginArrowHead = (id, originArrowHead) => {
+    this.getConnector(id).originArrowHead = originArrowHead;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorLineStyle = (id, lineStyle) => {
+    this.getConnector(id).lineStyle = lineStyle;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorStrokeWidth = (id, strokeWidth) => {
+    this.getConnector(id).strokeWidth = strokeWidth;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorLabel = (id, label) => {
+    this.getConnector(id).label = label;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorLabelPosition = (id, labelPosition) => {
+    this.getConnector(id).labelPosition = labelPosition;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorWaypoints = (id, waypoints) => {
+    this.getConnector(id).waypoints = waypoints;
+    this.notifyConnectorChange(id);
+  };
+
   updateConnectorZIndex = (id, zIndex) => {
     this.getConnector(id).zIndex = zIndex;
     this.notifyConnectorChange(id);
@@ -140,6 +210,11 @@ export class LocalDatastore {
         connector.originItemId = data.itemId;
         connector.originItemType = data.itemType;
         delete connector.originPoint;
+        if (data.anchor) {
+          connector.originAnchor = data.anchor;
+        } else {
+          delete connector.originAnchor;
+        }
         // Clear old properties
         delete connector.originId;
         delete connector.originImageId;
@@ -147,6 +222,7 @@ export class LocalDatastore {
         connector.originPoint = data.point;
         delete connector.originItemId;
         delete connector.originItemType;
+        delete connector.originAnchor;
         // Clear old properties
         delete connector.originId;
         delete connector.originImageId;
@@ -156,6 +232,11 @@ export class LocalDatastore {
         connector.destinationItemId = data.itemId;
         connector.destinationItemType = data.itemType;
         delete connector.destinationPoint;
+        if (data.anchor) {
+          connector.destinationAnchor = data.anchor;
+        } else {
+          delete connector.destinationAnchor;
+        }
         // Clear old properties
         delete connector.destinationId;
         delete connector.destinationImageId;
@@ -163,6 +244,7 @@ export class LocalDatastore {
         connector.destinationPoint = data.point;
         delete connector.destinationItemId;
         delete connector.destinationItemType;
+        delete connector.destinationAnchor;
         // Clear old properties
         delete connector.destinationId;
         delete connector.destinationImageId;
@@ -237,11 +319,23 @@ export class LocalDatastore {
     this.notifyBoardItemChange('image', id);
   };
   notifyBoardChange = () => {
-    this.observers.forEach((o) => o.onBoardChange());
+    this.observers.forEach((o) => o.onBoardChange && o.onBoardChange());
+  };
+  notifyItemsLoaded = () => {
+    this.observers.forEach((o) => o.onItemsLoaded && o.onItemsLoaded());
+  };
+  notifyVoteChange = (previous, next) => {
+    const stickies = getAppState().stickies || {};
+    getChangedVoteStickyIds(previous, next)
+      .filter((id) => stickies[id])
+      .forEach((id) => this.notifyStickyChange(id));
   };
   addObserver = (observer) => {
     this.observers.push(observer);
   };
+  removeObserver = (observer) => {
+    this.observers = this.observers.filter((o) => o !== observer);
+  };
 
   getAppState = () => {
     return getAppState();
@@ -291,6 +385,38 @@ export class LocalDatastore {
     }
   };
 
+  // Search the sticky text of all stored boards; returns the boards with at
+  // least one match, each with the matching stickies in reading order
+  searchBoardContents = (query = '') => {
+    const boardsData = localStorage.getItem('put-it-up-boards');
+    if (!boardsData || !normalizeQuery(query)) {
+      return [];
+    }
+
+    try {
+      const boards = JSON.parse(boardsData);
+      return Object.keys(boards)
+        .map(boardName => {
+          const metadata = boards[boardName].metadata || {};
+          const data = convertOldFormatToNewFormat(boards[boardName].data || {});
+          const stickies = data.stickies || {};
+          return {
+            name: boardName,
+            title: metadata.title || boardName,
+            ...metadata,
+            matches: findStickyMatches(stickies, query).map(id => ({
+              id,
+              snippet: getMatchSnippet(stickies[id].text, query)
+            }))
+          };
+        })
+        .filter(board => board.matches.length > 0);
+    } catch (error) {
+      console.warn('Failed to search board contents:', error);
+      return [];
+    }
+  };
+
   // Get metadata for a specific board
   getBoardMetadata = (boardName) => {
     const boardsData = localStorage.getItem('put-it-up-boards');
@@ -397,6 +523,33 @@ export class LocalDatastore {
     this.updateBoardItem(type, id, { zIndex });
   };
 
+  // Nobody else edits a local board, so there are no remote changes to hold back or conflicts
+  beginFieldEdit = (type, id, field) => {};
+
+  endFieldEdit = (type, id, field) => {};
+
+  getFieldConflicts = (type, id) => {
+    return {};
+  };
+
+  dismissFieldConflicts = (type, id) => {};
+
+  // Put an item back under its original id, replacing any current data (used by undo/redo)
+  restoreBoardItem = (type, id, data) => {
+    const storageKey = this._getStorageKeyForType(type);
+    if (!storageKey) {
+      throw new Error(`Unknown board item type: ${type}`);
+    }
+    getAppState()[storageKey][id] = data;
+    this.notifyBoardItemChange(type, id);
+  };
+
+  // Put back fields of an item, undefined ones are removed (used by undo/redo)
+  restoreBoardItemFields = (type, id, fields) => {
+    assignFields(this.getBoardItem(type, id), fields);
+    this.notifyBoardItemChange(type, id);
+  };
+
   notifyBoardItemChange = (type, id) => {
     // Maintain backward compatibility with old observer methods
     this.observers.forEach((o) => {
@@ -413,6 +566,16 @@ export class LocalDatastore {
   };
 }
 
+function assignFields(target, fields) {
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined) {
+      delete target[field];
+    } else {
+      target[field] = value;
+    }
+  });
+}
+
 function clone(data) {
   return JSON.parse(JSON.stringify(data));
 }
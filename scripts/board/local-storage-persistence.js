@@ -1,5 +1,5 @@
 import { getAppState } from "../app-state.js";
-import { getAllPlugins } from "../board-items/plugin-registry.js";
+import { getAllPlugins, getIdGenKeyForType, onPluginRegistered } from "../board-items/plugin-registry.js";
 import { convertOldFormatToNewFormat } from "./data-format-converter.js";
 
 export class LocalStoragePersistence {
@@ -9,7 +9,8 @@ export class LocalStoragePersistence {
   }
 
   // Observer pattern methods
-  onStickyChange = (id) => {
+  // Called for every plugin's items, so new plugins are saved without changes here
+  onBoardItemChange = (type, id) => {
     this.saveToLocalStorage();
   };
 
@@ -17,10 +18,6 @@ export class LocalStoragePersistence {
     this.saveToLocalStorage();
   };
 
-  onImageChange = (id) => {
-    this.saveToLocalStorage();
-  };
-
   onBoardChange = () => {
     this.saveToLocalStorage();
   };
@@ -33,14 +30,15 @@ export class LocalStoragePersistence {
       const persistableState = {
         board: state.board,
         connectors: state.connectors || {},
-        connectorIdGen: state.connectorIdGen || 0
+        connectorIdGen: state.connectorIdGen || 0,
+        votes: state.votes || {}
       };
       
       // Add plugin-specific state dynamically
       plugins.forEach(plugin => {
         const type = plugin.getType();
         const storageKey = plugin.getSelectionType();
-        const idGenKey = type === 'sticky' ? 'idGen' : `${type}IdGen`;
+        const idGenKey = getIdGenKeyForType(type);
         persistableState[storageKey] = state[storageKey] || {};
         persistableState[idGenKey] = state[idGenKey] || 0;
       });
@@ -57,6 +55,14 @@ export class LocalStoragePersistence {
         }
       }
       
+      // Items of plugins that aren't registered (yet) are kept as they are
+      const previousState = allBoards[this.boardName]?.data || {};
+      Object.keys(previousState).forEach((key) => {
+        if (!(key in persistableState)) {
+          persistableState[key] = previousState[key];
+        }
+      });
+      
       // Get or create metadata for this board
       const metadata = allBoards[this.boardName]?.metadata || {
         name: this.boardName,
@@ -118,21 +124,12 @@ export class LocalStoragePersistence {
               if (convertedData.connectorIdGen !== undefined) {
                 appState.connectorIdGen = convertedData.connectorIdGen;
               }
+              if (convertedData.votes) {
+                appState.votes = convertedData.votes;
+              }
               
               // Restore plugin-specific state dynamically
-              const plugins = getAllPlugins();
-              plugins.forEach(plugin => {
-                const type = plugin.getType();
-                const storageKey = plugin.getSelectionType();
-                const idGenKey = type === 'sticky' ? 'idGen' : `${type}IdGen`;
-                
-                if (convertedData[storageKey]) {
-                  appState[storageKey] = convertedData[storageKey];
-                }
-                if (convertedData[idGenKey] !== undefined) {
-                  appState[idGenKey] = convertedData[idGenKey];
-                }
-              });
+              getAllPlugins().forEach(plugin => restorePluginState(appState, convertedData, plugin));
               
               return true;
             }
@@ -167,19 +164,7 @@ export class LocalStoragePersistence {
           }
           
           // Restore plugin-specific state dynamically
-          const plugins = getAllPlugins();
-          plugins.forEach(plugin => {
-            const type = plugin.getType();
-            const storageKey = plugin.getSelectionType();
-            const idGenKey = type === 'sticky' ? 'idGen' : `${type}IdGen`;
-            
-            if (convertedState[storageKey]) {
-              appState[storageKey] = convertedState[storageKey];
-            }
-            if (convertedState[idGenKey] !== undefined) {
-              appState[idGenKey] = convertedState[idGenKey];
-            }
-          });
+          getAllPlugins().forEach(plugin => restorePluginState(appState, convertedState, plugin));
           
           // Migrate to new structure
           this.saveToLocalStorage();
@@ -204,7 +189,34 @@ export class LocalStoragePersistence {
     if (boardName) {
       this.boardName = boardName;
     }
+    if (!this.stopRestoringPlugins) {
+      this.stopRestoringPlugins = onPluginRegistered(this.restorePlugin);
+    }
     return this.loadFromLocalStorage();
   };
+
+  // Loads the saved items of a plugin registered after the board was loaded
+  restorePlugin = (plugin) => {
+    try {
+      const allBoards = JSON.parse(localStorage.getItem(this.localStorageKey) || '{}');
+      const boardData = allBoards[this.boardName]?.data;
+      if (boardData) {
+        restorePluginState(getAppState(), boardData, plugin);
+      }
+    } catch (error) {
+      console.warn('Failed to load plugin state from LocalStorage:', error);
+    }
+  };
+}
+
+function restorePluginState(appState, data, plugin) {
+  const storageKey = plugin.getSelectionType();
+  const idGenKey = getIdGenKeyForType(plugin.getType());
+  if (data[storageKey]) {
+    appState[storageKey] = data[storageKey];
+  }
+  if (data[idGenKey] !== undefined) {
+    appState[idGenKey] = data[idGenKey];
+  }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Finding stickies by their text, on the open board and across boards
+ * stored offline.
+ */
+
+import { getStickyPlainText } from '../board-items/plugins/sticky/sticky-markup.js';
+
+/**
+ * Normalizes a search query; queries are matched case-insensitively
+ * @param {string} query - Text typed by the user
+ * @returns {string} Lower case query without surrounding whitespace
+ */
+export function normalizeQuery(query) {
+  return (query || '').toLowerCase().trim();
+}
+
+/**
+ * Finds the stickies whose text contains the query, in reading order
+ * (top to bottom, then left to right) so that cycling through matches
+ * walks across the board predictably
+ * @param {Object} stickies - Stickies keyed by id, like state.stickies
+ * @param {string} query - Text to look for
+ * @returns {string[]} Ids of the matching stickies
+ */
+export function findStickyMatches(stickies, query) {
+  const searchTerm = normalizeQuery(query);
+  if (!searchTerm) {
+    return [];
+  }
+  return Object.entries(stickies || {})
+    // Formatting markers don't get in the way of matching the words
+    .filter(([, sticky]) => typeof sticky.text === 'string' &&
+      getStickyPlainText(sticky.text).toLowerCase().includes(searchTerm))
+    .sort(([, a], [, b]) =>
+      (a.location?.y || 0) - (b.location?.y || 0) || (a.location?.x || 0) - (b.location?.x || 0))
+    .map(([id]) => id);
+}
+
+/**
+ * Shortens sticky text to the part around the first match of the query
+ * @param {string} text - Sticky text
+ * @param {string} query - Text that was searched for
+ * @param {number} [context=30] - Characters to keep on either side of the match
+ * @returns {string} Text around the match, with an ellipsis where text was cut
+ */
+export function getMatchSnippet(text, query, context = 30) {
+  const singleLine = getStickyPlainText(text).replace(/\s+/g, ' ').trim();
+  const index = singleLine.toLowerCase().indexOf(normalizeQuery(query));
+  if (index < 0) {
+    return singleLine;
+  }
+  const start = Math.max(0, index - context);
+  const end = Math.min(singleLine.length, index + normalizeQuery(query).length + context);
+  return (start > 0 ? '…' : '') + singleLine.slice(start, end) + (end < singleLine.length ? '…' : '');
+}
@@ -0,0 +1,4 @@
+// Blob server that online boards keep their images in, see network/asset-store.js.
+// Without one, images of online boards stay in their Firestore documents.
+// For a local stand-in run `npm run assets` and use "http://localhost:9100/assets".
+export const assetServerUrl = null;
@@ -0,0 +1,4 @@
+// Board item plugins to load next to the built-in ones, as ES module URLs.
+// Each module's default export is a BoardItemPlugin instance or class,
+// see loadPlugins in board-items/plugin-registry.js.
+export const pluginUrls = [];
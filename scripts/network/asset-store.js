@@ -0,0 +1,232 @@
+/**
+ * Asset Store
+ * Keeps image data out of board items. An image item holds the id of an
+ * asset; the image itself lives in a blob backend, so neither LocalStorage
+ * nor Firestore documents fill up with data URLs.
+ *
+ * A backend stores blobs by asset id:
+ *   get(id) - resolves to the Blob, or null if it doesn't have it
+ *   put(id, blob) - stores a blob
+ *
+ * IndexedDbAssetBackend keeps assets in the browser: all of them for offline
+ * boards, and as a cache of the remote backend otherwise. HttpAssetBackend
+ * sends them to a blob server that answers PUT and GET on <baseUrl>/<id>;
+ * server/asset-server.js is a stand-in that keeps them in a local directory.
+ * InMemoryAssetBackend is for tests.
+ */
+
+const ASSET_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Reads a blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Ids are content hashes where the browser can compute them, so pasting an image twice stores it once
+async function createAssetId(blob) {
+  if (globalThis.crypto && crypto.subtle && blob.arrayBuffer) {
+    const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class AssetStore {
+  // Asset id -> Promise of its data URL, shared by everything showing the asset
+  loading = new Map();
+  // Asset id -> data URL, once loaded
+  loaded = new Map();
+
+  /**
+   * @param {Object} local - Backend in the browser
+   * @param {Object|null} [remote] - Backend shared with other users of the board
+   */
+  constructor(local, remote = null) {
+    this.local = local;
+    this.remote = remote;
+  }
+
+  /**
+   * Stores an image. With a remote backend the promise only resolves once
+   * the image was uploaded, so other users of the board can show it.
+   * @param {Blob} blob - Image data
+   * @returns {Promise<string>} Asset id
+   */
+  put = async (blob) => {
+    const id = await createAssetId(blob);
+    await this.local.put(id, blob);
+    if (this.remote) {
+      await this.remote.put(id, blob);
+    }
+    const url = await blobToDataUrl(blob);
+    this.loaded.set(id, url);
+    this.loading.set(id, Promise.resolve(url));
+    return id;
+  };
+
+  /**
+   * @param {string} id - Asset id
+   * @returns {Promise<string>} Data URL of the asset
+   */
+  getUrl = (id) => {
+    if (!this.loading.has(id)) {
+      const promise = this.load(id).then((url) => {
+        this.loaded.set(id, url);
+        return url;
+      }, (error) => {
+        // Try again next time, e.g. after the connection is back
+        this.loading.delete(id);
+        throw error;
+      });
+      this.loading.set(id, promise);
+    }
+    return this.loading.get(id);
+  };
+
+  /**
+   * @param {string} id - Asset id
+   * @returns {string|null} Data URL of an asset that was loaded before
+   */
+  getCachedUrl = (id) => {
+    return this.loaded.get(id) || null;
+  };
+
+  /**
+   * Loads assets ahead of code that needs them right away, like exports.
+   * Assets that can't be loaded are skipped.
+   * @param {string[]} ids - Asset ids
+   */
+  preload = async (ids) => {
+    await Promise.all(ids.map((id) => this.getUrl(id).catch((error) => {
+      console.warn(`[AssetStore] Could not load image ${id}:`, error);
+    })));
+  };
+
+  async load(id) {
+    let blob = await this.local.get(id);
+    if (!blob && this.remote) {
+      blob = await this.remote.get(id);
+      if (blob) {
+        // Cached for offline use; failing to cache doesn't stop showing it
+        this.local.put(id, blob).catch((error) => {
+          console.warn(`[AssetStore] Could not cache image ${id}:`, error);
+        });
+      }
+    }
+    if (!blob) {
+      throw new Error(`Image ${id} is not available`);
+    }
+    return blobToDataUrl(blob);
+  }
+}
+
+export class InMemoryAssetBackend {
+  blobs = new Map();
+
+  get = async (id) => {
+    return this.blobs.get(id) || null;
+  };
+
+  put = async (id, blob) => {
+    this.blobs.set(id, blob);
+  };
+}
+
+const DATABASE_NAME = "put-it-up-assets";
+const STORE_NAME = "assets";
+
+export class IndexedDbAssetBackend {
+  database = null;
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  async run(mode, action) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  get = async (id) => {
+    return (await this.run("readonly", (store) => store.get(id))) || null;
+  };
+
+  put = (id, blob) => {
+    return this.run("readwrite", (store) => store.put(blob, id));
+  };
+}
+
+export class HttpAssetBackend {
+  /**
+   * @param {string} baseUrl - Assets are at <baseUrl>/<id>
+   * @param {Function} [fetchFn] - fetch implementation
+   */
+  constructor(baseUrl, fetchFn = (...args) => fetch(...args)) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.fetch = fetchFn;
+  }
+
+  getAssetUrl(id) {
+    if (!ASSET_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid asset id: ${id}`);
+    }
+    return `${this.baseUrl}/${id}`;
+  }
+
+  get = async (id) => {
+    const response = await this.fetch(this.getAssetUrl(id));
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Loading image ${id} failed with status ${response.status}`);
+    }
+    return response.blob();
+  };
+
+  put = async (id, blob) => {
+    const response = await this.fetch(this.getAssetUrl(id), {
+      method: "PUT",
+      headers: { "Content-Type": blob.type || "application/octet-stream" },
+      body: blob,
+    });
+    if (!response.ok) {
+      throw new Error(`Uploading image ${id} failed with status ${response.status}`);
+    }
+  };
+}
+
+// Boards without an asset store keep images in the items as data URLs
+let assetStore = null;
+
+export function getAssetStore() {
+  return assetStore;
+}
+
+export function setAssetStore(store) {
+  assetStore = store;
+}
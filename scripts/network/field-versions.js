@@ -0,0 +1,202 @@
+/**
+ * Field Versions
+ * Merges snapshots from the server with local edits field by field, so a
+ * snapshot doesn't overwrite local changes that haven't been saved yet.
+ *
+ * Every field of a document gets a version that goes up each time the
+ * server's value changes. A local edit remembers the version it started from.
+ * When the server's value moves past that version to something this client
+ * didn't write, both sides changed the field: a conflict. The local value is
+ * kept, since it is saved after the other one, and the other value is kept
+ * as the conflict so it can be shown.
+ *
+ * Fields can be held while they are being edited, e.g. the text of a sticky
+ * with focus. Remote changes to a held field are not shown until the field
+ * is released, and edits made meanwhile count from the version at the start.
+ *
+ * Only documents with edits, held fields or conflicts are tracked; snapshots
+ * of other documents pass through unchanged.
+ */
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+export class FieldVersions {
+  documents = new Map();
+
+  /**
+   * @param {string} path - Document path
+   * @param {Object} fields - Changed fields with their new values
+   * @param {Object} [current] - The document before the change, if it isn't tracked yet
+   * @returns {string[]} Fields found to conflict with a remote change
+   */
+  recordEdit(path, fields, current) {
+    const doc = this.track(path, current);
+    return Object.keys(fields).filter((field) => {
+      const edit = doc.edits[field] || {
+        base: doc.held.has(field) ? doc.held.get(field) : doc.versions[field] || 0,
+        sent: [],
+      };
+      edit.value = copy(fields[field]);
+      doc.edits[field] = edit;
+      return this.detectConflict(doc, field, edit);
+    });
+  }
+
+  // The values of a write that went to the server, so they aren't taken for somebody else's
+  recordSent(path, fields) {
+    const doc = this.documents.get(path);
+    if (!doc) {
+      return;
+    }
+    Object.keys(fields).forEach((field) => {
+      if (doc.edits[field]) {
+        doc.edits[field].sent.push(JSON.stringify(fields[field] ?? null));
+      }
+    });
+  }
+
+  recordSaved(path, fields) {
+    const doc = this.documents.get(path);
+    if (!doc) {
+      return;
+    }
+    Object.keys(fields).forEach((field) => {
+      doc.server[field] = copy(fields[field]);
+      if (doc.edits[field] && same(doc.edits[field].value, fields[field])) {
+        delete doc.edits[field];
+      }
+    });
+    this.forgetIfDone(path, doc);
+  }
+
+  /**
+   * @param {string} path - Document path
+   * @param {Object|null} remote - Document data from the server, null if it was deleted
+   * @param {Object} [local] - The document as it is shown locally
+   * @returns {{data: Object|null, conflicts: string[]}} The document to show, and newly conflicting fields
+   */
+  mergeRemote(path, remote, local) {
+    const doc = this.documents.get(path);
+    if (!doc) {
+      return { data: remote, conflicts: [] };
+    }
+    if (!remote) {
+      this.documents.delete(path);
+      return { data: null, conflicts: [] };
+    }
+    new Set([...Object.keys(remote), ...Object.keys(doc.server)]).forEach((field) => {
+      if (!same(remote[field], doc.server[field])) {
+        doc.versions[field] = (doc.versions[field] || 0) + 1;
+        doc.server[field] = copy(remote[field]);
+      }
+    });
+    const data = { ...remote };
+    const conflicts = [];
+    Object.entries(doc.edits).forEach(([field, edit]) => {
+      if (same(remote[field], edit.value)) {
+        delete doc.edits[field];
+        return;
+      }
+      if (this.detectConflict(doc, field, edit)) {
+        conflicts.push(field);
+      }
+      data[field] = edit.value;
+    });
+    doc.held.forEach((version, field) => {
+      if (!doc.edits[field] && local && field in local) {
+        data[field] = local[field];
+      }
+    });
+    this.forgetIfDone(path, doc);
+    return { data, conflicts };
+  }
+
+  hold(path, field, current) {
+    const doc = this.track(path, current);
+    if (!doc.held.has(field)) {
+      doc.held.set(field, doc.versions[field] || 0);
+    }
+  }
+
+  /**
+   * Ends holding a field
+   * @returns {{changed: boolean, value: *}} The server's value, when it changed while the field was held and wasn't edited
+   */
+  release(path, field, local) {
+    const doc = this.documents.get(path);
+    if (!doc || !doc.held.has(field)) {
+      return { changed: false };
+    }
+    doc.held.delete(field);
+    const changed = !doc.edits[field] && field in doc.server && !same(doc.server[field], local && local[field]);
+    const value = doc.server[field];
+    this.forgetIfDone(path, doc);
+    return changed ? { changed, value: copy(value) } : { changed: false };
+  }
+
+  getConflicts(path) {
+    const doc = this.documents.get(path);
+    return doc ? { ...doc.conflicts } : {};
+  }
+
+  dismissConflicts(path) {
+    const doc = this.documents.get(path);
+    if (doc) {
+      doc.conflicts = {};
+      this.forgetIfDone(path, doc);
+    }
+  }
+
+  /**
+   * @param {string} path - Document path
+   * @param {string[]} fields - Fields to look up
+   * @returns {Object|null} The server's values of the fields as last seen, null if the document isn't tracked
+   */
+  getServerValues(path, fields) {
+    const doc = this.documents.get(path);
+    if (!doc) {
+      return null;
+    }
+    return Object.fromEntries(fields.map((field) => [field, copy(doc.server[field])]));
+  }
+
+  // The document was replaced or deleted locally, earlier edits no longer apply
+  forget(path) {
+    this.documents.delete(path);
+  }
+
+  track(path, current) {
+    if (!this.documents.has(path)) {
+      this.documents.set(path, {
+        server: copy(current) || {},
+        versions: {},
+        edits: {},
+        held: new Map(),
+        conflicts: {},
+      });
+    }
+    return this.documents.get(path);
+  }
+
+  detectConflict(doc, field, edit) {
+    const version = doc.versions[field] || 0;
+    if (version <= edit.base) {
+      return false;
+    }
+    edit.base = version;
+    const server = JSON.stringify(doc.server[field] ?? null);
+    if (edit.sent.includes(server) || same(doc.server[field], edit.value)) {
+      return false;
+    }
+    doc.conflicts[field] = copy(doc.server[field]);
+    return true;
+  }
+
+  forgetIfDone(path, doc) {
+    if (Object.keys(doc.edits).length === 0 && doc.held.size === 0 && Object.keys(doc.conflicts).length === 0) {
+      this.documents.delete(path);
+    }
+  }
+}
@@ -1,7 +1,11 @@
 import { getAppState } from "../app-state.js";
 import { firebaseConfig, initializeFirebaseApp } from "../config/firebase-config.js";
-import { getStorageKeyForType, getAllPlugins } from "../board-items/plugin-registry.js";
+import { getStorageKeyForType, getAllPlugins, getIdGenKeyForType, onPluginRegistered } from "../board-items/plugin-registry.js";
 import { convertOldFormatToNewFormat } from "../board/data-format-converter.js";
+import { getBoardRole, canEditBoard, getUserKeys } from "../board/board-access.js";
+import { getChangedVoteStickyIds } from "../board/board-voting.js";
+import { WriteQueue, applyWrites } from "./write-queue.js";
+import { FieldVersions } from "./field-versions.js";
 
 // Debug mode - controlled by global window.DEBUG_MODE
 // Use a function to check DEBUG_MODE dynamically
@@ -128,8 +132,13 @@ class FirestoreSearchDebouncer {
  * Batches updates to the same document within the debounce window.
  */
 class FirestoreWriteDebouncer {
-  constructor(debounceMs = 400) {
+  /**
+   * @param {number} debounceMs - Debounce window in milliseconds
+   * @param {Function} write - Sends the merged update, (docRef, data) => Promise
+   */
+  constructor(debounceMs = 400, write = (docRef, data) => docRef.update(data)) {
     this.debounceMs = debounceMs;
+    this.write = write;
     this.pendingWrites = new Map(); // documentPath -> { timer, mergedData, docRef }
   }
 
@@ -188,7 +197,7 @@ class FirestoreWriteDebouncer {
 
     // Execute update and handle errors safely
     try {
-      const updatePromise = pending.docRef.update(pending.mergedData);
+      const updatePromise = this.write(pending.docRef, pending.mergedData);
       if (updatePromise && typeof updatePromise.catch === 'function') {
         updatePromise.catch((error) => {
           if (isDebugMode()) {
@@ -239,12 +248,43 @@ export class FirestoreStore {
   boardName;
   observers = [];
   readyForUse = false;
+  itemsLoaded = false;
+  // Stop the snapshot listeners of connect
+  _unsubscribers = [];
 
-  constructor(boardName, debounceMs = 400) {
+  /**
+   * @param {string} boardName - Board to connect to
+   * @param {number} debounceMs - Debounce window for updates
+   * @param {Object} [options]
+   * @param {Object} [options.writeStorage] - Storage for a durable write queue (see write-queue.js).
+   *   Without it writes go straight to Firestore and are lost when the page closes before they are sent
+   */
+  constructor(boardName, debounceMs = 400, options = {}) {
     this.boardName = boardName;
-    this.debouncer = new FirestoreWriteDebouncer(debounceMs);
+    // Local edits win over snapshots until they are saved, see field-versions.js
+    this.fieldVersions = new FieldVersions();
+    this.debouncer = new FirestoreWriteDebouncer(debounceMs, (docRef, data) => {
+      this.fieldVersions.recordSent(docRef.path, data);
+      return Promise.resolve(this._write(docRef, "update", data)).then(() => {
+        this.fieldVersions.recordSaved(docRef.path, data);
+      }, (error) => {
+        this._showRefusedUpdate(docRef.path, data);
+        throw error;
+      });
+    });
     // Instance-level search debouncer (can be configured per instance)
     this.searchDebouncer = new FirestoreSearchDebouncer(debounceMs);
+    if (options.writeStorage) {
+      this.writeQueue = new WriteQueue(boardName, options.writeStorage, this._sendQueuedWrite);
+      this.writeQueue.addObserver({
+        onWriteRejected: (write) => {
+          this.fieldVersions.forget(write.path);
+          this._showQueuedDocument(write.path);
+        },
+      });
+      // Last known server version of every document, to undo rejected writes and detect conflicts
+      this.serverData = new Map();
+    }
   }
 
   connect() {
@@ -258,9 +298,13 @@ export class FirestoreStore {
       console.log("db", this.db);
     }
     this.docRef = this.db.collection(this.collectionName).doc(this.boardName);
-      this.docRef.onSnapshot(async (documentSnapshot) => {
+    this._awaitedSnapshots = new Set(["board", "connectors", ...getAllPlugins().map((plugin) => plugin.getSelectionType())]);
+    if (this.writeQueue && !this._writeQueueConnected) {
+      this._connectWriteQueue();
+    }
+    this._unsubscribers.push(this.docRef.onSnapshot(async (documentSnapshot) => {
       this.readyForUse = true;
-      const data = documentSnapshot.data();
+      const data = this._applyQueuedWrites(this.docRef.path, documentSnapshot.data() ?? null, documentSnapshot);
       const state = getAppState();
       if (data) {
         state.board = data;
@@ -293,64 +337,334 @@ export class FirestoreStore {
         }
         
         if (needsUpdate) {
-          this.docRef.update(updateData).catch((error) => {
+          this._write(this.docRef, "update", updateData).catch((error) => {
             if (isDebugMode()) {
               console.error('[FirestoreStore] Error updating board with required fields:', error);
             }
           });
         }
       }
+      if (this.voteRef) {
+        this._listenToVotes();
+      }
       this.notifyBoardChange();
-    });
+      this._receiveFirstSnapshot("board");
+    }));
 
-    this.stickyRef = this.docRef.collection("stickies");
-    this.stickyRef.onSnapshot((querySnapshot) => {
-      doBatched(querySnapshot.docChanges(), (change) => {
-        const state = getAppState();
-        if (change.type === "added" || change.type === "modified") {
-          state.stickies[change.doc.id] = change.doc.data();
-        } else if (change.type === "removed") {
-          delete state.stickies[change.doc.id];
-        }
-        this.notifyStickyChange(change.doc.id);
-      });
-    });
+    // Every plugin syncs through the subcollection named after its storage key
+    getAllPlugins().forEach((plugin) => this._listenToBoardItems(plugin.getType()));
+    if (!this._stopListeningToPlugins) {
+      this._stopListeningToPlugins = onPluginRegistered((plugin) => this._listenToBoardItems(plugin.getType()));
+    }
 
     this.connectorRef = this.docRef.collection("connectors");
-    this.connectorRef.onSnapshot((querySnapshot) => {
+    this._unsubscribers.push(this.connectorRef.onSnapshot((querySnapshot) => {
       doBatched(querySnapshot.docChanges(), (change) => {
         const state = getAppState();
-        if (change.type === "added" || change.type === "modified") {
-          state.connectors[change.doc.id] = change.doc.data();
-        } else if (change.type === "removed") {
+        const data = this._receiveServerData(this.connectorRef, change, state.connectors[change.doc.id]);
+        if (data) {
+          state.connectors[change.doc.id] = data;
+        } else {
           delete state.connectors[change.doc.id];
         }
         this.notifyConnectorChange(change.doc.id);
+      }, () => this._receiveFirstSnapshot("connectors"));
+    }));
+
+    // One document per voter, written only by that voter
+    this.voteRef = this.docRef.collection("votes");
+    this._listenToVotes();
+  }
+
+  /**
+   * Stops listening to the board and to the browser's connection events.
+   * Updates still waiting to be debounced are sent first; writes in the
+   * write queue stay stored for the next time the board is opened.
+   */
+  disconnect() {
+    this.debouncer.flushAll();
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe && unsubscribe());
+    this._unsubscribers = [];
+    if (this._stopListeningToVotes) {
+      this._stopListeningToVotes();
+      this._stopListeningToVotes = null;
+    }
+    if (this._stopListeningToPlugins) {
+      this._stopListeningToPlugins();
+      this._stopListeningToPlugins = null;
+    }
+    if (this._windowListeners) {
+      Object.entries(this._windowListeners).forEach(([type, listener]) => window.removeEventListener(type, listener));
+      this._windowListeners = null;
+    }
+    if (this.writeQueue) {
+      this.writeQueue.destroy();
+      this._writeQueueConnected = false;
+    }
+  }
+
+  // Until the votes are revealed only our own entry may be read (see
+  // firestore.rules), so the listener changes with the voting session
+  _listenToVotes() {
+    const revealed = !!getAppState().board?.voting?.revealed;
+    if (this._stopListeningToVotes && this._votesRevealed === revealed) {
+      return;
+    }
+    if (this._stopListeningToVotes) {
+      this._stopListeningToVotes();
+    }
+    this._votesRevealed = revealed;
+    if (revealed) {
+      this._stopListeningToVotes = this.voteRef.onSnapshot((querySnapshot) => {
+        doBatched(querySnapshot.docChanges(), (change) => this._receiveVote(change));
       });
+      return;
+    }
+    const user = firebase.auth().currentUser;
+    const state = getAppState();
+    Object.keys(state.votes || {}).filter((id) => !user || id !== user.uid).forEach((id) => {
+      const previous = state.votes[id];
+      delete state.votes[id];
+      this.notifyVoteChange(previous, undefined);
     });
+    this._stopListeningToVotes = user
+      ? this.voteRef.doc(user.uid).onSnapshot((doc) => this._receiveVote({ type: doc.exists ? "modified" : "removed", doc }))
+      : () => {};
+  }
 
-    this.imageRef = this.docRef.collection("images");
-    this.imageRef.onSnapshot((querySnapshot) => {
+  _receiveVote(change) {
+    const state = getAppState();
+    state.votes = state.votes || {};
+    const previous = state.votes[change.doc.id];
+    const data = this._receiveServerData(this.voteRef, change);
+    if (data) {
+      const { sessionId, votes } = data;
+      state.votes[change.doc.id] = { sessionId, votes: votes || {} };
+    } else {
+      delete state.votes[change.doc.id];
+    }
+    this.notifyVoteChange(previous, state.votes[change.doc.id]);
+  }
+
+  _listenToBoardItems(type) {
+    const storageKey = this._getStorageKeyForType(type);
+    const collectionRef = this.docRef.collection(storageKey);
+    this[this._getCollectionRefName(type)] = collectionRef;
+    this._unsubscribers.push(collectionRef.onSnapshot((querySnapshot) => {
       doBatched(querySnapshot.docChanges(), (change) => {
-        const state = getAppState();
-        if (change.type === "added" || change.type === "modified") {
-          state.images[change.doc.id] = change.doc.data();
-        } else if (change.type === "removed") {
-          delete state.images[change.doc.id];
+        const items = this._getItemsForType(type);
+        const data = this._receiveServerData(collectionRef, change, items[change.doc.id]);
+        if (data) {
+          items[change.doc.id] = data;
+        } else {
+          delete items[change.doc.id];
+        }
+        this.notifyBoardItemChange(type, change.doc.id);
+      }, () => this._receiveFirstSnapshot(storageKey));
+    }));
+  }
+
+  // Server data of a snapshot change, with the writes still queued for the document on top
+  // and local edits that aren't saved yet merged in field by field
+  _receiveServerData(collectionRef, change, current) {
+    const path = collectionRef.doc(change.doc.id).path;
+    const data = this._applyQueuedWrites(path, change.type === "removed" ? null : change.doc.data(), change.doc);
+    return this.fieldVersions.mergeRemote(path, data, current).data;
+  }
+
+  // Server data of a document snapshot with the writes still queued for the document on top
+  _applyQueuedWrites(path, data, snapshot) {
+    if (!this.writeQueue) {
+      return data;
+    }
+    // Snapshots of our own unsent writes are not the server's version
+    if (!snapshot.metadata?.hasPendingWrites) {
+      // A copy, local edits change the item in place
+      this.serverData.set(path, data && clone(data));
+    }
+    return applyWrites(data, this.writeQueue.getPendingWrites(path));
+  }
+
+  // Debounced update of an item; snapshots keep showing the new values until they are saved
+  _update(docRef, data, current) {
+    this.fieldVersions.recordEdit(docRef.path, data, current);
+    this.debouncer.debounceUpdate(docRef, data);
+  }
+
+  _cancelUpdate(docRef) {
+    this.debouncer.cancelWrite(docRef.path);
+    this.fieldVersions.forget(docRef.path);
+  }
+
+  // The server refused an update, so its fields go back to the server's values
+  _showRefusedUpdate(path, fields) {
+    const server = this.fieldVersions.getServerValues(path, Object.keys(fields));
+    this.fieldVersions.forget(path);
+    const [collection, id] = path.split("/").slice(-2);
+    const local = this._getLocalCollection(collection);
+    const item = local && local.items[id];
+    if (!server || !item) {
+      return;
+    }
+    Object.entries(server).forEach(([field, value]) => {
+      if (value === undefined) {
+        delete item[field];
+      } else {
+        item[field] = value;
+      }
+    });
+    local.notify(id);
+  }
+
+  // Local items of a subcollection, and how to tell observers about changes to one of them
+  _getLocalCollection(collection) {
+    if (collection === "connectors") {
+      return { items: getAppState().connectors, notify: (id) => this.notifyConnectorChange(id) };
+    }
+    const plugin = getAllPlugins().find((p) => p.getSelectionType() === collection);
+    if (!plugin) {
+      return null;
+    }
+    return {
+      items: this._getItemsForType(plugin.getType()),
+      notify: (id) => this.notifyBoardItemChange(plugin.getType(), id),
+    };
+  }
+
+  _connectWriteQueue() {
+    this._writeQueueConnected = true;
+    if (this.db.enablePersistence) {
+      // Keeps the board readable after a reload without a connection
+      this.db.enablePersistence({ synchronizeTabs: true }).catch((error) => {
+        if (isDebugMode()) {
+          console.warn("[FirestoreStore] Offline persistence not available:", error);
         }
-        this.notifyImageChange(change.doc.id);
       });
+    }
+    const updateOnline = () => this.writeQueue.setOnline(navigator.onLine);
+    this._windowListeners = {
+      online: updateOnline,
+      offline: updateOnline,
+      // Updates wait in the debouncer for a moment, hand them to the queue before the page goes
+      pagehide: () => this.debouncer.flushAll(),
+    };
+    Object.entries(this._windowListeners).forEach(([type, listener]) => window.addEventListener(type, listener));
+    this.writeQueue.setOnline(navigator.onLine);
+    this.writeQueue.load().then((writes) => {
+      // Items created while offline are not in any snapshot yet
+      const created = new Set(writes.filter((write) => write.type === "set").map((write) => write.path));
+      created.forEach((path) => this._showQueuedDocument(path));
     });
   }
 
+  // Sends a write right away, or through the write queue when the store has one
+  _write(docRef, type, data, options) {
+    if (!this.writeQueue) {
+      return this._sendWrite(docRef, type, data, options);
+    }
+    const write = { path: docRef.path, docRef, type, data, options };
+    if (type === "update" && !this.writeQueue.isOnline() && this.serverData.has(docRef.path)) {
+      // Remember what the fields were, to notice when somebody else changes them before we're back
+      const server = this.serverData.get(docRef.path) || {};
+      write.base = Object.fromEntries(Object.keys(data).map((field) => [field, server[field] ?? null]));
+    }
+    this.writeQueue.enqueue(write);
+    return Promise.resolve();
+  }
+
+  _sendWrite(docRef, type, data, options) {
+    if (type === "delete") {
+      return docRef.delete();
+    }
+    if (type === "update") {
+      return docRef.update(data);
+    }
+    return options ? docRef.set(data, options) : docRef.set(data);
+  }
+
+  // Resolves to the fields that were changed by somebody else since the write was queued
+  _sendQueuedWrite = async (write) => {
+    // Writes loaded from storage only have the path of their document
+    const docRef = write.docRef || this.db.doc(write.path);
+    let conflicts = [];
+    if (write.base) {
+      const snapshot = await docRef.get();
+      if (snapshot.exists) {
+        const current = snapshot.data();
+        conflicts = Object.keys(write.base).filter((field) => {
+          const value = JSON.stringify(current[field] ?? null);
+          return value !== JSON.stringify(write.base[field]) && value !== JSON.stringify(write.data[field] ?? null);
+        });
+      }
+    }
+    await this._sendWrite(docRef, write.type, write.data, write.options);
+    // Confirmed writes don't always come back in a snapshot
+    this.serverData.set(write.path, applyWrites(this.serverData.get(write.path) ?? null, [write]));
+    return conflicts;
+  };
+
+  // Shows the server version of a document with its queued writes on top
+  _showQueuedDocument(path) {
+    const [collection, id] = path.split("/").slice(-2);
+    const data = applyWrites(this.serverData.get(path) ?? null, this.writeQueue.getPendingWrites(path));
+    if (path === this.docRef.path) {
+      // Title, access and voting session; a board nobody saved yet keeps what it shows
+      if (data) {
+        getAppState().board = data;
+        if (this.voteRef) {
+          this._listenToVotes();
+        }
+        this.notifyBoardChange();
+      }
+      return;
+    }
+    if (collection === "votes") {
+      const state = getAppState();
+      state.votes = state.votes || {};
+      const previous = state.votes[id];
+      if (data) {
+        state.votes[id] = { sessionId: data.sessionId, votes: data.votes || {} };
+      } else {
+        delete state.votes[id];
+      }
+      this.notifyVoteChange(previous, state.votes[id]);
+      return;
+    }
+    const local = this._getLocalCollection(collection);
+    if (!local) {
+      return;
+    }
+    if (data) {
+      local.items[id] = data;
+    } else {
+      delete local.items[id];
+    }
+    local.notify(id);
+  }
+
   isReadyForUse() {
     return this.readyForUse;
   }
 
+  // Whether the board and its items arrived; observers hear about it with onItemsLoaded
+  areItemsLoaded() {
+    return this.itemsLoaded;
+  }
+
+  // Items are loaded once every listener of connect got its first snapshot
+  _receiveFirstSnapshot(name) {
+    if (this.itemsLoaded || !this._awaitedSnapshots.delete(name) || this._awaitedSnapshots.size > 0) {
+      return;
+    }
+    this.itemsLoaded = true;
+    this.notifyItemsLoaded();
+  }
+
   getBoard = (defaults) => {
     const state = getAppState();
     if (!state.board) {
-      state.board = defaults;
+      // A copy, updateBoard changes the board in place
+      state.board = clone(defaults);
       if (this.docRef) {
         // Asynchronously check if document exists and initialize security fields if needed
         // This is non-blocking so getBoard can return immediately
@@ -409,7 +723,7 @@ export class FirestoreStore {
         
         // Use set() to create the document with security fields
         // This will overwrite any partial data that might have been set by getBoard
-        await this.docRef.set(boardData);
+        await this._write(this.docRef, "set", boardData);
         
         // Update local state
         const state = getAppState();
@@ -455,7 +769,7 @@ export class FirestoreStore {
       }
       
       if (needsUpdate) {
-        await this.docRef.update(updateData);
+        await this._write(this.docRef, "update", updateData);
       }
     }
   };
@@ -476,7 +790,7 @@ export class FirestoreStore {
   updateText = (id, text) => {
     if (this.stickyRef) {
       const docRef = this.stickyRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { text });
+      this._update(docRef, { text }, this.getSticky(id));
     }
     // Update local state immediately
     const sticky = this.getSticky(id);
@@ -487,7 +801,7 @@ export class FirestoreStore {
   updateColor = (id, color) => {
     if (this.stickyRef) {
       const docRef = this.stickyRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { color });
+      this._update(docRef, { color }, this.getSticky(id));
     }
     // Update local state immediately
     const sticky = this.getSticky(id);
@@ -498,7 +812,7 @@ export class FirestoreStore {
   setLocation = (id, location) => {
     if (this.stickyRef) {
       const docRef = this.stickyRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { location });
+      this._update(docRef, { location }, this.getSticky(id));
     }
     // Update local state immediately
     const sticky = this.getSticky(id);
@@ -509,7 +823,7 @@ export class FirestoreStore {
   updateSize = (id, size) => {
     if (this.stickyRef) {
       const docRef = this.stickyRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { size });
+      this._update(docRef, { size }, this.getSticky(id));
     }
     // Update local state immediately
     const sticky = this.getSticky(id);
@@ -547,6 +861,27 @@ export class FirestoreStore {
     this.notifyBoardChange();
   };
 
+  // Dot votes by voter id, see board-voting.js
+  getVotes = () => {
+    return clone(getAppState().votes || {});
+  };
+
+  updateVotes = (voterId, entry) => {
+    const data = { sessionId: entry.sessionId, votes: { ...entry.votes } };
+    if (this.voteRef) {
+      // Votes are single clicks, so they are written right away instead of debounced
+      this._write(this.voteRef.doc(voterId), "set", { uid: voterId, ...data }).catch((error) => {
+        console.error('[FirestoreStore] Error saving votes:', error);
+      });
+    }
+    // Update local state immediately
+    const state = getAppState();
+    state.votes = state.votes || {};
+    const previous = state.votes[voterId];
+    state.votes[voterId] = data;
+    this.notifyVoteChange(previous, data);
+  };
+
   getConnector = (id) => {
     const connector = getAppState().connectors[id];
     if (!connector) {
@@ -561,7 +896,7 @@ export class FirestoreStore {
 
   createConnector = (connector) => {
     const docRef = this.connectorRef.doc();
-    docRef.set(connector, { merge: true });
+    this._write(docRef, "set", connector, { merge: true });
     getAppState().connectors[docRef.id] = connector;
     this.notifyConnectorChange(docRef.id);
     return docRef.id;
@@ -571,12 +906,37 @@ export class FirestoreStore {
     return this.createBoardItem('image', image);
   };
 
+  // Put a connector back under its original id (used by undo/redo)
+  restoreConnector = (id, connector) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      // A pending debounced update would partially overwrite the restored document
+      this._cancelUpdate(docRef);
+      this._write(docRef, "set", connector);
+    }
+    // Update local state immediately
+    getAppState().connectors[id] = connector;
+    this.notifyConnectorChange(id);
+  };
+
+  // Put back fields of a connector, undefined ones are removed (used by undo/redo).
+  // Only these fields are written, so changes others made to the rest stay.
+  restoreConnectorFields = (id, fields) => {
+    const connector = this.getConnector(id);
+    if (this.connectorRef) {
+      this._update(this.connectorRef.doc(id), toUpdateData(fields), connector);
+    }
+    // Update local state immediately
+    assignFields(connector, fields);
+    this.notifyConnectorChange(id);
+  };
+
   deleteConnector = (id) => {
     if (this.connectorRef) {
       const docRef = this.connectorRef.doc(id);
       // Cancel any pending writes for this document
-      this.debouncer.cancelWrite(docRef.path);
-      docRef.delete();
+      this._cancelUpdate(docRef);
+      this._write(docRef, "delete");
     }
     // Update local state immediately
     const state = getAppState();
@@ -591,7 +951,7 @@ export class FirestoreStore {
   updateArrowHead = (id, arrowHead) => {
     if (this.connectorRef) {
       const docRef = this.connectorRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { arrowHead });
+      this._update(docRef, { arrowHead }, this.getConnector(id));
     }
     // Update local state immediately
     const connector = this.getConnector(id);
@@ -602,7 +962,7 @@ export class FirestoreStore {
   updateConnectorColor = (id, color) => {
     if (this.connectorRef) {
       const docRef = this.connectorRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { color });
+      this._update(docRef, { color }, this.getConnector(id));
     }
     // Update local state immediately
     const connector = this.getConnector(id);
@@ -610,10 +970,87 @@ export class FirestoreStore {
     this.notifyConnectorChange(id);
   };
 
+  updateConnectorRouting = (id, routing) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { routing }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.routing = routing;
+    this.notifyConnectorChange(id);
+  };
+
+  updateOriginArrowHead = (id, originArrowHead) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { originArrowHead }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.originArrowHead = originArrowHead;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorLineStyle = (id, lineStyle) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { lineStyle }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.lineStyle = lineStyle;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorStrokeWidth = (id, strokeWidth) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { strokeWidth }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.strokeWidth = strokeWidth;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorLabel = (id, label) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { label }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.label = label;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorLabelPosition = (id, labelPosition) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { labelPosition }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.labelPosition = labelPosition;
+    this.notifyConnectorChange(id);
+  };
+
+  updateConnectorWaypoints = (id, waypoints) => {
+    if (this.connectorRef) {
+      const docRef = this.connectorRef.doc(id);
+      this._update(docRef, { waypoints }, this.getConnector(id));
+    }
+    // Update local state immediately
+    const connector = this.getConnector(id);
+    connector.waypoints = waypoints;
+    this.notifyConnectorChange(id);
+  };
+
   updateConnectorZIndex = (id, zIndex) => {
     if (this.connectorRef) {
       const docRef = this.connectorRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { zIndex });
+      this._update(docRef, { zIndex }, this.getConnector(id));
     }
     // Update local state immediately
     const connector = this.getConnector(id);
@@ -645,6 +1082,7 @@ export class FirestoreStore {
         updateData.originItemId = data.itemId;
         updateData.originItemType = data.itemType;
         updateData.originPoint = null;
+        updateData.originAnchor = data.anchor || null;
         // Clear old properties
         updateData.originId = null;
         updateData.originImageId = null;
@@ -652,6 +1090,7 @@ export class FirestoreStore {
         updateData.originPoint = data.point;
         updateData.originItemId = null;
         updateData.originItemType = null;
+        updateData.originAnchor = null;
         // Clear old properties
         updateData.originId = null;
         updateData.originImageId = null;
@@ -661,6 +1100,7 @@ export class FirestoreStore {
         updateData.destinationItemId = data.itemId;
         updateData.destinationItemType = data.itemType;
         updateData.destinationPoint = null;
+        updateData.destinationAnchor = data.anchor || null;
         // Clear old properties
         updateData.destinationId = null;
         updateData.destinationImageId = null;
@@ -668,6 +1108,7 @@ export class FirestoreStore {
         updateData.destinationPoint = data.point;
         updateData.destinationItemId = null;
         updateData.destinationItemType = null;
+        updateData.destinationAnchor = null;
         // Clear old properties
         updateData.destinationId = null;
         updateData.destinationImageId = null;
@@ -675,7 +1116,7 @@ export class FirestoreStore {
     }
     if (this.connectorRef) {
       const docRef = this.connectorRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, updateData);
+      this._update(docRef, updateData, this.getConnector(id));
     }
     // Update local state immediately
     const connector = this.getConnector(id);
@@ -686,7 +1127,7 @@ export class FirestoreStore {
   updateCurveControlPoint = (id, point) => {
     if (this.connectorRef) {
       const docRef = this.connectorRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, { curveControlPoint: point });
+      this._update(docRef, { curveControlPoint: point }, this.getConnector(id));
     }
     // Update local state immediately
     const connector = this.getConnector(id);
@@ -711,8 +1152,7 @@ export class FirestoreStore {
     plugins.forEach(plugin => {
       const type = plugin.getType();
       const storageKey = plugin.getSelectionType();
-      // Generate idGen key (sticky uses 'idGen', others use 'typeIdGen')
-      const idGenKey = type === 'sticky' ? 'idGen' : `${type}IdGen`;
+      const idGenKey = getIdGenKeyForType(type);
       state[storageKey] = appState[storageKey] || {};
       state[idGenKey] = appState[idGenKey] || 0;
     });
@@ -727,6 +1167,13 @@ export class FirestoreStore {
     const appState = getAppState();
     const plugins = getAllPlugins();
     
+    // Mirror the replacement in Firestore so that a loaded (e.g. imported) state is persisted
+    this._replaceCollection(this.connectorRef, appState.connectors, convertedState.connectors || {});
+    plugins.forEach(plugin => {
+      const storageKey = plugin.getSelectionType();
+      this._replaceCollection(this._getCollectionRefForType(plugin.getType()), appState[storageKey], convertedState[storageKey] || {});
+    });
+    
     // Set connector state (not a plugin)
     appState.connectors = convertedState.connectors || {};
     appState.connectorIdGen = convertedState.connectorIdGen || 0;
@@ -735,8 +1182,7 @@ export class FirestoreStore {
     plugins.forEach(plugin => {
       const type = plugin.getType();
       const storageKey = plugin.getSelectionType();
-      // Generate idGen key (sticky uses 'idGen', others use 'typeIdGen')
-      const idGenKey = type === 'sticky' ? 'idGen' : `${type}IdGen`;
+      const idGenKey = getIdGenKeyForType(type);
       appState[storageKey] = convertedState[storageKey] || {};
       appState[idGenKey] = convertedState[idGenKey] || 0;
     });
@@ -755,11 +1201,23 @@ export class FirestoreStore {
     this.notifyBoardItemChange('image', id);
   };
   notifyBoardChange = () => {
-    this.observers.forEach((o) => o.onBoardChange());
+    this.observers.forEach((o) => o.onBoardChange && o.onBoardChange());
+  };
+  notifyItemsLoaded = () => {
+    this.observers.forEach((o) => o.onItemsLoaded && o.onItemsLoaded());
+  };
+  notifyVoteChange = (previous, next) => {
+    const stickies = getAppState().stickies || {};
+    getChangedVoteStickyIds(previous, next)
+      .filter((id) => stickies[id])
+      .forEach((id) => this.notifyStickyChange(id));
   };
   addObserver = (observer) => {
     this.observers.push(observer);
   };
+  removeObserver = (observer) => {
+    this.observers = this.observers.filter((o) => o !== observer);
+  };
 
   getAppState = () => {
     return getAppState();
@@ -854,158 +1312,90 @@ export class FirestoreStore {
     return await FirestoreStore._executeSearchBoardsQuery(searchTerm, userId, options);
   }
 
-  // Internal method that performs the actual Firestore query
+  // Internal method that performs the actual Firestore queries.
+  // Boards may only be listed by membership (see firestore.rules), so there is
+  // a query per way of being a member: as the creator, and in the editors or
+  // viewers list by user id or email address. Their results are merged newest
+  // first; the cursor remembers how far each query got.
   static async _executeSearchBoardsQuery(searchTerm = '', userId, options = {}) {
     const { limit = 50, startAfter = null } = options;
-    
+    if (!userId) {
+      return { boards: [], cursor: null, hasMore: false };
+    }
+
     // Initialize Firebase if not already
     initializeFirebaseApp();
     const db = firebase.firestore();
-    
-    // Note: Firestore limitations:
-    // - Case-insensitive text search: Firestore doesn't support this natively
-    //   We use range queries for prefix matching, then filter client-side for contains matching
-    // - User permissions: Firestore doesn't support OR queries across creatorId, editors, viewers
-    //   We use multiple queries and merge results, or filter client-side
-    
-    let query = db.collection('boards');
-    
-    // Apply where clause for search term on title field (prefix matching)
-    // Note: This requires a Firestore composite index on (title, createOn)
-    // Firestore will provide a link to create the index if it doesn't exist
-    // The where() query does prefix matching (case-sensitive), so we also do
-    // client-side filtering for contains matching (case-insensitive)
-    if (searchTerm && searchTerm.trim()) {
-      const searchLower = searchTerm.trim();
-      const searchUpper = searchTerm.trim() + '\uf8ff';
-      // Note: For this to work optimally, titles should be stored in lowercase
-      // or we need to normalize them. For now, client-side filtering handles
-      // case-insensitive contains matching.
-      query = query.where('title', '>=', searchLower)
-                   .where('title', '<=', searchUpper);
-    }
-    
-    // Apply orderBy - sort by createOn descending (newest first)
-    query = query.orderBy('createOn', 'desc');
-    
-    // Apply limit
-    query = query.limit(limit);
-    
-    // Apply startAfter for pagination
-    // startAfter can be:
-    // - A cursor object with { snapshot, name, createOn } (from previous query result)
-    // - A document snapshot directly
-    // - An object with { name, createOn } for backward compatibility
-    if (startAfter) {
-      if (startAfter.snapshot) {
-        // It's a cursor object from previous query
-        query = query.startAfter(startAfter.snapshot);
-      } else if (startAfter.id) {
-        // It's a document snapshot directly
-        query = query.startAfter(startAfter);
-      } else if (startAfter.name && startAfter.createOn !== undefined) {
-        // It's cursor data - get the document snapshot
-        try {
-          const lastDocRef = db.collection('boards').doc(startAfter.name);
-          const lastDoc = await lastDocRef.get();
-          if (lastDoc.exists) {
-            query = query.startAfter(lastDoc);
-          }
-        } catch (error) {
-          console.warn('[FirestoreStore.searchBoards] Error getting lastDoc for startAfter:', error);
-        }
-      }
-    }
-    
-    let snapshot;
+
+    const memberships = [['creatorId', '==', userId]];
+    getUserKeys(getSignedInUser(userId)).forEach((key) => {
+      memberships.push(['editors', 'array-contains', key], ['viewers', 'array-contains', key]);
+    });
+    const previous = startAfter || { positions: {}, exhausted: [], seen: [] };
+
+    let pages;
     try {
-      if (isDebugMode()) {
-        console.log('[FirestoreStore.searchBoards] Executing query with:', {
-          searchTerm,
-          userId,
-          limit,
-          startAfter: startAfter || 'none'
-        });
-      }
-      snapshot = await query.get();
-      if (isDebugMode()) {
-        console.log('[FirestoreStore.searchBoards] Query completed, got', snapshot.size, 'documents');
-      }
+      pages = await Promise.all(memberships.map(async ([field, operator, value], index) => {
+        if (previous.exhausted.includes(index)) {
+          return { index, docs: [], full: false };
+        }
+        let query = db.collection('boards').where(field, operator, value).orderBy('createOn', 'desc').limit(limit);
+        if (previous.positions[index]) {
+          query = query.startAfter(previous.positions[index]);
+        }
+        const snapshot = await query.get();
+        return { index, docs: snapshot.docs, full: snapshot.docs.length === limit };
+      }));
     } catch (error) {
       console.error('[FirestoreStore.searchBoards] ERROR in query:', error);
-      console.error('[FirestoreStore.searchBoards] Error details:', {
-        name: error.name,
-        message: error.message,
-        code: error.code,
-        stack: error.stack,
-        userId,
-        searchTerm
-      });
       throw error;
     }
-    
-    const boards = [];
-    const searchLower = searchTerm ? searchTerm.trim().toLowerCase() : '';
-    const lastDocSnapshots = [];
-    
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      const title = (data.title || doc.id).toLowerCase(); // Fallback to doc ID if no title
-      
-      // Check if title matches search term (client-side contains matching)
-      // This is needed because Firestore range query only does prefix matching
-      let matchesSearch = true;
-      if (searchLower) {
-        matchesSearch = title.includes(searchLower);
+
+    // Take the newest boards of all queries, each board once
+    const seen = new Set(previous.seen);
+    const positions = { ...previous.positions };
+    const taken = [];
+    const heads = pages.map(() => 0);
+    const getHead = (page) => page.docs[heads[page.index]];
+    while (taken.length < limit) {
+      const newest = pages
+        .filter((page) => getHead(page))
+        .sort((a, b) => (getHead(b).data().createOn || 0) - (getHead(a).data().createOn || 0))[0];
+      if (!newest) {
+        break;
       }
-      
-      if (!matchesSearch) {
-        return;
+      const doc = getHead(newest);
+      heads[newest.index]++;
+      positions[newest.index] = doc;
+      if (!seen.has(doc.id)) {
+        seen.add(doc.id);
+        taken.push(doc);
       }
-      
-      // Check if user has access (creator, editor, or viewer)
-      let hasAccess = false;
-      if (!userId) {
-        hasAccess = true; // No auth check needed
-      } else {
-        hasAccess = 
-          data.creatorId === userId ||
-          (data.editors && Array.isArray(data.editors) && data.editors.includes(userId)) ||
-          (data.viewers && Array.isArray(data.viewers) && data.viewers.includes(userId));
-      }
-      
-      if (hasAccess) {
-        boards.push({
+    }
+    const exhausted = pages
+      .filter((page) => previous.exhausted.includes(page.index) || (!page.full && heads[page.index] === page.docs.length))
+      .map((page) => page.index);
+
+    // Firestore can't search text, so titles are matched here
+    const searchLower = searchTerm ? searchTerm.trim().toLowerCase() : '';
+    const boards = taken
+      .filter((doc) => !searchLower || (doc.data().title || doc.id).toLowerCase().includes(searchLower))
+      .map((doc) => {
+        const data = doc.data();
+        return {
           name: doc.id,
           title: data.title || doc.id, // Use title field or fallback to doc ID
           createOn: data.createOn || null,
           creatorId: data.creatorId || null,
           ...data
-        });
-        lastDocSnapshots.push(doc);
-      }
-    });
-    
-    // Get the last document snapshot for startAfter in next page
-    const lastDocSnapshot = lastDocSnapshots.length > 0 
-      ? lastDocSnapshots[lastDocSnapshots.length - 1] 
-      : null;
-    
-    // Return cursor info for next page
-    // Return the document snapshot itself, which can be passed directly to startAfter
-    const cursor = lastDocSnapshot ? {
-      snapshot: lastDocSnapshot,
-      name: lastDocSnapshot.id,
-      createOn: lastDocSnapshot.data().createOn || null
-    } : null;
-    
-    // Check if there might be more results
-    // If we got the full limit, there might be more (unless filtering removed everything)
-    const hasMore = snapshot.size === limit && lastDocSnapshot !== null;
-    
+        };
+      });
+
+    const hasMore = exhausted.length < memberships.length;
     return {
       boards,
-      cursor, // Pass this cursor object to next query's startAfter option
+      // Pass this cursor to the next query's startAfter option
+      cursor: hasMore ? { positions, exhausted, seen: Array.from(seen) } : null,
       hasMore
     };
   }
@@ -1031,15 +1421,19 @@ export class FirestoreStore {
       const boardData = boardSnapshot.data();
       
       // Check permissions: only creator or editors can delete
-      if (userId && boardData.creatorId && boardData.creatorId !== userId) {
-        const editors = boardData.editors || [];
-        if (!editors.includes(userId)) {
+      if (userId) {
+        const role = getBoardRole(boardData, getSignedInUser(userId));
+        if (!canEditBoard(role)) {
           throw new Error('You do not have permission to delete this board');
         }
       }
       
       // Delete all subcollections
-      const subcollections = ['stickies', 'connectors', 'images'];
+      const subcollections = [
+        ...getAllPlugins().map((plugin) => plugin.getSelectionType()),
+        'connectors',
+        'votes'
+      ];
       const deletePromises = subcollections.map(async (subcollectionName) => {
         const subcollectionRef = boardRef.collection(subcollectionName);
         const snapshot = await subcollectionRef.get();
@@ -1073,16 +1467,43 @@ export class FirestoreStore {
     return getStorageKeyForType(type);
   }
 
+  // Collection refs live under the plugin type (e.g. 'sticky' -> stickyRef),
+  // which keeps the sticky specific methods and tests working on stickyRef
+  _getCollectionRefName(type) {
+    return `${type}Ref`;
+  }
+
   _getCollectionRefForType(type) {
-    // Map plugin types to Firestore collection references
-    // This is Firestore-specific, so we maintain a mapping here
-    // TODO: This is a leak - Firestore collection refs are hardcoded
-    // In the future, plugins could provide their own collection references
-    const refMap = {
-      'sticky': this.stickyRef,
-      'image': this.imageRef
-    };
-    return refMap[type] || null;
+    if (!this._getStorageKeyForType(type)) {
+      return null;
+    }
+    return this[this._getCollectionRefName(type)] || null;
+  }
+
+  // Items of plugins that were added after the app state was created start out empty
+  _getItemsForType(type) {
+    const state = getAppState();
+    const storageKey = this._getStorageKeyForType(type);
+    state[storageKey] = state[storageKey] || {};
+    return state[storageKey];
+  }
+
+  _replaceCollection(collectionRef, previousDocs = {}, nextDocs) {
+    if (!collectionRef) {
+      return;
+    }
+    Object.keys(previousDocs).forEach((id) => {
+      if (!(id in nextDocs)) {
+        const docRef = collectionRef.doc(id);
+        this._cancelUpdate(docRef);
+        this._write(docRef, "delete");
+      }
+    });
+    Object.entries(nextDocs).forEach(([id, data]) => {
+      const docRef = collectionRef.doc(id);
+      this._cancelUpdate(docRef);
+      this._write(docRef, "set", data);
+    });
   }
 
   createBoardItem = (type, data) => {
@@ -1091,9 +1512,8 @@ export class FirestoreStore {
       throw new Error(`Unknown board item type: ${type}`);
     }
     const docRef = collectionRef.doc();
-    docRef.set(data, { merge: true });
-    const storageKey = this._getStorageKeyForType(type);
-    getAppState()[storageKey][docRef.id] = data;
+    this._write(docRef, "set", data, { merge: true });
+    this._getItemsForType(type)[docRef.id] = data;
     this.notifyBoardItemChange(type, docRef.id);
     return docRef.id;
   };
@@ -1103,7 +1523,7 @@ export class FirestoreStore {
     if (!storageKey) {
       throw new Error(`Unknown board item type: ${type}`);
     }
-    const item = getAppState()[storageKey][id];
+    const item = this._getItemsForType(type)[id];
     if (!item) {
       throw new Error(`No such ${type} id=${id}`);
     }
@@ -1119,12 +1539,11 @@ export class FirestoreStore {
     if (collectionRef) {
       const docRef = collectionRef.doc(id);
       // Cancel any pending writes for this document
-      this.debouncer.cancelWrite(docRef.path);
-      docRef.delete();
+      this._cancelUpdate(docRef);
+      this._write(docRef, "delete");
     }
     // Update local state immediately
-    const state = getAppState();
-    delete state[storageKey][id];
+    delete this._getItemsForType(type)[id];
     this.notifyBoardItemChange(type, id);
   };
 
@@ -1136,7 +1555,7 @@ export class FirestoreStore {
     }
     if (collectionRef) {
       const docRef = collectionRef.doc(id);
-      this.debouncer.debounceUpdate(docRef, updates);
+      this._update(docRef, updates, this.getBoardItem(type, id));
     }
     // Update local state immediately
     const item = this.getBoardItem(type, id);
@@ -1148,6 +1567,69 @@ export class FirestoreStore {
     this.updateBoardItem(type, id, { zIndex });
   };
 
+  // While a field is edited, remote changes to it wait until editing ends
+  beginFieldEdit = (type, id, field) => {
+    const collectionRef = this._getCollectionRefForType(type);
+    if (collectionRef) {
+      this.fieldVersions.hold(collectionRef.doc(id).path, field, this.getBoardItem(type, id));
+    }
+  };
+
+  endFieldEdit = (type, id, field) => {
+    const collectionRef = this._getCollectionRefForType(type);
+    if (!collectionRef) {
+      return;
+    }
+    const item = this._getItemsForType(type)[id];
+    const { changed, value } = this.fieldVersions.release(collectionRef.doc(id).path, field, item);
+    if (changed && item) {
+      item[field] = value;
+      this.notifyBoardItemChange(type, id);
+    }
+  };
+
+  // Values of fields that somebody else changed while this client changed them too
+  getFieldConflicts = (type, id) => {
+    const collectionRef = this._getCollectionRefForType(type);
+    return collectionRef ? this.fieldVersions.getConflicts(collectionRef.doc(id).path) : {};
+  };
+
+  dismissFieldConflicts = (type, id) => {
+    const collectionRef = this._getCollectionRefForType(type);
+    if (collectionRef) {
+      this.fieldVersions.dismissConflicts(collectionRef.doc(id).path);
+      this.notifyBoardItemChange(type, id);
+    }
+  };
+
+  // Put an item back under its original id, replacing any current data (used by undo/redo)
+  restoreBoardItem = (type, id, data) => {
+    const collectionRef = this._getCollectionRefForType(type);
+    const storageKey = this._getStorageKeyForType(type);
+    if (!collectionRef || !storageKey) {
+      throw new Error(`Unknown board item type: ${type}`);
+    }
+    const docRef = collectionRef.doc(id);
+    this._cancelUpdate(docRef);
+    this._write(docRef, "set", data);
+    // Update local state immediately
+    this._getItemsForType(type)[id] = data;
+    this.notifyBoardItemChange(type, id);
+  };
+
+  // Put back fields of an item, undefined ones are removed (used by undo/redo).
+  // Only these fields are written, so changes others made to the rest stay.
+  restoreBoardItemFields = (type, id, fields) => {
+    const collectionRef = this._getCollectionRefForType(type);
+    const item = this.getBoardItem(type, id);
+    if (collectionRef) {
+      this._update(collectionRef.doc(id), toUpdateData(fields), item);
+    }
+    // Update local state immediately
+    assignFields(item, fields);
+    this.notifyBoardItemChange(type, id);
+  };
+
   notifyBoardItemChange = (type, id) => {
     // Maintain backward compatibility with old observer methods
     this.observers.forEach((o) => {
@@ -1164,11 +1646,26 @@ export class FirestoreStore {
   };
 }
 
+function assignFields(target, fields) {
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined) {
+      delete target[field];
+    } else {
+      target[field] = value;
+    }
+  });
+}
+
+// Firestore has no undefined, removed fields are cleared like elsewhere in this store
+function toUpdateData(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, value === undefined ? null : value]));
+}
+
 function clone(data) {
   return JSON.parse(JSON.stringify(data));
 }
 
-function doBatched(array, task) {
+function doBatched(array, task, done) {
   function doRun() {
     let timeElapsed = 0;
     while (array.length && timeElapsed < 5) {
@@ -1179,7 +1676,19 @@ function doBatched(array, task) {
     }
     if (array.length) {
       requestAnimationFrame(doRun);
+    } else if (done) {
+      done();
     }
   }
   requestAnimationFrame(doRun);
 }
+
+// Members are listed by email address, so access checks need the email of the
+// signed in user next to the id that callers pass in
+function getSignedInUser(userId) {
+  const currentUser = firebase.auth().currentUser;
+  return {
+    uid: userId,
+    email: currentUser && currentUser.uid === userId ? currentUser.email : null,
+  };
+}
@@ -0,0 +1,312 @@
+// Debug mode - controlled by global window.DEBUG_MODE
+// Use a function to check DEBUG_MODE dynamically
+const isDebugMode = () => window.DEBUG_MODE || false;
+
+/**
+ * Presence
+ * Shares who is looking at a board, where their cursor is and what they have
+ * selected. Every browser tab is one presence entry, keyed by a client id, and
+ * writes only its own entry. Entries carry a lastSeen timestamp that is refreshed
+ * by a heartbeat; entries of tabs that closed without cleaning up expire once
+ * they have not been refreshed for a while.
+ *
+ * The channel talks to a small backend interface so it can run against
+ * Firestore (FirestorePresenceBackend) or in memory (InMemoryPresenceBackend):
+ *   write(clientId, data) - creates or replaces the entry of a client
+ *   remove(clientId) - deletes the entry of a client
+ *   subscribe(onChange) - calls onChange("updated"|"removed", clientId, data)
+ *     for existing and future entries, returns an unsubscribe function
+ */
+
+export const PRESENCE_HEARTBEAT_MS = 10000;
+export const PRESENCE_STALE_MS = 30000;
+const CURSOR_THROTTLE_MS = 100;
+
+export const presenceColors = [
+  "#e6194b",
+  "#3cb44b",
+  "#4363d8",
+  "#f58231",
+  "#911eb4",
+  "#42a5a5",
+  "#f032e6",
+  "#9a6324",
+];
+
+/**
+ * Picks a stable color for a user
+ * @param {string} uid - User id
+ * @returns {string} CSS color
+ */
+export function getPresenceColor(uid) {
+  let hash = 0;
+  for (let i = 0; i < uid.length; i++) {
+    hash = (hash * 31 + uid.charCodeAt(i)) | 0;
+  }
+  return presenceColors[Math.abs(hash) % presenceColors.length];
+}
+
+export class PresenceChannel {
+  observers = [];
+  peers = {};
+  started = false;
+
+  /**
+   * @param {Object} backend - Presence backend (see module comment)
+   * @param {Object} user - Signed in user {uid, displayName, email}
+   * @param {Object} [options]
+   * @param {string} [options.clientId] - Id of this tab, generated by default
+   * @param {number} [options.heartbeatMs] - How often the own entry is refreshed
+   * @param {number} [options.staleMs] - Age after which entries of others are ignored
+   * @param {number} [options.cursorThrottleMs] - Minimum time between cursor writes
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(backend, user, options = {}) {
+    if (!user || !user.uid) {
+      throw new Error("Presence requires a signed in user");
+    }
+    this.backend = backend;
+    this.now = options.now || Date.now;
+    this.heartbeatMs = options.heartbeatMs || PRESENCE_HEARTBEAT_MS;
+    this.staleMs = options.staleMs || PRESENCE_STALE_MS;
+    this.cursorThrottleMs = options.cursorThrottleMs ?? CURSOR_THROTTLE_MS;
+    this.clientId = options.clientId || `${user.uid}-${Math.random().toString(36).slice(2, 10)}`;
+    this.self = {
+      uid: user.uid,
+      name: user.displayName || user.email || "Anonymous",
+      color: getPresenceColor(user.uid),
+      cursor: null,
+      selection: {},
+    };
+    this.lastWriteTime = 0;
+    this.pendingWriteTimer = null;
+  }
+
+  /**
+   * Announces this client and starts listening to the others
+   */
+  start = () => {
+    if (this.started) return;
+    this.started = true;
+    this.unsubscribe = this.backend.subscribe(this._handleChange);
+    this._write();
+    // Timers keep the own entry fresh and drop entries that stopped updating
+    this.heartbeatTimer = setInterval(() => {
+      this._write();
+      this.expireStale();
+    }, this.heartbeatMs);
+  };
+
+  /**
+   * Stops listening and removes this client's entry
+   */
+  stop = () => {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pendingWriteTimer);
+    this.pendingWriteTimer = null;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this._call(() => this.backend.remove(this.clientId));
+    this.peers = {};
+    this.notifyPresenceChange();
+  };
+
+  /**
+   * Shares the cursor position
+   * @param {{x: number, y: number}|null} point - Board coordinates, null when the cursor left the board
+   */
+  updateCursor = (point) => {
+    const cursor = point ? { x: Math.round(point.x), y: Math.round(point.y) } : null;
+    if (sameJson(cursor, this.self.cursor)) return;
+    this.self.cursor = cursor;
+    this._scheduleWrite();
+  };
+
+  /**
+   * Shares the current selection
+   * @param {Object} selection - Map of storage key (e.g. "stickies", "connectors") to an array of ids
+   */
+  updateSelection = (selection) => {
+    const normalized = {};
+    Object.keys(selection || {}).sort().forEach((key) => {
+      if (selection[key] && selection[key].length > 0) {
+        normalized[key] = [...selection[key]].sort();
+      }
+    });
+    if (sameJson(normalized, this.self.selection)) return;
+    this.self.selection = normalized;
+    this._scheduleWrite();
+  };
+
+  /**
+   * @returns {Array<Object>} Other connected clients {clientId, uid, name, color, cursor, selection, lastSeen}
+   */
+  getPeers = () => {
+    const now = this.now();
+    return Object.entries(this.peers)
+      .filter(([, peer]) => !this._isStale(peer, now))
+      .map(([clientId, peer]) => ({ clientId, ...peer }));
+  };
+
+  /**
+   * Forgets entries that have not been refreshed within the stale period
+   */
+  expireStale = () => {
+    const now = this.now();
+    let changed = false;
+    Object.keys(this.peers).forEach((clientId) => {
+      if (this._isStale(this.peers[clientId], now)) {
+        delete this.peers[clientId];
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.notifyPresenceChange();
+    }
+  };
+
+  addObserver = (observer) => {
+    this.observers.push(observer);
+  };
+
+  removeObserver = (observer) => {
+    this.observers = this.observers.filter((o) => o !== observer);
+  };
+
+  notifyPresenceChange = () => {
+    this.observers.forEach((o) => o.onPresenceChange && o.onPresenceChange());
+  };
+
+  _isStale(peer, now) {
+    return !peer.lastSeen || now - peer.lastSeen > this.staleMs;
+  }
+
+  _handleChange = (changeType, clientId, data) => {
+    if (clientId === this.clientId) return;
+    if (changeType === "removed") {
+      if (!this.peers[clientId]) return;
+      delete this.peers[clientId];
+    } else {
+      this.peers[clientId] = data;
+    }
+    this.notifyPresenceChange();
+  };
+
+  // Cursor moves arrive far more often than we want to write, so writes are
+  // throttled and the latest state is written at the end of each period
+  _scheduleWrite() {
+    if (!this.started || this.pendingWriteTimer) return;
+    const wait = this.lastWriteTime + this.cursorThrottleMs - this.now();
+    if (wait <= 0) {
+      this._write();
+      return;
+    }
+    this.pendingWriteTimer = setTimeout(() => {
+      this.pendingWriteTimer = null;
+      this._write();
+    }, wait);
+  }
+
+  _write() {
+    if (!this.started) return;
+    this.lastWriteTime = this.now();
+    this._call(() => this.backend.write(this.clientId, { ...this.self, lastSeen: this.lastWriteTime }));
+  }
+
+  // Presence is best effort; failed writes must not break the board
+  _call(operation) {
+    try {
+      const result = operation();
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => {
+          if (isDebugMode()) {
+            console.error("[Presence] Error writing presence:", error);
+          }
+        });
+      }
+    } catch (error) {
+      if (isDebugMode()) {
+        console.error("[Presence] Error writing presence:", error);
+      }
+    }
+  }
+}
+
+/**
+ * Presence backend storing one document per client in a Firestore collection
+ * (boards/{boardName}/presence)
+ */
+export class FirestorePresenceBackend {
+  constructor(collectionRef) {
+    this.collectionRef = collectionRef;
+  }
+
+  write = (clientId, data) => {
+    return this.collectionRef.doc(clientId).set(data);
+  };
+
+  remove = (clientId) => {
+    return this.collectionRef.doc(clientId).delete();
+  };
+
+  subscribe = (onChange) => {
+    return this.collectionRef.onSnapshot((querySnapshot) => {
+      querySnapshot.docChanges().forEach((change) => {
+        onChange(change.type === "removed" ? "removed" : "updated", change.doc.id, change.doc.data());
+      });
+    });
+  };
+}
+
+/**
+ * Presence backend that keeps entries in memory. Channels sharing one instance
+ * see each other, which makes it a stand-in for Firestore in tests and demos.
+ */
+export class InMemoryPresenceBackend {
+  entries = {};
+  listeners = [];
+
+  write = (clientId, data) => {
+    this.entries[clientId] = clone(data);
+    this.listeners.forEach((listener) => listener("updated", clientId, clone(data)));
+  };
+
+  remove = (clientId) => {
+    if (!this.entries[clientId]) return;
+    delete this.entries[clientId];
+    this.listeners.forEach((listener) => listener("removed", clientId, undefined));
+  };
+
+  subscribe = (onChange) => {
+    this.listeners.push(onChange);
+    Object.entries(this.entries).forEach(([clientId, data]) => onChange("updated", clientId, clone(data)));
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== onChange);
+    };
+  };
+}
+
+/**
+ * Creates the presence channel of a connected FirestoreStore
+ * @param {FirestoreStore} store - Store after connect() was called
+ * @param {Object} user - Signed in Firebase user
+ * @returns {PresenceChannel} Channel, not started yet
+ */
+export function createFirestorePresence(store, user) {
+  if (!store.docRef) {
+    throw new Error("Store must be connected before creating presence");
+  }
+  return new PresenceChannel(new FirestorePresenceBackend(store.docRef.collection("presence")), user);
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
@@ -0,0 +1,334 @@
+// Debug mode - controlled by global window.DEBUG_MODE
+// Use a function to check DEBUG_MODE dynamically
+const isDebugMode = () => window.DEBUG_MODE || false;
+
+/**
+ * Write Queue
+ * Keeps the writes of a board until the server has accepted them, so edits
+ * made while offline survive a reload and are sent in order once the
+ * connection is back. A write is one of
+ *   { path, type: "set", data, options } - creates or replaces a document
+ *   { path, type: "update", data, base } - changes fields of a document
+ *   { path, type: "delete" } - deletes a document
+ * where base holds the values the changed fields had on the server when the
+ * change was made offline, to detect changes by others in the meantime.
+ *
+ * Writes are kept in a storage backend, in IndexedDB (IndexedDbWriteStorage)
+ * or in memory (InMemoryWriteStorage):
+ *   load(boardName) - resolves to the stored writes of a board, oldest first
+ *   put(write) - stores a write, keyed by boardName, tabId and seq
+ *   remove(write) - removes a stored write
+ *
+ * Every tab on a board shares the storage but sends only its own writes, the
+ * ones with its tabId. A tab holds a Web Lock named after its tabId while it
+ * is open, so writes of a tab that was closed are picked up by the next tab
+ * that gets hold of that lock. Without Web Locks a tab can't tell whether
+ * others are still open and sends every write it finds.
+ *
+ * Observers are told about the queue with
+ *   onPendingWritesChange(count, online)
+ *   onWriteConflict(write, fields) - fields changed by somebody else, the write was still applied
+ *   onWriteRejected(write, error) - the server refused the write for good, it was dropped
+ */
+
+export const WRITE_RETRY_MS = 5000;
+
+const LOCK_PREFIX = "put-it-up-writes/";
+
+// Firestore error codes that won't go away by sending the write again
+const PERMANENT_ERROR_CODES = [
+  "permission-denied",
+  "not-found",
+  "already-exists",
+  "failed-precondition",
+  "invalid-argument",
+  "out-of-range",
+  "unauthenticated",
+  "conflict",
+];
+
+/**
+ * @param {Error} error - Error of a failed write
+ * @returns {boolean} True if sending the write again can't succeed
+ */
+export function isPermanentWriteError(error) {
+  return !!error && PERMANENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Applies pending writes to the server's version of a document
+ * @param {Object|null} data - Document data, null if it doesn't exist
+ * @param {Array<Object>} writes - Writes to the document, oldest first
+ * @returns {Object|null} Document data as it will be once the writes are done
+ */
+export function applyWrites(data, writes) {
+  return writes.reduce((current, write) => {
+    if (write.type === "delete") {
+      return null;
+    }
+    if (write.type === "set" && !(write.options && write.options.merge)) {
+      return { ...write.data };
+    }
+    return { ...(current || {}), ...write.data };
+  }, data);
+}
+
+export class WriteQueue {
+  observers = [];
+  writes = [];
+  online = true;
+  loaded = false;
+  flushing = false;
+  retryTimer = null;
+  lastSeq = 0;
+  // Releases the locks of the tabs whose writes this queue sends
+  lockReleases = [];
+
+  /**
+   * @param {string} boardName - Board the writes belong to
+   * @param {Object} storage - Storage backend (see module comment)
+   * @param {(write: Object) => Promise} execute - Sends a write to the server
+   * @param {Object} [options]
+   * @param {number} [options.retryMs] - Wait before sending again after a temporary error
+   * @param {Object} [options.locks] - Web Locks API, navigator.locks by default
+   */
+  constructor(boardName, storage, execute, options = {}) {
+    this.boardName = boardName;
+    this.storage = storage;
+    this.execute = execute;
+    this.retryMs = options.retryMs ?? WRITE_RETRY_MS;
+    this.locks = options.locks ?? (typeof navigator !== "undefined" ? navigator.locks : null);
+    this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    // Taken right away, so other tabs leave writes made before load alone
+    this.ownLock = this.claim(this.tabId);
+  }
+
+  /**
+   * Picks up the writes that were not sent before the page was closed, by
+   * this tab or by others. Nothing is sent before this, so older writes go first.
+   * @returns {Promise<Array<Object>>} The loaded writes
+   */
+  load = async () => {
+    let stored = [];
+    try {
+      await this.ownLock;
+      const found = await this.storage.load(this.boardName);
+      const others = [...new Set(found.map(getTabId))].filter((tabId) => tabId !== this.tabId);
+      const claimed = await Promise.all(others.map((tabId) => this.claim(tabId)));
+      const closed = new Set(others.filter((tabId, index) => claimed[index]));
+      // Loaded again, tabs that had the writes before may have sent some of them.
+      // Writes of this tab are all made after it opened and are queued already.
+      stored = (await this.storage.load(this.boardName))
+        .filter((write) => closed.has(getTabId(write)))
+        .sort((a, b) => a.seq - b.seq);
+    } catch (error) {
+      console.error("[WriteQueue] Could not load stored writes:", error);
+    }
+    this.writes = [...stored, ...this.writes];
+    this.lastSeq = Math.max(this.lastSeq, ...this.writes.map((write) => write.seq));
+    this.loaded = true;
+    this.notifyPendingWritesChange();
+    this.flush();
+    return stored;
+  };
+
+  /**
+   * Takes the lock of a tab for as long as this queue exists, if nobody holds it
+   * @param {string} tabId
+   * @returns {Promise<boolean>} True if this queue may send the writes of the tab
+   */
+  claim(tabId) {
+    if (!this.locks) {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      this.locks.request(LOCK_PREFIX + tabId, { ifAvailable: true }, (lock) => {
+        resolve(!!lock);
+        return lock ? new Promise((release) => this.lockReleases.push(release)) : undefined;
+      }).catch((error) => {
+        console.error("[WriteQueue] Could not take the lock of a tab:", error);
+        resolve(false);
+      });
+    });
+  }
+
+  enqueue = (write) => {
+    // Time based, so writes picked up from closed tabs are sent in the order they were made
+    this.lastSeq = Math.max(Date.now(), this.lastSeq + 1);
+    const queued = { ...write, boardName: this.boardName, tabId: this.tabId, seq: this.lastSeq };
+    this.writes.push(queued);
+    this.storage.put(queued).catch((error) => {
+      console.error("[WriteQueue] Could not store write:", error);
+    });
+    this.notifyPendingWritesChange();
+    this.flush();
+    return queued;
+  };
+
+  getPendingCount = () => this.writes.length;
+
+  getPendingWrites = (path) => this.writes.filter((write) => write.path === path);
+
+  isOnline = () => this.online;
+
+  setOnline = (online) => {
+    this.online = online;
+    this.notifyPendingWritesChange();
+    if (online) {
+      this.flush();
+    }
+  };
+
+  /**
+   * Sends the queued writes one after the other. A temporary error stops
+   * sending until the retry or the next time the connection is back.
+   */
+  flush = async () => {
+    if (this.flushing || !this.online || !this.loaded) {
+      return;
+    }
+    this.flushing = true;
+    clearTimeout(this.retryTimer);
+    try {
+      while (this.writes.length > 0 && this.online) {
+        const write = this.writes[0];
+        try {
+          const conflict = await this.execute(write);
+          if (conflict && conflict.length > 0) {
+            this.observers.forEach((o) => o.onWriteConflict && o.onWriteConflict(write, conflict));
+          }
+        } catch (error) {
+          if (!isPermanentWriteError(error)) {
+            if (isDebugMode()) {
+              console.log(`[WriteQueue] Write to ${write.path} failed, retrying later`, error);
+            }
+            this.retryTimer = setTimeout(this.flush, this.retryMs);
+            return;
+          }
+          this.remove(write);
+          this.observers.forEach((o) => o.onWriteRejected && o.onWriteRejected(write, error));
+          continue;
+        }
+        this.remove(write);
+      }
+    } finally {
+      this.flushing = false;
+    }
+  };
+
+  remove(write) {
+    this.writes = this.writes.filter((queued) => queued !== write);
+    this.storage.remove(write).catch((error) => {
+      console.error("[WriteQueue] Could not remove stored write:", error);
+    });
+    this.notifyPendingWritesChange();
+  }
+
+  addObserver = (observer) => {
+    this.observers.push(observer);
+  };
+
+  notifyPendingWritesChange = () => {
+    this.observers.forEach((o) => o.onPendingWritesChange && o.onPendingWritesChange(this.writes.length, this.online));
+  };
+
+  destroy = () => {
+    clearTimeout(this.retryTimer);
+    this.online = false;
+    // Writes still waiting are picked up by the next tab on the board
+    this.lockReleases.forEach((release) => release());
+    this.lockReleases = [];
+  };
+}
+
+// Writes stored before tabs kept their own writes have no tabId
+function getTabId(write) {
+  return write.tabId ?? "";
+}
+
+// Stored writes only hold plain data; document references are made again from the path
+function toStoredWrite(write) {
+  const { docRef, ...stored } = write;
+  return { ...stored, tabId: getTabId(write) };
+}
+
+function getStorageKey(write) {
+  return `${write.boardName}/${getTabId(write)}/${write.seq}`;
+}
+
+export class InMemoryWriteStorage {
+  writes = new Map();
+
+  load = async (boardName) => {
+    return Array.from(this.writes.values())
+      .filter((write) => write.boardName === boardName)
+      .sort((a, b) => a.seq - b.seq)
+      .map((write) => ({ ...write }));
+  };
+
+  put = async (write) => {
+    this.writes.set(getStorageKey(write), toStoredWrite(write));
+  };
+
+  remove = async (write) => {
+    this.writes.delete(getStorageKey(write));
+  };
+}
+
+const DATABASE_NAME = "put-it-up-writes";
+const STORE_NAME = "writes";
+
+export class IndexedDbWriteStorage {
+  database = null;
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, 2);
+        request.onupgradeneeded = (event) => {
+          const database = request.result;
+          const createStore = () => database.createObjectStore(STORE_NAME, { keyPath: ["boardName", "tabId", "seq"] });
+          if (event.oldVersion < 1) {
+            createStore();
+            return;
+          }
+          // Writes of the first version were not kept per tab
+          const previous = request.transaction.objectStore(STORE_NAME).getAll();
+          previous.onsuccess = () => {
+            database.deleteObjectStore(STORE_NAME);
+            const store = createStore();
+            previous.result.forEach((write) => store.put(toStoredWrite(write)));
+          };
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  async run(mode, action) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  load = (boardName) => {
+    // Keys sort by board name, then by tab; arrays sort after every tab id
+    const range = IDBKeyRange.bound([boardName], [boardName, []]);
+    return this.run("readonly", (store) => store.getAll(range))
+      .then((writes) => writes.sort((a, b) => a.seq - b.seq));
+  };
+
+  put = (write) => {
+    return this.run("readwrite", (store) => store.put(toStoredWrite(write)));
+  };
+
+  remove = (write) => {
+    return this.run("readwrite", (store) => store.delete([write.boardName, getTabId(write), write.seq]));
+  };
+}
@@ -0,0 +1,105 @@
+import { serializeBoard, parseBoardExport, importBoard, loadImageAssets } from '../board/board-export.js';
+import { showError } from './error-overlay.js';
+import { createBoardSvg, serializeSvg, rasterizeSvg } from './svg-export.js';
+
+/**
+ * Board File I/O
+ * Browser side of board export/import: downloading board files and images,
+ * and picking files to load.
+ */
+
+/**
+ * Offers a blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke asynchronously; some browsers cancel the download if revoked immediately
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Builds a file name from the board title
+ * @param {Object} board - Board instance
+ * @param {string} extension - File extension including the dot
+ * @returns {string} File name
+ */
+export function getBoardFileName(board, extension) {
+  const title = board.getBoardTitle() || 'board';
+  const baseName = title.trim().replace(/[\\/:*?"<>|]+/g, '-').replace(/\s+/g, ' ') || 'board';
+  return `${baseName}${extension}`;
+}
+
+/**
+ * Downloads the board as a versioned JSON export file
+ * @param {Object} board - Board instance
+ * @returns {Promise<void>} Resolves once the download was started
+ */
+export async function exportBoardToFile(board) {
+  await loadImageAssets(board);
+  const blob = new Blob([serializeBoard(board)], { type: 'application/json' });
+  downloadBlob(blob, getBoardFileName(board, '.board.json'));
+}
+
+/**
+ * Downloads the board, or the selection, as a self-contained SVG image
+ * @param {Object} board - Board instance
+ * @param {Object} [options] - Options for createBoardSvg (selectionOnly, selectionManager, ...)
+ * @returns {Promise<void>} Resolves once the download was started
+ */
+export async function exportBoardToSvgFile(board, options = {}) {
+  await loadImageAssets(board);
+  const svg = createBoardSvg(board, options);
+  const blob = new Blob([serializeSvg(svg)], { type: 'image/svg+xml' });
+  downloadBlob(blob, getBoardFileName(board, '.svg'));
+}
+
+/**
+ * Downloads the board, or the selection, as a PNG image
+ * @param {Object} board - Board instance
+ * @param {Object} [options] - Options for createBoardSvg (selectionOnly, selectionManager, ...)
+ * @param {number} [scale=2] - Output pixels per board pixel
+ * @returns {Promise<void>} Resolves once the download was started
+ */
+export async function exportBoardToPngFile(board, options = {}, scale = 2) {
+  await loadImageAssets(board);
+  const svg = createBoardSvg(board, options);
+  const blob = await rasterizeSvg(svg, scale);
+  downloadBlob(blob, getBoardFileName(board, '.png'));
+}
+
+/**
+ * Lets the user pick an export file and loads it into the board,
+ * replacing the current contents after confirmation
+ * @param {Object} board - Board instance
+ * @param {Function} [onImported] - Called after the board was replaced
+ */
+export function importBoardFromFile(board, onImported) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.onchange = async () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    try {
+      const exported = parseBoardExport(await file.text());
+      const confirmed = confirm(`Replace the contents of this board with "${file.name}"?\n\nThis cannot be undone.`);
+      if (!confirmed) return;
+      importBoard(board, exported);
+      if (onImported) {
+        onImported();
+      }
+    } catch (error) {
+      console.error('Error importing board:', error);
+      showError(error.message, null, 'Import failed');
+    }
+  };
+  input.click();
+}
@@ -0,0 +1,187 @@
+import { getPlugin } from "../board-items/plugin-registry.js";
+import { findStickyMatches } from "../board/sticky-search.js";
+import { clampZoom } from "./zoom.js";
+
+/**
+ * Board Search
+ * A panel (Ctrl+F) that finds stickies by their text, outlines the matches
+ * on the board and brings them into view one at a time.
+ */
+
+// Below this scale sticky text is hidden (see applyZoomToBoard), so jumping
+// to a match zooms in far enough to read it
+const MIN_READABLE_SCALE = 0.5;
+
+/**
+ * Creates the search panel of a mounted board. The panel starts closed.
+ * @param {Object} board - Board instance
+ * @param {HTMLElement} root - The app root, which holds the panel
+ * @param {HTMLElement} boardScrollContainer - Scrolls the board
+ * @param {HTMLElement} domElement - The board element, which holds the match outlines
+ * @param {Object} store - Datastore
+ * @param {Function} render - Re-renders the board, applying zoom changes
+ * @returns {Object} Handle to open, close and step through the search
+ */
+export function createBoardSearch(board, root, boardScrollContainer, domElement, store, render) {
+  const appState = store.getAppState();
+  const stickyPlugin = getPlugin('sticky');
+
+  const panel = document.createElement("div");
+  panel.className = "board-search";
+  panel.style.display = "none";
+  panel.innerHTML =
+    '<input type="search" class="board-search-input" placeholder="Find stickies" aria-label="Find stickies">' +
+    '<span class="board-search-count" aria-live="polite"></span>' +
+    '<button type="button" class="board-search-previous" title="Previous match (Shift+Enter)">↑</button>' +
+    '<button type="button" class="board-search-next" title="Next match (Enter)">↓</button>' +
+    '<button type="button" class="board-search-close" title="Close (Escape)">×</button>';
+  root.appendChild(panel);
+
+  const input = panel.querySelector(".board-search-input");
+  const countElement = panel.querySelector(".board-search-count");
+
+  const highlights = document.createElement("div");
+  highlights.className = "search-highlights";
+  domElement.appendChild(highlights);
+
+  let isOpen = false;
+  let matches = [];
+  let currentIndex = -1;
+  let refreshFrame = null;
+
+  function renderHighlights() {
+    highlights.innerHTML = "";
+    const stickies = board.getState().stickies || {};
+    const origin = board.getOrigin();
+    matches.forEach((id, index) => {
+      const bounds = stickyPlugin.getBounds(stickies[id], origin);
+      if (!bounds) return;
+      const outline = document.createElement("div");
+      outline.className = index === currentIndex ? "search-match current" : "search-match";
+      outline.style.left = bounds.centerX - bounds.width / 2 + "px";
+      outline.style.top = bounds.centerY - bounds.height / 2 + "px";
+      outline.style.width = bounds.width + "px";
+      outline.style.height = bounds.height + "px";
+      highlights.appendChild(outline);
+    });
+    if (!input.value.trim()) {
+      countElement.textContent = "";
+    } else if (matches.length === 0) {
+      countElement.textContent = "No matches";
+    } else {
+      countElement.textContent = `${currentIndex + 1} of ${matches.length}`;
+    }
+  }
+
+  /**
+   * Scrolls (and if needed zooms) so the current match is in the middle of the viewport
+   */
+  function showCurrentMatch() {
+    const sticky = board.getState().stickies?.[matches[currentIndex]];
+    if (!sticky) return;
+    if ((appState.ui.boardScale || 1) < MIN_READABLE_SCALE) {
+      appState.ui.boardScale = clampZoom(1);
+      render();
+    }
+    const boardScale = appState.ui.boardScale || 1;
+    const bounds = stickyPlugin.getBounds(sticky, board.getOrigin());
+    boardScrollContainer.scrollLeft = Math.max(0, bounds.centerX * boardScale - boardScrollContainer.clientWidth / 2);
+    boardScrollContainer.scrollTop = Math.max(0, bounds.centerY * boardScale - boardScrollContainer.clientHeight / 2);
+  }
+
+  function search() {
+    matches = findStickyMatches(board.getState().stickies, input.value);
+    currentIndex = matches.length > 0 ? 0 : -1;
+    renderHighlights();
+    if (currentIndex >= 0) {
+      showCurrentMatch();
+    }
+  }
+
+  function step(reverse) {
+    if (matches.length === 0) return;
+    currentIndex = (currentIndex + (reverse ? -1 : 1) + matches.length) % matches.length;
+    renderHighlights();
+    showCurrentMatch();
+  }
+
+  // Stickies are edited, moved and added while the panel is open; match them
+  // again without jumping away from the match being looked at
+  function refresh() {
+    refreshFrame = null;
+    if (!isOpen) return;
+    const currentId = matches[currentIndex];
+    matches = findStickyMatches(board.getState().stickies, input.value);
+    const index = matches.indexOf(currentId);
+    currentIndex = index >= 0 ? index : Math.min(Math.max(currentIndex, 0), matches.length - 1);
+    renderHighlights();
+  }
+  const scheduleRefresh = () => {
+    if (isOpen && !refreshFrame) {
+      refreshFrame = requestAnimationFrame(refresh);
+    }
+  };
+  board.addObserver({
+    onStickyChange: scheduleRefresh,
+    onBoardChange: scheduleRefresh,
+  });
+
+  function open(query) {
+    isOpen = true;
+    panel.style.display = "";
+    highlights.style.display = "";
+    if (typeof query === "string") {
+      input.value = query;
+    }
+    search();
+    input.focus();
+    input.select();
+  }
+
+  function close() {
+    isOpen = false;
+    panel.style.display = "none";
+    highlights.style.display = "none";
+    matches = [];
+    currentIndex = -1;
+    highlights.innerHTML = "";
+    if (document.activeElement === input) {
+      input.blur();
+    }
+  }
+
+  input.addEventListener("input", search);
+  // Keep board keyboard shortcuts from acting while typing a query
+  input.addEventListener("keydown", (event) => {
+    event.stopPropagation();
+    if (event.key === "Enter") {
+      event.preventDefault();
+      step(event.shiftKey);
+    } else if (event.key === "Escape") {
+      close();
+    } else if ((event.ctrlKey || event.metaKey) && (event.key === "f" || event.key === "F")) {
+      event.preventDefault();
+      input.select();
+    }
+  });
+  panel.querySelector(".board-search-previous").addEventListener("click", () => step(true));
+  panel.querySelector(".board-search-next").addEventListener("click", () => step(false));
+  panel.querySelector(".board-search-close").addEventListener("click", close);
+
+  return {
+    open,
+    close,
+    next: () => step(false),
+    previous: () => step(true),
+    isOpen: () => isOpen,
+    getMatches: () => [...matches],
+    getCurrentMatch: () => (currentIndex >= 0 ? matches[currentIndex] : null),
+    destroy: () => {
+      if (refreshFrame) {
+        cancelAnimationFrame(refreshFrame);
+      }
+      panel.remove();
+      highlights.remove();
+    },
+  };
+}
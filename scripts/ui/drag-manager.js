@@ -1,18 +1,24 @@
 import { StateMachine, GlobalListenerManager } from "./state-machine-base.js";
 import { createStateConfig } from "./state-config-pattern.js";
-import { moveItemFromOriginal, calculateMovementDelta, getEventCoordinates } from "./movement-utils.js";
+import { moveItemFromOriginal, calculateMovementDelta, getEventCoordinates, findOwnedItems } from "./movement-utils.js";
 import { getStorageKeyForType, getAllPlugins } from "../board-items/plugin-registry.js";
+import { getConnectorBounds } from "../board-items/connector-hit-testing.js";
 
 /**
  * Drag State Machine
  * Centralized state management for drag-and-drop movement across all content types
- * Handles multi-item, multi-type dragging via SelectionManager
+ * Handles multi-item, multi-type dragging via SelectionManager,
+ * and rubber-band (marquee) selection by dragging on empty board space
  */
 const DragState = {
   IDLE: 'idle',
-  DRAGGING: 'dragging'
+  DRAGGING: 'dragging',
+  MARQUEE_SELECTING: 'marquee-selecting'
 };
 
+// Pointer travel (screen pixels) below which a marquee gesture counts as a plain click
+const MARQUEE_CLICK_THRESHOLD = 3;
+
 /**
  * Helper function to convert item type to selection type
  * @param {string} itemType - Plugin type or 'connector'
@@ -55,12 +61,31 @@ class DragStateMachine extends StateMachine {
         if (stateMachine.globalListeners) {
           stateMachine.setCursor('grabbing');
           stateMachine.setupDragListeners();
+          // The whole gesture (all selected items and their connectors) is one undo step
+          stateMachine.board.beginHistoryStep();
+        }
+      },
+      cleanup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.clearAllListeners();
+          stateMachine.resetCursor();
+          stateMachine.board.endHistoryStep();
+        }
+      }
+    };
+    
+    stateConfig[DragState.MARQUEE_SELECTING] = {
+      setup: (stateData, stateMachine) => {
+        if (stateMachine.globalListeners) {
+          stateMachine.setCursor('crosshair');
+          stateMachine.setupMarqueeListeners();
         }
       },
       cleanup: (stateData, stateMachine) => {
         if (stateMachine.globalListeners) {
           stateMachine.clearAllListeners();
           stateMachine.resetCursor();
+          stateMachine.removeMarqueeElement();
         }
       }
     };
@@ -84,6 +109,9 @@ class DragStateMachine extends StateMachine {
     this.rafPending = false;
     this.lastMoveEvent = null;
     
+    // Rectangle drawn while marquee selecting
+    this.marqueeElement = null;
+    
     // Store cleanup functions for window event listeners
     this._windowBlurHandler = null;
     this._mouseLeaveHandler = null;
@@ -140,6 +168,25 @@ class DragStateMachine extends StateMachine {
     });
   }
   
+  setupMarqueeListeners() {
+    this.globalListeners.setListeners({
+      'mousemove': (e) => {
+        // Throttle to once per animation frame
+        this.lastMoveEvent = e;
+        if (this.rafPending) return;
+        this.rafPending = true;
+        requestAnimationFrame(() => {
+          this.rafPending = false;
+          const event = this.lastMoveEvent;
+          if (event) {
+            this.handleMarqueeMove(event);
+          }
+        });
+      },
+      'mouseup': this.handleMarqueeEnd.bind(this)
+    });
+  }
+  
   /**
    * Check if a drag operation can start
    * Validates that we're not in a special mode that prevents dragging
@@ -155,6 +202,11 @@ class DragStateMachine extends StateMachine {
       return false;
     }
     
+    // Viewers can select items but not move them
+    if (this.board.isReadOnly && this.board.isReadOnly()) {
+      return false;
+    }
+    
     // Validate item exists
     let item = null;
     const plugins = getAllPlugins();
@@ -269,12 +321,199 @@ class DragStateMachine extends StateMachine {
       });
     }
     
+    this.collectOwnedItems();
+    
     // Transition to dragging state
     this.transitionTo(DragState.DRAGGING, 'drag started');
     
     return true;
   }
   
+  /**
+   * Adds the items owned by dragged items (like the contents of a frame) to the drag
+   */
+  collectOwnedItems() {
+    const { originalLocations, lastLocations } = this.stateData;
+    const draggedIdsByType = {};
+    getAllPlugins().forEach(plugin => {
+      const locations = originalLocations[plugin.getSelectionType()];
+      if (locations) {
+        draggedIdsByType[plugin.getType()] = Array.from(locations.keys());
+      }
+    });
+    const draggedConnectorIds = new Set(originalLocations.connectors ? originalLocations.connectors.keys() : []);
+    const owned = findOwnedItems(this.board, draggedIdsByType, draggedConnectorIds);
+    
+    Object.entries(owned.itemIdsByType).forEach(([type, ids]) => {
+      const storageKey = getStorageKeyForType(type);
+      originalLocations[storageKey] = originalLocations[storageKey] || new Map();
+      lastLocations[storageKey] = lastLocations[storageKey] || new Map();
+      ids.forEach((id) => {
+        const location = { ...this.store.getBoardItem(type, id).location };
+        originalLocations[storageKey].set(id, location);
+        lastLocations[storageKey].set(id, location);
+      });
+    });
+    
+    if (owned.connectorIds.length > 0) {
+      originalLocations.connectors = originalLocations.connectors || new Map();
+      owned.connectorIds.forEach((id) => originalLocations.connectors.set(id, { id }));
+    }
+    // Owned connectors move whole, so their curve handles must not move again with the items
+    this.stateData.ownedConnectorIds = owned.connectorIds;
+  }
+  
+  /**
+   * Start a marquee selection
+   * Called when a mousedown occurs on empty board space
+   * 
+   * @param {MouseEvent} event - Mouse event that started the gesture
+   * @returns {boolean} True if marquee selection started
+   */
+  startMarqueeSelection(event) {
+    if (this.currentState !== DragState.IDLE) {
+      return false;
+    }
+    const appState = this.store.getAppState();
+    // Clicks on the board create items or connectors in these modes
+    const inCreationMode = appState.ui.nextClickCreatesConnector || getAllPlugins().some(plugin => {
+      const creationFlag = plugin.getCreationModeFlag();
+      return creationFlag && appState.ui[creationFlag];
+    });
+    if (inCreationMode || (event.button !== undefined && event.button !== 0)) {
+      return false;
+    }
+    
+    const coords = getEventCoordinates(event);
+    if (!coords) {
+      return false;
+    }
+    
+    this.stateData.marqueeStart = this.clientToBoardPoint(coords.clientX, coords.clientY);
+    this.stateData.marqueeEnd = { ...this.stateData.marqueeStart };
+    this.stateData.dragStart = { x: coords.clientX, y: coords.clientY };
+    this.stateData.addToSelection = !!event.shiftKey;
+    this.stateData.marqueeMoved = false;
+    
+    this.transitionTo(DragState.MARQUEE_SELECTING, 'marquee started');
+    return true;
+  }
+  
+  /**
+   * Converts client coordinates to board coordinates relative to the board origin
+   * (the space plugin getBounds() works in)
+   */
+  clientToBoardPoint(clientX, clientY) {
+    const rect = this.boardElement.getBoundingClientRect();
+    const boardScale = this.store.getAppState().ui.boardScale || 1;
+    return {
+      x: (clientX - rect.left) / boardScale,
+      y: (clientY - rect.top) / boardScale
+    };
+  }
+  
+  /**
+   * Handle mouse move during marquee selection
+   * Updates the rectangle shown on the board
+   * 
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMarqueeMove(event) {
+    if (this.currentState !== DragState.MARQUEE_SELECTING) return;
+    
+    event.preventDefault();
+    const coords = getEventCoordinates(event);
+    if (!coords) return;
+    
+    const travel = Math.hypot(coords.clientX - this.stateData.dragStart.x, coords.clientY - this.stateData.dragStart.y);
+    if (travel >= MARQUEE_CLICK_THRESHOLD) {
+      this.stateData.marqueeMoved = true;
+    }
+    this.stateData.marqueeEnd = this.clientToBoardPoint(coords.clientX, coords.clientY);
+    if (this.stateData.marqueeMoved) {
+      this.updateMarqueeElement(this.getMarqueeRect());
+    }
+  }
+  
+  /**
+   * Handle mouse up during marquee selection
+   * Selects everything intersecting the rectangle
+   * 
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMarqueeEnd(event) {
+    if (this.currentState !== DragState.MARQUEE_SELECTING) return;
+    
+    const coords = getEventCoordinates(event);
+    if (coords) {
+      const travel = Math.hypot(coords.clientX - this.stateData.dragStart.x, coords.clientY - this.stateData.dragStart.y);
+      if (travel >= MARQUEE_CLICK_THRESHOLD) {
+        this.stateData.marqueeMoved = true;
+      }
+      this.stateData.marqueeEnd = this.clientToBoardPoint(coords.clientX, coords.clientY);
+    }
+    
+    // A click without movement is left to the board click handler (which clears the selection)
+    const selectionChanged = this.stateData.marqueeMoved;
+    if (selectionChanged) {
+      event.preventDefault();
+      event.stopPropagation();
+      
+      const hits = findItemsIntersectingRect(this.store, this.board.getOrigin(), this.getMarqueeRect());
+      if (!this.stateData.addToSelection) {
+        this.selectionManager.clearAllSelections();
+      }
+      hits.forEach(({ selectionType, id }) => {
+        this.selectionManager.addToSelection(selectionType, id);
+      });
+      
+      // Ignore the click event that follows mouseup so the new selection is kept
+      this.justCompletedDrag = true;
+      setTimeout(() => {
+        this.justCompletedDrag = false;
+      }, 100);
+    }
+    
+    this.transitionTo(DragState.IDLE, 'marquee ended');
+    if (selectionChanged) {
+      this.renderCallback();
+    }
+  }
+  
+  /**
+   * @returns {{minX:number, minY:number, maxX:number, maxY:number}} Current marquee rectangle
+   */
+  getMarqueeRect() {
+    const { marqueeStart, marqueeEnd } = this.stateData;
+    return {
+      minX: Math.min(marqueeStart.x, marqueeEnd.x),
+      minY: Math.min(marqueeStart.y, marqueeEnd.y),
+      maxX: Math.max(marqueeStart.x, marqueeEnd.x),
+      maxY: Math.max(marqueeStart.y, marqueeEnd.y)
+    };
+  }
+  
+  updateMarqueeElement(rect) {
+    if (!this.marqueeElement) {
+      this.marqueeElement = document.createElement('div');
+      this.marqueeElement.className = 'selection-marquee';
+      this.boardElement.appendChild(this.marqueeElement);
+    }
+    // Board element children are positioned in unscaled board pixels
+    const style = this.marqueeElement.style;
+    style.left = rect.minX + 'px';
+    style.top = rect.minY + 'px';
+    style.width = (rect.maxX - rect.minX) + 'px';
+    style.height = (rect.maxY - rect.minY) + 'px';
+  }
+  
+  removeMarqueeElement() {
+    if (this.marqueeElement) {
+      this.marqueeElement.remove();
+      this.marqueeElement = null;
+    }
+  }
+  
   /**
    * Handle mouse/touch move during drag
    * Updates all selected items based on pointer movement
@@ -339,7 +578,7 @@ class DragStateMachine extends StateMachine {
     // Move connectors connected to moved items with actual deltas
     // (accounting for snapping and boundary constraints)
     // Track which connectors have been moved to avoid double movement
-    const movedConnectors = new Set();
+    const movedConnectors = new Set(this.stateData.ownedConnectorIds);
     
     // Process each plugin type
     plugins.forEach(plugin => {
@@ -492,6 +731,49 @@ class DragStateMachine extends StateMachine {
   }
 }
 
+/**
+ * Finds all board items and connectors whose bounds intersect a rectangle
+ * 
+ * @param {Object} store - Store instance
+ * @param {Object} boardOrigin - Board origin {x, y}
+ * @param {{minX:number, minY:number, maxX:number, maxY:number}} rect - Rectangle relative to the board origin
+ * @returns {Array<{selectionType: string, id: string}>} Hits, keyed by selection type
+ */
+function findItemsIntersectingRect(store, boardOrigin, rect) {
+  const state = store.getState();
+  const hits = [];
+  const intersects = (bounds) => bounds &&
+    bounds.centerX - bounds.width / 2 <= rect.maxX &&
+    bounds.centerX + bounds.width / 2 >= rect.minX &&
+    bounds.centerY - bounds.height / 2 <= rect.maxY &&
+    bounds.centerY + bounds.height / 2 >= rect.minY;
+  const encloses = (bounds) => bounds &&
+    bounds.centerX - bounds.width / 2 >= rect.minX &&
+    bounds.centerX + bounds.width / 2 <= rect.maxX &&
+    bounds.centerY - bounds.height / 2 >= rect.minY &&
+    bounds.centerY + bounds.height / 2 <= rect.maxY;
+  
+  getAllPlugins().forEach(plugin => {
+    const storageKey = plugin.getSelectionType();
+    // Marquees usually start inside background items like frames, so those
+    // are only selected when the rectangle covers them completely
+    const hitTest = plugin.getLayer() < 0 ? encloses : intersects;
+    Object.entries(state[storageKey] || {}).forEach(([id, item]) => {
+      if (hitTest(plugin.getBounds(item, boardOrigin))) {
+        hits.push({ selectionType: storageKey, id });
+      }
+    });
+  });
+  
+  Object.entries(state.connectors || {}).forEach(([id, connector]) => {
+    if (intersects(getConnectorBounds(connector, state, boardOrigin))) {
+      hits.push({ selectionType: 'connectors', id });
+    }
+  });
+  
+  return hits;
+}
+
 /**
  * Create and return a DragStateMachine instance
  * 
@@ -507,6 +789,7 @@ export function createDragManager(boardElement, board, selectionManager, store,
   
   return {
     startDrag: (itemId, itemType, event, options) => stateMachine.startDrag(itemId, itemType, event, options),
+    startMarqueeSelection: (event) => stateMachine.startMarqueeSelection(event),
     cleanup: () => stateMachine.cleanup(),
     getCurrentState: () => stateMachine.getCurrentState(),
     getStateData: () => stateMachine.getStateData(),
@@ -520,6 +803,7 @@ export function createDragManager(boardElement, board, selectionManager, store,
 // Export for testing
 export {
   DragState,
-  DragStateMachine
+  DragStateMachine,
+  findItemsIntersectingRect
 };
 
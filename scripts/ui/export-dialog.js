@@ -0,0 +1,121 @@
+import { exportBoardToFile, exportBoardToSvgFile, exportBoardToPngFile } from './board-file-io.js';
+import { showError } from './error-overlay.js';
+
+/**
+ * Export Dialog
+ * Lets the user choose between a board file (JSON, can be imported again)
+ * and an image (SVG or PNG) of the whole board or the current selection.
+ */
+
+const FORMATS = [
+  { value: 'json', label: 'Board file (.json)' },
+  { value: 'svg', label: 'SVG image' },
+  { value: 'png', label: 'PNG image' },
+];
+const PNG_SCALES = [1, 2, 3, 4];
+const DEFAULT_PNG_SCALE = 2;
+
+/**
+ * Shows the export dialog
+ * @param {Object} board - Board instance
+ * @param {Object} selectionManager - Selection manager, used for exporting the selection
+ * @returns {{close: Function}} Handle to close the dialog
+ */
+export function showExportDialog(board, selectionManager) {
+  const hasSelection = selectionManager.hasAnySelection();
+  const overlay = document.createElement('div');
+  overlay.className = 'error-overlay export-overlay';
+  overlay.style.display = 'flex';
+  overlay.innerHTML =
+    '<form class="error-container export-dialog">' +
+    '<h3 class="error-title">Export</h3>' +
+    '<fieldset class="export-format"><legend>Format</legend></fieldset>' +
+    '<fieldset class="export-scope"><legend>Contents</legend></fieldset>' +
+    '<label class="export-scale">Scale <select name="scale"></select></label>' +
+    '<div class="export-actions">' +
+    '<button type="button" class="export-cancel">Cancel</button>' +
+    '<button type="submit" class="error-button">Export</button>' +
+    '</div>' +
+    '</form>';
+
+  const form = overlay.querySelector('form');
+  FORMATS.forEach(({ value, label }, index) => {
+    form.querySelector('.export-format').appendChild(createRadio('format', value, label, index === 0));
+  });
+  const scope = form.querySelector('.export-scope');
+  scope.appendChild(createRadio('scope', 'board', 'Whole board', !hasSelection));
+  scope.appendChild(createRadio('scope', 'selection', 'Selection', hasSelection));
+  const scaleSelect = form.querySelector('select[name="scale"]');
+  PNG_SCALES.forEach((scale) => {
+    const option = document.createElement('option');
+    option.value = String(scale);
+    option.textContent = `${scale}x`;
+    option.selected = scale === DEFAULT_PNG_SCALE;
+    scaleSelect.appendChild(option);
+  });
+
+  const updateControls = () => {
+    const format = form.elements.format.value;
+    // Board files always contain the whole board
+    scope.disabled = format === 'json';
+    form.querySelector('input[value="selection"]').disabled = !hasSelection;
+    form.querySelector('.export-scale').style.display = format === 'png' ? '' : 'none';
+  };
+  form.addEventListener('change', updateControls);
+  updateControls();
+
+  const close = () => {
+    overlay.remove();
+  };
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const format = form.elements.format.value;
+    const options = {
+      selectionManager,
+      selectionOnly: form.elements.scope.value === 'selection',
+    };
+    close();
+    try {
+      if (format === 'json') {
+        await exportBoardToFile(board);
+      } else if (format === 'svg') {
+        await exportBoardToSvgFile(board, options);
+      } else {
+        await exportBoardToPngFile(board, options, Number(scaleSelect.value));
+      }
+    } catch (error) {
+      console.error('Error exporting board:', error);
+      showError(error.message, null, 'Export failed');
+    }
+  });
+  form.querySelector('.export-cancel').addEventListener('click', close);
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      close();
+    }
+  });
+  // Keep board keyboard shortcuts from acting on the board behind the dialog
+  overlay.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+
+  document.body.appendChild(overlay);
+  form.querySelector('button[type="submit"]').focus();
+  return { close };
+}
+
+function createRadio(name, value, label, checked) {
+  const wrapper = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'radio';
+  input.name = name;
+  input.value = value;
+  input.checked = checked;
+  wrapper.appendChild(input);
+  wrapper.appendChild(document.createTextNode(' ' + label));
+  return wrapper;
+}
@@ -3,8 +3,14 @@ import { createStateConfig } from "./state-config-pattern.js";
 import { changeZoomLevel } from "./zoom.js";
 import { changeColor } from "./color-management.js";
 import { moveSelection } from "./movement-utils.js";
-import { getAllPlugins } from "../board-items/plugin-registry.js";
+import { getAllPlugins, onPluginRegistered } from "../board-items/plugin-registry.js";
 import { SelectionManager } from "./selection-manager.js";
+import {
+  ARROW_HEAD_TYPES,
+  CONNECTOR_LINE_STYLES,
+  CONNECTOR_STROKE_WIDTHS,
+  getNextConnectorStyle,
+} from "../board-items/connector-styling.js";
 
 /**
  * Centralized Keyboard State Machine
@@ -12,11 +18,10 @@ import { SelectionManager } from "./selection-manager.js";
  * Defines explicit states for keyboard interactions to provide clear context
  * and enable better debugging and state management.
  */
-// Generate creation mode states dynamically from plugins
-// Note: This runs at module load time, so plugins must be registered statically
-const plugins = getAllPlugins();
+// Generate creation mode states dynamically from plugins; plugins registered
+// later are added by addPluginCreationState
 const pluginCreationStates = {};
-plugins.forEach(plugin => {
+getAllPlugins().forEach(plugin => {
   const creationFlag = plugin.getCreationModeFlag();
   if (creationFlag) {
     const type = plugin.getType();
@@ -38,6 +43,37 @@ if (!KeyboardState.STICKY_CREATION_MODE) {
   KeyboardState.STICKY_CREATION_MODE = 'sticky_creation_mode';
 }
 
+// Keys that step through a style of the selected connectors, Shift goes backwards
+const CONNECTOR_STYLE_SHORTCUTS = {
+  a: { values: ARROW_HEAD_TYPES, current: 'currentOriginArrowHead', update: 'updateOriginArrowHead' },
+  d: { values: CONNECTOR_LINE_STYLES, current: 'currentConnectorLineStyle', update: 'updateConnectorLineStyle' },
+  w: { values: CONNECTOR_STROKE_WIDTHS, current: 'currentConnectorStrokeWidth', update: 'updateConnectorStrokeWidth' },
+};
+
+// Handlers that do not change the board, and stay active on read-only boards
+const READ_ONLY_HANDLERS = ['cancelHandler', 'searchHandler', 'zoomHandler'];
+
+/**
+ * State of the keyboard while the next click creates an item of a plugin
+ * @param {string} type - Plugin type
+ * @returns {Object} State configuration
+ */
+function createCreationModeState(type) {
+  return {
+    setup: (stateData, stateMachine) => {
+      if (stateMachine.board) {
+        stateMachine.setPluginCreationMode(type, true);
+        stateMachine.setupPluginCreationHandlers(type);
+        stateData.activeMode = `${type}_creation`;
+        stateData.lastAction = `${type} creation mode activated`;
+      }
+    },
+    cleanup: (stateData, stateMachine) => {
+      stateMachine.setPluginCreationMode(type, false);
+    }
+  };
+}
+
 /**
  * Keyboard State Machine Implementation
  * Uses the new StateMachine base class for consistent behavior
@@ -62,31 +98,16 @@ class KeyboardStateMachine extends StateMachine {
     };
     
     // Configure plugin creation modes dynamically
-    plugins.forEach(plugin => {
+    getAllPlugins().forEach(plugin => {
       const creationFlag = plugin.getCreationModeFlag();
       if (creationFlag) {
         const type = plugin.getType();
-        const stateName = `${type.toUpperCase()}_CREATION_MODE`;
-        const stateValue = `${type}_creation_mode`;
-        
-        stateConfig[stateValue] = {
-          setup: (stateData, stateMachine) => {
-            if (stateMachine.board) {
-              stateMachine.setPluginCreationMode(type, true);
-              stateMachine.setupPluginCreationHandlers(type);
-              stateData.activeMode = `${type}_creation`;
-              stateData.lastAction = `${type} creation mode activated`;
-            }
-          },
-          cleanup: (stateData, stateMachine) => {
-            stateMachine.setPluginCreationMode(type, false);
-          }
-        };
+        stateConfig[`${type}_creation_mode`] = createCreationModeState(type);
       }
     });
     
     // Backward compatibility: keep STICKY_CREATION_MODE if sticky plugin exists
-    const stickyPlugin = plugins.find(p => p.getType() === 'sticky');
+    const stickyPlugin = getAllPlugins().find(p => p.getType() === 'sticky');
     if (stickyPlugin && stickyPlugin.getCreationModeFlag()) {
       stateConfig[KeyboardState.STICKY_CREATION_MODE] = stateConfig['sticky_creation_mode'];
     }
@@ -173,9 +194,8 @@ class KeyboardStateMachine extends StateMachine {
   
   setConnectorCreationMode(enabled) {
     if (this.appState && this.appState.ui) {
+      this.clearAllModeFlags();
       this.appState.ui.nextClickCreatesConnector = enabled;
-      this.appState.ui.nextClickCreatesNewSticky = false;
-      this.appState.ui.connectorOriginId = null;
     }
   }
   
@@ -270,7 +290,9 @@ class KeyboardStateMachine extends StateMachine {
    * Helper function to move selected items using movement-utils
    */
   moveSelection(dx, dy) {
-    moveSelection(dx, dy, this.board, this.selectionManager, this.selectedConnectors);
+    this.board.recordHistoryStep(() => {
+      moveSelection(dx, dy, this.board, this.selectionManager, this.selectedConnectors);
+    });
   }
   
   /**
@@ -301,7 +323,7 @@ class KeyboardStateMachine extends StateMachine {
         },
         
         onKeyDown: (event, keyboardStateData) => {
-          const stickyPlugin = plugins.find(p => p.getType() === 'sticky');
+          const stickyPlugin = getAllPlugins().find(p => p.getType() === 'sticky');
           if (stickyPlugin && stickyPlugin.getCreationModeFlag()) {
             this.setPluginCreationMode('sticky', true);
             this.callbacks.onNewStickyRequest();
@@ -318,9 +340,8 @@ class KeyboardStateMachine extends StateMachine {
         },
         
         onKeyDown: (event, keyboardStateData) => {
+          this.clearAllModeFlags();
           this.appState.ui.nextClickCreatesConnector = true;
-          this.appState.ui.nextClickCreatesNewSticky = false;
-          this.appState.ui.connectorOriginId = null;
           this.callbacks.onConnectorRequest();
           
           this.transitionTo(KeyboardState.CONNECTOR_CREATION_MODE, 'connector creation mode activated');
@@ -352,6 +373,58 @@ class KeyboardStateMachine extends StateMachine {
         }
       },
       
+      // Handler for undo (Ctrl/Cmd+Z)
+      undoHandler: {
+        canHandle: (event, state, appState) => {
+          return (event.ctrlKey || event.metaKey) && !event.shiftKey &&
+                 (event.key === "z" || event.key === "Z");
+        },
+        
+        onKeyDown: (event, keyboardStateData) => {
+          event.preventDefault();
+          if (this.board.undo() && this.callbacks.onHistoryChange) {
+            this.callbacks.onHistoryChange();
+          }
+          
+          this.transitionTo(KeyboardState.IDLE, 'undo');
+        }
+      },
+      
+      // Handler for redo (Ctrl/Cmd+Shift+Z, or Ctrl+Y)
+      redoHandler: {
+        canHandle: (event, state, appState) => {
+          if (!event.ctrlKey && !event.metaKey) return false;
+          return ((event.key === "z" || event.key === "Z") && event.shiftKey) ||
+                 event.key === "y" || event.key === "Y";
+        },
+        
+        onKeyDown: (event, keyboardStateData) => {
+          event.preventDefault();
+          if (this.board.redo() && this.callbacks.onHistoryChange) {
+            this.callbacks.onHistoryChange();
+          }
+          
+          this.transitionTo(KeyboardState.IDLE, 'redo');
+        }
+      },
+      
+      // Handler for opening the search panel (Ctrl/Cmd+F)
+      searchHandler: {
+        canHandle: (event, state, appState) => {
+          return (event.ctrlKey || event.metaKey) && !event.shiftKey &&
+                 (event.key === "f" || event.key === "F") &&
+                 !!this.callbacks.onSearchRequest;
+        },
+        
+        onKeyDown: (event, keyboardStateData) => {
+          // Replaces the browser's find, which cannot see into scaled stickies
+          event.preventDefault();
+          this.callbacks.onSearchRequest();
+          
+          this.transitionTo(KeyboardState.IDLE, 'search opened');
+        }
+      },
+      
       // Handler for deletion operations
       deleteHandler: {
         canHandle: (event, state, appState) => {
@@ -366,6 +439,29 @@ class KeyboardStateMachine extends StateMachine {
         }
       },
       
+      // Handler for connector styles: start arrow head (a), line style (d) and line width (w)
+      connectorStyleHandler: {
+        canHandle: (event, state, appState) => {
+          if (event.ctrlKey || event.metaKey || event.altKey) return false;
+          if (!CONNECTOR_STYLE_SHORTCUTS[event.key.toLowerCase()]) return false;
+          return !!(this.selectedConnectors && this.selectedConnectors.hasItems && this.selectedConnectors.hasItems());
+        },
+        
+        onKeyDown: (event, keyboardStateData) => {
+          const shortcut = CONNECTOR_STYLE_SHORTCUTS[event.key.toLowerCase()];
+          const value = getNextConnectorStyle(shortcut.values, this.appState.ui[shortcut.current], event.shiftKey);
+          this.appState.ui[shortcut.current] = value;
+          this.board.recordHistoryStep(() => {
+            this.selectedConnectors.forEach((id) => this.board[shortcut.update](id, value));
+          });
+          if (this.callbacks.onConnectorStyleChange) {
+            this.callbacks.onConnectorStyleChange();
+          }
+          
+          this.transitionTo(KeyboardState.IDLE, 'connector style changed');
+        }
+      },
+      
       // Handler for arrow key movement
       movementHandler: {
         canHandle: (event, state, appState) => {
@@ -423,8 +519,12 @@ class KeyboardStateMachine extends StateMachine {
   getHandlerPriority() {
     return [
       'cancelHandler',           // Highest - Escape always takes precedence
+      'undoHandler',             // High - Ctrl/Cmd+Z
+      'redoHandler',             // High - Ctrl/Cmd+Shift+Z, Ctrl+Y
+      'searchHandler',           // High - Ctrl/Cmd+F
       'deleteHandler',           // High - Delete/Backspace
       'movementHandler',         // High - Arrow keys for movement
+      'connectorStyleHandler',   // Mid - Styles of selected connectors
       'zoomHandler',             // Mid - Zoom operations
       'stickyCreationHandler',   // Mid - Sticky creation
       'connectorCreationHandler', // Mid - Connector creation
@@ -449,7 +549,11 @@ class KeyboardStateMachine extends StateMachine {
 
     // Route to appropriate handler based on current state and context
     const handlers = this.getKeyboardHandlers();
+    const readOnly = this.board.isReadOnly && this.board.isReadOnly();
     for (const handlerName of this.getHandlerPriority()) {
+      if (readOnly && !READ_ONLY_HANDLERS.includes(handlerName)) {
+        continue;
+      }
       const handler = handlers[handlerName];
       if (handler.canHandle && handler.canHandle(event, this.currentState, this.appState)) {
         if (handler.onKeyDown) {
@@ -472,30 +576,12 @@ class KeyboardStateMachine extends StateMachine {
   }
   
   /**
-   * Deletes all selected items (plugins and connectors)
+   * Deletes all selected items (plugins and connectors) as a single undo step
    */
   deleteSelectedItems() {
-    const plugins = getAllPlugins();
-    
-    // Delete plugin items
-    plugins.forEach(plugin => {
-      const type = plugin.getType();
-      const selectionType = plugin.getSelectionType();
-      const selection = this.selectionManager.getSelection(selectionType);
-      
-      if (selection && selection.hasItems && selection.hasItems()) {
-        selection.forEach((id) => {
-          this.board.deleteBoardItem(type, id);
-        });
-      }
+    this.board.recordHistoryStep(() => {
+      deleteSelectedItems(this.board, this.selectionManager, this.selectedConnectors);
     });
-    
-    // Delete connectors (not a plugin)
-    if (this.selectedConnectors && this.selectedConnectors.hasItems && this.selectedConnectors.hasItems()) {
-      this.selectedConnectors.forEach((id) => {
-        this.board.deleteConnector(id);
-      });
-    }
   }
   
   setupEventListeners() {
@@ -542,6 +628,24 @@ class KeyboardStateMachine extends StateMachine {
  */
 let keyboardStateMachine = null;
 
+/**
+ * Adds the creation mode state of a plugin registered after startup
+ * @param {Object} plugin - The registered plugin
+ */
+function addPluginCreationState(plugin) {
+  if (!plugin.getCreationModeFlag()) {
+    return;
+  }
+  const type = plugin.getType();
+  const stateValue = `${type}_creation_mode`;
+  KeyboardState[`${type.toUpperCase()}_CREATION_MODE`] = stateValue;
+  if (keyboardStateMachine) {
+    keyboardStateMachine.stateConfig[stateValue] = createCreationModeState(type);
+  }
+}
+
+onPluginRegistered(addPluginCreationState);
+
 /**
  * Sets up global keyboard event handlers for board interactions
  * 
@@ -555,6 +659,9 @@ let keyboardStateMachine = null;
  * @param {Function} callbacks.onNewStickyRequest - Called when user requests new sticky
  * @param {Function} callbacks.onConnectorRequest - Called when user requests new connector
  * @param {Function} callbacks.onCancelAction - Called when user cancels action
+ * @param {Function} [callbacks.onHistoryChange] - Called after an undo or redo changed the board
+ * @param {Function} [callbacks.onSearchRequest] - Called when user asks to search the board
+ * @param {Function} [callbacks.onConnectorStyleChange] - Called after a shortcut changed the style of selected connectors
  * @returns {Function} Cleanup function to remove event handlers
  */
 export function setupKeyboardHandlers(
@@ -1,9 +1,33 @@
 import { changeZoomLevel } from "./zoom.js";
 import { changeColor, stickyColorPalette, connectorColorPalette } from "./color-management.js";
 import { deleteSelectedItems } from "./keyboard-handlers.js";
-import { ARROW_HEAD_TYPES } from "../board-items/connector-styling.js";
+import {
+  ARROW_HEAD_TYPES,
+  CONNECTOR_LINE_STYLES,
+  CONNECTOR_STROKE_WIDTHS,
+  getConnectorLineStyle,
+  getConnectorStrokeWidth,
+  getNextConnectorStyle,
+  getOriginArrowHead,
+} from "../board-items/connector-styling.js";
+import { CONNECTOR_ROUTING_TYPES, getConnectorRouting } from "../board-items/connector-routing.js";
 import { getAllPlugins } from "../board-items/plugin-registry.js";
 import { SelectionManager } from "./selection-manager.js";
+import { importBoardFromFile } from "./board-file-io.js";
+import { showExportDialog } from "./export-dialog.js";
+import { showShareDialog } from "./share-dialog.js";
+import { showVotingDialog } from "./voting-dialog.js";
+import { saveBoardAsTemplate } from "./template-picker.js";
+import { getBoardRole, BoardRole } from "../board/board-access.js";
+
+// Menu items shown while connectors are selected, in menu order
+const CONNECTOR_MENU_ITEM_CLASSES = [
+  "change-origin-arrow-head",
+  "change-arrow-head",
+  "change-connector-routing",
+  "change-connector-line-style",
+  "change-connector-stroke-width",
+];
 
 /**
  * Changes arrow head type to the next one in rotation
@@ -19,6 +43,20 @@ function changeArrowHead(currentArrowHead, reverse = false) {
   return ARROW_HEAD_TYPES[nextIndex];
 }
 
+/**
+ * Changes connector routing to the next one in rotation
+ * @param {string} currentRouting - Current routing
+ * @param {boolean} reverse - Whether to go backwards in the list
+ * @returns {string} Next routing
+ */
+function changeConnectorRouting(currentRouting, reverse = false) {
+  const currentIndex = CONNECTOR_ROUTING_TYPES.indexOf(currentRouting);
+  const nextIndex = reverse
+    ? (currentIndex - 1 + CONNECTOR_ROUTING_TYPES.length) % CONNECTOR_ROUTING_TYPES.length
+    : (currentIndex + 1) % CONNECTOR_ROUTING_TYPES.length;
+  return CONNECTOR_ROUTING_TYPES[nextIndex];
+}
+
 /**
  * Creates and manages the board action menu
  * 
@@ -29,33 +67,36 @@ function changeArrowHead(currentArrowHead, reverse = false) {
  * @param {Object} appState - Application state object
  * @param {Function} renderCallback - Callback to trigger re-rendering
  * @param {Object} store - Datastore instance for updating board title
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Signed in user; the board owner gets a Share item
  * @returns {Object} Object with menuElement and render function
  */
-export function createMenu(board, selectionManager, selectedConnectors, root, appState, renderCallback, store) {
+export function createMenu(board, selectionManager, selectedConnectors, root, appState, renderCallback, store, options = {}) {
   let menuElement;
   let menuContainer;
   let logoElement;
   let titleElement;
   let lastValidTitle = '';
-  let layerSubMenuOpen = false;
-  let layerGroupButton = null;
-  let layerSubMenuContainer = null;
+  // Sub-menus opened by a group button; at most one is open at a time
+  const layerSubMenu = { open: false, button: null, container: null };
+  const arrangeSubMenu = { open: false, button: null, container: null };
+  const subMenus = [layerSubMenu, arrangeSubMenu];
   let clickOutsideHandler = null;
 
-  // Get menu items from plugins
-  const plugins = getAllPlugins();
+  // Menu items of plugins, see addPlugin
+  const plugins = [];
   const pluginMenuItems = [];
-  plugins.forEach(plugin => {
-    const items = plugin.getMenuItems();
-    items.forEach(item => {
-      // Wrap the handler to pass appState and renderCallback
-      const originalHandler = item.itemClickHandler;
-      item.itemClickHandler = (event) => {
-        originalHandler(appState, renderCallback, event);
-      };
-      pluginMenuItems.push(item);
+  const pluginSelectionMenuItems = [];
+
+  // Only one kind of item is created by the next click on the board
+  function clearCreationModeFlags() {
+    plugins.forEach(plugin => {
+      const creationFlag = plugin.getCreationModeFlag();
+      if (creationFlag) {
+        appState.ui[creationFlag] = false;
+      }
     });
-  });
+  }
 
   // Helper function to collect selected items from all plugins
   function collectSelectedItems(selectionMap) {
@@ -84,34 +125,90 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
     'connectors': selectedConnectors,
     'connector': selectedConnectors
   };
-  
-  // Add plugin selections dynamically
-  plugins.forEach(plugin => {
+
+  // Adds the menu items and selection of a plugin; plugins registered after
+  // startup are added by mount once their selection exists
+  function addPlugin(plugin) {
+    plugins.push(plugin);
+    plugin.getMenuItems().forEach(item => {
+      // Wrap the handler to pass appState and renderCallback
+      const originalHandler = item.itemClickHandler;
+      item.itemClickHandler = (event) => {
+        clearCreationModeFlags();
+        originalHandler(appState, renderCallback, event);
+      };
+      pluginMenuItems.push(item);
+    });
+
+    // Wrap plugin items that change selected items, running each click as one undo step
     const type = plugin.getType();
     const selectionType = plugin.getSelectionType();
+    const getSelectedIds = () => {
+      const ids = [];
+      selectionManager.getSelection(selectionType).forEach((id) => ids.push(id));
+      return ids;
+    };
+    plugin.getSelectionMenuItems().forEach(item => {
+      const originalHandler = item.itemClickHandler;
+      const originalCustomLabel = item.customLabel;
+      pluginSelectionMenuItems.push({
+        ...item,
+        selectionType,
+        itemClickHandler: (event) => {
+          board.recordHistoryStep(() => originalHandler(board, getSelectedIds(), appState, event));
+          renderMenu();
+        },
+        customLabel: originalCustomLabel && ((dom, label) => {
+          originalCustomLabel(dom, label, board, getSelectedIds());
+        }),
+      });
+    });
+
     const selection = selectionManager.getSelection(selectionType);
     if (selection) {
       selectionMap[type] = selection;
       selectionMap[selectionType] = selection;
     }
-  });
+  }
+
+  getAllPlugins().forEach(addPlugin);
 
   const alwaysRelevantItems = [
-    ...pluginMenuItems,
     {
       itemLabel: "Connector",
       className: "new-connector",
       icon: "images/new-connector-icon.svg",
       itemClickHandler: () => {
+        clearCreationModeFlags();
         appState.ui.nextClickCreatesConnector = true;
-        appState.ui.nextClickCreatesNewSticky = false;
         appState.ui.connectorOriginId = null;
         renderCallback();
       },
     },
+    {
+      itemLabel: "Undo",
+      className: "undo",
+      icon: "images/undo-icon.svg",
+      itemClickHandler: () => {
+        if (board.undo()) {
+          renderCallback();
+        }
+      },
+    },
+    {
+      itemLabel: "Redo",
+      className: "redo",
+      icon: "images/redo-icon.svg",
+      itemClickHandler: () => {
+        if (board.redo()) {
+          renderCallback();
+        }
+      },
+    },
     {
       itemLabel: "Zoom",
       className: "change-zoom",
+      availableWhenReadOnly: true,
       icon: "images/zoom-in-icon.svg",
       itemClickHandler: (event) => {
         const newScale = changeZoomLevel(appState.ui.boardScale, event.shiftKey);
@@ -131,8 +228,73 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
         dom.title = label;
       },
     },
+    {
+      itemLabel: "Export",
+      className: "export-board",
+      icon: "images/export-icon.svg",
+      availableWhenReadOnly: true,
+      itemClickHandler: () => {
+        showExportDialog(board, selectionManager);
+      },
+    },
+    {
+      itemLabel: "Import",
+      className: "import-board",
+      icon: "images/import-icon.svg",
+      itemClickHandler: () => {
+        importBoardFromFile(board, () => {
+          selectionManager.clearAllSelections();
+          renderCallback();
+        });
+      },
+    },
+    {
+      itemLabel: "Save as template",
+      className: "save-template",
+      icon: "images/save-template-icon.svg",
+      // Templates are kept in this browser, so viewers may save them too
+      availableWhenReadOnly: true,
+      itemClickHandler: () => {
+        saveBoardAsTemplate(board);
+      },
+    },
+    {
+      itemLabel: "Voting",
+      className: "voting",
+      icon: "images/vote-icon.svg",
+      // Viewers take part in votes; only starting and ending them needs edit access
+      availableWhenReadOnly: true,
+      itemClickHandler: () => {
+        showVotingDialog(board, renderCallback);
+      },
+      customLabel: (dom, label) => {
+        dom.innerHTML = '';
+        const img = document.createElement('img');
+        img.src = 'images/vote-icon.svg';
+        img.alt = label;
+        img.className = 'menu-icon';
+        dom.appendChild(img);
+        const session = board.getVotingSession();
+        const votesLeft = board.getVotesLeft();
+        if (session && session.active) {
+          dom.appendChild(document.createTextNode(` ${votesLeft}`));
+        }
+        dom.classList.toggle('no-votes-left', !!(session && session.active) && votesLeft === 0);
+        dom.title = session && session.active ? `${label}: ${votesLeft} votes left` : label;
+      },
+    },
   ];
 
+  // Only the owner of an online board manages who it is shared with
+  const shareItem = {
+    itemLabel: "Share",
+    className: "share-board",
+    icon: "images/share-icon.svg",
+    itemClickHandler: () => {
+      showShareDialog(board, options.user);
+    },
+  };
+
   const selectionDependentItems = [
     {
       itemLabel: "Color",
@@ -180,13 +342,13 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
           }
         }
         
-        const newColor = changeColor(
+        const newColor = board.recordHistoryStep(() => changeColor(
           board,
           selectionManager,
           selectedConnectors,
           currentColorToUse,
           event.shiftKey
-        );
+        ));
         
         // Update current colors for all selected plugin types
         pluginsWithColorSelections.forEach(({ type }) => {
@@ -276,8 +438,10 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
         );
         appState.ui.currentArrowHead = newArrowHead;
         // Update selected connectors
-        selectedConnectors.forEach((id) => {
-          board.updateArrowHead(id, newArrowHead);
+        board.recordHistoryStep(() => {
+          selectedConnectors.forEach((id) => {
+            board.updateArrowHead(id, newArrowHead);
+          });
         });
         renderMenu();
       },
@@ -299,13 +463,126 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
         dom.title = label;
       },
     },
+    {
+      itemLabel: "Routing",
+      className: "change-connector-routing",
+      itemClickHandler: (event) => {
+        const newRouting = changeConnectorRouting(
+          appState.ui.currentConnectorRouting,
+          event.shiftKey
+        );
+        appState.ui.currentConnectorRouting = newRouting;
+        board.recordHistoryStep(() => {
+          selectedConnectors.forEach((id) => {
+            board.updateConnectorRouting(id, newRouting);
+          });
+        });
+        renderMenu();
+      },
+      customLabel: (dom, label) => {
+        const routing = appState.ui.currentConnectorRouting;
+        dom.innerHTML = '';
+        const img = document.createElement('img');
+        img.src = `images/routing-${routing}-icon.svg`;
+        img.alt = label;
+        img.className = 'menu-icon-only';
+        dom.appendChild(img);
+        dom.title = `${label}: ${routing}`;
+      },
+    },
+    {
+      itemLabel: "Start arrow head",
+      className: "change-origin-arrow-head",
+      itemClickHandler: (event) => {
+        const newArrowHead = getNextConnectorStyle(
+          ARROW_HEAD_TYPES,
+          appState.ui.currentOriginArrowHead,
+          event.shiftKey
+        );
+        appState.ui.currentOriginArrowHead = newArrowHead;
+        board.recordHistoryStep(() => {
+          selectedConnectors.forEach((id) => {
+            board.updateOriginArrowHead(id, newArrowHead);
+          });
+        });
+        renderMenu();
+      },
+      customLabel: (dom, label) => {
+        const arrowHead = appState.ui.currentOriginArrowHead;
+        dom.innerHTML = '';
+        const img = document.createElement('img');
+        img.src = `images/arrow-${arrowHead}-icon.svg`;
+        img.alt = label;
+        // The arrow head icons point right, towards the destination
+        img.className = 'menu-icon-only menu-icon-mirrored';
+        dom.appendChild(img);
+        dom.title = `${label}: ${arrowHead}`;
+      },
+    },
+    {
+      itemLabel: "Line style",
+      className: "change-connector-line-style",
+      itemClickHandler: (event) => {
+        const newLineStyle = getNextConnectorStyle(
+          CONNECTOR_LINE_STYLES,
+          appState.ui.currentConnectorLineStyle,
+          event.shiftKey
+        );
+        appState.ui.currentConnectorLineStyle = newLineStyle;
+        board.recordHistoryStep(() => {
+          selectedConnectors.forEach((id) => {
+            board.updateConnectorLineStyle(id, newLineStyle);
+          });
+        });
+        renderMenu();
+      },
+      customLabel: (dom, label) => {
+        const lineStyle = appState.ui.currentConnectorLineStyle;
+        dom.innerHTML = '';
+        const img = document.createElement('img');
+        img.src = `images/line-${lineStyle}-icon.svg`;
+        img.alt = label;
+        img.className = 'menu-icon-only';
+        dom.appendChild(img);
+        dom.title = `${label}: ${lineStyle}`;
+      },
+    },
+    {
+      itemLabel: "Line width",
+      className: "change-connector-stroke-width",
+      itemClickHandler: (event) => {
+        const newStrokeWidth = getNextConnectorStyle(
+          CONNECTOR_STROKE_WIDTHS,
+          appState.ui.currentConnectorStrokeWidth,
+          event.shiftKey
+        );
+        appState.ui.currentConnectorStrokeWidth = newStrokeWidth;
+        board.recordHistoryStep(() => {
+          selectedConnectors.forEach((id) => {
+            board.updateConnectorStrokeWidth(id, newStrokeWidth);
+          });
+        });
+        renderMenu();
+      },
+      customLabel: (dom, label) => {
+        const strokeWidth = appState.ui.currentConnectorStrokeWidth;
+        dom.innerHTML = '';
+        const preview = document.createElement('div');
+        preview.className = 'stroke-width-preview';
+        preview.style.height = strokeWidth + 'px';
+        dom.appendChild(preview);
+        dom.title = `${label}: ${strokeWidth}px`;
+      },
+    },
     {
       itemLabel: "Delete",
       className: "delete",
       icon: "images/delete-icon.svg",
       itemClickHandler: () => {
         // Use the standard deleteSelectedItems function which works with Selection objects
-        deleteSelectedItems(board, selectionManager, selectedConnectors);
+        board.recordHistoryStep(() => {
+          deleteSelectedItems(board, selectionManager, selectedConnectors);
+        });
         
         // Trigger full re-render so DOM reflects deletions
         if (typeof renderCallback === 'function') {
@@ -374,7 +651,43 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
     icon: "images/move-to-top-icon.svg",
     itemClickHandler: (event) => {
       event.stopPropagation();
-      toggleLayerSubMenu();
+      toggleSubMenu(layerSubMenu);
+    },
+  };
+
+  // Layout commands for the selected items, see board/board-layout.js
+  const layoutItem = (itemLabel, command, icon) => ({
+    itemLabel,
+    className: `layout-${command}`,
+    icon,
+    itemClickHandler: () => {
+      const items = collectSelectedItems(selectionMap).filter(({ type }) => type !== 'connector');
+      if (items.length > 0) {
+        board.layoutItems(items, command);
+        renderCallback();
+      }
+    },
+  });
+  const arrangeSubMenuItems = [
+    layoutItem("Align left", "align-left", "images/align-left-icon.svg"),
+    layoutItem("Align center", "align-center", "images/align-center-icon.svg"),
+    layoutItem("Align right", "align-right", "images/align-right-icon.svg"),
+    layoutItem("Align top", "align-top", "images/align-top-icon.svg"),
+    layoutItem("Align middle", "align-middle", "images/align-middle-icon.svg"),
+    layoutItem("Align bottom", "align-bottom", "images/align-bottom-icon.svg"),
+    layoutItem("Distribute horizontally", "distribute-horizontally", "images/distribute-horizontally-icon.svg"),
+    layoutItem("Distribute vertically", "distribute-vertically", "images/distribute-vertically-icon.svg"),
+    layoutItem("Arrange in grid", "grid", "images/layout-grid-icon.svg"),
+    layoutItem("Arrange as tree", "layered", "images/layout-tree-icon.svg"),
+  ];
+
+  const arrangeGroupItem = {
+    itemLabel: "Arrange",
+    className: "arrange-group",
+    icon: "images/align-left-icon.svg",
+    itemClickHandler: (event) => {
+      event.stopPropagation();
+      toggleSubMenu(arrangeSubMenu);
     },
   };
 
@@ -426,74 +739,108 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
   }
 
   /**
-   * Closes the layer sub-menu
+   * Closes a sub-menu
    */
-  function closeLayerSubMenu() {
-    if (layerGroupButton) {
-      layerGroupButton.classList.remove('active');
+  function closeSubMenu(subMenu) {
+    if (subMenu.button) {
+      subMenu.button.classList.remove('active');
     }
-    if (layerSubMenuContainer) {
-      layerSubMenuContainer.style.visibility = 'hidden';
+    if (subMenu.container) {
+      subMenu.container.style.visibility = 'hidden';
     }
-    layerSubMenuOpen = false;
+    subMenu.open = false;
     
-    // Remove click outside handler
-    if (clickOutsideHandler) {
+    // Remove click outside handler once no sub-menu is open
+    if (clickOutsideHandler && !subMenus.some(other => other.open)) {
       document.removeEventListener('click', clickOutsideHandler);
       clickOutsideHandler = null;
     }
   }
 
   /**
-   * Opens the layer sub-menu
+   * Opens a sub-menu, closing any other one
    */
-  function openLayerSubMenu() {
-    if (layerGroupButton) {
-      layerGroupButton.classList.add('active');
+  function openSubMenu(subMenu) {
+    subMenus.filter(other => other !== subMenu && other.open).forEach(closeSubMenu);
+    if (subMenu.button) {
+      subMenu.button.classList.add('active');
     }
-    if (layerSubMenuContainer) {
-      layerSubMenuContainer.style.visibility = 'visible';
+    if (subMenu.container) {
+      subMenu.container.style.visibility = 'visible';
     }
-    layerSubMenuOpen = true;
+    subMenu.open = true;
     
     // Add click outside handler
     if (!clickOutsideHandler) {
       clickOutsideHandler = (event) => {
-        // Check if click is outside the layer group button and sub-menu
-        if (layerGroupButton && layerSubMenuContainer) {
+        // Check if click is outside the group button and sub-menu
+        subMenus.filter(other => other.open && other.button && other.container).forEach(other => {
           // Use composedPath to check all elements in the click path
           const path = event.composedPath ? event.composedPath() : [event.target];
           const isClickInside = path.some(element => 
-            element === layerGroupButton || 
-            element === layerSubMenuContainer ||
-            layerGroupButton.contains(element) ||
-            layerSubMenuContainer.contains(element)
+            element === other.button || 
+            element === other.container ||
+            other.button.contains(element) ||
+            other.container.contains(element)
           );
           if (!isClickInside) {
-            closeLayerSubMenu();
+            closeSubMenu(other);
           }
-        }
+        });
       };
       // Use setTimeout to avoid immediate closure when opening
       setTimeout(() => {
-        document.addEventListener('click', clickOutsideHandler);
+        if (clickOutsideHandler) {
+          document.addEventListener('click', clickOutsideHandler);
+        }
       }, 0);
     }
   }
 
   /**
-   * Toggles the layer sub-menu
+   * Toggles a sub-menu
    */
-  function toggleLayerSubMenu() {
-    if (layerSubMenuOpen) {
-      closeLayerSubMenu();
+  function toggleSubMenu(subMenu) {
+    if (subMenu.open) {
+      closeSubMenu(subMenu);
     } else {
-      openLayerSubMenu();
+      openSubMenu(subMenu);
     }
   }
 
   /**
-   * Syncs the current color and arrow head with selected items
+   * Renders a group button with its sub-menu of items
+   */
+  function renderSubMenuGroup(subMenu, groupItem, items, wrapperClass, containerClass) {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('group', wrapperClass);
+    
+    subMenu.button = renderMenuButton(groupItem);
+    wrapper.appendChild(subMenu.button);
+    
+    subMenu.container = document.createElement('div');
+    subMenu.container.classList.add('group-items', containerClass);
+    subMenu.container.style.visibility = 'hidden';
+    
+    items.forEach((item) => {
+      const subMenuItem = renderMenuButton(item);
+      // Add stopPropagation to prevent click-outside handler from closing sub-menu
+      const originalOnClick = subMenuItem.onclick;
+      subMenuItem.onclick = (event) => {
+        event.stopPropagation();
+        if (originalOnClick) {
+          originalOnClick(event);
+        }
+      };
+      subMenu.container.appendChild(subMenuItem);
+    });
+    
+    wrapper.appendChild(subMenu.container);
+    return wrapper;
+  }
+
+  /**
+   * Syncs the current color, arrow heads, routing and line style with selected items
    */
   function syncSelectorsWithSelection() {
     // Sync plugin item colors with selected items
@@ -544,6 +891,19 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
         appState.ui.currentArrowHead = connector.arrowHead;
       }
     }
+
+    // Sync routing selector with selected connector
+    if (selectedConnectors.hasItems() && selectedConnectors.size() === 1) {
+      let selectedConnectorId;
+      selectedConnectors.forEach((id) => (selectedConnectorId = id));
+      const connector = board.getConnectorSafe(selectedConnectorId);
+      if (connector) {
+        appState.ui.currentConnectorRouting = getConnectorRouting(connector);
+        appState.ui.currentOriginArrowHead = getOriginArrowHead(connector);
+        appState.ui.currentConnectorLineStyle = getConnectorLineStyle(connector);
+        appState.ui.currentConnectorStrokeWidth = getConnectorStrokeWidth(connector);
+      }
+    }
   }
 
   /**
@@ -551,16 +911,16 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
    */
   function renderMenu() {
     // Save sub-menu open state before closing (will restore if still relevant)
-    const wasSubMenuOpen = layerSubMenuOpen;
-    
-    // Close sub-menu if open (will be recreated if needed)
-    if (layerSubMenuOpen) {
-      closeLayerSubMenu();
-    }
+    const openSubMenuBefore = subMenus.find(subMenu => subMenu.open);
     
-    // Reset layer group references (will be recreated)
-    layerGroupButton = null;
-    layerSubMenuContainer = null;
+    // Close sub-menus and reset their references (will be recreated if needed)
+    subMenus.forEach(subMenu => {
+      if (subMenu.open) {
+        closeSubMenu(subMenu);
+      }
+      subMenu.button = null;
+      subMenu.container = null;
+    });
     
     // Sync selectors with current selection before rendering
     syncSelectorsWithSelection();
@@ -659,13 +1019,28 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
       root.insertAdjacentElement("afterbegin", menuContainer);
     }
 
+    // Viewers cannot change the board or its title
+    const readOnly = board.isReadOnly();
+    titleElement.contentEditable = !readOnly;
+    
     // Clear existing items
     menuElement.innerHTML = '';
     
     // Always render always-relevant items
-    alwaysRelevantItems.forEach((item) => {
+    const availableItems = [...pluginMenuItems, ...alwaysRelevantItems]
+      .filter((item) => !readOnly || item.availableWhenReadOnly);
+    if (options.user && getBoardRole(board.getBoardAccess(), options.user) === BoardRole.OWNER) {
+      availableItems.push(shareItem);
+    }
+    availableItems.forEach((item) => {
       menuElement.appendChild(renderMenuButton(item));
     });
+    if (readOnly) {
+      const badge = document.createElement('div');
+      badge.classList.add('read-only-badge');
+      badge.textContent = 'View only';
+      menuElement.appendChild(badge);
+    }
     
     // Add separator
     const separator = document.createElement('div');
@@ -684,7 +1059,12 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
     });
     
     const hasConnectorsSelected = selectedConnectors && selectedConnectors.hasItems();
-    const hasAnySelection = hasPluginSelection || hasConnectorsSelected;
+    // Selection dependent items all change the selected items
+    const hasAnySelection = (hasPluginSelection || hasConnectorsSelected) && !readOnly;
+    const selectedPluginMenuItems = hasAnySelection
+      ? pluginSelectionMenuItems.filter((item) => selectionManager.getSelection(item.selectionType).hasItems() &&
+        (!item.isAvailable || item.isAvailable(board)))
+      : [];
     
     if (hasAnySelection) {
       // Show Color button only when a single type is selected (not mixed)
@@ -693,47 +1073,32 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
         if (colorItem) menuElement.appendChild(renderMenuButton(colorItem));
       }
       
-      // Show Arrow head only when connectors are selected
+      // Show Arrow heads, Routing and line styles only when connectors are selected
       if (hasConnectorsSelected) {
-        const arrowHeadItem = selectionDependentItems.find(item => item.className === "change-arrow-head");
-        if (arrowHeadItem) menuElement.appendChild(renderMenuButton(arrowHeadItem));
+        CONNECTOR_MENU_ITEM_CLASSES.forEach((className) => {
+          const item = selectionDependentItems.find(item => item.className === className);
+          if (item) menuElement.appendChild(renderMenuButton(item));
+        });
       }
       
+      // Plugin specific items, e.g. the kind of the selected shapes
+      selectedPluginMenuItems.forEach((item) => menuElement.appendChild(renderMenuButton(item)));
+
+      // Layout commands arrange board items, connectors follow them
+      if (hasPluginSelection) {
+        menuElement.appendChild(renderSubMenuGroup(
+          arrangeSubMenu, arrangeGroupItem, arrangeSubMenuItems, 'arrange-group-wrapper', 'arrange-submenu'));
+      }
+
       // Show layer group button when any items are selected
-      const layerGroupWrapper = document.createElement('div');
-      layerGroupWrapper.classList.add('group', 'layer-group-wrapper');
-      
-      // Render the layer group button
-      layerGroupButton = renderMenuButton(layerGroupItem);
-      layerGroupWrapper.appendChild(layerGroupButton);
-      
-      // Create sub-menu container
-      layerSubMenuContainer = document.createElement('div');
-      layerSubMenuContainer.classList.add('group-items', 'layer-submenu');
-      layerSubMenuContainer.style.visibility = 'hidden';
-      
-      // Render sub-menu items
-      layerSubMenuItems.forEach((item) => {
-        const subMenuItem = renderMenuButton(item);
-        // Add stopPropagation to prevent click-outside handler from closing sub-menu
-        const originalOnClick = subMenuItem.onclick;
-        subMenuItem.onclick = (event) => {
-          event.stopPropagation();
-          if (originalOnClick) {
-            originalOnClick(event);
-          }
-        };
-        layerSubMenuContainer.appendChild(subMenuItem);
-      });
-      
-      layerGroupWrapper.appendChild(layerSubMenuContainer);
-      menuElement.appendChild(layerGroupWrapper);
+      menuElement.appendChild(renderSubMenuGroup(
+        layerSubMenu, layerGroupItem, layerSubMenuItems, 'layer-group-wrapper', 'layer-submenu'));
       
       // Restore sub-menu open state if it was open before renderMenu() was called
-      if (wasSubMenuOpen) {
+      if (openSubMenuBefore && openSubMenuBefore.button) {
         // Use setTimeout to ensure DOM is ready
         setTimeout(() => {
-          openLayerSubMenu();
+          openSubMenu(openSubMenuBefore);
         }, 0);
       }
       
@@ -743,7 +1108,7 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
     }
 
     // Update custom labels for all rendered items
-    const allItems = [...alwaysRelevantItems];
+    const allItems = [...availableItems];
     
     // Add the items that were actually rendered
     if (hasAnySelection) {
@@ -753,12 +1118,20 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
         if (colorItem) allItems.push(colorItem);
       }
       
-      // Add arrowhead item only if it was rendered (when connectors are selected)
+      // Add connector items only if they were rendered (when connectors are selected)
       if (hasConnectorsSelected) {
-        const arrowHeadItem = selectionDependentItems.find(item => item.className === "change-arrow-head");
-        if (arrowHeadItem) allItems.push(arrowHeadItem);
+        CONNECTOR_MENU_ITEM_CLASSES.forEach((className) => {
+          const item = selectionDependentItems.find(item => item.className === className);
+          if (item) allItems.push(item);
+        });
       }
       
+      allItems.push(...selectedPluginMenuItems);
+
+      if (hasPluginSelection) {
+        allItems.push(arrangeGroupItem, ...arrangeSubMenuItems);
+      }
+
       // Add layer group item
       allItems.push(layerGroupItem);
       
@@ -788,6 +1161,7 @@ export function createMenu(board, selectionManager, selectedConnectors, root, ap
   return {
     menuElement,
     render: renderMenu,
+    addPlugin,
   };
 }
 
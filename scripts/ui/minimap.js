@@ -1,3 +1,5 @@
+import { getAllPlugins } from "../board-items/plugin-registry.js";
+
 /**
  * Creates and manages a minimap component for the board
  * Uses DOM cloning with CSS transforms for hardware-accelerated rendering
@@ -25,8 +27,13 @@ export function createMinimap(board, boardScrollContainer, boardElement, store,
   const viewportIndicator = document.createElement('div');
   viewportIndicator.className = 'minimap-viewport-indicator';
   
+  // Labels of items like frames are drawn unscaled, and navigate to their item when clicked
+  const minimapLabels = document.createElement('div');
+  minimapLabels.className = 'minimap-labels';
+  
   minimapContainer.appendChild(minimapBoardWrapper);
   minimapContainer.appendChild(viewportIndicator);
+  minimapContainer.appendChild(minimapLabels);
   
   // Add to root element (app container)
   const root = boardScrollContainer.parentElement;
@@ -146,7 +153,10 @@ export function createMinimap(board, boardScrollContainer, boardElement, store,
     minimapBoardWrapper.innerHTML = '';
     
     // Clone all board children
-    const boardChildren = Array.from(boardElement.children);
+    // Collaborator cursors and outlines, and search highlights, are not board content
+    const boardChildren = Array.from(boardElement.children)
+      .filter(child => !child.classList.contains('presence-layer') &&
+                       !child.classList.contains('search-highlights'));
     boardChildren.forEach(child => {
       const clone = cloneElementForMinimap(child);
       minimapBoardWrapper.appendChild(clone);
@@ -161,10 +171,57 @@ export function createMinimap(board, boardScrollContainer, boardElement, store,
     minimapBoardWrapper.style.height = boardBounds.size.height + 'px';
     minimapBoardWrapper.style.position = 'relative';
     
+    updateMinimapLabels(boardBounds, minimapScale);
+    
     // Update viewport indicator
     updateViewportIndicator();
   }
   
+  /**
+   * Recreates the labels of items that have one (see BoardItemPlugin.getMinimapLabel)
+   */
+  function updateMinimapLabels(boardBounds, minimapScale) {
+    minimapLabels.innerHTML = '';
+    const state = board.getState();
+    getAllPlugins().forEach(plugin => {
+      Object.values(state[plugin.getSelectionType()] || {}).forEach(item => {
+        const label = plugin.getMinimapLabel(item);
+        if (!label) {
+          return;
+        }
+        const position = boardToMinimap(item.location.x, item.location.y, boardBounds, minimapScale);
+        const labelElement = document.createElement('div');
+        labelElement.className = 'minimap-label';
+        labelElement.textContent = label;
+        labelElement.title = label;
+        labelElement.style.left = position.x + 'px';
+        labelElement.style.top = position.y + 'px';
+        labelElement.addEventListener('click', (event) => {
+          event.stopPropagation();
+          const bounds = plugin.getBounds(item, { x: 0, y: 0 });
+          centerViewportOn(bounds.centerX, bounds.centerY);
+        });
+        minimapLabels.appendChild(labelElement);
+      });
+    });
+  }
+  
+  /**
+   * Scrolls the board so that a board location is in the middle of the viewport
+   */
+  function centerViewportOn(boardX, boardY) {
+    const boardBounds = getBoardBounds();
+    const boardScale = getBoardScale();
+    const viewportWidth = boardScrollContainer.clientWidth;
+    const viewportHeight = boardScrollContainer.clientHeight;
+    
+    const scrollX = (boardX - boardBounds.origin.x) * boardScale - viewportWidth / 2;
+    const scrollY = (boardY - boardBounds.origin.y) * boardScale - viewportHeight / 2;
+    
+    boardScrollContainer.scrollLeft = Math.max(0, scrollX);
+    boardScrollContainer.scrollTop = Math.max(0, scrollY);
+  }
+  
   /**
    * Updates the viewport indicator rectangle
    */
@@ -187,11 +244,12 @@ export function createMinimap(board, boardScrollContainer, boardElement, store,
     const viewportWidth = boardScrollContainer.clientWidth;
     const viewportHeight = boardScrollContainer.clientHeight;
     
-    // Convert scroll position to board coordinates
+    // Convert scroll position to board coordinates. When zoomed out far enough
+    // the viewport is larger than the board, so limit it to the board bounds.
     const viewportBoardX = scrollLeft / boardScale + boardBounds.origin.x;
     const viewportBoardY = scrollTop / boardScale + boardBounds.origin.y;
-    const viewportBoardWidth = viewportWidth / boardScale;
-    const viewportBoardHeight = viewportHeight / boardScale;
+    const viewportBoardWidth = Math.min(viewportWidth / boardScale, boardBounds.maxX - viewportBoardX);
+    const viewportBoardHeight = Math.min(viewportHeight / boardScale, boardBounds.maxY - viewportBoardY);
     
     // Convert to minimap coordinates
     const viewportPos = boardToMinimap(viewportBoardX, viewportBoardY, boardBounds, minimapScale);
@@ -257,24 +315,15 @@ export function createMinimap(board, boardScrollContainer, boardElement, store,
   
   /**
    * Public method to update minimap when zoom changes
-   * Re-renders content immediately and updates viewport indicator
+   * The minimap content is drawn at its own scale, so only the viewport indicator changes.
+   * This runs for every frame of a wheel or pinch zoom, so it must stay cheap.
    */
   function updateOnZoomChange() {
     // Update the last known scale immediately
     lastBoardScale = getBoardScale();
+    updateViewportIndicator();
     
-    // Re-render minimap content with new zoom
-    if (board.isReadyForUse()) {
-      updateMinimapContent(); // This already calls updateViewportIndicator at the end
-    }
-    
-    // Also force an immediate viewport update after a microtask to ensure DOM is ready
-    // Use both setTimeout and requestAnimationFrame as fallbacks
-    setTimeout(() => {
-      updateViewportIndicator();
-    }, 0);
-    
-    // Also update on next animation frame as backup
+    // Update again on next animation frame in case the scroll position settles late
     requestAnimationFrame(() => {
       updateViewportIndicator();
     });
@@ -304,21 +353,10 @@ export function createMinimap(board, boardScrollContainer, boardElement, store,
     
     const boardBounds = getBoardBounds();
     const minimapScale = getMinimapScale(boardBounds);
-    const boardScale = getBoardScale();
     
-    // Convert click position to board coordinates
+    // Convert click position to board coordinates and center the viewport on it
     const boardPos = minimapToBoard(clickX, clickY, boardBounds, minimapScale);
-    
-    // Calculate scroll position to center viewport on clicked point
-    const viewportWidth = boardScrollContainer.clientWidth;
-    const viewportHeight = boardScrollContainer.clientHeight;
-    
-    const scrollX = (boardPos.x - boardBounds.origin.x) * boardScale - viewportWidth / 2;
-    const scrollY = (boardPos.y - boardBounds.origin.y) * boardScale - viewportHeight / 2;
-    
-    // Update scroll position
-    boardScrollContainer.scrollLeft = Math.max(0, scrollX);
-    boardScrollContainer.scrollTop = Math.max(0, scrollY);
+    centerViewportOn(boardPos.x, boardPos.y);
   }
   
   // Set up event listeners
@@ -4,7 +4,7 @@
  * Extracted from keyboard handlers to be reused by drag implementations
  */
 
-import { getAllPlugins } from '../board-items/plugin-registry.js';
+import { getAllPlugins, getPlugin } from '../board-items/plugin-registry.js';
 import { SelectionManager } from './selection-manager.js';
 
 /**
@@ -138,6 +138,23 @@ export function moveSelection(dx, dy, board, selectionManager, selectedConnector
     }
   });
   
+  const connectorIds = new Set();
+  if (selectedConnectors && selectedConnectors.hasItems && selectedConnectors.hasItems()) {
+    selectedConnectors.forEach((id) => connectorIds.add(id));
+  }
+  
+  // Items inside a moved frame move along with it
+  const owned = findOwnedItems(board, itemIdsByType, connectorIds);
+  Object.entries(owned.itemIdsByType).forEach(([type, ids]) => {
+    itemIdsByType[type] = itemIdsByType[type] || [];
+    originalLocationsByType[type] = originalLocationsByType[type] || new Map();
+    ids.forEach((id) => {
+      itemIdsByType[type].push(id);
+      originalLocationsByType[type].set(id, board.getBoardItemLocationByType(type, id));
+    });
+  });
+  owned.connectorIds.forEach((id) => connectorIds.add(id));
+  
   // Move all plugin items
   Object.entries(itemIdsByType).forEach(([type, ids]) => {
     ids.forEach((id) => {
@@ -146,16 +163,15 @@ export function moveSelection(dx, dy, board, selectionManager, selectedConnector
   });
   
   // Move connectors
-  if (selectedConnectors && selectedConnectors.hasItems && selectedConnectors.hasItems()) {
-    selectedConnectors.forEach((id) => {
-      moveItem(id, dx, dy, board, 'connector');
-    });
-  }
+  connectorIds.forEach((id) => {
+    moveItem(id, dx, dy, board, 'connector');
+  });
   
   // Calculate actual deltas after movement (accounting for snapping)
   // and move connectors for each item with its actual delta
-  // Track which connectors have been moved to avoid double movement
-  const movedConnectors = new Set();
+  // Track which connectors have been moved to avoid double movement.
+  // Owned connectors were moved whole already.
+  const movedConnectors = new Set(owned.connectorIds);
   
   // Process each plugin type
   Object.entries(originalLocationsByType).forEach(([type, originalLocations]) => {
@@ -271,3 +287,70 @@ export function moveItemFromOriginal(id, originalLocation, dx, dy, board, type)
     console.warn(`Unknown item type for movement: ${type}`);
   }
 }
+
+/**
+ * Computes the size and location of an item resized by dragging one of its sides.
+ * The opposite side stays in place.
+ *
+ * @param {{width: number, height: number, location: {x: number, y: number}}} original - Item before resizing
+ * @param {string} side - 'top', 'right', 'bottom' or 'left'
+ * @param {number} dx - Horizontal pointer movement in board pixels
+ * @param {number} dy - Vertical pointer movement in board pixels
+ * @param {number} minSize - Smallest width and height in pixels
+ * @returns {{width: number, height: number, location: {x: number, y: number}}}
+ */
+export function resizeFromSide(original, side, dx, dy, minSize) {
+  let { width, height } = original;
+  const location = { ...original.location };
+  switch (side) {
+    case 'right':
+      width = Math.max(minSize, original.width + dx);
+      break;
+    case 'left':
+      width = Math.max(minSize, original.width - dx);
+      location.x = original.location.x + original.width - width;
+      break;
+    case 'bottom':
+      height = Math.max(minSize, original.height + dy);
+      break;
+    case 'top':
+      height = Math.max(minSize, original.height - dy);
+      location.y = original.location.y + original.height - height;
+      break;
+  }
+  return { width: Math.round(width), height: Math.round(height), location };
+}
+
+/**
+ * Finds the items that move along with the given items, like the contents of
+ * a frame (see BoardItemPlugin.getOwnedItems). Items that are moved anyway are left out.
+ *
+ * @param {Object} board - Board instance
+ * @param {Object<string, Array<string>>} itemIdsByType - Moved items, e.g. { frame: ['1'] }
+ * @param {Set<string>} [movedConnectorIds] - Connectors that are moved anyway
+ * @returns {{itemIdsByType: Object<string, Array<string>>, connectorIds: Array<string>}} Owned items
+ */
+export function findOwnedItems(board, itemIdsByType, movedConnectorIds = new Set()) {
+  const owned = { itemIdsByType: {}, connectorIds: [] };
+  const isMoved = (type, id) =>
+    (itemIdsByType[type] || []).includes(id) || (owned.itemIdsByType[type] || []).includes(id);
+
+  Object.entries(itemIdsByType).forEach(([type, ids]) => {
+    const plugin = getPlugin(type);
+    ids.forEach((id) => {
+      const ownedItems = plugin && plugin.getOwnedItems(board, id);
+      if (!ownedItems) return;
+      ownedItems.items.forEach((item) => {
+        if (!isMoved(item.type, item.id)) {
+          (owned.itemIdsByType[item.type] = owned.itemIdsByType[item.type] || []).push(item.id);
+        }
+      });
+      ownedItems.connectorIds.forEach((connectorId) => {
+        if (!movedConnectorIds.has(connectorId) && !owned.connectorIds.includes(connectorId)) {
+          owned.connectorIds.push(connectorId);
+        }
+      });
+    });
+  });
+  return owned;
+}
@@ -0,0 +1,206 @@
+import { getAllPlugins } from "../board-items/plugin-registry.js";
+import { getConnectorBounds } from "../board-items/connector-hit-testing.js";
+
+/**
+ * Presence Layer
+ * Shows collaborators on the board: a cursor with a name label and an outline
+ * around the items they selected, in the color of each user, plus a list of
+ * connected users. Also feeds this client's cursor and selection into the
+ * presence channel.
+ *
+ * Cursors and outlines live inside the board element so they pan and zoom with
+ * the board; cursors are counter-scaled so they keep their size on screen.
+ */
+
+/**
+ * @param {Object} board - Board instance
+ * @param {PresenceChannel} presence - Presence channel
+ * @param {HTMLElement} domElement - The board DOM element
+ * @param {HTMLElement} root - The app root element
+ * @param {SelectionManager} selectionManager - Selection manager of this client
+ * @param {Object} store - Datastore instance
+ * @returns {{render: Function, destroy: Function}}
+ */
+export function createPresenceLayer(board, presence, domElement, root, selectionManager, store) {
+  const appState = store.getAppState();
+  const layer = document.createElement("div");
+  layer.className = "presence-layer";
+  domElement.appendChild(layer);
+  const usersList = document.createElement("div");
+  usersList.className = "presence-users";
+  root.appendChild(usersList);
+
+  let renderFrame = null;
+  const scheduleRender = () => {
+    if (!renderFrame) {
+      renderFrame = requestAnimationFrame(() => {
+        renderFrame = null;
+        render();
+      });
+    }
+  };
+
+  function render() {
+    if (!board.isReadyForUse()) {
+      return;
+    }
+    const peers = presence.getPeers();
+    // Read, never changed; a copy of the board on every cursor move would be too slow
+    const state = appState;
+    const origin = board.getOrigin();
+    const boardScale = appState.ui.boardScale || 1;
+
+    layer.innerHTML = "";
+    peers.forEach((peer) => {
+      Object.entries(peer.selection || {}).forEach(([storageKey, ids]) => {
+        ids.forEach((id) => {
+          const bounds = getSelectedItemBounds(state, storageKey, id, origin);
+          if (bounds) {
+            layer.appendChild(createSelectionOutline(bounds, peer.color));
+          }
+        });
+      });
+    });
+    // Cursors go on top of all outlines
+    peers.forEach((peer) => {
+      if (peer.cursor) {
+        layer.appendChild(createCursor(peer, origin, boardScale));
+      }
+    });
+
+    renderUsers(peers);
+  }
+
+  function renderUsers(peers) {
+    usersList.innerHTML = "";
+    const users = [{ ...presence.self, name: `${presence.self.name} (you)` }];
+    peers.forEach((peer) => {
+      if (!users.some((user) => user.uid === peer.uid)) {
+        users.push(peer);
+      }
+    });
+    users.forEach((user) => {
+      const badge = document.createElement("span");
+      badge.className = "presence-user";
+      badge.style.backgroundColor = user.color;
+      badge.textContent = getInitials(user.name);
+      badge.title = user.name;
+      usersList.appendChild(badge);
+    });
+  }
+
+  // Publish this client's cursor in board coordinates
+  const handleMouseMove = (event) => {
+    if (!board.isReadyForUse()) return;
+    const rect = domElement.getBoundingClientRect();
+    const boardScale = appState.ui.boardScale || 1;
+    const origin = board.getOrigin();
+    presence.updateCursor({
+      x: (event.clientX - rect.left) / boardScale + origin.x,
+      y: (event.clientY - rect.top) / boardScale + origin.y,
+    });
+  };
+  const handleMouseLeave = () => presence.updateCursor(null);
+
+  // Selections change in response to clicks, keys and touches; read the
+  // result after the handlers that change them have run
+  const publishSelection = () => {
+    const selection = {};
+    selectionManager.selections.forEach((typeSelection, storageKey) => {
+      const ids = [];
+      typeSelection.forEach((id) => ids.push(id));
+      selection[storageKey] = ids;
+    });
+    presence.updateSelection(selection);
+  };
+  const handleInteractionEnd = () => setTimeout(publishSelection, 0);
+
+  domElement.addEventListener("mousemove", handleMouseMove);
+  domElement.addEventListener("mouseleave", handleMouseLeave);
+  document.addEventListener("mouseup", handleInteractionEnd);
+  document.addEventListener("keyup", handleInteractionEnd);
+  document.addEventListener("touchend", handleInteractionEnd);
+
+  const presenceObserver = { onPresenceChange: scheduleRender };
+  presence.addObserver(presenceObserver);
+  // Outlines follow items as they move
+  const boardObserver = {
+    onBoardItemChange: scheduleRender,
+    onConnectorChange: scheduleRender,
+    onBoardChange: scheduleRender,
+  };
+  board.addObserver(boardObserver);
+
+  publishSelection();
+  render();
+
+  return {
+    render,
+    destroy: () => {
+      domElement.removeEventListener("mousemove", handleMouseMove);
+      domElement.removeEventListener("mouseleave", handleMouseLeave);
+      document.removeEventListener("mouseup", handleInteractionEnd);
+      document.removeEventListener("keyup", handleInteractionEnd);
+      document.removeEventListener("touchend", handleInteractionEnd);
+      presence.removeObserver(presenceObserver);
+      board.removeObserver(boardObserver);
+      if (renderFrame) {
+        cancelAnimationFrame(renderFrame);
+      }
+      layer.remove();
+      usersList.remove();
+    },
+  };
+}
+
+/**
+ * Bounds relative to the board origin of an item selected by a peer
+ */
+function getSelectedItemBounds(state, storageKey, id, origin) {
+  if (storageKey === "connectors") {
+    const connector = state.connectors?.[id];
+    return connector ? getConnectorBounds(connector, state, origin) : null;
+  }
+  const plugin = getAllPlugins().find((p) => p.getSelectionType() === storageKey);
+  const item = state[storageKey]?.[id];
+  return plugin && item ? plugin.getBounds(item, origin) : null;
+}
+
+function createSelectionOutline(bounds, color) {
+  const outline = document.createElement("div");
+  outline.className = "presence-selection";
+  outline.style.left = bounds.centerX - bounds.width / 2 + "px";
+  outline.style.top = bounds.centerY - bounds.height / 2 + "px";
+  outline.style.width = bounds.width + "px";
+  outline.style.height = bounds.height + "px";
+  outline.style.outlineColor = color;
+  return outline;
+}
+
+function createCursor(peer, origin, boardScale) {
+  const cursor = document.createElement("div");
+  cursor.className = "presence-cursor";
+  cursor.style.left = peer.cursor.x - origin.x + "px";
+  cursor.style.top = peer.cursor.y - origin.y + "px";
+  cursor.style.transform = `scale(${1 / boardScale})`;
+  cursor.style.color = peer.color;
+  cursor.innerHTML =
+    '<svg width="16" height="20" viewBox="0 0 16 20"><path d="M0 0 L0 16 L4.5 12 L7.5 19 L10 18 L7 11 L13 11 Z" fill="currentColor" stroke="white" stroke-width="1"/></svg>';
+  const label = document.createElement("span");
+  label.className = "presence-cursor-label";
+  label.style.backgroundColor = peer.color;
+  // Names come from other users, never interpret them as markup
+  label.textContent = peer.name;
+  cursor.appendChild(label);
+  return cursor;
+}
+
+function getInitials(name) {
+  const initials = (name || "?")
+    .split(/[\s@.]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("");
+  return initials || "?";
+}
@@ -1,16 +1,13 @@
 // TODO: Write tests for: tabbing through inputs
 // TODO: When tabbing through textareas, adjust selection if the blurred sticky was the only one selected, or there was no selection.
 // TODO: Add help texts/instructions
-// TODO: Select by dragging box area around items
 // TODO: Reimplement drag and drop as custom JS, so you can show a drop-zone, and have the same logic for touch events
 // TODO: On mobile the menu isn't really fixed at the top left
 // TODO: Stick arbitrary images on the board and resize/reorient them
 // TODO: Arrows connecting stickies
 // TODO: Add security rules to Firestore
-// TODO: Export/import the board data
 // TOOD: Store board in web storage when using LocalDatastore
 // TODO: Configure Firebase config via UI and remember it in web storage
-// TODO: When zooming the approximate area of focus of the board remains in focus after the zoom
 // TODO: Web RTC
 // TODO: Moving a selection with arrows should move as a unit when hitting baord bounds
 // TODO: Moving with arrows the sticky should remain on screen (follow it by scrolling)
@@ -58,15 +55,33 @@ import {
   DEFAULT_ARROW_HEAD,
 } from "../board-items/connector.js";
 import { setupConnectorEvents } from "../board-items/connector-events.js";
+import { DEFAULT_CONNECTOR_ROUTING } from "../board-items/connector-routing.js";
+import {
+  DEFAULT_ORIGIN_ARROW_HEAD,
+  DEFAULT_CONNECTOR_LINE_STYLE,
+  DEFAULT_CONNECTOR_STROKE_WIDTH,
+} from "../board-items/connector-styling.js";
 import { Selection } from "./selection.js";
 import { SelectionManager } from "./selection-manager.js";
 import { createDragManager } from "./drag-manager.js";
 import { createMenu } from "./menu.js";
 import { setupKeyboardHandlers, completeKeyboardAction } from "./keyboard-handlers.js";
-import { zoomScale, applyZoomToBoard } from "./zoom.js";
+import {
+  zoomScale,
+  applyZoomToBoard,
+  clampZoom,
+  calculateAnchoredScroll,
+  setZoomLimits,
+  setupZoomGestures,
+} from "./zoom.js";
 import { colorPalette } from "./color-management.js";
-import { getPlugin, getAllPlugins, getStorageKeyForType } from "../board-items/plugin-registry.js";
+import { getPlugin, getAllPlugins, getStorageKeyForType, onPluginRegistered } from "../board-items/plugin-registry.js";
 import { createMinimap } from "./minimap.js";
+import { createPresenceLayer } from "./presence-layer.js";
+import { createBoardSearch } from "./board-search.js";
+import { setupStickyVoting } from "./sticky-voting.js";
+import { getVoterId } from "../board/board-voting.js";
+import { getBoardRole, canEditBoard } from "../board/board-access.js";
 import { getAllItemsWithZIndex, getNextZIndex, ensureUniqueZIndices } from "./z-index-manager.js";
 
 export { colorPalette };
@@ -75,13 +90,19 @@ export { colorPalette };
 // Use a function to check DEBUG_MODE dynamically
 const isDebugMode = () => window.DEBUG_MODE || false;
 
-export function mount(board, root, Observer, store) {
+// options.zoomLimits: {min, max} scale range for zoom gestures and zoom presets
+// options.user: signed in user, decides whether the board is read-only (viewers)
+export function mount(board, root, Observer, store, options = {}) {
+  if (options.zoomLimits) {
+    setZoomLimits(options.zoomLimits.min, options.zoomLimits.max);
+  }
   root.innerHTML =
     '<div class="board-scroll-container"><div class="board-container"><div class="board"></div></div></div>';
   const boardScrollContainer = root.firstElementChild;
   const boardContainer = boardScrollContainer.firstElementChild;
   const domElement = boardContainer.firstElementChild;
   const appState = store.getAppState();
+  board.setVoterId(getVoterId(options.user || null));
   
   // Get all plugins and create selections dynamically
   const plugins = getAllPlugins();
@@ -89,7 +110,7 @@ export function mount(board, root, Observer, store) {
   const selectionManager = new SelectionManager();
   
   // Create selections for all plugins
-  plugins.forEach(plugin => {
+  function createPluginSelection(plugin) {
     const type = plugin.getType();
     const selectionType = plugin.getSelectionType();
     const observerMethod = `on${type.charAt(0).toUpperCase() + type.slice(1)}Change`;
@@ -97,7 +118,9 @@ export function mount(board, root, Observer, store) {
     selections[type] = selection;
     selections[selectionType] = selection; // Also key by selection type for backward compat
     selectionManager.registerSelection(selectionType, selection);
-  });
+    return selection;
+  }
+  plugins.forEach(createPluginSelection);
   
   // Create connector selection (not a plugin)
   const selectedConnectors = new Selection(null, "connectorSelection", "onConnectorChange", store);
@@ -107,7 +130,7 @@ export function mount(board, root, Observer, store) {
   
   // Create renderers for all plugins
   const renderMap = {};
-  plugins.forEach(plugin => {
+  function createPluginRenderer(plugin) {
     const type = plugin.getType();
     const selectionType = plugin.getSelectionType();
     const itemsMovedByDragging = appState.ui[`${selectionType}MovedByDragging`] || [];
@@ -120,7 +143,8 @@ export function mount(board, root, Observer, store) {
       store
     );
     renderMap[type] = renderFn;
-  });
+  }
+  plugins.forEach(createPluginRenderer);
   
   // Create connector renderer (not a plugin)
   function getSelectedConnectors() {
@@ -186,26 +210,50 @@ export function mount(board, root, Observer, store) {
   appState.ui.currentColor = appState.ui.currentColor || colorPalette[0]; // Legacy
   appState.ui.currentConnectorColor = appState.ui.currentConnectorColor || "#000000";
   appState.ui.currentArrowHead = appState.ui.currentArrowHead || DEFAULT_ARROW_HEAD;
+  appState.ui.currentConnectorRouting = appState.ui.currentConnectorRouting || DEFAULT_CONNECTOR_ROUTING;
+  appState.ui.currentOriginArrowHead = appState.ui.currentOriginArrowHead || DEFAULT_ORIGIN_ARROW_HEAD;
+  appState.ui.currentConnectorLineStyle = appState.ui.currentConnectorLineStyle || DEFAULT_CONNECTOR_LINE_STYLE;
+  appState.ui.currentConnectorStrokeWidth = appState.ui.currentConnectorStrokeWidth || DEFAULT_CONNECTOR_STROKE_WIDTH;
   
   // Initialize plugin-specific UI defaults
-  plugins.forEach(plugin => {
+  function initializePluginUI(plugin) {
     const type = plugin.getType();
     const colorKey = `current${type.charAt(0).toUpperCase() + type.slice(1)}Color`;
     if (!appState.ui[colorKey]) {
       appState.ui[colorKey] = plugin.getDefaultColor();
     }
-  });
+  }
+  plugins.forEach(initializePluginUI);
   
   // Helper function for connectors (not a plugin)
   function getSelectedConnectors() {
     return selectedConnectors;
   }
+  // Viewers get a read-only board; the role can change while the board is open
+  function updateReadOnly() {
+    const readOnly = !canEditBoard(getBoardRole(board.getBoardAccess(), options.user || null));
+    if (readOnly && !board.isReadOnly()) {
+      completeKeyboardAction('board became read-only');
+      plugins.forEach(plugin => {
+        const creationFlag = plugin.getCreationModeFlag();
+        if (creationFlag) {
+          appState.ui[creationFlag] = false;
+        }
+      });
+      appState.ui.nextClickCreatesConnector = false;
+    }
+    board.setReadOnly(readOnly);
+    root.classList.toggle("board-read-only", readOnly);
+  }
+  
   function renderBoard() {
     if (!board.isReadyForUse()) {
       return;
     }
-    appState.ui.boardScale =
-      appState.ui.boardScale || zoomScale[zoomScale.length - 1];
+    updateReadOnly();
+    appState.ui.boardScale = clampZoom(
+      appState.ui.boardScale || zoomScale[zoomScale.length - 1]
+    );
     const size = board.getBoardSize();
     applyZoomToBoard(domElement, boardContainer, root, appState.ui.boardScale, size);
     
@@ -229,13 +277,27 @@ export function mount(board, root, Observer, store) {
     } else {
       domElement.classList.remove("click-to-connect");
     }
+    
+    const votingSession = board.getVotingSession();
+    domElement.classList.toggle("voting", !!(votingSession && votingSession.active));
   }
-  const menu = createMenu(board, selectionManager, selectedConnectors, root, appState, render, store);
+  const menu = createMenu(board, selectionManager, selectedConnectors, root, appState, render, store, {
+    user: options.user || null,
+  });
   const renderMenu = menu.render;
   
   // Declare minimap variable before render() so it's in scope
   let minimap = null;
   
+  // Viewport point to keep fixed on the next zoom change, set by zoom gestures
+  let pendingZoomAnchor = null;
+  
+  // Collaborator cursors and selections, see attachPresence
+  let presenceLayer = null;
+  
+  // Ctrl+F search panel, created once the board has rendered
+  let boardSearch = null;
+  
   // Track Shift pressed state globally to assist selection handlers in environments
   // where synthetic clicks may not carry modifier flags reliably
   if (typeof window !== 'undefined') {
@@ -254,47 +316,44 @@ export function mount(board, root, Observer, store) {
     const previousScale = appState.ui.previousBoardScale;
     const scaleChanged = previousScale !== currentScale;
     
-    // If zoom changed, capture the center point in board coordinates before applying zoom
-    let centerBoardX = null;
-    let centerBoardY = null;
+    // If zoom changed, remember the scroll position and which point of the viewport
+    // stays fixed: the cursor/pinch point for gestures, otherwise the viewport center
+    let scrollBeforeZoom = null;
+    let zoomAnchor = null;
     if (scaleChanged && board.isReadyForUse()) {
-      const oldScale = previousScale || 1;
-      const origin = board.getOrigin();
-      const viewportWidth = boardScrollContainer.clientWidth;
-      const viewportHeight = boardScrollContainer.clientHeight;
-      const scrollLeft = boardScrollContainer.scrollLeft;
-      const scrollTop = boardScrollContainer.scrollTop;
-      
-      // Calculate center of viewport in board coordinates
-      centerBoardX = (scrollLeft + viewportWidth / 2) / oldScale + origin.x;
-      centerBoardY = (scrollTop + viewportHeight / 2) / oldScale + origin.y;
+      scrollBeforeZoom = {
+        scrollLeft: boardScrollContainer.scrollLeft,
+        scrollTop: boardScrollContainer.scrollTop,
+      };
+      zoomAnchor = pendingZoomAnchor || {
+        x: boardScrollContainer.clientWidth / 2,
+        y: boardScrollContainer.clientHeight / 2,
+      };
     }
+    pendingZoomAnchor = null;
     
     renderBoard();
     const scaleAfter = appState.ui.boardScale || zoomScale[zoomScale.length - 1];
     
-    // Adjust scroll position if zoom changed to keep center point the same
-    if (scaleChanged && centerBoardX !== null && centerBoardY !== null && board.isReadyForUse()) {
-      const newScale = scaleAfter || 1;
-      const origin = board.getOrigin();
+    // Adjust scroll position if zoom changed to keep the anchored board point in place
+    if (scrollBeforeZoom && board.isReadyForUse()) {
+      const { scrollLeft, scrollTop } = calculateAnchoredScroll(
+        scrollBeforeZoom,
+        zoomAnchor,
+        previousScale || 1,
+        scaleAfter || 1
+      );
       // Re-read viewport dimensions after renderBoard() in case they changed
       const viewportWidth = boardScrollContainer.clientWidth;
       const viewportHeight = boardScrollContainer.clientHeight;
       
-      // Calculate new scroll position to keep the same board coordinate at center
-      const newScrollLeft = (centerBoardX - origin.x) * newScale - viewportWidth / 2;
-      const newScrollTop = (centerBoardY - origin.y) * newScale - viewportHeight / 2;
-      
       // Get max scroll to ensure we don't scroll beyond bounds
       const maxScrollLeft = Math.max(0, boardScrollContainer.scrollWidth - viewportWidth);
       const maxScrollTop = Math.max(0, boardScrollContainer.scrollHeight - viewportHeight);
       
       // Apply scroll adjustment instantly, clamped to valid range
-      const finalScrollLeft = Math.max(0, Math.min(maxScrollLeft, newScrollLeft));
-      const finalScrollTop = Math.max(0, Math.min(maxScrollTop, newScrollTop));
-      
-      boardScrollContainer.scrollLeft = finalScrollLeft;
-      boardScrollContainer.scrollTop = finalScrollTop;
+      boardScrollContainer.scrollLeft = Math.max(0, Math.min(maxScrollLeft, scrollLeft));
+      boardScrollContainer.scrollTop = Math.max(0, Math.min(maxScrollTop, scrollTop));
     }
     
     // Update previous scale only if it actually changed (not on every render)
@@ -308,6 +367,11 @@ export function mount(board, root, Observer, store) {
       minimap.updateOnZoomChange();
     }
     
+    // Remote cursors are counter-scaled, so they need updating on zoom changes
+    if (presenceLayer && scaleChanged) {
+      presenceLayer.render();
+    }
+    
     renderMenu();
     const state = board.getState();
     
@@ -336,11 +400,17 @@ export function mount(board, root, Observer, store) {
   setupKeyboardHandlers(board, selectionManager, selectedConnectors, appState, {
     onZoomChange: () => render(),
     onColorChange: () => renderMenu(),
+    onConnectorStyleChange: () => renderMenu(),
     onNewStickyRequest: () => renderBoard(),
     onConnectorRequest: () => renderBoard(),
     onCancelAction: () => renderBoard(),
+    onHistoryChange: () => render(),
+    onSearchRequest: () => boardSearch && boardSearch.open(),
   });
 
+  // Clicks on stickies place votes while a voting session is open
+  setupStickyVoting(domElement, board, () => renderMenu());
+
   // Set up connector events
   const connectorEvents = setupConnectorEvents(domElement, board, selectionManager, render, store);
   
@@ -348,8 +418,37 @@ export function mount(board, root, Observer, store) {
   const dragManager = createDragManager(domElement, board, selectionManager, store, render);
   window.dragManager = dragManager;
   
+  // Plugins with board-wide gestures, like pen strokes
+  plugins.forEach(plugin => plugin.setupBoardEvents(domElement, board, selectionManager, store));
+  
+  // Dragging on empty board space selects everything inside the dragged rectangle
+  domElement.addEventListener('mousedown', (event) => {
+    if (event.target === domElement) {
+      dragManager.startMarqueeSelection(event);
+    }
+  });
+  
+  // Ctrl+wheel, trackpad pinch and touch pinch zoom around the cursor/pinch point.
+  // Gestures fire faster than we can render, so apply at most one zoom per frame.
+  let zoomFrame = null;
+  setupZoomGestures(boardScrollContainer, {
+    getScale: () => appState.ui.boardScale || 1,
+    onZoom: (scale, clientX, clientY) => {
+      const containerRect = boardScrollContainer.getBoundingClientRect();
+      pendingZoomAnchor = { x: clientX - containerRect.left, y: clientY - containerRect.top };
+      appState.ui.boardScale = scale;
+      if (!zoomFrame) {
+        zoomFrame = requestAnimationFrame(() => {
+          zoomFrame = null;
+          render();
+        });
+      }
+    },
+  });
+  
   // Set up paste event handler - query plugins for paste handling
   document.addEventListener('paste', (event) => {
+    if (board.isReadOnly()) return;
     const items = event.clipboardData.items;
     if (!items || items.length === 0) return;
     
@@ -614,9 +713,45 @@ export function mount(board, root, Observer, store) {
   // Create minimap (pass board DOM element for cloning)
   minimap = createMinimap(board, boardScrollContainer, domElement, store, render);
   
+  boardSearch = createBoardSearch(board, root, boardScrollContainer, domElement, store, render);
+  
+  // Plugins registered after startup, see registerPlugin in plugin-registry.js
+  const stopListeningForPlugins = onPluginRegistered((plugin) => {
+    plugins.push(plugin);
+    const selection = createPluginSelection(plugin);
+    selection.observer = observer;
+    // Selections notify through on<Type>Change, which observers only have for the plugins they were created with
+    if (!observer[selection.changeNotifier]) {
+      observer[selection.changeNotifier] = (id) => observer.onBoardItemChange(plugin.getType(), id);
+    }
+    createPluginRenderer(plugin);
+    initializePluginUI(plugin);
+    menu.addPlugin(plugin);
+    plugin.setupBoardEvents(domElement, board, selectionManager, store);
+    render();
+    minimap.update();
+  });
+  
   return {
     render,
     observer,
     minimap,
+    search: boardSearch,
+    // Shows the collaborators of a PresenceChannel on the board
+    attachPresence: (presence) => {
+      if (presenceLayer) {
+        presenceLayer.destroy();
+      }
+      presenceLayer = createPresenceLayer(board, presence, domElement, root, selectionManager, store);
+      return presenceLayer;
+    },
+    // Stops wiring plugins registered later into this board and hides collaborators
+    unmount: () => {
+      stopListeningForPlugins();
+      if (presenceLayer) {
+        presenceLayer.destroy();
+        presenceLayer = null;
+      }
+    },
   };
 }
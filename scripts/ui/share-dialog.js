@@ -0,0 +1,143 @@
+import { BoardRole, setMemberRole } from '../board/board-access.js';
+
+/**
+ * Share Dialog
+ * Lets the owner of a board add and remove editors and viewers by email
+ * address. Changes are saved right away.
+ */
+
+const ROLE_OPTIONS = [
+  { value: BoardRole.EDITOR, label: 'Can edit' },
+  { value: BoardRole.VIEWER, label: 'Can view' },
+];
+
+/**
+ * Shows the share dialog
+ * @param {Object} board - Board instance
+ * @param {Object} user - Signed in user, the owner of the board
+ * @returns {{close: Function}} Handle to close the dialog
+ */
+export function showShareDialog(board, user) {
+  const overlay = document.createElement('div');
+  overlay.className = 'error-overlay share-overlay';
+  overlay.style.display = 'flex';
+  overlay.innerHTML =
+    '<form class="error-container share-dialog">' +
+    '<h3 class="error-title">Share board</h3>' +
+    '<div class="share-add">' +
+    '<input type="email" name="email" placeholder="Email address" autocomplete="email">' +
+    '<select name="role"></select>' +
+    '<button type="submit" class="error-button">Add</button>' +
+    '</div>' +
+    '<p class="share-error" role="alert"></p>' +
+    '<ul class="share-members"></ul>' +
+    '<div class="share-actions">' +
+    '<button type="button" class="share-close">Done</button>' +
+    '</div>' +
+    '</form>';
+
+  const form = overlay.querySelector('form');
+  const emailInput = form.elements.email;
+  const errorElement = form.querySelector('.share-error');
+  const membersList = form.querySelector('.share-members');
+  form.elements.role.appendChild(createRoleOptions(BoardRole.EDITOR));
+
+  const showMessage = (message) => {
+    errorElement.textContent = message || '';
+  };
+
+  const applyRole = (email, role) => {
+    try {
+      board.updateBoardAccess(setMemberRole(board.getBoardAccess(), email, role));
+      showMessage('');
+      return true;
+    } catch (error) {
+      showMessage(error.message);
+      return false;
+    }
+  };
+
+  const renderMembers = () => {
+    const { editors, viewers } = board.getBoardAccess();
+    membersList.innerHTML = '';
+    membersList.appendChild(createMemberRow(`${user.displayName || user.email || 'You'} (owner)`));
+    [
+      ...editors.map((email) => ({ email, role: BoardRole.EDITOR })),
+      ...viewers.map((email) => ({ email, role: BoardRole.VIEWER })),
+    ].forEach(({ email, role }) => {
+      const row = createMemberRow(email);
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Role of ${email}`);
+      select.appendChild(createRoleOptions(role));
+      select.addEventListener('change', () => {
+        applyRole(email, select.value);
+        renderMembers();
+      });
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'share-remove';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        applyRole(email, null);
+        renderMembers();
+      });
+      row.appendChild(select);
+      row.appendChild(removeButton);
+      membersList.appendChild(row);
+    });
+  };
+
+  const close = () => {
+    overlay.remove();
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (applyRole(emailInput.value, form.elements.role.value)) {
+      emailInput.value = '';
+      renderMembers();
+    }
+    emailInput.focus();
+  });
+  form.querySelector('.share-close').addEventListener('click', close);
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      close();
+    }
+  });
+  // Keep board keyboard shortcuts from acting on the board behind the dialog
+  overlay.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+
+  renderMembers();
+  document.body.appendChild(overlay);
+  emailInput.focus();
+  return { close };
+}
+
+function createMemberRow(label) {
+  const row = document.createElement('li');
+  row.className = 'share-member';
+  const name = document.createElement('span');
+  name.className = 'share-member-name';
+  // Entered by users; never interpret as markup
+  name.textContent = label;
+  row.appendChild(name);
+  return row;
+}
+
+function createRoleOptions(selectedRole) {
+  const fragment = document.createDocumentFragment();
+  ROLE_OPTIONS.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selectedRole;
+    fragment.appendChild(option);
+  });
+  return fragment;
+}
@@ -0,0 +1,82 @@
+import { getPlugin } from "../board-items/plugin-registry.js";
+
+/**
+ * Sticky Voting
+ * While a voting session is open, clicking a sticky places a vote on it and
+ * Shift+click takes one back. Stickies can't be dragged or edited meanwhile.
+ */
+
+/**
+ * Finds the id of the sticky an event happened on
+ * @param {EventTarget} target - Event target
+ * @returns {string|null} Sticky id, or null outside stickies
+ */
+function findStickyId(target) {
+  const plugin = getPlugin('sticky');
+  const baseClass = plugin.getContainerBaseClass();
+  const classPrefix = plugin.getContainerClassPrefix();
+  const container = target && target.closest ? target.closest(`.${baseClass}`) : null;
+  if (!container) {
+    return null;
+  }
+  const idClass = Array.from(container.classList).find(cls => cls.startsWith(classPrefix) && cls !== baseClass);
+  return idClass ? idClass.replace(classPrefix, '') : null;
+}
+
+/**
+ * Handles clicks on stickies during voting sessions. The listeners run in the
+ * capture phase, before the stickies' own drag and edit handling.
+ * @param {HTMLElement} domElement - The board element
+ * @param {Object} board - Board instance
+ * @param {Function} onVote - Called after a vote was placed or taken back
+ * @returns {Function} Removes the listeners
+ */
+export function setupStickyVoting(domElement, board, onVote) {
+  const isVotingOn = (event) => {
+    const session = board.getVotingSession();
+    return !!(session && session.active && findStickyId(event.target));
+  };
+
+  const swallow = (event) => {
+    if (isVotingOn(event)) {
+      event.stopPropagation();
+      event.preventDefault();
+    }
+  };
+
+  // Touches still have to turn into clicks, so their default is kept
+  const stopTouch = (event) => {
+    if (isVotingOn(event)) {
+      event.stopPropagation();
+    }
+  };
+
+  const handleClick = (event) => {
+    if (!isVotingOn(event)) {
+      return;
+    }
+    event.stopPropagation();
+    event.preventDefault();
+    const stickyId = findStickyId(event.target);
+    if (event.shiftKey) {
+      board.removeVote(stickyId);
+    } else if (board.getVotesLeft() > 0) {
+      board.castVote(stickyId);
+    } else {
+      // The menu shows there are no votes left
+      return;
+    }
+    onVote();
+  };
+
+  domElement.addEventListener('mousedown', swallow, true);
+  domElement.addEventListener('dblclick', swallow, true);
+  domElement.addEventListener('touchstart', stopTouch, true);
+  domElement.addEventListener('click', handleClick, true);
+  return () => {
+    domElement.removeEventListener('mousedown', swallow, true);
+    domElement.removeEventListener('dblclick', swallow, true);
+    domElement.removeEventListener('touchstart', stopTouch, true);
+    domElement.removeEventListener('click', handleClick, true);
+  };
+}
@@ -0,0 +1,347 @@
+import { getPlugin } from "../board-items/plugin-registry.js";
+import { createConnectorDOM } from "../board-items/connector-dom.js";
+import { setConnectorStyles } from "../board-items/connector-styling.js";
+import { STICKY_FONT_FAMILY } from "../board-items/plugins/sticky/sticky-dom.js";
+import { getAllItemsWithZIndex } from "./z-index-manager.js";
+
+/**
+ * SVG Export Module
+ * Renders the board, or only the selected items, into a single self-contained
+ * SVG document and rasterizes such documents to PNG.
+ *
+ * Items are rendered by their plugin's createSvgElement(); connectors reuse the
+ * connector DOM rendering (setConnectorStyles), so paths and arrow heads look the
+ * same as on the board. Everything is drawn in z-index order, background items
+ * like frames first.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const DEFAULT_MARGIN = 20;
+// Room for connector strokes and arrow heads beyond the path coordinates
+const CONNECTOR_MARGIN = 24;
+// Connector labels, matching .connector-label in global.css
+const LABEL_FONT_SIZE = 14;
+const LABEL_PADDING_X = 6;
+const LABEL_HEIGHT = 20;
+
+/**
+ * Orders items the way the board stacks them: by plugin layer, then by z-index
+ * @param {Object} store - Datastore instance
+ * @returns {Array} Items as returned by getAllItemsWithZIndex
+ */
+function getItemsInDrawingOrder(store) {
+  const layerOf = ({ type }) => {
+    const plugin = type === "connector" ? null : getPlugin(type);
+    return plugin ? plugin.getLayer() : 0;
+  };
+  // Array sort is stable, so the z-index order is kept within a layer
+  return getAllItemsWithZIndex(store).sort((a, b) => layerOf(a) - layerOf(b));
+}
+
+/**
+ * Creates an SVG element showing the board contents
+ * @param {Object} board - Board instance
+ * @param {Object} [options]
+ * @param {Object} [options.selectionManager] - Required when selectionOnly is set
+ * @param {boolean} [options.selectionOnly=false] - Export only selected items and connectors
+ * @param {string|null} [options.background="#ffffff"] - Background fill, null for transparent
+ * @param {number} [options.margin=20] - Space around the content in pixels
+ * @param {(text: string, fontSize: number) => number} [options.measureText] - Text measurement, defaults to a canvas based one
+ * @returns {SVGSVGElement} The SVG element, with width and height in board pixels
+ * @throws {Error} If there is nothing to export
+ */
+export function createBoardSvg(board, options = {}) {
+  const {
+    selectionManager,
+    selectionOnly = false,
+    background = "#ffffff",
+    margin = DEFAULT_MARGIN,
+  } = options;
+  const measureText = options.measureText || createCanvasTextMeasurer();
+  const boardOrigin = board.getOrigin();
+  const isIncluded = selectionOnly
+    ? createSelectionFilter(board, selectionManager)
+    : () => true;
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  const defs = document.createElementNS(SVG_NS, "defs");
+  const content = document.createElementNS(SVG_NS, "g");
+  const extent = createExtent();
+
+  getItemsInDrawingOrder(board.getStore()).forEach(({ type, id, item }) => {
+    if (!isIncluded(type, id, item)) {
+      return;
+    }
+    if (type === "connector") {
+      const rendered = renderConnector(board, id, item, boardOrigin, measureText);
+      if (rendered) {
+        rendered.markers.forEach((marker) => defs.appendChild(marker));
+        content.appendChild(rendered.element);
+        extent.addRect(rendered.extent);
+      }
+      return;
+    }
+    const plugin = getPlugin(type);
+    const element = plugin && plugin.createSvgElement(item, boardOrigin, { measureText });
+    if (element) {
+      const bounds = plugin.getBounds(item, boardOrigin);
+      content.appendChild(element);
+      extent.addRect({
+        minX: bounds.centerX - bounds.width / 2,
+        minY: bounds.centerY - bounds.height / 2,
+        maxX: bounds.centerX + bounds.width / 2,
+        maxY: bounds.centerY + bounds.height / 2,
+      });
+    }
+  });
+
+  if (extent.isEmpty()) {
+    throw new Error(selectionOnly ? "Nothing selected to export" : "The board is empty");
+  }
+
+  const x = Math.floor(extent.minX - margin);
+  const y = Math.floor(extent.minY - margin);
+  const width = Math.ceil(extent.maxX + margin) - x;
+  const height = Math.ceil(extent.maxY + margin) - y;
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  svg.setAttribute("viewBox", `${x} ${y} ${width} ${height}`);
+
+  if (defs.childNodes.length > 0) {
+    svg.appendChild(defs);
+  }
+  if (background) {
+    const backgroundRect = document.createElementNS(SVG_NS, "rect");
+    backgroundRect.setAttribute("x", x);
+    backgroundRect.setAttribute("y", y);
+    backgroundRect.setAttribute("width", width);
+    backgroundRect.setAttribute("height", height);
+    backgroundRect.setAttribute("fill", background);
+    svg.appendChild(backgroundRect);
+  }
+  svg.appendChild(content);
+  return svg;
+}
+
+/**
+ * Serializes an SVG element into a standalone SVG document
+ * @param {SVGSVGElement} svg - SVG element from createBoardSvg
+ * @returns {string} SVG document text
+ */
+export function serializeSvg(svg) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+/**
+ * Rasterizes an SVG element to a PNG image
+ * @param {SVGSVGElement} svg - SVG element from createBoardSvg
+ * @param {number} [scale=1] - Output pixels per board pixel
+ * @returns {Promise<Blob>} PNG image
+ */
+export function rasterizeSvg(svg, scale = 1) {
+  const width = Number(svg.getAttribute("width"));
+  const height = Number(svg.getAttribute("height"));
+  const url = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(serializeSvg(svg));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("Could not create PNG image"));
+        }
+      }, "image/png");
+    };
+    image.onerror = () => reject(new Error("Could not render SVG image"));
+    image.src = url;
+  });
+}
+
+/**
+ * Renders one connector through the regular connector DOM code and lifts the
+ * resulting path, arrow head marker and label out of its positioned container
+ */
+function renderConnector(board, id, connector, boardOrigin, measureText) {
+  const originItem = getConnectedItem(board, connector.originItemType, connector.originItemId);
+  const destItem = getConnectedItem(board, connector.destinationItemType, connector.destinationItemId);
+  if (!originItem && !destItem && !connector.originPoint && !connector.destinationPoint) {
+    return null;
+  }
+
+  const container = createConnectorDOM("connector-" + id, id, null);
+  setConnectorStyles(connector, container, originItem, destItem, false, boardOrigin, id);
+  const d = container.path.getAttribute("d");
+  if (!d) {
+    return null;
+  }
+  const offsetX = parseFloat(container.style.left) || 0;
+  const offsetY = parseFloat(container.style.top) || 0;
+
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "connector");
+  group.setAttribute("transform", `translate(${offsetX} ${offsetY})`);
+  const path = container.path.cloneNode(false);
+  path.removeAttribute("style");
+  path.removeAttribute("class");
+  group.appendChild(path);
+
+  const markers = Array.from(container.defs.children).map((marker) => {
+    const exported = marker.cloneNode(true);
+    exported.querySelectorAll("[style]").forEach((node) => node.removeAttribute("style"));
+    exported.querySelectorAll("[class]").forEach((node) => node.removeAttribute("class"));
+    return exported;
+  });
+
+  const pathExtent = getPathExtent(d);
+  if (container.label) {
+    const labelRect = renderConnectorLabel(group, container, measureText);
+    pathExtent.addRect(labelRect);
+  }
+  return {
+    element: group,
+    markers,
+    extent: {
+      minX: pathExtent.minX + offsetX - CONNECTOR_MARGIN,
+      minY: pathExtent.minY + offsetY - CONNECTOR_MARGIN,
+      maxX: pathExtent.maxX + offsetX + CONNECTOR_MARGIN,
+      maxY: pathExtent.maxY + offsetY + CONNECTOR_MARGIN,
+    },
+  };
+}
+
+/**
+ * Draws the label of a rendered connector as a text on a rounded rectangle
+ * @returns {Object} Extent of the label, in connector container coordinates
+ */
+function renderConnectorLabel(group, container, measureText) {
+  const text = container.label.textContent;
+  const { x, y } = container.labelPoint;
+  const color = container.label.style.color;
+  const width = measureText(text, LABEL_FONT_SIZE) + 2 * LABEL_PADDING_X;
+
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("x", x - width / 2);
+  background.setAttribute("y", y - LABEL_HEIGHT / 2);
+  background.setAttribute("width", width);
+  background.setAttribute("height", LABEL_HEIGHT);
+  background.setAttribute("rx", 4);
+  background.setAttribute("fill", "rgba(255, 255, 255, 0.9)");
+  background.setAttribute("stroke", color);
+  group.appendChild(background);
+
+  const label = document.createElementNS(SVG_NS, "text");
+  label.setAttribute("x", x);
+  label.setAttribute("y", y);
+  label.setAttribute("text-anchor", "middle");
+  label.setAttribute("dominant-baseline", "central");
+  label.setAttribute("font-family", STICKY_FONT_FAMILY);
+  label.setAttribute("font-size", LABEL_FONT_SIZE);
+  label.setAttribute("fill", color);
+  label.textContent = text;
+  group.appendChild(label);
+
+  // CONNECTOR_MARGIN is added on top, which leaves room for the border
+  return {
+    minX: x - width / 2,
+    minY: y - LABEL_HEIGHT / 2,
+    maxX: x + width / 2,
+    maxY: y + LABEL_HEIGHT / 2,
+  };
+}
+
+function getConnectedItem(board, type, id) {
+  if (!type || !id) {
+    return null;
+  }
+  try {
+    return board.getBoardItemByType(type, id);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A connector is part of a selection export when it is selected itself or
+ * when both of its ends are attached to selected items
+ */
+function createSelectionFilter(board, selectionManager) {
+  if (!selectionManager) {
+    throw new Error("A selection manager is required to export the selection");
+  }
+  const isSelected = (type, id) => {
+    const storageKey = type === "connector" ? "connectors" : getPlugin(type)?.getSelectionType();
+    const selection = storageKey && selectionManager.getSelection(storageKey);
+    return !!(selection && selection.isSelected(id));
+  };
+  return (type, id, item) => {
+    if (isSelected(type, id)) {
+      return true;
+    }
+    return type === "connector" &&
+      !!item.originItemId && isSelected(item.originItemType, item.originItemId) &&
+      !!item.destinationItemId && isSelected(item.destinationItemType, item.destinationItemId);
+  };
+}
+
+/**
+ * Conservative extent of the coordinates in path data produced by setConnectorStyles
+ * (M, L, C and A commands with absolute coordinates)
+ */
+function getPathExtent(d) {
+  const extent = createExtent();
+  const tokens = d.match(/[a-zA-Z]|-?[\d.]+(?:e-?\d+)?/g) || [];
+  let command = null;
+  let i = 0;
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      command = tokens[i++].toUpperCase();
+      continue;
+    }
+    if (command === "A") {
+      // rx ry rotation large-arc sweep x y: the arc stays within two radii of its end point
+      const [rx, ry, , , , x, y] = tokens.slice(i, i + 7).map(Number);
+      const r = 2 * Math.max(rx, ry);
+      extent.addRect({ minX: x - r, minY: y - r, maxX: x + r, maxY: y + r });
+      i += 7;
+    } else {
+      const x = Number(tokens[i]);
+      const y = Number(tokens[i + 1]);
+      extent.addRect({ minX: x, minY: y, maxX: x, maxY: y });
+      i += 2;
+    }
+  }
+  return extent;
+}
+
+function createExtent() {
+  return {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+    addRect(rect) {
+      this.minX = Math.min(this.minX, rect.minX);
+      this.minY = Math.min(this.minY, rect.minY);
+      this.maxX = Math.max(this.maxX, rect.maxX);
+      this.maxY = Math.max(this.maxY, rect.maxY);
+    },
+    isEmpty() {
+      return this.minX > this.maxX;
+    },
+  };
+}
+
+function createCanvasTextMeasurer() {
+  const context = document.createElement("canvas").getContext("2d");
+  return (text, fontSize) => {
+    context.font = `${fontSize}px ${STICKY_FONT_FAMILY}`;
+    return context.measureText(text).width;
+  };
+}
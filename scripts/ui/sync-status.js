@@ -0,0 +1,35 @@
+/**
+ * Sync Status
+ * A badge in the corner of the board that shows how many changes have not
+ * reached the server yet, and whether the board is offline. Hidden while
+ * everything is saved.
+ */
+
+/**
+ * @param {HTMLElement} root - The app root element
+ * @param {WriteQueue} writeQueue - Write queue of the store
+ * @returns {{element: HTMLElement, render: Function}}
+ */
+export function createSyncStatus(root, writeQueue) {
+  const element = document.createElement("div");
+  element.className = "sync-status";
+  element.setAttribute("role", "status");
+  root.appendChild(element);
+
+  function render() {
+    const count = writeQueue.getPendingCount();
+    const online = writeQueue.isOnline();
+    element.classList.toggle("offline", !online);
+    element.style.display = count > 0 || !online ? "" : "none";
+    const pending = count === 1 ? "1 change pending" : `${count} changes pending`;
+    if (!online) {
+      element.textContent = count > 0 ? `Offline, ${pending}` : "Offline";
+    } else {
+      element.textContent = `Saving, ${pending}`;
+    }
+  }
+
+  writeQueue.addObserver({ onPendingWritesChange: render });
+  render();
+  return { element, render };
+}
@@ -0,0 +1,135 @@
+import {
+  getTemplates,
+  deleteSavedTemplate,
+  createTemplateFromBoard,
+  saveTemplate,
+  BUILT_IN_TEMPLATES,
+} from '../board/board-templates.js';
+import { loadImageAssets } from '../board/board-export.js';
+import { showError } from './error-overlay.js';
+
+/**
+ * Template Picker
+ * Asks for the name of a new board and the template to start it from, and
+ * saves boards as templates to pick later.
+ */
+
+/**
+ * Shows the template picker
+ * @param {Object} options
+ * @param {(choice: {boardName: string, templateId: string}) => void} options.onCreate -
+ *   Called with the entered board name and the picked template
+ * @returns {{close: Function}} Handle to close the picker
+ */
+export function showTemplatePicker({ onCreate }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'error-overlay template-overlay';
+  overlay.style.display = 'flex';
+  overlay.innerHTML =
+    '<form class="error-container template-picker">' +
+    '<h3 class="error-title">New board</h3>' +
+    '<input type="text" name="boardName" placeholder="Board name" required>' +
+    '<fieldset class="template-options"><legend>Template</legend></fieldset>' +
+    '<div class="template-actions">' +
+    '<button type="button" class="template-cancel">Cancel</button>' +
+    '<button type="submit" class="error-button">Create</button>' +
+    '</div>' +
+    '</form>';
+
+  const form = overlay.querySelector('form');
+  const options = form.querySelector('.template-options');
+  const builtInIds = BUILT_IN_TEMPLATES.map((template) => template.id);
+
+  const renderOptions = (selectedId) => {
+    options.querySelectorAll('.template-option').forEach((option) => option.remove());
+    getTemplates().forEach((template) => {
+      const option = document.createElement('label');
+      option.className = 'template-option';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'template';
+      radio.value = template.id;
+      radio.checked = template.id === selectedId;
+      const name = document.createElement('span');
+      name.className = 'template-name';
+      name.textContent = template.name;
+      option.appendChild(radio);
+      option.appendChild(name);
+      if (template.description) {
+        const description = document.createElement('span');
+        description.className = 'template-description';
+        description.textContent = template.description;
+        option.appendChild(description);
+      }
+      // Templates saved from boards can be removed again
+      if (!builtInIds.includes(template.id)) {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'template-remove';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', (event) => {
+          event.preventDefault();
+          if (confirm(`Remove the template "${template.name}"?`)) {
+            deleteSavedTemplate(template.id);
+            renderOptions(form.elements.template.value === template.id ? 'empty' : form.elements.template.value);
+          }
+        });
+        option.appendChild(removeButton);
+      }
+      options.appendChild(option);
+    });
+  };
+
+  const close = () => {
+    overlay.remove();
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const boardName = form.elements.boardName.value.trim();
+    if (!boardName) {
+      return;
+    }
+    close();
+    onCreate({ boardName, templateId: form.elements.template.value || 'empty' });
+  });
+  form.querySelector('.template-cancel').addEventListener('click', close);
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      close();
+    }
+  });
+  overlay.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+
+  renderOptions('empty');
+  document.body.appendChild(overlay);
+  form.elements.boardName.focus();
+  return { close };
+}
+
+/**
+ * Asks for a name and saves the contents of the board as a template
+ * @param {Object} board - Board instance
+ * @returns {Promise<Object|null>} The saved template, or null if cancelled or failed
+ */
+export async function saveBoardAsTemplate(board) {
+  const name = prompt('Template name:', board.getBoardTitle() || '');
+  if (name === null || !name.trim()) {
+    return null;
+  }
+  try {
+    // Templates embed images, like exports
+    await loadImageAssets(board);
+    const template = createTemplateFromBoard(board, name);
+    saveTemplate(template);
+    return template;
+  } catch (error) {
+    console.error('Error saving template:', error);
+    showError(error.message, null, 'Saving template failed');
+    return null;
+  }
+}
@@ -0,0 +1,107 @@
+import { DEFAULT_VOTES_PER_PARTICIPANT, MAX_VOTES_PER_PARTICIPANT } from '../board/board-voting.js';
+
+/**
+ * Voting Dialog
+ * Opens and closes dot voting sessions. The facilitator reveals and ends the
+ * session here; everybody else sees how many votes they have left.
+ */
+
+/**
+ * Shows the voting dialog
+ * @param {Object} board - Board instance
+ * @param {Function} onChange - Called after the session changed, to render the board
+ * @returns {{close: Function}} Handle to close the dialog
+ */
+export function showVotingDialog(board, onChange) {
+  const overlay = document.createElement('div');
+  overlay.className = 'error-overlay voting-overlay';
+  overlay.style.display = 'flex';
+  overlay.innerHTML =
+    '<form class="error-container voting-dialog">' +
+    '<h3 class="error-title">Dot voting</h3>' +
+    '<p class="voting-status" aria-live="polite"></p>' +
+    '<div class="voting-start">' +
+    `<label>Votes per person <input type="number" name="votes" min="1" max="${MAX_VOTES_PER_PARTICIPANT}" ` +
+    `value="${DEFAULT_VOTES_PER_PARTICIPANT}"></label>` +
+    '<button type="submit" class="error-button">Start voting</button>' +
+    '</div>' +
+    '<p class="voting-error" role="alert"></p>' +
+    '<div class="voting-actions">' +
+    '<button type="button" class="voting-reveal">Reveal votes</button>' +
+    '<button type="button" class="voting-end">End voting</button>' +
+    '<button type="button" class="voting-clear">Clear votes</button>' +
+    '<button type="button" class="voting-close">Done</button>' +
+    '</div>' +
+    '</form>';
+
+  const form = overlay.querySelector('form');
+  const votesInput = form.elements.votes;
+  const statusElement = form.querySelector('.voting-status');
+  const errorElement = form.querySelector('.voting-error');
+  const startSection = form.querySelector('.voting-start');
+  const revealButton = form.querySelector('.voting-reveal');
+  const endButton = form.querySelector('.voting-end');
+  const clearButton = form.querySelector('.voting-clear');
+
+  const renderState = () => {
+    const session = board.getVotingSession();
+    const canManage = !board.isReadOnly();
+    const isFacilitator = !!session && session.facilitatorId === board.getVoterId();
+    if (!session) {
+      statusElement.textContent = canManage
+        ? 'Everybody gets a number of votes to place on stickies.'
+        : 'There is no voting session on this board.';
+    } else if (session.active) {
+      const votesLeft = board.getVotesLeft();
+      statusElement.textContent =
+        `Click stickies to vote, Shift+click to take a vote back. You have ${votesLeft} of ${session.votesPerParticipant} votes left.` +
+        (session.revealed ? '' : ' Votes are hidden until the facilitator reveals them.');
+    } else {
+      statusElement.textContent = 'Voting has ended.';
+    }
+    startSection.style.display = canManage && !(session && session.active) ? '' : 'none';
+    revealButton.style.display = canManage && isFacilitator && session.active && !session.revealed ? '' : 'none';
+    endButton.style.display = canManage && isFacilitator && session.active ? '' : 'none';
+    clearButton.style.display = canManage && isFacilitator ? '' : 'none';
+  };
+
+  const run = (action) => {
+    try {
+      action();
+      errorElement.textContent = '';
+    } catch (error) {
+      errorElement.textContent = error.message;
+    }
+    renderState();
+    onChange();
+  };
+
+  const close = () => {
+    overlay.remove();
+  };
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    run(() => board.startVoting(Number(votesInput.value)));
+  });
+  revealButton.addEventListener('click', () => run(() => board.revealVotes()));
+  endButton.addEventListener('click', () => run(() => board.endVoting()));
+  clearButton.addEventListener('click', () => run(() => board.clearVotes()));
+  form.querySelector('.voting-close').addEventListener('click', close);
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      close();
+    }
+  });
+  // Typing the number of votes must not trigger board shortcuts
+  overlay.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+
+  renderState();
+  document.body.appendChild(overlay);
+  return { close };
+}
@@ -10,6 +10,17 @@ const Z_INDEX_MIN = 1000;
 const Z_INDEX_MAX = 9999;
 const Z_INDEX_STEP = 10; // Gap between items to allow insertions
 
+/**
+ * Maps an item's z-index into its plugin's layer (see BoardItemPlugin.getLayer),
+ * so items in lower layers stay behind all items in higher layers
+ * @param {number} zIndex - Item z-index
+ * @param {number} layer - Plugin layer, 0 for regular items
+ * @returns {number} CSS z-index
+ */
+export function getLayeredZIndex(zIndex, layer) {
+  return zIndex + layer * (Z_INDEX_MAX + 1);
+}
+
 /**
  * Gets all board items with their z-index values
  * @param {Object} store - Datastore instance
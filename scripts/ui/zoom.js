@@ -1,15 +1,179 @@
+/**
+ * Preset zoom levels, used when stepping through zoom levels with the
+ * keyboard ('o'/'O') or the menu. Wheel and pinch zoom are continuous.
+ */
 export const zoomScale = [0.3, 0.6, 1];
 
+export const DEFAULT_MIN_ZOOM = 0.1;
+export const DEFAULT_MAX_ZOOM = 3;
+
+// How much one pixel of wheel movement zooms; 100px (one mouse wheel notch) ≈ 20%
+const WHEEL_ZOOM_SPEED = 0.002;
+const WHEEL_LINE_HEIGHT = 16;
+const WHEEL_PAGE_HEIGHT = 800;
+
+let zoomLimits = { min: DEFAULT_MIN_ZOOM, max: DEFAULT_MAX_ZOOM };
+
 /**
- * Changes the zoom level by cycling through available zoom scales
+ * Configures the range that zooming is limited to
+ * @param {number} min - Smallest allowed scale
+ * @param {number} max - Largest allowed scale
+ */
+export function setZoomLimits(min, max) {
+  if (!(min > 0) || !(max >= min)) {
+    throw new Error(`Invalid zoom limits min=${min} max=${max}`);
+  }
+  zoomLimits = { min, max };
+}
+
+/**
+ * @returns {{min: number, max: number}} Current zoom limits
+ */
+export function getZoomLimits() {
+  return { ...zoomLimits };
+}
+
+/**
+ * Limits a scale to the configured zoom range
+ * @param {number} scale - Requested scale
+ * @returns {number} Scale within the zoom limits
+ */
+export function clampZoom(scale) {
+  return Math.min(zoomLimits.max, Math.max(zoomLimits.min, scale));
+}
+
+/**
+ * Changes the zoom level by stepping to the next preset zoom scale.
+ * Works from any current scale, e.g. after wheel zooming, and wraps around
+ * at either end.
  * @param {number} currentScale - Current zoom scale value
- * @param {boolean} reverse - If true, cycle backwards through zoom levels
+ * @param {boolean} reverse - If true, step to the next smaller preset
  * @returns {number} New zoom scale value
  */
 export function changeZoomLevel(currentScale, reverse) {
-  let index =
-    zoomScale.findIndex((v) => v === currentScale) + (reverse ? -1 : 1);
-  return zoomScale[index % zoomScale.length];
+  const presets = zoomScale.filter((scale) => scale === clampZoom(scale));
+  if (presets.length === 0) {
+    return clampZoom(currentScale);
+  }
+  // Tolerance for scales that went through floating point arithmetic
+  const epsilon = 1e-6;
+  if (reverse) {
+    const smaller = presets.filter((scale) => scale < currentScale - epsilon);
+    return smaller.length > 0 ? smaller[smaller.length - 1] : presets[presets.length - 1];
+  }
+  const larger = presets.find((scale) => scale > currentScale + epsilon);
+  return larger !== undefined ? larger : presets[0];
+}
+
+/**
+ * Calculates the scale after a zooming wheel event (Ctrl+wheel, or a trackpad
+ * pinch, which browsers report as a wheel event with ctrlKey set)
+ * @param {number} currentScale - Current zoom scale value
+ * @param {{deltaY: number, deltaMode: number}} event - Wheel event
+ * @returns {number} New zoom scale value, within the zoom limits
+ */
+export function getWheelZoomScale(currentScale, event) {
+  let deltaY = event.deltaY;
+  if (event.deltaMode === 1) {
+    deltaY *= WHEEL_LINE_HEIGHT;
+  } else if (event.deltaMode === 2) {
+    deltaY *= WHEEL_PAGE_HEIGHT;
+  }
+  return clampZoom(currentScale * Math.exp(-deltaY * WHEEL_ZOOM_SPEED));
+}
+
+/**
+ * Calculates the scroll position that keeps the board point under an anchor
+ * (e.g. the cursor) at the same place on screen when the scale changes
+ * @param {{scrollLeft: number, scrollTop: number}} scroll - Scroll position before zooming
+ * @param {{x: number, y: number}} anchor - Anchor in pixels relative to the scroll container viewport
+ * @param {number} oldScale - Scale before zooming
+ * @param {number} newScale - Scale after zooming
+ * @returns {{scrollLeft: number, scrollTop: number}} Scroll position after zooming (not clamped)
+ */
+export function calculateAnchoredScroll(scroll, anchor, oldScale, newScale) {
+  const boardX = (scroll.scrollLeft + anchor.x) / oldScale;
+  const boardY = (scroll.scrollTop + anchor.y) / oldScale;
+  return {
+    scrollLeft: boardX * newScale - anchor.x,
+    scrollTop: boardY * newScale - anchor.y,
+  };
+}
+
+/**
+ * Sets up Ctrl+wheel, trackpad pinch and two finger touch pinch zooming
+ * @param {HTMLElement} scrollContainer - The board scroll container
+ * @param {Object} callbacks
+ * @param {() => number} callbacks.getScale - Returns the current scale
+ * @param {(scale: number, clientX: number, clientY: number) => void} callbacks.onZoom -
+ *   Called with the new scale and the point on screen that should stay fixed
+ * @returns {Function} Removes the listeners
+ */
+export function setupZoomGestures(scrollContainer, { getScale, onZoom }) {
+  let pinch = null;
+
+  const touchDistance = (touches) =>
+    Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  const touchMidpoint = (touches) => ({
+    x: (touches[0].clientX + touches[1].clientX) / 2,
+    y: (touches[0].clientY + touches[1].clientY) / 2,
+  });
+
+  const handleWheel = (event) => {
+    // Plain wheel scrolls the board; Ctrl/Cmd+wheel and trackpad pinch zoom it
+    if (!event.ctrlKey && !event.metaKey) {
+      return;
+    }
+    // Also keeps the browser from zooming the whole page
+    event.preventDefault();
+    const scale = getScale();
+    const newScale = getWheelZoomScale(scale, event);
+    if (newScale !== scale) {
+      onZoom(newScale, event.clientX, event.clientY);
+    }
+  };
+
+  const handleTouchStart = (event) => {
+    if (event.touches.length === 2) {
+      pinch = { distance: touchDistance(event.touches), scale: getScale() };
+    }
+  };
+
+  const handleTouchMove = (event) => {
+    if (!pinch || event.touches.length !== 2) {
+      return;
+    }
+    event.preventDefault();
+    const distance = touchDistance(event.touches);
+    if (pinch.distance === 0) {
+      return;
+    }
+    const newScale = clampZoom(pinch.scale * (distance / pinch.distance));
+    if (newScale !== getScale()) {
+      const midpoint = touchMidpoint(event.touches);
+      onZoom(newScale, midpoint.x, midpoint.y);
+    }
+  };
+
+  const handleTouchEnd = (event) => {
+    if (event.touches.length < 2) {
+      pinch = null;
+    }
+  };
+
+  scrollContainer.addEventListener('wheel', handleWheel, { passive: false });
+  scrollContainer.addEventListener('touchstart', handleTouchStart, { passive: true });
+  scrollContainer.addEventListener('touchmove', handleTouchMove, { passive: false });
+  scrollContainer.addEventListener('touchend', handleTouchEnd);
+  scrollContainer.addEventListener('touchcancel', handleTouchEnd);
+
+  return () => {
+    scrollContainer.removeEventListener('wheel', handleWheel);
+    scrollContainer.removeEventListener('touchstart', handleTouchStart);
+    scrollContainer.removeEventListener('touchmove', handleTouchMove);
+    scrollContainer.removeEventListener('touchend', handleTouchEnd);
+    scrollContainer.removeEventListener('touchcancel', handleTouchEnd);
+  };
 }
 
 /**
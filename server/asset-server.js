@@ -0,0 +1,114 @@
+/**
+ * Stand-in for a blob server, for trying out shared image assets locally.
+ * Keeps every asset as a file in a directory:
+ *   PUT /assets/<id> stores the request body, an image whose SHA-256 hash in hex is the id
+ *   GET /assets/<id> returns it, or 404
+ *
+ * Usage: npm run assets  (ASSET_PORT and ASSET_DIR change the port and directory)
+ * and set assetServerUrl in scripts/config/asset-config.js to http://localhost:9100/assets
+ */
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const port = Number(process.env.ASSET_PORT || 9100);
+const directory = path.resolve(process.env.ASSET_DIR || "asset-data");
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+// Ids are SHA-256 hashes of the content, see scripts/network/asset-store.js
+const ASSET_PATH_PATTERN = /^\/assets\/([0-9a-f]{64})$/;
+
+fs.mkdirSync(directory, { recursive: true });
+
+function send(response, status, body = "", headers = {}) {
+  response.writeHead(status, {
+    // Boards are served from another port
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...headers,
+  });
+  response.end(body);
+}
+
+// Answers before the whole body arrived; the rest is read and dropped, and the connection closed after it
+function refuse(request, response, status, message) {
+  send(response, status, message, { Connection: "close" });
+  request.resume();
+}
+
+function storeAsset(request, response, id, file) {
+  const type = (request.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!type.startsWith("image/")) {
+    refuse(request, response, 415, "Assets must be images");
+    return;
+  }
+  if (Number(request.headers["content-length"]) > MAX_ASSET_BYTES) {
+    refuse(request, response, 413, "Asset too large");
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+  request.on("data", (chunk) => {
+    size += chunk.length;
+    if (tooLarge) {
+      return;
+    }
+    if (size > MAX_ASSET_BYTES) {
+      tooLarge = true;
+      chunks.length = 0;
+      refuse(request, response, 413, "Asset too large");
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on("end", () => {
+    if (tooLarge) {
+      return;
+    }
+    const body = Buffer.concat(chunks);
+    if (crypto.createHash("sha256").update(body).digest("hex") !== id) {
+      send(response, 400, "Asset id doesn't match its content");
+      return;
+    }
+    fs.writeFileSync(file, body);
+    fs.writeFileSync(`${file}.type`, type);
+    send(response, 204);
+  });
+}
+
+function serveAsset(response, file) {
+  if (!fs.existsSync(file)) {
+    send(response, 404, "No such asset");
+    return;
+  }
+  const type = fs.existsSync(`${file}.type`) ? fs.readFileSync(`${file}.type`, "utf8") : "application/octet-stream";
+  send(response, 200, fs.readFileSync(file), {
+    "Content-Type": type,
+    // Ids are content hashes, so an asset never changes
+    "Cache-Control": "public, max-age=31536000, immutable",
+  });
+}
+
+http.createServer((request, response) => {
+  if (request.method === "OPTIONS") {
+    send(response, 204);
+    return;
+  }
+  const match = ASSET_PATH_PATTERN.exec(request.url);
+  if (!match) {
+    send(response, 404, "Not found");
+    return;
+  }
+  const file = path.join(directory, match[1]);
+  if (request.method === "PUT") {
+    storeAsset(request, response, match[1], file);
+  } else if (request.method === "GET") {
+    serveAsset(response, file);
+  } else {
+    send(response, 405, "Method not allowed");
+  }
+}).listen(port, () => {
+  console.log(`Serving assets from ${directory} at http://localhost:${port}/assets`);
+});
@@ -0,0 +1,230 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  BoardRole,
+  getBoardRole,
+  canEditBoard,
+  setMemberRole,
+  isValidEmail,
+} from "../scripts/board/board-access.js";
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { showShareDialog } from "../scripts/ui/share-dialog.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { createFakeFirestore } from "./fake-firestore.js";
+
+const owner = { uid: "owner-uid", email: "owner@example.com", displayName: "Olive Owner" };
+const access = {
+  creatorId: "owner-uid",
+  editors: ["ed@example.com", "legacy-editor-uid"],
+  viewers: ["vi@example.com"],
+};
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+});
+
+describe("getBoardRole", () => {
+  it("makes the creator the owner", () => {
+    expect(getBoardRole(access, owner)).toBe(BoardRole.OWNER);
+  });
+
+  it("finds editors and viewers by email regardless of case", () => {
+    expect(getBoardRole(access, { uid: "e", email: "Ed@Example.com" })).toBe(BoardRole.EDITOR);
+    expect(getBoardRole(access, { uid: "v", email: "vi@example.com" })).toBe(BoardRole.VIEWER);
+  });
+
+  it("still honors members listed by user id", () => {
+    expect(getBoardRole(access, { uid: "legacy-editor-uid" })).toBe(BoardRole.EDITOR);
+  });
+
+  it("gives no role to users that are not listed", () => {
+    expect(getBoardRole(access, { uid: "x", email: "x@example.com" })).toBeNull();
+  });
+
+  it("treats offline use and unclaimed boards as owned", () => {
+    expect(getBoardRole(access, null)).toBe(BoardRole.OWNER);
+    expect(getBoardRole({}, { uid: "x" })).toBe(BoardRole.OWNER);
+  });
+
+  it("only lets owners and editors edit", () => {
+    expect(canEditBoard(BoardRole.OWNER)).toBe(true);
+    expect(canEditBoard(BoardRole.EDITOR)).toBe(true);
+    expect(canEditBoard(BoardRole.VIEWER)).toBe(false);
+    expect(canEditBoard(null)).toBe(false);
+  });
+});
+
+describe("setMemberRole", () => {
+  it("adds a member with a normalized email", () => {
+    expect(setMemberRole({}, "  New@Example.com ", BoardRole.VIEWER)).toEqual({
+      editors: [],
+      viewers: ["new@example.com"],
+    });
+  });
+
+  it("moves a member to another role", () => {
+    const result = setMemberRole(access, "vi@example.com", BoardRole.EDITOR);
+    expect(result.editors).toContain("vi@example.com");
+    expect(result.viewers).not.toContain("vi@example.com");
+  });
+
+  it("removes a member", () => {
+    const result = setMemberRole(access, "ED@example.com", null);
+    expect(result.editors).toEqual(["legacy-editor-uid"]);
+  });
+
+  it("rejects invalid emails and roles", () => {
+    expect(isValidEmail("not an email")).toBe(false);
+    expect(() => setMemberRole(access, "nope", BoardRole.EDITOR)).toThrow('"nope" is not a valid email address');
+    expect(() => setMemberRole(access, "a@b.co", BoardRole.OWNER)).toThrow("Invalid role owner");
+  });
+});
+
+describe("Board access", () => {
+  let board;
+
+  beforeEach(() => {
+    board = new Board(new LocalDatastore());
+  });
+
+  it("stores editors and viewers on the board", () => {
+    board.updateBoardAccess({ editors: ["ed@example.com"], viewers: [] });
+    expect(board.getBoardAccess()).toEqual({
+      creatorId: null,
+      editors: ["ed@example.com"],
+      viewers: [],
+    });
+  });
+
+  it("refuses changes while read-only", () => {
+    const id = board.putBoardItem("sticky", { text: "hi", location: { x: 0, y: 0 } });
+    board.setReadOnly(true);
+
+    expect(() => board.putBoardItem("sticky", { text: "no", location: { x: 0, y: 0 } })).toThrow("Board is read-only");
+    expect(() => board.deleteBoardItem("sticky", id)).toThrow("Board is read-only");
+    expect(() => board.updateBoardAccess({ editors: [], viewers: [] })).toThrow("Board is read-only");
+    expect(board.undo()).toBe(false);
+    expect(board.getBoardItemByType("sticky", id).text).toBe("hi");
+
+    board.setReadOnly(false);
+    board.deleteBoardItem("sticky", id);
+    expect(board.isReadOnly()).toBe(false);
+  });
+});
+
+describe("Board list", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = createFakeFirestore({ uid: "u1" });
+    Object.assign(fake.serverDocs, {
+      "boards/mine": { creatorId: "u1", title: "Mine", createOn: 5 },
+      "boards/edited": { creatorId: "u2", editors: ["u1@example.com"], title: "Shared", createOn: 4 },
+      "boards/viewed": { creatorId: "u2", viewers: ["u1"], title: "By user id", createOn: 3 },
+      "boards/both": { creatorId: "u1", editors: ["u1@example.com"], title: "Twice", createOn: 2 },
+      "boards/others": { creatorId: "u2", editors: ["u3@example.com"], title: "Not mine", createOn: 6 },
+    });
+  });
+
+  afterEach(() => {
+    delete global.firebase;
+  });
+
+  const search = (term, options = {}) => FirestoreStore.searchBoards(term, "u1", { skipDebounce: true, ...options });
+
+  it("only queries boards the user is a member of, each once", async () => {
+    const { boards, hasMore } = await search("");
+    expect(boards.map((board) => board.name)).toEqual(["mine", "edited", "viewed", "both"]);
+    expect(hasMore).toBe(false);
+  });
+
+  it("pages through the boards of all memberships", async () => {
+    const first = await search("", { limit: 2 });
+    expect(first.boards.map((board) => board.name)).toEqual(["mine", "edited"]);
+    expect(first.hasMore).toBe(true);
+
+    const names = [];
+    let cursor = first.cursor;
+    while (cursor) {
+      const page = await search("", { limit: 2, startAfter: cursor });
+      names.push(...page.boards.map((board) => board.name));
+      cursor = page.cursor;
+    }
+    expect(names).toEqual(["viewed", "both"]);
+  });
+
+  it("matches titles", async () => {
+    const { boards } = await search("SHAR");
+    expect(boards.map((board) => board.name)).toEqual(["edited"]);
+  });
+});
+
+describe("Share dialog", () => {
+  let board;
+
+  beforeEach(() => {
+    board = new Board(new LocalDatastore());
+    board.updateBoardAccess({ editors: ["ed@example.com"], viewers: [] });
+  });
+
+  const addMember = (email, role) => {
+    const form = document.querySelector(".share-dialog");
+    form.elements.email.value = email;
+    form.elements.role.value = role;
+    form.dispatchEvent(new Event("submit", { cancelable: true }));
+  };
+
+  const memberNames = () =>
+    Array.from(document.querySelectorAll(".share-member-name")).map((element) => element.textContent);
+
+  it("lists the owner and members", () => {
+    showShareDialog(board, owner);
+    expect(memberNames()).toEqual(["Olive Owner (owner)", "ed@example.com"]);
+  });
+
+  it("adds members and saves them right away", () => {
+    showShareDialog(board, owner);
+    addMember("vi@example.com", BoardRole.VIEWER);
+
+    expect(board.getBoardAccess().viewers).toEqual(["vi@example.com"]);
+    expect(memberNames()).toContain("vi@example.com");
+    expect(document.querySelector(".share-dialog").elements.email.value).toBe("");
+  });
+
+  it("shows an error for invalid email addresses", () => {
+    showShareDialog(board, owner);
+    addMember("bogus", BoardRole.EDITOR);
+
+    expect(document.querySelector(".share-error").textContent).toBe('"bogus" is not a valid email address');
+    expect(board.getBoardAccess().editors).toEqual(["ed@example.com"]);
+  });
+
+  it("changes roles and removes members", () => {
+    showShareDialog(board, owner);
+    const select = document.querySelector(".share-member select");
+    select.value = BoardRole.VIEWER;
+    select.dispatchEvent(new Event("change"));
+    expect(board.getBoardAccess()).toMatchObject({ editors: [], viewers: ["ed@example.com"] });
+
+    document.querySelector(".share-remove").click();
+    expect(board.getBoardAccess()).toMatchObject({ editors: [], viewers: [] });
+    expect(memberNames()).toEqual(["Olive Owner (owner)"]);
+  });
+
+  it("closes with Escape without reaching board shortcuts", () => {
+    const boardKeyHandler = jest.fn();
+    document.addEventListener("keydown", boardKeyHandler);
+    showShareDialog(board, owner);
+
+    document.querySelector(".share-dialog input").dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+    );
+
+    expect(document.querySelector(".share-overlay")).toBeNull();
+    expect(boardKeyHandler).not.toHaveBeenCalled();
+    document.removeEventListener("keydown", boardKeyHandler);
+  });
+});
@@ -0,0 +1,188 @@
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import {
+  exportBoard,
+  serializeBoard,
+  parseBoardExport,
+  validateBoardExport,
+  importBoard,
+  BOARD_EXPORT_FORMAT,
+  BOARD_EXPORT_VERSION,
+} from "../scripts/board/board-export.js";
+
+// Mock window global for unit tests that import modules directly
+if (typeof window === 'undefined') {
+  global.window = {};
+}
+
+beforeEach(() => {
+  // Reset window.appState before each test
+  window.appState = undefined;
+});
+
+function createBoardWithContent() {
+  const b = new Board(new LocalDatastore());
+  const a = b.putBoardItem('sticky', { text: "went well", location: { x: 50, y: 50 }, color: "khaki" });
+  const c = b.putBoardItem('sticky', { text: "to improve", location: { x: 300, y: 50 } });
+  const imageId = b.putBoardItem('image', {
+    location: { x: 500, y: 500 },
+    width: 100,
+    height: 80,
+    dataUrl: "data:image/png;base64,AAAA",
+    naturalWidth: 100,
+    naturalHeight: 80,
+  });
+  const connectorId = b.putConnector({
+    originItemId: a, originItemType: 'sticky',
+    destinationItemId: c, destinationItemType: 'sticky',
+    arrowHead: 'filled', color: '#000000'
+  });
+  b.getStore().updateBoardTitle("Retro");
+  return { board: b, a, c, imageId, connectorId };
+}
+
+describe("Board export/import", () => {
+  it("exports a versioned document with board metadata and state", () => {
+    const { board, a } = createBoardWithContent();
+    const exported = exportBoard(board);
+
+    expect(exported.format).toBe(BOARD_EXPORT_FORMAT);
+    expect(exported.version).toBe(BOARD_EXPORT_VERSION);
+    expect(exported.board.title).toBe("Retro");
+    expect(exported.board.origin).toEqual(board.getBoardBounds().origin);
+    expect(exported.board.limit).toEqual(board.getBoardBounds().limit);
+    expect(exported.state.stickies[a].text).toBe("went well");
+  });
+
+  it("round trips a board into a fresh board", () => {
+    const { board, a, imageId, connectorId } = createBoardWithContent();
+    const text = serializeBoard(board);
+
+    window.appState = undefined;
+    const target = new Board(new LocalDatastore());
+    importBoard(target, parseBoardExport(text));
+
+    expect(target.getBoardTitle()).toBe("Retro");
+    expect(target.getBoardItemByType('sticky', a).text).toBe("went well");
+    expect(target.getBoardItemByType('image', imageId).dataUrl).toBe("data:image/png;base64,AAAA");
+    expect(target.getConnector(connectorId).destinationItemId).toBeDefined();
+    expect(target.getState()).toEqual(JSON.parse(text).state);
+
+    // New items continue from the imported id generators
+    const newId = target.putBoardItem('sticky', { text: "new", location: { x: 700, y: 700 } });
+    expect(Object.keys(JSON.parse(text).state.stickies)).not.toContain(newId);
+  });
+
+  it("replaces existing content on import", () => {
+    const { board } = createBoardWithContent();
+    const exported = exportBoard(board);
+
+    window.appState = undefined;
+    const target = new Board(new LocalDatastore());
+    const existing = target.putBoardItem('sticky', { text: "old", location: { x: 50, y: 50 } });
+    importBoard(target, exported);
+
+    expect(target.getBoardItemByType('sticky', existing).text).toBe("went well");
+    expect(Object.keys(target.getState().stickies)).toHaveLength(2);
+    expect(target.canUndo()).toBe(false);
+  });
+
+  it("converts old format state in export files", () => {
+    const exported = {
+      format: BOARD_EXPORT_FORMAT,
+      version: 1,
+      board: {},
+      state: {
+        stickies: {
+          1: { text: "a", location: { x: 0, y: 0 } },
+          2: { text: "b", location: { x: 200, y: 0 } },
+        },
+        connectors: {
+          1: { originId: "1", destinationId: "2", arrowHead: "filled" },
+        },
+        idGen: 2,
+        connectorIdGen: 1,
+      },
+    };
+
+    const { state } = validateBoardExport(exported);
+    expect(state.connectors[1].originItemId).toBe("1");
+    expect(state.connectors[1].originItemType).toBe("sticky");
+    expect(state.connectors[1].originId).toBeUndefined();
+  });
+
+  it("rejects text that is not JSON", () => {
+    expect(() => parseBoardExport("{not json")).toThrow("Board file is not valid JSON");
+  });
+
+  it("rejects documents of another format", () => {
+    expect(() => validateBoardExport({ stickies: {} })).toThrow("Not a board export file");
+  });
+
+  it("rejects versions newer than the supported one", () => {
+    expect(() => validateBoardExport({
+      format: BOARD_EXPORT_FORMAT,
+      version: BOARD_EXPORT_VERSION + 1,
+      state: {},
+    })).toThrow("is newer than the supported version");
+  });
+
+  it("rejects invalid items and id generators", () => {
+    const base = { format: BOARD_EXPORT_FORMAT, version: 1 };
+    expect(() => validateBoardExport({ ...base, state: { stickies: { 1: { location: { x: 0, y: 0 } } } } }))
+      .toThrow("Invalid sticky with id=1");
+    expect(() => validateBoardExport({ ...base, state: { connectors: [] } }))
+      .toThrow("Invalid connectors in board export");
+    expect(() => validateBoardExport({ ...base, state: { idGen: -1 } }))
+      .toThrow("Invalid id generator idGen");
+    expect(() => validateBoardExport({ ...base, board: { origin: { x: "a" } }, state: {} }))
+      .toThrow("Invalid board origin");
+  });
+
+  it("does not touch the board when validation fails", () => {
+    const { board, a } = createBoardWithContent();
+    expect(() => importBoard(board, { format: BOARD_EXPORT_FORMAT, version: 99, state: {} })).toThrow();
+    expect(board.getBoardItemByType('sticky', a).text).toBe("went well");
+  });
+});
+
+describe("FirestoreStore.setState", () => {
+  function createCollectionRef(name) {
+    const docs = {};
+    return {
+      docs,
+      doc: jest.fn((id) => {
+        if (!docs[id]) {
+          docs[id] = { id, path: `${name}/${id}`, set: jest.fn(), update: jest.fn(), delete: jest.fn() };
+        }
+        return docs[id];
+      }),
+    };
+  }
+
+  it("writes the new state and deletes documents that are no longer present", () => {
+    const { getAppState } = require("../scripts/app-state.js");
+    const state = getAppState();
+    state.stickies = { 1: { text: "stale", location: { x: 0, y: 0 } } };
+    state.images = {};
+    state.connectors = { 5: { originItemId: "1", originItemType: "sticky", destinationPoint: { x: 1, y: 1 } } };
+
+    const store = new FirestoreStore("test-board");
+    store.stickyRef = createCollectionRef("stickies");
+    store.imageRef = createCollectionRef("images");
+    store.connectorRef = createCollectionRef("connectors");
+
+    store.setState({
+      stickies: { 2: { text: "imported", location: { x: 10, y: 10 } } },
+      connectors: {},
+      idGen: 2,
+      connectorIdGen: 5,
+    });
+
+    expect(store.stickyRef.docs[1].delete).toHaveBeenCalled();
+    expect(store.stickyRef.docs[2].set).toHaveBeenCalledWith({ text: "imported", location: { x: 10, y: 10 } });
+    expect(store.connectorRef.docs[5].delete).toHaveBeenCalled();
+    expect(getAppState().stickies).toEqual({ 2: { text: "imported", location: { x: 10, y: 10 } } });
+  });
+});
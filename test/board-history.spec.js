@@ -0,0 +1,224 @@
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+
+// Mock window global for unit tests that import modules directly
+if (typeof window === 'undefined') {
+  global.window = {};
+}
+
+beforeEach(() => {
+  // Reset window.appState before each test
+  window.appState = undefined;
+});
+
+describe("Board undo/redo history", () => {
+  it("starts with nothing to undo or redo", () => {
+    const b = new Board(new LocalDatastore());
+    expect(b.canUndo()).toBe(false);
+    expect(b.canRedo()).toBe(false);
+    expect(b.undo()).toBe(false);
+    expect(b.redo()).toBe(false);
+  });
+
+  it("undoes and redoes sticky creation keeping the same id", () => {
+    const b = new Board(new LocalDatastore());
+    const id = b.putBoardItem('sticky', { text: "hello", location: { x: 50, y: 50 } });
+
+    expect(b.undo()).toBe(true);
+    expect(() => b.getBoardItemByType('sticky', id)).toThrow("No such sticky");
+    expect(b.canRedo()).toBe(true);
+
+    expect(b.redo()).toBe(true);
+    expect(b.getBoardItemByType('sticky', id).text).toBe("hello");
+  });
+
+  it("undoes a move", () => {
+    const b = new Board(new LocalDatastore());
+    const id = b.putBoardItem('sticky', { text: "move me", location: { x: 50, y: 50 } });
+    b.moveBoardItem('sticky', id, { x: 200, y: 300 });
+    expect(b.getBoardItemLocationByType('sticky', id)).toEqual({ x: 200, y: 300 });
+
+    b.undo();
+    expect(b.getBoardItemLocationByType('sticky', id)).toEqual({ x: 50, y: 50 });
+    b.redo();
+    expect(b.getBoardItemLocationByType('sticky', id)).toEqual({ x: 200, y: 300 });
+  });
+
+  it("restores a deleted sticky together with its cascaded connectors", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    const c = b.putBoardItem('sticky', { text: "c", location: { x: 300, y: 50 } });
+    const connectorId = b.putConnector({
+      originItemId: a, originItemType: 'sticky',
+      destinationItemId: c, destinationItemType: 'sticky',
+      arrowHead: 'filled', color: '#000000'
+    });
+
+    b.deleteBoardItem('sticky', a);
+    expect(b.getConnectorSafe(connectorId)).toBeUndefined();
+
+    b.undo();
+    expect(b.getBoardItemByType('sticky', a).text).toBe("a");
+    expect(b.getConnector(connectorId).originItemId).toBe(a);
+
+    b.redo();
+    expect(() => b.getBoardItemByType('sticky', a)).toThrow("No such sticky");
+    expect(b.getConnectorSafe(connectorId)).toBeUndefined();
+  });
+
+  it("undoes connector endpoint and arrow head changes", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    const connectorId = b.putConnector({
+      originItemId: a, originItemType: 'sticky',
+      destinationPoint: { x: 400, y: 400 },
+      arrowHead: 'filled'
+    });
+
+    b.updateConnectorEndpoint(connectorId, 'destination', { point: { x: 500, y: 500 } });
+    b.updateArrowHead(connectorId, 'hollow');
+
+    b.undo();
+    expect(b.getConnector(connectorId).arrowHead).toBe('filled');
+    b.undo();
+    expect(b.getConnector(connectorId).destinationPoint).toEqual({ x: 400, y: 400 });
+  });
+
+  it("undoes z-index changes", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    const c = b.putBoardItem('sticky', { text: "c", location: { x: 60, y: 60 } });
+    const before = b.getBoardItemByType('sticky', a).zIndex;
+
+    b.moveBoardItemZIndex('sticky', a, 'to-top');
+    expect(b.getBoardItemByType('sticky', a).zIndex).toBeGreaterThan(b.getBoardItemByType('sticky', c).zIndex);
+
+    b.undo();
+    expect(b.getBoardItemByType('sticky', a).zIndex).toBe(before);
+  });
+
+  it("records direct plugin updates inside recordHistoryStep as one step", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 }, color: "khaki" });
+    const c = b.putBoardItem('sticky', { text: "c", location: { x: 300, y: 50 }, color: "khaki" });
+    const plugin = getPlugin('sticky');
+
+    b.recordHistoryStep(() => {
+      plugin.updateItem(b, a, { color: "red" });
+      plugin.updateItem(b, c, { color: "red" });
+    });
+
+    b.undo();
+    expect(b.getBoardItemByType('sticky', a).color).toBe("khaki");
+    expect(b.getBoardItemByType('sticky', c).color).toBe("khaki");
+    // Both stickies still exist: only the color step was undone
+    expect(b.canUndo()).toBe(true);
+  });
+
+  it("groups everything between beginHistoryStep and endHistoryStep", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    const c = b.putBoardItem('sticky', { text: "c", location: { x: 300, y: 50 } });
+
+    b.beginHistoryStep();
+    b.moveBoardItem('sticky', a, { x: 100, y: 100 });
+    b.moveBoardItem('sticky', c, { x: 350, y: 100 });
+    b.moveBoardItem('sticky', a, { x: 150, y: 150 });
+    expect(b.canUndo()).toBe(false);
+    b.endHistoryStep();
+
+    b.undo();
+    expect(b.getBoardItemLocationByType('sticky', a)).toEqual({ x: 50, y: 50 });
+    expect(b.getBoardItemLocationByType('sticky', c)).toEqual({ x: 300, y: 50 });
+  });
+
+  it("ignores store changes made outside of recorded mutations", () => {
+    const store = new LocalDatastore();
+    const b = new Board(store);
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    const c = b.putBoardItem('sticky', { text: "c", location: { x: 300, y: 50 } });
+
+    b.beginHistoryStep();
+    b.moveBoardItem('sticky', a, { x: 100, y: 100 });
+    // Simulates a remote change arriving while the step is open
+    store.updateBoardItem('sticky', c, { text: "remote" });
+    b.endHistoryStep();
+
+    b.undo();
+    expect(b.getBoardItemLocationByType('sticky', a)).toEqual({ x: 50, y: 50 });
+    expect(b.getBoardItemByType('sticky', c).text).toBe("remote");
+  });
+
+  it("keeps changes to other fields of an item when undoing", () => {
+    const store = new LocalDatastore();
+    const b = new Board(store);
+    const a = b.putBoardItem('sticky', { text: "", location: { x: 50, y: 50 } });
+    b.moveBoardItem('sticky', a, { x: 100, y: 100 });
+    // Simulates a remote change to the same sticky
+    store.updateBoardItem('sticky', a, { text: "important" });
+
+    b.undo();
+    expect(b.getBoardItemByType('sticky', a)).toMatchObject({ text: "important", location: { x: 50, y: 50 } });
+    b.redo();
+    expect(b.getBoardItemByType('sticky', a)).toMatchObject({ text: "important", location: { x: 100, y: 100 } });
+  });
+
+  it("undoes typing as one step of its own", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "", location: { x: 50, y: 50 } });
+    b.moveBoardItem('sticky', a, { x: 100, y: 100 });
+    ["i", "im", "important"].forEach((text) => b.updateBoardItem('sticky', a, { text }));
+
+    b.undo();
+    expect(b.getBoardItemByType('sticky', a)).toMatchObject({ text: "", location: { x: 100, y: 100 } });
+    b.redo();
+    expect(b.getBoardItemByType('sticky', a).text).toBe("important");
+    b.undo();
+    b.undo();
+    expect(b.getBoardItemByType('sticky', a)).toMatchObject({ text: "", location: { x: 50, y: 50 } });
+  });
+
+  it("starts a new step for typing after another change", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('frame', { title: "", location: { x: 0, y: 0 } });
+    b.updateBoardItem('frame', a, { title: "Plan" });
+    b.moveBoardItem('frame', a, { x: 10, y: 10 });
+    b.updateBoardItem('frame', a, { title: "Plans" });
+
+    b.undo();
+    expect(b.getBoardItemByType('frame', a)).toMatchObject({ title: "Plan", location: { x: 10, y: 10 } });
+    b.undo();
+    b.undo();
+    expect(b.getBoardItemByType('frame', a).title).toBe("");
+  });
+
+  it("does not record steps that change nothing", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    b.undo();
+    b.redo();
+
+    b.moveBoardItem('sticky', a, { x: 50, y: 50 });
+    b.undo();
+    expect(() => b.getBoardItemByType('sticky', a)).toThrow("No such sticky");
+  });
+
+  it("clears the redo stack when a new change is made", () => {
+    const b = new Board(new LocalDatastore());
+    const a = b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    b.moveBoardItem('sticky', a, { x: 100, y: 100 });
+    b.undo();
+    expect(b.canRedo()).toBe(true);
+
+    b.moveBoardItem('sticky', a, { x: 200, y: 200 });
+    expect(b.canRedo()).toBe(false);
+  });
+
+  it("clears history when the board state is replaced", () => {
+    const b = new Board(new LocalDatastore());
+    b.putBoardItem('sticky', { text: "a", location: { x: 50, y: 50 } });
+    b.setState(b.getState());
+    expect(b.canUndo()).toBe(false);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { computeLayout, LAYOUT_GAP } from "../scripts/board/board-layout.js";
+import { getAllPlugins } from "../scripts/board-items/plugin-registry.js";
+import { Selection } from "../scripts/ui/selection.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { createMenu } from "../scripts/ui/menu.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+const rect = (key, x, y, width = 70, height = 70) => ({ key, x, y, width, height });
+
+function putSticky(x, y) {
+  return board.putBoardItem("sticky", { text: "idea", location: { x, y } });
+}
+
+const location = (id, type = "sticky") => board.getBoardItemLocationByType(type, id);
+const stickies = (...ids) => ids.map((id) => ({ type: "sticky", id }));
+
+describe("Computing layouts", () => {
+  it("aligns edges and centers", () => {
+    const rects = [rect("a", 100, 0, 70), rect("b", 40, 200, 140)];
+    expect(computeLayout("align-left", rects)).toEqual({ a: { x: 40, y: 0 }, b: { x: 40, y: 200 } });
+    expect(computeLayout("align-right", rects)).toEqual({ a: { x: 110, y: 0 }, b: { x: 40, y: 200 } });
+    expect(computeLayout("align-center", rects).a.x).toBe(75);
+    expect(computeLayout("align-bottom", rects)).toEqual({ a: { x: 100, y: 200 }, b: { x: 40, y: 200 } });
+    expect(computeLayout("align-top", [rects[0]])).toEqual({});
+  });
+
+  it("distributes items with equal gaps between the outermost ones", () => {
+    const positions = computeLayout("distribute-horizontally", [rect("a", 0, 0), rect("c", 400, 0), rect("b", 90, 50)]);
+    expect(positions).toEqual({ a: { x: 0, y: 0 }, b: { x: 200, y: 50 }, c: { x: 400, y: 0 } });
+    expect(computeLayout("distribute-vertically", [rect("a", 0, 0), rect("b", 0, 100)])).toEqual({});
+  });
+
+  it("arranges items in a grid in reading order", () => {
+    const rects = [rect("d", 500, 300), rect("a", 10, 10), rect("c", 10, 300), rect("b", 500, 10), rect("e", 900, 900)];
+    const cell = 70 + LAYOUT_GAP;
+    expect(computeLayout("grid", rects)).toEqual({
+      a: { x: 10, y: 10 },
+      b: { x: 10 + cell, y: 10 },
+      c: { x: 10 + cell * 2, y: 10 },
+      d: { x: 10, y: 10 + cell },
+      e: { x: 10 + cell, y: 10 + cell },
+    });
+    expect(computeLayout("grid", rects, [], { columns: 5 }).e).toEqual({ x: 10 + cell * 4, y: 10 });
+  });
+
+  it("puts connected items into layers below the items pointing to them", () => {
+    const rects = [rect("root", 300, 0), rect("right", 600, 0), rect("left", 0, 0), rect("leaf", 0, 400)];
+    const edges = [
+      { from: "root", to: "left" },
+      { from: "root", to: "right" },
+      { from: "left", to: "leaf" },
+      { from: "root", to: "leaf" },
+    ];
+    const positions = computeLayout("layered", rects, edges);
+    expect(positions.root.y).toBe(0);
+    expect(positions.left.y).toBe(positions.right.y);
+    expect(positions.left.y).toBeGreaterThan(70);
+    expect(positions.leaf.y).toBeGreaterThan(positions.left.y + 70);
+    expect(positions.left.x).toBeLessThan(positions.right.x);
+    expect(positions.right.x - positions.left.x).toBe(70 + LAYOUT_GAP);
+    // Layers are centered below each other
+    expect(positions.root.x + 35).toBe((positions.left.x + positions.right.x + 70) / 2);
+  });
+
+  it("breaks cycles and ignores edges to items that are not laid out", () => {
+    const rects = [rect("a", 0, 0), rect("b", 100, 0)];
+    const positions = computeLayout("layered", rects, [
+      { from: "a", to: "b" },
+      { from: "b", to: "a" },
+      { from: "b", to: "elsewhere" },
+    ]);
+    expect(positions.a.y).toBe(0);
+    expect(positions.b.y).toBeGreaterThan(0);
+  });
+
+  it("rejects unknown commands", () => {
+    expect(() => computeLayout("spiral", [])).toThrow("Unknown layout command: spiral");
+  });
+});
+
+describe("Laying out board items", () => {
+  it("aligns items as one undo step", () => {
+    const a = putSticky(100, 100);
+    const b = putSticky(300, 160);
+    const c = putSticky(500, 230);
+    board.layoutItems(stickies(a, b, c), "align-top");
+    expect([location(a).y, location(b).y, location(c).y]).toEqual([100, 100, 100]);
+
+    board.undo();
+    expect([location(a).y, location(b).y, location(c).y]).toEqual([100, 160, 230]);
+    expect(board.canUndo()).toBe(true);
+  });
+
+  it("snaps locations to the grid", () => {
+    const a = putSticky(0, 0);
+    const b = putSticky(10, 100);
+    const c = putSticky(250, 200);
+    board.layoutItems(stickies(a, b, c), "distribute-horizontally");
+    expect(location(b).x % board.getGridSize()).toBe(0);
+    expect(location(b).x).toBe(130);
+  });
+
+  it("lays out connected stickies as a tree and moves connector bends along", () => {
+    const root = putSticky(400, 400);
+    const child = putSticky(100, 100);
+    const connector = board.putConnector({
+      originItemId: root, originItemType: "sticky",
+      destinationItemId: child, destinationItemType: "sticky",
+      curveControlPoint: { x: 300, y: 300 },
+    });
+    const rootBefore = location(root);
+
+    board.layoutItems([...stickies(root, child), { type: "connector", id: connector }], "layered");
+    expect(location(root).y).toBeLessThan(location(child).y);
+    const rootAfter = location(root);
+    expect(board.getConnector(connector).curveControlPoint).toEqual({
+      x: 300 + rootAfter.x - rootBefore.x,
+      y: 300 + rootAfter.y - rootBefore.y,
+    });
+  });
+
+  it("moves the contents of frames along", () => {
+    const frame = board.putBoardItem("frame", { title: "Column", location: { x: 500, y: 0 }, width: 300, height: 300 });
+    const inside = putSticky(600, 100);
+    const other = putSticky(0, 500);
+    board.layoutItems([{ type: "frame", id: frame }, { type: "sticky", id: other }], "align-left");
+    expect(location(frame, "frame").x).toBe(0);
+    expect(location(inside).x).toBe(100);
+  });
+
+  it("is not allowed on read-only boards", () => {
+    const a = putSticky(0, 0);
+    board.setReadOnly(true);
+    expect(() => board.layoutItems(stickies(a), "grid")).toThrow("Board is read-only");
+  });
+});
+
+describe("Arrange menu", () => {
+  it("offers layout commands for selected items", () => {
+    const a = putSticky(100, 100);
+    const b = putSticky(300, 200);
+    const selectionManager = new SelectionManager();
+    getAllPlugins().forEach((plugin) => {
+      const observer = { onChange: () => {} };
+      selectionManager.registerSelection(plugin.getSelectionType(), new Selection(observer, plugin.getSelectionType(), "onChange", store));
+    });
+    const selectedConnectors = new Selection({ onConnectorChange: () => {} }, "connectorSelection", "onConnectorChange", store);
+    selectionManager.registerSelection("connectors", selectedConnectors);
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const menu = createMenu(board, selectionManager, selectedConnectors, root, store.getAppState(), () => {}, store);
+
+    menu.render();
+    expect(root.querySelector(".arrange-group")).toBeNull();
+
+    selectionManager.selectItem("stickies", a);
+    selectionManager.selectItem("stickies", b, { addToSelection: true });
+    menu.render();
+    root.querySelector(".arrange-group").click();
+    expect(root.querySelector(".arrange-submenu").style.visibility).toBe("visible");
+
+    root.querySelector(".layout-align-top").click();
+    expect(location(b).y).toBe(100);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { findStickyMatches, getMatchSnippet } from "../scripts/board/sticky-search.js";
+import { createBoardSearch } from "../scripts/ui/board-search.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putSticky(text, x, y) {
+  return board.putBoardItem('sticky', { text, location: { x, y } });
+}
+
+describe("Sticky text matching", () => {
+  const stickies = {
+    1: { text: "Ship the release", location: { x: 300, y: 100 } },
+    2: { text: "Release notes", location: { x: 100, y: 100 } },
+    3: { text: "Retro", location: { x: 0, y: 0 } },
+    4: { text: "Plan next release", location: { x: 0, y: 400 } },
+  };
+
+  it("finds stickies containing the query in reading order", () => {
+    expect(findStickyMatches(stickies, "release")).toEqual(["2", "1", "4"]);
+    expect(findStickyMatches(stickies, "  RELEASE ")).toEqual(["2", "1", "4"]);
+  });
+
+  it("finds nothing for an empty query", () => {
+    expect(findStickyMatches(stickies, " ")).toEqual([]);
+    expect(findStickyMatches(undefined, "release")).toEqual([]);
+  });
+
+  it("shortens long text around the match", () => {
+    const text = "We should really, really think about\nthe release plan before the end of the quarter";
+    expect(getMatchSnippet(text, "release", 10)).toBe("…about the release plan befo…");
+    expect(getMatchSnippet("Release notes", "release")).toBe("Release notes");
+  });
+});
+
+describe("Searching stored boards", () => {
+  function storeBoards(boards) {
+    localStorage.setItem('put-it-up-boards', JSON.stringify(boards));
+  }
+
+  it("returns the boards with stickies containing the query", () => {
+    storeBoards({
+      retro: {
+        metadata: { title: "Sprint retro", createOn: 1 },
+        data: { stickies: { 1: { text: "Slow deploys", location: { x: 0, y: 0 } } } },
+      },
+      planning: {
+        metadata: { title: "Planning", createOn: 2 },
+        data: { stickies: { 7: { text: "Faster deploys", location: { x: 0, y: 0 } } } },
+      },
+      empty: { metadata: { title: "Empty" }, data: {} },
+    });
+
+    const results = new LocalDatastore().searchBoardContents("deploys");
+    expect(results).toEqual([
+      expect.objectContaining({ name: "retro", title: "Sprint retro", matches: [{ id: "1", snippet: "Slow deploys" }] }),
+      expect.objectContaining({ name: "planning", title: "Planning", matches: [{ id: "7", snippet: "Faster deploys" }] }),
+    ]);
+    expect(new LocalDatastore().searchBoardContents("retro")).toEqual([]);
+  });
+
+  it("returns nothing without stored boards or a query", () => {
+    expect(new LocalDatastore().searchBoardContents("deploys")).toEqual([]);
+    storeBoards({ retro: { data: { stickies: { 1: { text: "Slow deploys", location: { x: 0, y: 0 } } } } } });
+    expect(new LocalDatastore().searchBoardContents("")).toEqual([]);
+  });
+});
+
+describe("Board search panel", () => {
+  let root;
+  let scrollContainer;
+  let domElement;
+  let render;
+  let search;
+
+  beforeEach(() => {
+    root = document.createElement("div");
+    scrollContainer = document.createElement("div");
+    domElement = document.createElement("div");
+    scrollContainer.appendChild(domElement);
+    root.appendChild(scrollContainer);
+    document.body.appendChild(root);
+    Object.defineProperties(scrollContainer, {
+      clientWidth: { value: 400 },
+      clientHeight: { value: 200 },
+    });
+    store.getAppState().ui.boardScale = 1;
+    render = jest.fn();
+    search = createBoardSearch(board, root, scrollContainer, domElement, store, render);
+  });
+
+  afterEach(() => search.destroy());
+
+  function typeQuery(query) {
+    const input = root.querySelector(".board-search-input");
+    input.value = query;
+    input.dispatchEvent(new Event("input"));
+    return input;
+  }
+
+  const pressEnter = (input, shiftKey = false) =>
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", shiftKey, bubbles: true }));
+
+  it("outlines matches and centers the first one", () => {
+    putSticky("Release notes", 1000, 600);
+    putSticky("Retro", 0, 0);
+    search.open();
+    expect(root.querySelector(".board-search").style.display).toBe("");
+    expect(document.activeElement).toBe(root.querySelector(".board-search-input"));
+
+    typeQuery("release");
+
+    const outlines = domElement.querySelectorAll(".search-match");
+    expect(outlines).toHaveLength(1);
+    expect(outlines[0].classList.contains("current")).toBe(true);
+    expect(root.querySelector(".board-search-count").textContent).toBe("1 of 1");
+    // Sticky center (1035, 635) in the middle of the 400x200 viewport
+    expect(scrollContainer.scrollLeft).toBe(835);
+    expect(scrollContainer.scrollTop).toBe(535);
+  });
+
+  it("cycles through matches with Enter and back with Shift+Enter", () => {
+    const first = putSticky("todo: tests", 0, 0);
+    const second = putSticky("todo: docs", 0, 300);
+    search.open();
+    const input = typeQuery("TODO");
+    expect(search.getCurrentMatch()).toBe(first);
+
+    pressEnter(input);
+    expect(search.getCurrentMatch()).toBe(second);
+    expect(root.querySelector(".board-search-count").textContent).toBe("2 of 2");
+    expect(domElement.querySelectorAll(".search-match")[1].classList.contains("current")).toBe(true);
+
+    pressEnter(input);
+    expect(search.getCurrentMatch()).toBe(first);
+    pressEnter(input, true);
+    expect(search.getCurrentMatch()).toBe(second);
+  });
+
+  it("zooms in on a match when sticky text is too small to read", () => {
+    putSticky("Release notes", 1000, 600);
+    store.getAppState().ui.boardScale = 0.3;
+    search.open("release");
+    expect(store.getAppState().ui.boardScale).toBe(1);
+    expect(render).toHaveBeenCalled();
+    expect(scrollContainer.scrollLeft).toBe(835);
+  });
+
+  it("keeps showing the current match while stickies change", () => {
+    const originalRaf = global.requestAnimationFrame;
+    global.requestAnimationFrame = (callback) => callback();
+    const first = putSticky("bug: login", 0, 0);
+    const second = putSticky("bug: logout", 0, 300);
+    search.open("bug");
+    search.next();
+
+    getPlugin('sticky').updateItem(board, first, { text: "fixed" });
+    expect(search.getMatches()).toEqual([second]);
+    expect(search.getCurrentMatch()).toBe(second);
+    putSticky("bug: signup", 0, 600);
+    expect(domElement.querySelectorAll(".search-match")).toHaveLength(2);
+    global.requestAnimationFrame = originalRaf;
+  });
+
+  it("reports when nothing matches and clears outlines on Escape", () => {
+    putSticky("Retro", 0, 0);
+    search.open();
+    const input = typeQuery("release");
+    expect(root.querySelector(".board-search-count").textContent).toBe("No matches");
+
+    typeQuery("retro");
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+    expect(search.isOpen()).toBe(false);
+    expect(root.querySelector(".board-search").style.display).toBe("none");
+    expect(domElement.querySelectorAll(".search-match")).toHaveLength(0);
+  });
+});
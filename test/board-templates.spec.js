@@ -0,0 +1,230 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import {
+  BUILT_IN_TEMPLATES,
+  getTemplate,
+  getTemplates,
+  createTemplateFromBoard,
+  saveTemplate,
+  instantiateTemplate,
+  applyTemplateToNewBoard,
+  isBoardStateEmpty,
+} from "../scripts/board/board-templates.js";
+import { showTemplatePicker, saveBoardAsTemplate } from "../scripts/ui/template-picker.js";
+import { AssetStore, InMemoryAssetBackend, setAssetStore } from "../scripts/network/asset-store.js";
+import { createFakeFirestore, emitBoard } from "./fake-firestore.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+describe("Built-in templates", () => {
+  it("offers the usual board layouts", () => {
+    expect(BUILT_IN_TEMPLATES.map((template) => template.id))
+      .toEqual(["empty", "retrospective", "kanban", "swot", "story-map"]);
+  });
+
+  it.each(BUILT_IN_TEMPLATES.map((template) => [template.id, template]))(
+    "creates every item of the %s template",
+    (id, template) => {
+      instantiateTemplate(board, template);
+      const state = board.getState();
+      ["stickies", "frames", "connectors"].forEach((key) => {
+        expect(Object.keys(state[key])).toHaveLength(Object.keys(template.state[key] || {}).length);
+      });
+    }
+  );
+
+  it("centers the template on the board as one undo step", () => {
+    instantiateTemplate(board, getTemplate("swot"));
+    const frames = Object.values(board.getState().frames);
+    // 1040x840 SWOT grid around the middle (6000, 3375) of the default board
+    expect(frames.map((frame) => frame.location)).toEqual([
+      { x: 5480, y: 2960 },
+      { x: 6020, y: 2960 },
+      { x: 5480, y: 3400 },
+      { x: 6020, y: 3400 },
+    ]);
+    expect(frames[0]).toMatchObject({ title: "Strengths", width: 500, height: 400, color: "#dcf2e3" });
+
+    board.undo();
+    expect(isBoardStateEmpty(board.getState())).toBe(true);
+  });
+
+  it("connects the backbone of the story map to the new stickies", () => {
+    const ids = instantiateTemplate(board, getTemplate("story-map"), { x: 500, y: 500 });
+    const state = board.getState();
+    const connector = state.connectors[ids.connector[1]];
+    expect(connector).toMatchObject({
+      originItemId: ids.sticky[1],
+      originItemType: "sticky",
+      destinationItemId: ids.sticky[2],
+      destinationItemType: "sticky",
+    });
+    expect(state.stickies[ids.sticky[1]].text).toBe("Discover");
+  });
+});
+
+describe("Instantiating templates", () => {
+  it("gives items fresh ids each time", () => {
+    const template = getTemplate("kanban");
+    const first = instantiateTemplate(board, template);
+    const second = instantiateTemplate(board, template, { x: 2000, y: 2000 });
+    expect(Object.values(second.sticky)).not.toEqual(expect.arrayContaining(Object.values(first.sticky)));
+    expect(Object.keys(board.getState().stickies)).toHaveLength(4);
+  });
+
+  it("moves free connector ends and curve handles with the template", () => {
+    const template = {
+      name: "Arrow",
+      state: {
+        connectors: {
+          1: { originPoint: { x: 0, y: 0 }, destinationPoint: { x: 200, y: 100 }, curveControlPoint: { x: 100, y: 0 } },
+        },
+      },
+    };
+    const ids = instantiateTemplate(board, template, { x: 1000, y: 1000 });
+    expect(board.getConnector(ids.connector[1])).toMatchObject({
+      originPoint: { x: 900, y: 950 },
+      destinationPoint: { x: 1100, y: 1050 },
+      curveControlPoint: { x: 1000, y: 950 },
+    });
+  });
+
+  it("rejects templates with invalid items", () => {
+    const template = { name: "Broken", state: { stickies: { 1: { location: { x: 0, y: 0 } } } } };
+    expect(() => instantiateTemplate(board, template)).toThrow("Invalid sticky with id=1");
+  });
+
+  it("creates items through a Firestore board too", () => {
+    const fake = createFakeFirestore();
+    const firestoreStore = new FirestoreStore("templated-board");
+    firestoreStore.connect();
+    emitBoard(fake.boardDoc("templated-board"), {
+      creatorId: "u1", title: "Templated", createOn: 1, origin: { x: 0, y: 0 }, limit: { x: 12000, y: 6750 },
+    });
+    const firestoreBoard = new Board(firestoreStore);
+
+    const ids = instantiateTemplate(firestoreBoard, getTemplate("story-map"));
+
+    const written = (collection) => Object.keys(fake.serverDocs).filter((path) => path.startsWith(`${collection}/`));
+    expect(written("stickies")).toHaveLength(9);
+    expect(written("frames")).toHaveLength(2);
+    expect(ids.sticky[1]).toBe("stickies-1");
+    expect(fake.serverDocs[`connectors/${ids.connector[1]}`]).toMatchObject({
+      originItemId: "stickies-1",
+      destinationItemId: "stickies-2",
+    });
+    delete global.firebase;
+  });
+});
+
+describe("Templates for new boards", () => {
+  it("fills only empty boards", () => {
+    expect(applyTemplateToNewBoard(board, "retrospective")).toBe(true);
+    expect(applyTemplateToNewBoard(board, "retrospective")).toBe(false);
+    expect(Object.keys(board.getState().frames)).toHaveLength(3);
+  });
+
+  it("leaves boards alone that the user may only view", () => {
+    board.setReadOnly(true);
+    expect(applyTemplateToNewBoard(board, "kanban")).toBe(false);
+  });
+
+  it("reports unknown templates", () => {
+    expect(() => applyTemplateToNewBoard(board, "gantt")).toThrow("Unknown template gantt");
+  });
+});
+
+describe("Saved templates", () => {
+  it("recreates a saved board on another board", () => {
+    const a = board.putBoardItem('sticky', { text: "a", location: { x: 100, y: 100 }, color: "#AED6F1" });
+    const b = board.putBoardItem('sticky', { text: "b", location: { x: 300, y: 100 } });
+    board.putConnector({ originItemId: a, originItemType: 'sticky', destinationItemId: b, destinationItemType: 'sticky' });
+    const template = createTemplateFromBoard(board, " Daily ");
+    saveTemplate(template);
+
+    window.appState = undefined;
+    const otherBoard = new Board(new LocalDatastore());
+    expect(getTemplates().map((t) => t.name)).toContain("Daily");
+    applyTemplateToNewBoard(otherBoard, template.id);
+
+    const state = otherBoard.getState();
+    const stickies = Object.values(state.stickies);
+    expect(stickies.map((sticky) => sticky.text)).toEqual(["a", "b"]);
+    expect(stickies[1].location.x - stickies[0].location.x).toBe(200);
+    expect(Object.keys(state.connectors)).toHaveLength(1);
+  });
+
+  it("needs a name", () => {
+    expect(() => createTemplateFromBoard(board, "  ")).toThrow("A template needs a name");
+  });
+
+  it("is saved from the board with the name the user enters", async () => {
+    board.putBoardItem('sticky', { text: "a", location: { x: 100, y: 100 } });
+    const originalPrompt = window.prompt;
+    window.prompt = jest.fn(() => "Standup");
+    const template = await saveBoardAsTemplate(board);
+    window.prompt = originalPrompt;
+    expect(getTemplate(template.id).name).toBe("Standup");
+  });
+
+  it("embeds images kept as assets", async () => {
+    const backend = new InMemoryAssetBackend();
+    const assetId = await new AssetStore(backend).put(new Blob(["png"], { type: "image/png" }));
+    // Nothing loaded yet, as after opening the board
+    setAssetStore(new AssetStore(backend));
+    const id = board.putBoardItem("image", { assetId, naturalWidth: 40, naturalHeight: 30, location: { x: 0, y: 0 } });
+    const originalPrompt = window.prompt;
+    window.prompt = jest.fn(() => "With picture");
+    const template = await saveBoardAsTemplate(board);
+    window.prompt = originalPrompt;
+    setAssetStore(null);
+
+    const image = getTemplate(template.id).state.images[id];
+    expect(image.dataUrl).toMatch(/^data:image\/png;base64,/);
+    expect(image.assetId).toBeUndefined();
+  });
+});
+
+describe("Template picker", () => {
+  it("creates a board from the picked template", () => {
+    const onCreate = jest.fn();
+    showTemplatePicker({ onCreate });
+    const form = document.querySelector(".template-picker");
+    const names = Array.from(form.querySelectorAll(".template-name")).map((name) => name.textContent);
+    expect(names).toEqual(BUILT_IN_TEMPLATES.map((template) => template.name));
+    expect(form.elements.template.value).toBe("empty");
+
+    form.elements.boardName.value = "Sprint 12 retro";
+    form.querySelector('input[value="retrospective"]').checked = true;
+    form.dispatchEvent(new Event("submit", { cancelable: true }));
+
+    expect(onCreate).toHaveBeenCalledWith({ boardName: "Sprint 12 retro", templateId: "retrospective" });
+    expect(document.querySelector(".template-picker")).toBeNull();
+  });
+
+  it("lets saved templates be removed", () => {
+    saveTemplate({ id: "saved-1", name: "Daily", state: {} });
+    const originalConfirm = window.confirm;
+    window.confirm = jest.fn(() => true);
+    showTemplatePicker({ onCreate: jest.fn() });
+
+    document.querySelector(".template-remove").dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    window.confirm = originalConfirm;
+
+    expect(getTemplate("saved-1")).toBeUndefined();
+    expect(document.querySelectorAll(".template-option")).toHaveLength(BUILT_IN_TEMPLATES.length);
+  });
+});
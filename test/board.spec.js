@@ -102,14 +102,14 @@ it("getOrigin returns board origin", () => {
   expect(origin.y).toBe(0);
 });
 
-it("removes newlines from text", () => {
+it("keeps line breaks in sticky text", () => {
   const b = new Board(new LocalDatastore());
-  const id = b.putBoardItem('sticky', { text: "line1\nline2\nline3", location: { x: 50, y: 50 } });
-  expect(b.getBoardItemByType('sticky', id).text).toBe("line1line2line3");
+  const id = b.putBoardItem('sticky', { text: "line1\r\nline2\nline3", location: { x: 50, y: 50 } });
+  expect(b.getBoardItemByType('sticky', id).text).toBe("line1\nline2\nline3");
   
   const plugin = getPlugin('sticky');
   plugin.updateItem(b, id, { text: "new\ntext\nhere" });
-  expect(b.getBoardItemByType('sticky', id).text).toBe("newtexthere");
+  expect(b.getBoardItemByType('sticky', id).text).toBe("new\ntext\nhere");
 });
 
 it("handles empty text gracefully", () => {
@@ -0,0 +1,255 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { createRenderer } from "../scripts/board-items/connector.js";
+import { setupConnectorEvents } from "../scripts/board-items/connector-events.js";
+import {
+  createEndpointData,
+  findAnchorAtPoint,
+  getAnchorPoint,
+  getAnchorPorts,
+  isValidAnchor,
+} from "../scripts/board-items/connector-anchors.js";
+import { computeOrthogonalRoute } from "../scripts/board-items/connector-routing.js";
+import { getBoardItemBounds } from "../scripts/board-items/board-item-interface.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { convertOldFormatToNewFormat } from "../scripts/board/data-format-converter.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+// 100 wide and 50 high, with its top left corner at 0,0
+const bounds = { centerX: 50, centerY: 25, width: 100, height: 50 };
+
+describe("Anchor geometry", () => {
+  it("places anchors along the sides of an item", () => {
+    expect(getAnchorPoint(bounds, { side: "top", position: 0.5 })).toEqual({ x: 50, y: 0 });
+    expect(getAnchorPoint(bounds, { side: "right", position: 0.2 })).toEqual({ x: 100, y: 10 });
+    expect(getAnchorPoint(bounds, { side: "bottom", position: 0.25 })).toEqual({ x: 25, y: 50 });
+    expect(getAnchorPoint(bounds, { side: "left", position: 1 })).toEqual({ x: 0, y: 50 });
+  });
+
+  it("has a port at the middle of each side", () => {
+    expect(getAnchorPorts(bounds).map(({ point }) => point)).toEqual([
+      { x: 50, y: 0 },
+      { x: 100, y: 25 },
+      { x: 50, y: 50 },
+      { x: 0, y: 25 },
+    ]);
+  });
+
+  it("snaps to a nearby port before a fractional position", () => {
+    expect(findAnchorAtPoint(bounds, { x: 60, y: 4 })).toEqual({ side: "top", position: 0.5 });
+    expect(findAnchorAtPoint(bounds, { x: 80, y: 4 })).toEqual({ side: "top", position: 0.8 });
+    expect(findAnchorAtPoint(bounds, { x: 97, y: 45 })).toEqual({ side: "right", position: 0.9 });
+  });
+
+  it("aims at the center when the pointer is away from the sides", () => {
+    expect(findAnchorAtPoint(bounds, { x: 30, y: 25 })).toBeNull();
+  });
+
+  it("only accepts anchors on a side", () => {
+    expect(isValidAnchor({ side: "left", position: 0 })).toBe(true);
+    expect(isValidAnchor({ side: "middle", position: 0.5 })).toBe(false);
+    expect(isValidAnchor({ side: "left", position: 1.5 })).toBe(false);
+    expect(isValidAnchor(null)).toBe(false);
+  });
+});
+
+describe("Endpoint data", () => {
+  it("includes the anchor from getConnectorEndpointData", () => {
+    const anchor = { side: "left", position: 0.5 };
+    expect(getPlugin("sticky").getConnectorEndpointData("3", anchor)).toEqual({ itemId: "3", itemType: "sticky", anchor });
+    expect(getPlugin("image").getConnectorEndpointData("4")).toEqual({ itemId: "4", itemType: "image" });
+    expect(createEndpointData("5", "shape", { side: "nowhere" })).toEqual({ itemId: "5", itemType: "shape" });
+  });
+
+  it("stores the anchor with the endpoint, and drops it for free endpoints", () => {
+    const stickyId = board.putBoardItem("sticky", { text: "a", location: { x: 0, y: 0 } });
+    const id = board.putConnector({ originPoint: { x: -100, y: 0 }, destinationPoint: { x: -50, y: 0 } });
+    const anchor = { side: "top", position: 0.25 };
+
+    board.updateConnectorEndpoint(id, "destination", createEndpointData(stickyId, "sticky", anchor));
+    expect(board.getConnector(id)).toMatchObject({ destinationItemId: stickyId, destinationAnchor: anchor });
+
+    board.updateConnectorEndpoint(id, "destination", createEndpointData(stickyId, "sticky"));
+    expect(board.getConnector(id).destinationAnchor).toBeUndefined();
+
+    board.updateConnectorEndpoint(id, "destination", createEndpointData(stickyId, "sticky", anchor));
+    board.updateConnectorEndpoint(id, "destination", { point: { x: 10, y: 10 } });
+    expect(board.getConnector(id).destinationAnchor).toBeUndefined();
+  });
+
+  it("writes anchors to Firestore", () => {
+    jest.useFakeTimers();
+    const firestoreStore = new FirestoreStore("anchored-board");
+    const update = jest.fn();
+    firestoreStore.connectorRef = {
+      doc: (id = "connector-1") => ({ id, path: `connectors/${id}`, set: jest.fn(), update }),
+    };
+    firestoreStore.readyForUse = true;
+    const firestoreBoard = new Board(firestoreStore);
+    const id = firestoreBoard.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 0 } });
+    const anchor = { side: "right", position: 0.5 };
+
+    firestoreBoard.updateConnectorEndpoint(id, "origin", { itemId: "7", itemType: "sticky", anchor });
+    jest.runAllTimers();
+    expect(update).toHaveBeenLastCalledWith(expect.objectContaining({ originItemId: "7", originAnchor: anchor }));
+    expect(firestoreBoard.getConnector(id).originAnchor).toEqual(anchor);
+
+    firestoreBoard.updateConnectorEndpoint(id, "origin", { point: { x: 5, y: 5 } });
+    jest.runAllTimers();
+    jest.useRealTimers();
+    expect(update).toHaveBeenLastCalledWith(expect.objectContaining({ originItemId: null, originAnchor: null }));
+    expect(firestoreBoard.getConnector(id).originAnchor).toBeNull();
+  });
+
+  it("drops malformed anchors when loading boards", () => {
+    const state = convertOldFormatToNewFormat({
+      stickies: {},
+      connectors: {
+        1: { originItemId: "1", originItemType: "sticky", originAnchor: { side: "top", position: 0.5 }, destinationPoint: { x: 0, y: 0 } },
+        2: { originItemId: "1", originItemType: "sticky", originAnchor: { side: "up" }, destinationPoint: { x: 0, y: 0 } },
+      },
+    });
+    expect(state.connectors[1].originAnchor).toEqual({ side: "top", position: 0.5 });
+    expect(state.connectors[2].originAnchor).toBeUndefined();
+  });
+});
+
+describe("Rendering anchored connectors", () => {
+  let container;
+  let render;
+  let leftId;
+  let rightId;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    render = createRenderer(board, container, () => ({ isSelected: () => false }));
+    leftId = board.putBoardItem("sticky", { text: "left", location: { x: 0, y: 0 } });
+    rightId = board.putBoardItem("sticky", { text: "right", location: { x: 300, y: 0 } });
+  });
+
+  function renderedEnds(id) {
+    render(id, board.getConnector(id));
+    const { bendPoints } = container.querySelector(`.connector-${id}`);
+    return [bendPoints[0], bendPoints[bendPoints.length - 1]];
+  }
+
+  function boundsOf(id) {
+    return getBoardItemBounds(board.getBoardItemByType("sticky", id), board.getOrigin());
+  }
+
+  it("keeps connectors between the same items apart", () => {
+    const connect = (originAnchor, destinationAnchor) => board.putConnector({
+      originItemId: leftId, originItemType: "sticky", originAnchor,
+      destinationItemId: rightId, destinationItemType: "sticky", destinationAnchor,
+      routing: "straight",
+    });
+    const upper = renderedEnds(connect({ side: "right", position: 0.25 }, { side: "left", position: 0.25 }));
+    const lower = renderedEnds(connect({ side: "right", position: 0.75 }, { side: "left", position: 0.75 }));
+
+    expect(upper[0]).toEqual(getAnchorPoint(boundsOf(leftId), { side: "right", position: 0.25 }));
+    expect(lower[1]).toEqual(getAnchorPoint(boundsOf(rightId), { side: "left", position: 0.75 }));
+    expect(lower[0].y - upper[0].y).toBeCloseTo(boundsOf(leftId).height / 2);
+  });
+
+  it("leaves from the side of the anchor on orthogonal routes", () => {
+    const id = board.putConnector({
+      originItemId: leftId, originItemType: "sticky", originAnchor: { side: "top", position: 0.5 },
+      destinationItemId: rightId, destinationItemType: "sticky",
+      routing: "orthogonal",
+    });
+    const [start] = renderedEnds(id);
+    expect(start).toEqual(getAnchorPoint(boundsOf(leftId), { side: "top", position: 0.5 }));
+
+    const route = computeOrthogonalRoute(
+      { bounds: boundsOf(leftId), anchor: { side: "top", position: 0.5 } },
+      { bounds: boundsOf(rightId) }
+    );
+    expect(route[1].x).toBe(route[0].x);
+    expect(route[1].y).toBeLessThan(route[0].y);
+  });
+});
+
+describe("Snapping to anchor ports while dragging", () => {
+  let boardElement;
+  let connectorEvents;
+  let stickyElement;
+  let stickyId;
+  let originalElementsFromPoint;
+
+  beforeEach(() => {
+    boardElement = document.createElement("div");
+    boardElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: 1000, height: 1000 });
+    document.body.appendChild(boardElement);
+    stickyId = board.putBoardItem("sticky", { text: "target", location: { x: 300, y: 0 } });
+    stickyElement = document.createElement("div");
+    stickyElement.className = `sticky-container sticky-${stickyId}`;
+    boardElement.appendChild(stickyElement);
+    originalElementsFromPoint = document.elementsFromPoint;
+    document.elementsFromPoint = jest.fn(() => [stickyElement]);
+    connectorEvents = setupConnectorEvents(boardElement, board, { selectItem: jest.fn() }, jest.fn(), store);
+  });
+
+  afterEach(() => {
+    connectorEvents.cleanup();
+    document.elementsFromPoint = originalElementsFromPoint;
+  });
+
+  it("shows the ports of the item under the dragged end and stores the anchor it is dropped on", async () => {
+    const id = board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 0 } });
+    const renderConnector = createRenderer(board, boardElement, () => ({ isSelected: () => true }));
+    renderConnector(id, board.getConnector(id));
+    const handle = boardElement.querySelector(".destination-handle");
+    const origin = board.getOrigin();
+    const target = getBoardItemBounds(board.getBoardItemByType("sticky", stickyId), origin);
+    const port = getAnchorPoint(target, { side: "left", position: 0.5 });
+
+    handle.dispatchEvent(new MouseEvent("mousedown", { bubbles: true, clientX: 100 + origin.x, clientY: origin.y }));
+    expect(connectorEvents.getCurrentState()).toBe("dragging_handle");
+    document.dispatchEvent(new MouseEvent("mousemove", { bubbles: true, clientX: port.x + 3, clientY: port.y - 2 }));
+    await nextFrame();
+
+    const ports = boardElement.querySelectorAll(".connector-anchor-port");
+    expect(ports).toHaveLength(4);
+    expect(boardElement.querySelector(".connector-anchor-port.active").style.left).toBe(`${port.x}px`);
+
+    document.dispatchEvent(new MouseEvent("mouseup", { bubbles: true, clientX: port.x + 3, clientY: port.y - 2 }));
+    expect(connectorEvents.getCurrentState()).toBe("idle");
+    expect(board.getConnector(id)).toMatchObject({
+      destinationItemId: stickyId,
+      destinationItemType: "sticky",
+      destinationAnchor: { side: "left", position: 0.5 },
+    });
+    expect(boardElement.querySelector(".connector-anchor-port")).toBeNull();
+  });
+
+  it("attaches to the center when dropped inside the item", async () => {
+    const id = board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 0 } });
+    const renderConnector = createRenderer(board, boardElement, () => ({ isSelected: () => true }));
+    renderConnector(id, board.getConnector(id));
+    const origin = board.getOrigin();
+    const target = getBoardItemBounds(board.getBoardItemByType("sticky", stickyId), origin);
+
+    boardElement.querySelector(".destination-handle")
+      .dispatchEvent(new MouseEvent("mousedown", { bubbles: true, clientX: 100 + origin.x, clientY: origin.y }));
+    document.dispatchEvent(new MouseEvent("mouseup", { bubbles: true, clientX: target.centerX, clientY: target.centerY }));
+
+    expect(board.getConnector(id).destinationItemId).toBe(stickyId);
+    expect(board.getConnector(id).destinationAnchor).toBeUndefined();
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { createRenderer } from "../scripts/board-items/connector.js";
+import { setupConnectorEvents } from "../scripts/board-items/connector-events.js";
+import {
+  getClosestPositionOnPath,
+  getLabelPosition,
+  getPointAlongPath,
+  MAX_LABEL_LENGTH,
+} from "../scripts/board-items/connector-label.js";
+import { createBoardSvg } from "../scripts/ui/svg-export.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+function putStraightConnector(data = {}) {
+  return board.putConnector({
+    originPoint: { x: 0, y: 0 },
+    destinationPoint: { x: 400, y: 0 },
+    routing: "straight",
+    ...data,
+  });
+}
+
+describe("Label positions along a path", () => {
+  const path = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }];
+
+  it("walks the path by length", () => {
+    expect(getPointAlongPath(path, 0.5)).toEqual({ x: 100, y: 0 });
+    expect(getPointAlongPath(path, 0.75)).toEqual({ x: 100, y: 50 });
+    expect(getPointAlongPath(path, 1)).toEqual({ x: 100, y: 100 });
+  });
+
+  it("finds the closest position to a point", () => {
+    expect(getClosestPositionOnPath(path, { x: 50, y: -20 })).toBe(0.25);
+    expect(getClosestPositionOnPath(path, { x: 130, y: 50 })).toBe(0.75);
+  });
+
+  it("sits in the middle unless moved", () => {
+    expect(getLabelPosition({})).toBe(0.5);
+    expect(getLabelPosition({ labelPosition: 0.2 })).toBe(0.2);
+    expect(getLabelPosition({ labelPosition: 3 })).toBe(0.5);
+  });
+});
+
+describe("Rendering connector labels", () => {
+  let container;
+  let render;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    render = createRenderer(board, container, () => ({ isSelected: () => false }));
+  });
+
+  function renderedLabel(id) {
+    render(id, board.getConnector(id));
+    return container.querySelector(`.connector-${id} .connector-label`);
+  }
+
+  it("shows the label at the middle of the path", () => {
+    const id = putStraightConnector({ label: "depends on", color: "#ff0000" });
+    const label = renderedLabel(id);
+    const { pathPoints } = container.querySelector(`.connector-${id}`);
+    expect(label.textContent).toBe("depends on");
+    expect(parseFloat(label.style.left)).toBeCloseTo((pathPoints[0].x + pathPoints[1].x) / 2);
+    expect(label.style.color).toBe("rgb(255, 0, 0)");
+  });
+
+  it("shows the label where it was moved to", () => {
+    const id = putStraightConnector({ label: "blocks", labelPosition: 0.25 });
+    const label = renderedLabel(id);
+    const { pathPoints } = container.querySelector(`.connector-${id}`);
+    expect(parseFloat(label.style.left)).toBeCloseTo(pathPoints[0].x + (pathPoints[1].x - pathPoints[0].x) / 4);
+  });
+
+  it("removes the label when its text is cleared", () => {
+    const id = putStraightConnector({ label: "blocks" });
+    expect(renderedLabel(id)).not.toBeNull();
+    board.updateConnectorLabel(id, "");
+    expect(renderedLabel(id)).toBeNull();
+  });
+});
+
+describe("Connector labels on the board", () => {
+  it("changes the label as one undo step", () => {
+    const id = putStraightConnector();
+    board.updateConnectorLabel(id, "  depends on ");
+    expect(board.getConnector(id).label).toBe("depends on");
+    board.undo();
+    expect(board.getConnector(id).label).toBeUndefined();
+  });
+
+  it("limits the length of labels", () => {
+    const id = putStraightConnector();
+    board.updateConnectorLabel(id, "x".repeat(MAX_LABEL_LENGTH + 10));
+    expect(board.getConnector(id).label).toHaveLength(MAX_LABEL_LENGTH);
+  });
+
+  it("keeps label positions on the path", () => {
+    const id = putStraightConnector();
+    board.updateConnectorLabelPosition(id, 1.5);
+    expect(board.getConnector(id).labelPosition).toBe(1);
+    expect(() => board.updateConnectorLabelPosition(id, "middle")).toThrow("Invalid label position: middle");
+  });
+
+  it("is not editable on read-only boards", () => {
+    const id = putStraightConnector();
+    board.setReadOnly(true);
+    expect(() => board.updateConnectorLabel(id, "blocks")).toThrow("Board is read-only");
+  });
+
+  it("writes labels to Firestore", () => {
+    jest.useFakeTimers();
+    const firestoreStore = new FirestoreStore("labelled-board");
+    const update = jest.fn();
+    firestoreStore.connectorRef = {
+      doc: (id = "connector-1") => ({ id, path: `connectors/${id}`, set: jest.fn(), update }),
+    };
+    firestoreStore.readyForUse = true;
+    const firestoreBoard = new Board(firestoreStore);
+    const id = firestoreBoard.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 0 } });
+
+    firestoreBoard.updateConnectorLabel(id, "blocks");
+    firestoreBoard.updateConnectorLabelPosition(id, 0.3);
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    expect(firestoreBoard.getConnector(id)).toMatchObject({ label: "blocks", labelPosition: 0.3 });
+    expect(update).toHaveBeenCalledWith({ label: "blocks", labelPosition: 0.3 });
+  });
+});
+
+describe("Editing connector labels", () => {
+  let boardElement;
+  let connectorEvents;
+  let render;
+  let id;
+
+  beforeEach(() => {
+    boardElement = document.createElement("div");
+    document.body.appendChild(boardElement);
+    id = putStraightConnector();
+    const renderConnector = createRenderer(board, boardElement, () => ({ isSelected: () => false }));
+    render = () => renderConnector(id, board.getConnector(id));
+    render();
+    connectorEvents = setupConnectorEvents(boardElement, board, { selectItem: jest.fn() }, render, store);
+  });
+
+  afterEach(() => {
+    connectorEvents.cleanup();
+  });
+
+  function startEditing() {
+    boardElement.querySelector(".connector-path").dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    return boardElement.querySelector(".connector-label-input");
+  }
+
+  it("edits the label after a double-click on the connector", () => {
+    const input = startEditing();
+    expect(connectorEvents.getCurrentState()).toBe("editing_label");
+    expect(document.activeElement).toBe(input);
+    expect(board.getConnector(id).waypoints).toBeUndefined();
+
+    input.value = "depends on";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+
+    expect(connectorEvents.getCurrentState()).toBe("idle");
+    expect(board.getConnector(id).label).toBe("depends on");
+    expect(boardElement.querySelector(".connector-label").textContent).toBe("depends on");
+  });
+
+  it("keeps the old label when editing is cancelled", () => {
+    board.updateConnectorLabel(id, "blocks");
+    render();
+    const input = startEditing();
+    expect(input.value).toBe("blocks");
+
+    input.value = "unblocks";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+
+    expect(board.getConnector(id).label).toBe("blocks");
+    expect(boardElement.querySelector(".connector-label").textContent).toBe("blocks");
+    expect(boardElement.querySelector(".connector-label-input")).toBeNull();
+  });
+
+  it("edits the label after a double-click on the label", () => {
+    board.updateConnectorLabel(id, "blocks");
+    render();
+    boardElement.querySelector(".connector-label").dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(connectorEvents.getCurrentState()).toBe("editing_label");
+    expect(board.getConnector(id).waypoints).toBeUndefined();
+  });
+
+  it("saves the label when the input loses focus", () => {
+    const input = startEditing();
+    input.value = "relates to";
+    input.blur();
+    expect(board.getConnector(id).label).toBe("relates to");
+  });
+
+  it("is not started on read-only boards", () => {
+    board.setReadOnly(true);
+    expect(startEditing()).toBeNull();
+    expect(connectorEvents.getCurrentState()).toBe("idle");
+  });
+
+  it("moves the label along the path when dragged, as one undo step", async () => {
+    board.updateConnectorLabel(id, "blocks");
+    render();
+    const origin = board.getOrigin();
+    const label = boardElement.querySelector(".connector-label");
+
+    label.dispatchEvent(new MouseEvent("mousedown", { bubbles: true, clientX: 200 + origin.x, clientY: origin.y }));
+    expect(connectorEvents.getCurrentState()).toBe("dragging_label");
+    document.dispatchEvent(new MouseEvent("mousemove", { bubbles: true, clientX: 300 + origin.x, clientY: 40 + origin.y }));
+    await nextFrame();
+    document.dispatchEvent(new MouseEvent("mouseup", { bubbles: true, clientX: 300 + origin.x, clientY: 40 + origin.y }));
+
+    expect(connectorEvents.getCurrentState()).toBe("idle");
+    expect(board.getConnector(id).labelPosition).toBeCloseTo(0.75);
+    board.undo();
+    expect(board.getConnector(id).labelPosition).toBeUndefined();
+    expect(board.getConnector(id).label).toBe("blocks");
+  });
+});
+
+describe("Exporting connector labels", () => {
+  it("draws the label on a background", () => {
+    putStraightConnector({ label: "depends on" });
+    const svg = createBoardSvg(board, { measureText: (text, fontSize) => text.length * fontSize * 0.5 });
+    const text = Array.from(svg.querySelectorAll(".connector text"));
+    expect(text.map((element) => element.textContent)).toEqual(["depends on"]);
+    expect(svg.querySelector(".connector rect")).not.toBeNull();
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { createRenderer } from "../scripts/board-items/connector.js";
+import {
+  computeOrthogonalRoute,
+  getConnectorRouting,
+  ROUTE_MARGIN,
+} from "../scripts/board-items/connector-routing.js";
+import { convertOldFormatToNewFormat } from "../scripts/board/data-format-converter.js";
+import { getAllPlugins } from "../scripts/board-items/plugin-registry.js";
+import { Selection } from "../scripts/ui/selection.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { createMenu } from "../scripts/ui/menu.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+const box = (centerX, centerY, width = 100, height = 100) => ({ centerX, centerY, width, height });
+
+function isOrthogonal(route) {
+  return route.slice(1).every((point, i) => point.x === route[i].x || point.y === route[i].y);
+}
+
+function crossesBox(route, { centerX, centerY, width, height }) {
+  const left = centerX - width / 2;
+  const right = centerX + width / 2;
+  const top = centerY - height / 2;
+  const bottom = centerY + height / 2;
+  return route.slice(1).some((to, i) => {
+    const from = route[i];
+    return Math.max(from.x, to.x) > left && Math.min(from.x, to.x) < right &&
+      Math.max(from.y, to.y) > top && Math.min(from.y, to.y) < bottom;
+  });
+}
+
+describe("Orthogonal routes", () => {
+  it("join facing sides of items with a balanced elbow", () => {
+    const route = computeOrthogonalRoute({ bounds: box(0, 0) }, { bounds: box(300, 200) });
+    expect(route).toEqual([
+      { x: 50, y: 0 },
+      { x: 150, y: 0 },
+      { x: 150, y: 200 },
+      { x: 250, y: 200 },
+    ]);
+  });
+
+  it("are a straight line between aligned items", () => {
+    const route = computeOrthogonalRoute({ bounds: box(0, 0) }, { bounds: box(0, 300) });
+    expect(route).toEqual([{ x: 0, y: 50 }, { x: 0, y: 250 }]);
+  });
+
+  it("go around items instead of through them", () => {
+    // A wide item right above the origin, reached from its nearest side
+    const origin = box(0, 0);
+    const destination = box(60, -150, 400, 100);
+    const route = computeOrthogonalRoute({ bounds: origin }, { bounds: destination });
+    expect(isOrthogonal(route)).toBe(true);
+    expect(crossesBox(route, origin)).toBe(false);
+    expect(crossesBox(route, destination)).toBe(false);
+  });
+
+  it("leave items at right angles before turning", () => {
+    const route = computeOrthogonalRoute({ bounds: box(0, 0) }, { bounds: box(200, 400) });
+    expect(route[0]).toEqual({ x: 0, y: 50 });
+    expect(route[1].x).toBe(0);
+    expect(route[1].y - route[0].y).toBeGreaterThanOrEqual(ROUTE_MARGIN);
+  });
+
+  it("bend once between free points", () => {
+    const route = computeOrthogonalRoute({ point: { x: 0, y: 0 } }, { point: { x: 100, y: 50 } });
+    expect(route).toHaveLength(3);
+    expect(isOrthogonal(route)).toBe(true);
+  });
+
+  it("treat connectors without a known routing as curved", () => {
+    expect(getConnectorRouting({})).toBe("curved");
+    expect(getConnectorRouting({ routing: "zigzag" })).toBe("curved");
+    expect(getConnectorRouting({ routing: "orthogonal" })).toBe("orthogonal");
+  });
+});
+
+describe("Rendering routed connectors", () => {
+  let container;
+  let render;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    render = createRenderer(board, container, () => ({ isSelected: () => true }));
+  });
+
+  function putConnectedStickies(connector) {
+    const a = board.putBoardItem("sticky", { text: "a", location: { x: 100, y: 100 } });
+    const b = board.putBoardItem("sticky", { text: "b", location: { x: 500, y: 400 } });
+    const id = board.putConnector({
+      originItemId: a, originItemType: "sticky",
+      destinationItemId: b, destinationItemType: "sticky",
+      curveControlPoint: { x: 600, y: 100 },
+      ...connector,
+    });
+    render(id, board.getConnector(id));
+    return container.querySelector(".connector-path").getAttribute("d");
+  }
+
+  it("bends curved connectors through their control point", () => {
+    const d = putConnectedStickies({});
+    expect(d).toMatch(/ C /);
+    expect(container.querySelector(".curve-control-handle")).not.toBeNull();
+  });
+
+  it("ignores the control point of straight connectors", () => {
+    const d = putConnectedStickies({ routing: "straight" });
+    expect(d).toMatch(/^M [\d.]+ [\d.]+ L [\d.]+ [\d.]+$/);
+    expect(container.querySelector(".curve-control-handle")).toBeNull();
+  });
+
+  it("draws orthogonal connectors as horizontal and vertical segments", () => {
+    const d = putConnectedStickies({ routing: "orthogonal" });
+    const points = d.split(/ ?[ML] /).filter(Boolean).map((pair) => pair.split(" ").map(Number));
+    expect(points.length).toBeGreaterThan(2);
+    points.slice(1).forEach(([x, y], i) => {
+      const [previousX, previousY] = points[i];
+      expect(x === previousX || y === previousY).toBe(true);
+    });
+    expect(container.querySelector(".curve-control-handle")).toBeNull();
+  });
+});
+
+describe("Connector routing on the board", () => {
+  it("changes routing as one undo step", () => {
+    const id = board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 100 } });
+    board.updateConnectorRouting(id, "orthogonal");
+    expect(board.getConnector(id).routing).toBe("orthogonal");
+    board.undo();
+    expect(board.getConnector(id).routing).toBeUndefined();
+  });
+
+  it("rejects unknown routings", () => {
+    const id = board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 100 } });
+    expect(() => board.updateConnectorRouting(id, "zigzag")).toThrow("Unknown connector routing: zigzag");
+  });
+
+  it("is kept when converting stored boards", () => {
+    const converted = convertOldFormatToNewFormat({
+      stickies: {},
+      connectors: {
+        1: { originId: "1", destinationId: "2", routing: "orthogonal" },
+        2: { originId: "1", destinationId: "2", routing: "zigzag" },
+      },
+    });
+    expect(converted.connectors[1]).toMatchObject({ originItemId: "1", routing: "orthogonal" });
+    expect(converted.connectors[2].routing).toBeUndefined();
+  });
+});
+
+describe("Routing menu item", () => {
+  function createBoardMenu() {
+    const selectionManager = new SelectionManager();
+    getAllPlugins().forEach((plugin) => {
+      const type = plugin.getType();
+      const observerMethod = `on${type.charAt(0).toUpperCase() + type.slice(1)}Change`;
+      const observer = { [observerMethod]: () => {} };
+      selectionManager.registerSelection(plugin.getSelectionType(), new Selection(observer, plugin.getSelectionType(), observerMethod, store));
+    });
+    const selectedConnectors = new Selection({ onConnectorChange: () => {} }, "connectorSelection", "onConnectorChange", store);
+    selectionManager.registerSelection("connectors", selectedConnectors);
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const menu = createMenu(board, selectionManager, selectedConnectors, root, store.getAppState(), () => {}, store);
+    return { menu, root, selectionManager };
+  }
+
+  it("cycles the routing of the selected connectors", () => {
+    const first = board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 100 } });
+    const second = board.putConnector({ originPoint: { x: 0, y: 200 }, destinationPoint: { x: 100, y: 300 }, routing: "straight" });
+    const { menu, root, selectionManager } = createBoardMenu();
+    selectionManager.selectItem("connectors", first);
+    menu.render();
+
+    const button = () => root.querySelector(".change-connector-routing");
+    expect(button().title).toBe("Routing: curved");
+    selectionManager.addToSelection("connectors", second);
+    button().click();
+
+    expect(board.getConnector(first).routing).toBe("straight");
+    expect(board.getConnector(second).routing).toBe("straight");
+    expect(store.getAppState().ui.currentConnectorRouting).toBe("straight");
+    board.undo();
+    expect(board.getConnector(first).routing).toBeUndefined();
+    expect(board.getConnector(second).routing).toBe("straight");
+  });
+
+  it("is only shown for selected connectors", () => {
+    board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 100 } });
+    const { menu, root } = createBoardMenu();
+    menu.render();
+    expect(root.querySelector(".change-connector-routing")).toBeNull();
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { createRenderer } from "../scripts/board-items/connector.js";
+import {
+  getConnectorLineStyle,
+  getConnectorStrokeWidth,
+  getDashArray,
+  getNextConnectorStyle,
+  getOriginArrowHead,
+  CONNECTOR_STROKE_WIDTHS,
+} from "../scripts/board-items/connector-styling.js";
+import { convertOldFormatToNewFormat } from "../scripts/board/data-format-converter.js";
+import { getAllPlugins } from "../scripts/board-items/plugin-registry.js";
+import { Selection } from "../scripts/ui/selection.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { createMenu } from "../scripts/ui/menu.js";
+import { setupKeyboardHandlers } from "../scripts/ui/keyboard-handlers.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putConnector(data = {}) {
+  return board.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 200, y: 0 }, ...data });
+}
+
+function createSelections() {
+  const selectionManager = new SelectionManager();
+  getAllPlugins().forEach((plugin) => {
+    const type = plugin.getType();
+    const observerMethod = `on${type.charAt(0).toUpperCase() + type.slice(1)}Change`;
+    const observer = { [observerMethod]: () => {} };
+    selectionManager.registerSelection(plugin.getSelectionType(), new Selection(observer, plugin.getSelectionType(), observerMethod, store));
+  });
+  const selectedConnectors = new Selection({ onConnectorChange: () => {} }, "connectorSelection", "onConnectorChange", store);
+  selectionManager.registerSelection("connectors", selectedConnectors);
+  return { selectionManager, selectedConnectors };
+}
+
+describe("Connector style values", () => {
+  it("falls back to a solid line of the default width without an origin arrow head", () => {
+    expect(getConnectorLineStyle({})).toBe("solid");
+    expect(getConnectorLineStyle({ lineStyle: "wavy" })).toBe("solid");
+    expect(getConnectorStrokeWidth({ strokeWidth: 5 })).toBe(4);
+    expect(getOriginArrowHead({})).toBe("none");
+    expect(getOriginArrowHead({ originArrowHead: "hollow" })).toBe("hollow");
+  });
+
+  it("scales dash patterns with the stroke width", () => {
+    expect(getDashArray("solid", 4)).toBeNull();
+    expect(getDashArray("dashed", 2)).toBe("6 4");
+    expect(getDashArray("dotted", 4)).toBe("0 8");
+  });
+
+  it("steps through values in both directions", () => {
+    expect(getNextConnectorStyle(CONNECTOR_STROKE_WIDTHS, 8)).toBe(2);
+    expect(getNextConnectorStyle(CONNECTOR_STROKE_WIDTHS, 2, true)).toBe(8);
+    expect(getNextConnectorStyle(CONNECTOR_STROKE_WIDTHS, undefined)).toBe(2);
+  });
+});
+
+describe("Connector styles on the board", () => {
+  it("changes each style as one undo step", () => {
+    const id = putConnector();
+    board.updateConnectorLineStyle(id, "dashed");
+    board.updateConnectorStrokeWidth(id, 8);
+    board.updateOriginArrowHead(id, "filled");
+    expect(board.getConnector(id)).toMatchObject({ lineStyle: "dashed", strokeWidth: 8, originArrowHead: "filled" });
+
+    board.undo();
+    expect(board.getConnector(id).originArrowHead).toBeUndefined();
+    expect(board.getConnector(id).strokeWidth).toBe(8);
+  });
+
+  it("rejects values that are not presets", () => {
+    const id = putConnector();
+    expect(() => board.updateConnectorLineStyle(id, "wavy")).toThrow("Unknown connector line style: wavy");
+    expect(() => board.updateConnectorStrokeWidth(id, 5)).toThrow("Unknown connector stroke width: 5");
+    expect(() => board.updateOriginArrowHead(id, "diamond")).toThrow("Unknown arrow head: diamond");
+  });
+
+  it("writes styles to Firestore", () => {
+    jest.useFakeTimers();
+    const firestoreStore = new FirestoreStore("styled-board");
+    const update = jest.fn();
+    firestoreStore.connectorRef = {
+      doc: (id = "connector-1") => ({ id, path: `connectors/${id}`, set: jest.fn(), update }),
+    };
+    firestoreStore.readyForUse = true;
+    const firestoreBoard = new Board(firestoreStore);
+    const id = firestoreBoard.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 0 } });
+
+    firestoreBoard.updateConnectorLineStyle(id, "dotted");
+    firestoreBoard.updateConnectorStrokeWidth(id, 2);
+    firestoreBoard.updateOriginArrowHead(id, "line");
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    expect(firestoreBoard.getConnector(id)).toMatchObject({ lineStyle: "dotted", strokeWidth: 2, originArrowHead: "line" });
+    expect(update).toHaveBeenCalledWith({ lineStyle: "dotted", strokeWidth: 2, originArrowHead: "line" });
+  });
+
+  it("drops unknown styles when loading boards", () => {
+    const converted = convertOldFormatToNewFormat({
+      stickies: {},
+      connectors: {
+        1: { originPoint: { x: 0, y: 0 }, destinationPoint: { x: 1, y: 1 }, lineStyle: "dashed", strokeWidth: 6, originArrowHead: "hollow" },
+        2: { originPoint: { x: 0, y: 0 }, destinationPoint: { x: 1, y: 1 }, lineStyle: "wavy", strokeWidth: "thick", originArrowHead: "diamond" },
+      },
+    });
+    expect(converted.connectors[1]).toMatchObject({ lineStyle: "dashed", strokeWidth: 6, originArrowHead: "hollow" });
+    expect(converted.connectors[2].lineStyle).toBeUndefined();
+    expect(converted.connectors[2].strokeWidth).toBeUndefined();
+    expect(converted.connectors[2].originArrowHead).toBeUndefined();
+  });
+});
+
+describe("Rendering connector styles", () => {
+  let container;
+  let render;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    render = createRenderer(board, container, () => ({ isSelected: () => false }));
+  });
+
+  function renderedPath(id) {
+    render(id, board.getConnector(id));
+    return container.querySelector(`.connector-${id} .connector-path`);
+  }
+
+  it("draws solid lines of the default width", () => {
+    const path = renderedPath(putConnector());
+    expect(path.getAttribute("stroke-width")).toBe("4");
+    expect(path.hasAttribute("stroke-dasharray")).toBe(false);
+    expect(path.hasAttribute("marker-start")).toBe(false);
+  });
+
+  it("draws dashed and dotted lines of the chosen width", () => {
+    const dashed = renderedPath(putConnector({ lineStyle: "dashed", strokeWidth: 6 }));
+    expect(dashed.getAttribute("stroke-width")).toBe("6");
+    expect(dashed.getAttribute("stroke-dasharray")).toBe("18 12");
+
+    const dotted = renderedPath(putConnector({ lineStyle: "dotted" }));
+    expect(dotted.getAttribute("stroke-dasharray")).toBe("0 8");
+    expect(dotted.getAttribute("stroke-linecap")).toBe("round");
+  });
+
+  it("draws an arrow head at the origin, and removes it again", () => {
+    const id = putConnector({ originArrowHead: "hollow" });
+    const path = renderedPath(id);
+    const markerId = path.getAttribute("marker-start").match(/url\(#(.+)\)/)[1];
+    const marker = container.querySelector(`marker[id="${markerId}"]`);
+    expect(marker.getAttribute("orient")).toBe("auto-start-reverse");
+    expect(path.getAttribute("marker-end")).not.toBe(path.getAttribute("marker-start"));
+
+    board.updateOriginArrowHead(id, "none");
+    expect(renderedPath(id).hasAttribute("marker-start")).toBe(false);
+    expect(container.querySelector(`marker[id="${markerId}"]`)).toBeNull();
+  });
+});
+
+describe("Connector style menu items", () => {
+  function createBoardMenu() {
+    const { selectionManager, selectedConnectors } = createSelections();
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const menu = createMenu(board, selectionManager, selectedConnectors, root, store.getAppState(), () => {}, store);
+    return { menu, root, selectionManager };
+  }
+
+  it("cycles the styles of the selected connectors", () => {
+    const id = putConnector({ lineStyle: "dashed" });
+    const { menu, root, selectionManager } = createBoardMenu();
+    selectionManager.selectItem("connectors", id);
+    menu.render();
+
+    expect(root.querySelector(".change-connector-line-style").title).toBe("Line style: dashed");
+    root.querySelector(".change-connector-line-style").click();
+    root.querySelector(".change-connector-stroke-width").click();
+    root.querySelector(".change-origin-arrow-head").click();
+
+    expect(board.getConnector(id)).toMatchObject({ lineStyle: "dotted", strokeWidth: 6, originArrowHead: "line" });
+    expect(root.querySelector(".change-connector-stroke-width").title).toBe("Line width: 6px");
+  });
+
+  it("is only shown for selected connectors", () => {
+    putConnector();
+    const { menu, root } = createBoardMenu();
+    menu.render();
+    expect(root.querySelector(".change-connector-line-style")).toBeNull();
+    expect(root.querySelector(".change-origin-arrow-head")).toBeNull();
+  });
+});
+
+describe("Connector style shortcuts", () => {
+  let cleanup;
+  let selectedConnectors;
+  let onConnectorStyleChange;
+
+  beforeEach(() => {
+    const selections = createSelections();
+    selectedConnectors = selections.selectedConnectors;
+    onConnectorStyleChange = jest.fn();
+    cleanup = setupKeyboardHandlers(board, selections.selectionManager, selectedConnectors, store.getAppState(), {
+      onZoomChange: jest.fn(),
+      onNewStickyRequest: jest.fn(),
+      onConnectorRequest: jest.fn(),
+      onCancelAction: jest.fn(),
+      onConnectorStyleChange,
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  const press = (key, shiftKey = false) =>
+    document.body.dispatchEvent(new KeyboardEvent("keydown", { key, shiftKey, bubbles: true }));
+
+  it("cycles the styles of the selected connectors", () => {
+    const id = putConnector();
+    selectedConnectors.replaceSelection(id);
+
+    press("d");
+    press("w");
+    press("a");
+    expect(board.getConnector(id)).toMatchObject({ lineStyle: "dashed", strokeWidth: 6, originArrowHead: "line" });
+    expect(onConnectorStyleChange).toHaveBeenCalledTimes(3);
+
+    press("W", true);
+    expect(board.getConnector(id).strokeWidth).toBe(4);
+    board.undo();
+    expect(board.getConnector(id).strokeWidth).toBe(6);
+  });
+
+  it("leaves connectors alone when none are selected", () => {
+    const id = putConnector();
+    press("d");
+    expect(board.getConnector(id).lineStyle).toBeUndefined();
+    expect(onConnectorStyleChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { createRenderer } from "../scripts/board-items/connector.js";
+import { setupConnectorEvents } from "../scripts/board-items/connector-events.js";
+import {
+  buildSplineSegments,
+  findWaypointInsertIndex,
+  getConnectorWaypoints,
+} from "../scripts/board-items/connector-waypoints.js";
+import { getConnectorBounds } from "../scripts/board-items/connector-hit-testing.js";
+import { getBoardItemBounds } from "../scripts/board-items/board-item-interface.js";
+import { convertOldFormatToNewFormat } from "../scripts/board/data-format-converter.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+function putFreeConnector(data = {}) {
+  return board.putConnector({
+    originPoint: { x: 0, y: 0 },
+    destinationPoint: { x: 400, y: 0 },
+    ...data,
+  });
+}
+
+function getPathCommands(container) {
+  return container.querySelector(".connector-path").getAttribute("d").match(/[MLCA]/g).join("");
+}
+
+describe("Waypoint geometry", () => {
+  it("inserts new waypoints on the leg they were added to", () => {
+    const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 200, y: 100 }];
+    expect(findWaypointInsertIndex(points, { x: 50, y: 5 })).toBe(0);
+    expect(findWaypointInsertIndex(points, { x: 95, y: 50 })).toBe(1);
+    expect(findWaypointInsertIndex(points, { x: 150, y: 110 })).toBe(2);
+  });
+
+  it("passes the spline through every point", () => {
+    const points = [{ x: 0, y: 0 }, { x: 100, y: 50 }, { x: 200, y: 0 }];
+    const segments = buildSplineSegments(points);
+    expect(segments.map((segment) => segment.to)).toEqual(points.slice(1));
+    // Smooth at the waypoint: the handles on both sides are in line with it
+    const before = segments[0].c2;
+    const after = segments[1].c1;
+    expect((before.y + after.y) / 2).toBeCloseTo(50);
+    expect((before.x + after.x) / 2).toBeCloseTo(100);
+  });
+
+  it("ignores waypoints of orthogonal connectors and waypoints without coordinates", () => {
+    expect(getConnectorWaypoints({ waypoints: [{ x: 1, y: 2 }, { x: "a" }], routing: "straight" })).toEqual([{ x: 1, y: 2 }]);
+    expect(getConnectorWaypoints({ waypoints: [{ x: 1, y: 2 }], routing: "orthogonal" })).toEqual([]);
+  });
+});
+
+describe("Waypoints on the board", () => {
+  it("adds, moves and removes waypoints, each as one undo step", () => {
+    const id = putFreeConnector();
+    board.addConnectorWaypoint(id, 0, { x: 100, y: 50 });
+    board.addConnectorWaypoint(id, 1, { x: 300, y: 50 });
+    board.moveConnectorWaypoint(id, 0, { x: 100, y: 80 });
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 100, y: 80 }, { x: 300, y: 50 }]);
+
+    board.removeConnectorWaypoint(id, 1);
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 100, y: 80 }]);
+    board.undo();
+    board.undo();
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 100, y: 50 }, { x: 300, y: 50 }]);
+  });
+
+  it("turns the curve control point into the first waypoint", () => {
+    const id = putFreeConnector({ curveControlPoint: { x: 200, y: 100 } });
+    board.addConnectorWaypoint(id, 1, { x: 300, y: 50 });
+    expect(board.getConnector(id)).toMatchObject({
+      curveControlPoint: null,
+      waypoints: [{ x: 200, y: 100 }, { x: 300, y: 50 }],
+    });
+    board.undo();
+    expect(board.getConnector(id).curveControlPoint).toEqual({ x: 200, y: 100 });
+    expect(board.getConnector(id).waypoints).toBeUndefined();
+  });
+
+  it("rejects invalid waypoints", () => {
+    const id = putFreeConnector();
+    expect(() => board.addConnectorWaypoint(id, 1, { x: 0, y: 0 })).toThrow("Invalid waypoint index: 1");
+    expect(() => board.addConnectorWaypoint(id, 0, { x: 0 })).toThrow("Invalid waypoint: {\"x\":0}");
+    expect(() => board.removeConnectorWaypoint(id, 0)).toThrow("Invalid waypoint index: 0");
+    const orthogonal = putFreeConnector({ routing: "orthogonal" });
+    expect(() => board.addConnectorWaypoint(orthogonal, 0, { x: 0, y: 0 }))
+      .toThrow("Connectors with orthogonal routing have no waypoints");
+  });
+
+  it("moves waypoints with free connectors", () => {
+    const id = putFreeConnector({ waypoints: [{ x: 100, y: 50 }, { x: 300, y: 50 }] });
+    board.moveConnector(id, 10, 20);
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 110, y: 70 }, { x: 310, y: 70 }]);
+  });
+
+  it("moves waypoints with the items a connector is attached to", () => {
+    const a = board.putBoardItem("sticky", { text: "a", location: { x: 0, y: 0 } });
+    const b = board.putBoardItem("sticky", { text: "b", location: { x: 400, y: 0 } });
+    const id = board.putConnector({
+      originItemId: a, originItemType: "sticky",
+      destinationItemId: b, destinationItemType: "sticky",
+      waypoints: [{ x: 200, y: 200 }],
+    });
+    board.moveConnectorsConnectedToItems({ sticky: [a, b] }, -20, 30);
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 180, y: 230 }]);
+  });
+
+  it("are part of the connector bounds", () => {
+    const id = putFreeConnector({ waypoints: [{ x: 200, y: 300 }] });
+    const bounds = getConnectorBounds(board.getConnector(id), board.getState(), { x: 0, y: 0 });
+    expect(bounds).toMatchObject({ height: 300, width: 400 });
+  });
+
+  it("are kept when converting stored boards", () => {
+    const converted = convertOldFormatToNewFormat({
+      stickies: {},
+      connectors: {
+        1: { originId: "1", destinationId: "2", waypoints: [{ x: 1, y: 2 }, null] },
+        2: { originId: "1", destinationId: "2", waypoints: "none" },
+      },
+    });
+    expect(converted.connectors[1].waypoints).toEqual([{ x: 1, y: 2 }]);
+    expect(converted.connectors[2].waypoints).toBeUndefined();
+  });
+
+  it("are written to Firestore", () => {
+    jest.useFakeTimers();
+    const firestoreStore = new FirestoreStore("bent-board");
+    const update = jest.fn();
+    firestoreStore.connectorRef = {
+      doc: (id = "connector-1") => ({ id, path: `connectors/${id}`, set: jest.fn(), update }),
+    };
+    firestoreStore.readyForUse = true;
+    const firestoreBoard = new Board(firestoreStore);
+    const id = firestoreBoard.putConnector({ originPoint: { x: 0, y: 0 }, destinationPoint: { x: 100, y: 0 } });
+
+    firestoreBoard.addConnectorWaypoint(id, 0, { x: 50, y: 50 });
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    expect(update).toHaveBeenCalledWith({ waypoints: [{ x: 50, y: 50 }] });
+  });
+});
+
+describe("Rendering waypoints", () => {
+  let container;
+  let render;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    render = createRenderer(board, container, () => ({ isSelected: () => true }));
+  });
+
+  it("draws curved connectors as a spline through their waypoints", () => {
+    const id = putFreeConnector({ waypoints: [{ x: 100, y: 100 }, { x: 300, y: -100 }], curveControlPoint: { x: 0, y: 500 } });
+    render(id, board.getConnector(id));
+    expect(getPathCommands(container)).toBe("MCCC");
+    expect(container.querySelectorAll(".waypoint-handle")).toHaveLength(2);
+    expect(container.querySelector(".curve-control-handle")).toBeNull();
+  });
+
+  it("draws straight connectors as a polyline through their waypoints", () => {
+    const id = putFreeConnector({ routing: "straight", waypoints: [{ x: 200, y: 100 }] });
+    render(id, board.getConnector(id));
+    expect(getPathCommands(container)).toBe("MLL");
+  });
+
+  it("points connected ends at the nearest waypoint", () => {
+    const a = board.putBoardItem("sticky", { text: "a", location: { x: 0, y: 0 } });
+    const { centerX } = getBoardItemBounds(board.getBoardItemByType("sticky", a), board.getOrigin());
+    const id = board.putConnector({
+      originItemId: a, originItemType: "sticky",
+      destinationPoint: { x: 500, y: 50 },
+      routing: "straight",
+      waypoints: [{ x: centerX, y: 300 }],
+    });
+    render(id, board.getConnector(id));
+    const [start, bend] = container.querySelector(`.connector-${id}`).bendPoints;
+    // Leaves the sticky through its bottom edge, straight down to the waypoint
+    expect(start.x).toBeCloseTo(bend.x);
+    expect(start.y).toBeLessThan(bend.y);
+  });
+});
+
+describe("Editing waypoints", () => {
+  let boardElement;
+  let connectorEvents;
+  let render;
+  let id;
+
+  function setup(data) {
+    boardElement = document.createElement("div");
+    document.body.appendChild(boardElement);
+    id = putFreeConnector(data);
+    const renderConnector = createRenderer(board, boardElement, () => ({ isSelected: () => true }));
+    render = () => renderConnector(id, board.getConnector(id));
+    render();
+    connectorEvents = setupConnectorEvents(boardElement, board, { selectItem: jest.fn() }, render, store);
+  }
+
+  afterEach(() => {
+    connectorEvents.cleanup();
+  });
+
+  const origin = () => board.getOrigin();
+
+  it("adds a waypoint where the path is Alt+double-clicked", () => {
+    setup({ waypoints: [{ x: 200, y: 0 }] });
+    boardElement.querySelector(".connector-path").dispatchEvent(new MouseEvent("dblclick", {
+      bubbles: true,
+      altKey: true,
+      clientX: 300 + origin().x,
+      clientY: 0 + origin().y,
+    }));
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 200, y: 0 }, { x: 300, y: 0 }]);
+    expect(boardElement.querySelectorAll(".waypoint-handle")).toHaveLength(2);
+    expect(connectorEvents.getCurrentState()).toBe("idle");
+  });
+
+  it("edits the label on a plain double-click on the path", () => {
+    setup({ waypoints: [{ x: 200, y: 0 }] });
+    boardElement.querySelector(".connector-path").dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(connectorEvents.getCurrentState()).toBe("editing_label");
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 200, y: 0 }]);
+  });
+
+  it("edits the label instead on orthogonal connectors", () => {
+    setup({ routing: "orthogonal" });
+    boardElement.querySelector(".connector-path").dispatchEvent(new MouseEvent("dblclick", { bubbles: true, altKey: true }));
+    expect(connectorEvents.getCurrentState()).toBe("editing_label");
+    expect(board.getConnector(id).waypoints).toBeUndefined();
+  });
+
+  it("moves a dragged waypoint as one undo step", async () => {
+    setup({ waypoints: [{ x: 200, y: 0 }] });
+    const handle = boardElement.querySelector(".waypoint-handle");
+    handle.dispatchEvent(new MouseEvent("mousedown", { bubbles: true, clientX: 200, clientY: 0 }));
+    expect(connectorEvents.getCurrentState()).toBe("dragging_waypoint");
+
+    document.dispatchEvent(new MouseEvent("mousemove", { bubbles: true, clientX: 210 + origin().x, clientY: 40 + origin().y }));
+    await nextFrame();
+    document.dispatchEvent(new MouseEvent("mousemove", { bubbles: true, clientX: 220 + origin().x, clientY: 80 + origin().y }));
+    await nextFrame();
+    document.dispatchEvent(new MouseEvent("mouseup", { bubbles: true }));
+
+    expect(connectorEvents.getCurrentState()).toBe("idle");
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 220, y: 80 }]);
+    board.undo();
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 200, y: 0 }]);
+  });
+
+  it("removes a waypoint when its handle is double-clicked", () => {
+    setup({ waypoints: [{ x: 100, y: 0 }, { x: 200, y: 0 }] });
+    boardElement.querySelectorAll(".waypoint-handle")[0].dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 200, y: 0 }]);
+  });
+
+  it("leaves waypoints of read-only boards alone", () => {
+    setup({ waypoints: [{ x: 100, y: 0 }] });
+    board.setReadOnly(true);
+    boardElement.querySelector(".connector-path").dispatchEvent(new MouseEvent("dblclick", { bubbles: true, altKey: true }));
+    boardElement.querySelector(".waypoint-handle").dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(board.getConnector(id).waypoints).toEqual([{ x: 100, y: 0 }]);
+  });
+
+  it("doesn't drag connector handles on read-only boards", () => {
+    setup({});
+    board.setReadOnly(true);
+    [".curve-control-handle", ".connector-handle:not(.curve-control-handle)"].forEach((selector) => {
+      const handle = boardElement.querySelector(selector);
+      expect(handle).not.toBeNull();
+      handle.dispatchEvent(new MouseEvent("mousedown", { bubbles: true, clientX: 0, clientY: 0 }));
+      expect(connectorEvents.getCurrentState()).toBe("idle");
+    });
+  });
+});
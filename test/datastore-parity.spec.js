@@ -98,7 +98,9 @@ describe("Datastore Parity Tests", () => {
       const firestoreMethods = getPublicMethodsFromInstance(firestoreInstance);
 
       // Exclude deleteBoard - it's an instance method on LocalDatastore but static on FirestoreStore
-      const filteredLocalMethods = localMethods.filter(m => m !== 'deleteBoard');
+      // Exclude searchBoardContents - only the board list uses it, and only on LocalDatastore
+      const localOnly = ['deleteBoard', 'searchBoardContents'];
+      const filteredLocalMethods = localMethods.filter(m => !localOnly.includes(m));
       const filteredFirestoreMethods = firestoreMethods.filter(m => m !== 'deleteBoard');
 
       // Sort for easier comparison
@@ -115,7 +117,8 @@ describe("Datastore Parity Tests", () => {
       const localMethods = getPublicMethodsFromInstance(localInstance);
       
       // Exclude deleteBoard - it's an instance method on LocalDatastore but static on FirestoreStore
-      localMethods.filter(m => m !== 'deleteBoard').forEach(methodName => {
+      // Exclude searchBoardContents - it only exists on LocalDatastore
+      localMethods.filter(m => m !== 'deleteBoard' && m !== 'searchBoardContents').forEach(methodName => {
         const localParamCount = getParameterCount(localInstance[methodName]);
         const firestoreParamCount = getParameterCount(firestoreInstance[methodName]);
         
@@ -308,6 +311,15 @@ describe("Datastore Parity Tests", () => {
           it("should throw error for non-existent sticky", () => {
             expect(() => testStore.getBoardItem('sticky',"non-existent")).toThrow("No such sticky id=");
           });
+
+          it("should restore a deleted sticky under its original id", () => {
+            const stickyData = { text: "Restore me", location: { x: 100, y: 200 } };
+            const id = testStore.createBoardItem('sticky', stickyData);
+            testStore.deleteBoardItem('sticky', id);
+            
+            testStore.restoreBoardItem('sticky', id, { text: "Restore me", location: { x: 100, y: 200 } });
+            expect(testStore.getBoardItem('sticky', id).text).toBe("Restore me");
+          });
         });
 
         describe("Connector Operations", () => {
@@ -362,6 +374,15 @@ describe("Datastore Parity Tests", () => {
           it("should throw error for non-existent connector", () => {
             expect(() => testStore.getConnector("non-existent")).toThrow("No such connector id=");
           });
+
+          it("should restore a deleted connector under its original id", () => {
+            const connectorData = { originItemId: "sticky1", originItemType: "sticky", destinationPoint: { x: 10, y: 20 } };
+            const id = testStore.createConnector(connectorData);
+            testStore.deleteConnector(id);
+            
+            testStore.restoreConnector(id, { ...connectorData, arrowHead: "hollow" });
+            expect(testStore.getConnector(id).arrowHead).toBe("hollow");
+          });
         });
 
         describe("Image Operations", () => {
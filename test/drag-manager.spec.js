@@ -198,6 +198,38 @@ describe("DragManager", () => {
     });
   });
 
+  describe("Undo History", () => {
+    it("should record a multi-item drag as a single undo step", () => {
+      document.querySelector = jest.fn(() => null);
+      const originalRaf = global.requestAnimationFrame;
+      global.requestAnimationFrame = (callback) => callback();
+      
+      const stickyId1 = board.putBoardItem('sticky', { text: "Test 1", location: { x: 100, y: 100 } });
+      const stickyId2 = board.putBoardItem('sticky', { text: "Test 2", location: { x: 200, y: 100 } });
+      selectionManager.selectItem('stickies', stickyId1, { addToSelection: false });
+      selectionManager.selectItem('stickies', stickyId2, { addToSelection: true });
+      
+      const event = (x, y) => ({ clientX: x, clientY: y, preventDefault: jest.fn(), stopPropagation: jest.fn() });
+      dragManager.startDrag(stickyId1, 'sticky', event(100, 100));
+      const mousemoveHandler = document.addEventListener.mock.calls.find(call => call[0] === 'mousemove')[1];
+      const mouseupHandler = document.addEventListener.mock.calls.find(call => call[0] === 'mouseup')[1];
+      mousemoveHandler(event(130, 120));
+      mousemoveHandler(event(150, 150));
+      mouseupHandler(event(150, 150));
+      global.requestAnimationFrame = originalRaf;
+      
+      expect(board.getBoardItemLocationByType('sticky', stickyId1)).toEqual({ x: 150, y: 150 });
+      expect(board.getBoardItemLocationByType('sticky', stickyId2)).toEqual({ x: 250, y: 150 });
+      
+      board.undo();
+      expect(board.getBoardItemLocationByType('sticky', stickyId1)).toEqual({ x: 100, y: 100 });
+      expect(board.getBoardItemLocationByType('sticky', stickyId2)).toEqual({ x: 200, y: 100 });
+      // The next step back is the creation of the second sticky
+      board.undo();
+      expect(() => board.getBoardItemByType('sticky', stickyId2)).toThrow("No such sticky");
+    });
+  });
+
   describe("Multi-Type Dragging", () => {
     it("should drag selected stickies and images together", () => {
       document.querySelector = jest.fn(() => null);
@@ -401,6 +433,119 @@ describe("DragManager", () => {
     });
   });
 
+  describe("Marquee Selection", () => {
+    let marqueeElement;
+    let originalRaf;
+    const mouseEvent = (x, y, extra = {}) => ({
+      clientX: x, clientY: y, button: 0, preventDefault: jest.fn(), stopPropagation: jest.fn(), ...extra
+    });
+    const dragMarquee = (from, to, extra) => {
+      const started = dragManager.startMarqueeSelection(mouseEvent(from.x, from.y, extra));
+      const mousemoveHandler = document.addEventListener.mock.calls.filter(call => call[0] === 'mousemove').pop()[1];
+      const mouseupHandler = document.addEventListener.mock.calls.filter(call => call[0] === 'mouseup').pop()[1];
+      mousemoveHandler(mouseEvent(to.x, to.y));
+      mouseupHandler(mouseEvent(to.x, to.y));
+      return started;
+    };
+
+    beforeEach(() => {
+      originalRaf = global.requestAnimationFrame;
+      global.requestAnimationFrame = (callback) => callback();
+      marqueeElement = { style: {}, remove: jest.fn() };
+      document.createElement = jest.fn(() => marqueeElement);
+      boardElement.appendChild = jest.fn();
+      boardElement.getBoundingClientRect = () => ({ left: 0, top: 0 });
+    });
+
+    afterEach(() => {
+      global.requestAnimationFrame = originalRaf;
+      delete document.createElement;
+    });
+
+    it("selects stickies, images and connectors intersecting the rectangle", () => {
+      const stickyId1 = board.putBoardItem('sticky', { text: "In", location: { x: 100, y: 100 } });
+      const stickyId2 = board.putBoardItem('sticky', { text: "Out", location: { x: 600, y: 600 } });
+      const imageId = board.putBoardItem('image', { location: { x: 200, y: 100 }, width: 100, height: 100, dataUrl: "data:test", naturalWidth: 100, naturalHeight: 100 });
+      const connectorId = board.putConnector({ originPoint: { x: 150, y: 300 }, destinationPoint: { x: 250, y: 300 } });
+
+      expect(dragMarquee({ x: 90, y: 90 }, { x: 260, y: 310 })).toBe(true);
+
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId1)).toBeTruthy();
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId2)).toBeFalsy();
+      expect(selectionManager.getSelection('images').isSelected(imageId)).toBeTruthy();
+      expect(selectionManager.getSelection('connectors').isSelected(connectorId)).toBeTruthy();
+      expect(dragManager.getCurrentState()).toBe('idle');
+      expect(dragManager.justCompletedDrag).toBe(true);
+      expect(renderCallback).toHaveBeenCalled();
+    });
+
+    it("draws the rectangle while dragging and removes it afterwards", () => {
+      dragManager.startMarqueeSelection(mouseEvent(10, 20));
+      expect(dragManager.getCurrentState()).toBe('marquee-selecting');
+      const mousemoveHandler = document.addEventListener.mock.calls.filter(call => call[0] === 'mousemove').pop()[1];
+      mousemoveHandler(mouseEvent(60, 100));
+
+      expect(boardElement.appendChild).toHaveBeenCalledWith(marqueeElement);
+      expect(marqueeElement.style).toEqual({ left: '10px', top: '20px', width: '50px', height: '80px' });
+
+      const mouseupHandler = document.addEventListener.mock.calls.filter(call => call[0] === 'mouseup').pop()[1];
+      mouseupHandler(mouseEvent(60, 100));
+      expect(marqueeElement.remove).toHaveBeenCalled();
+    });
+
+    it("accounts for board scale", () => {
+      const ui = store.getAppState().ui;
+      ui.boardScale = 0.5;
+      const stickyId = board.putBoardItem('sticky', { text: "Far", location: { x: 400, y: 400 } });
+
+      // 250px on screen is 500px on the board
+      dragMarquee({ x: 190, y: 190 }, { x: 250, y: 250 });
+      ui.boardScale = 1.0;
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId)).toBeTruthy();
+    });
+
+    it("replaces the selection, or adds to it with Shift", () => {
+      const stickyId1 = board.putBoardItem('sticky', { text: "A", location: { x: 100, y: 100 } });
+      const stickyId2 = board.putBoardItem('sticky', { text: "B", location: { x: 400, y: 100 } });
+      selectionManager.selectItem('stickies', stickyId1);
+
+      dragMarquee({ x: 390, y: 90 }, { x: 480, y: 180 }, { shiftKey: true });
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId1)).toBeTruthy();
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId2)).toBeTruthy();
+
+      dragMarquee({ x: 390, y: 90 }, { x: 480, y: 180 });
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId1)).toBeFalsy();
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId2)).toBeTruthy();
+    });
+
+    it("leaves the selection alone on a plain click", () => {
+      const stickyId = board.putBoardItem('sticky', { text: "A", location: { x: 100, y: 100 } });
+      selectionManager.selectItem('stickies', stickyId);
+
+      dragMarquee({ x: 500, y: 500 }, { x: 501, y: 501 });
+      expect(selectionManager.getSelection('stickies').isSelected(stickyId)).toBeTruthy();
+      expect(dragManager.justCompletedDrag).toBe(false);
+    });
+
+    it("does not start in creation modes or while dragging items", () => {
+      store.getAppState().ui.nextClickCreatesConnector = true;
+      expect(dragManager.startMarqueeSelection(mouseEvent(0, 0))).toBe(false);
+      store.getAppState().ui.nextClickCreatesConnector = false;
+
+      store.getAppState().ui.nextClickCreatesNewSticky = true;
+      expect(dragManager.startMarqueeSelection(mouseEvent(0, 0))).toBe(false);
+      store.getAppState().ui.nextClickCreatesNewSticky = false;
+
+      expect(dragManager.startMarqueeSelection(mouseEvent(0, 0, { button: 2 }))).toBe(false);
+
+      document.querySelector = jest.fn(() => null);
+      const stickyId = board.putBoardItem('sticky', { text: "A", location: { x: 100, y: 100 } });
+      dragManager.startDrag(stickyId, 'sticky', mouseEvent(100, 100));
+      expect(dragManager.startMarqueeSelection(mouseEvent(0, 0))).toBe(false);
+      expect(dragManager.getCurrentState()).toBe('dragging');
+    });
+  });
+
   describe("Drag State Transitions", () => {
     it("should transition from IDLE to DRAGGING", () => {
       document.querySelector = jest.fn(() => null);
@@ -0,0 +1,212 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { getPluginForItem } from "../scripts/board-items/board-item-interface.js";
+import { simplifyPolyline, normalizeDrawing, toPathData } from "../scripts/board-items/plugins/drawing/drawing-geometry.js";
+import { createBoardSvg } from "../scripts/ui/svg-export.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { Selection } from "../scripts/ui/selection.js";
+
+const plugin = getPlugin('drawing');
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putDrawing(data = {}) {
+  return board.putBoardItem('drawing', {
+    points: [{ x: 100, y: 100 }, { x: 150, y: 120 }, { x: 200, y: 100 }],
+    ...data,
+  });
+}
+
+describe("Drawing geometry", () => {
+  it("drops points close to the simplified stroke", () => {
+    const points = [{ x: 0, y: 0 }, { x: 5, y: 0.4 }, { x: 10, y: 0 }, { x: 15, y: 6 }, { x: 20, y: 12 }];
+    expect(simplifyPolyline(points, 1)).toEqual([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 12 }]);
+  });
+
+  it("keeps single points and segments", () => {
+    expect(simplifyPolyline([{ x: 1, y: 1 }], 1)).toEqual([{ x: 1, y: 1 }]);
+    expect(simplifyPolyline([{ x: 1, y: 1 }, { x: 1, y: 1 }], 1)).toHaveLength(2);
+  });
+
+  it("stores points relative to the box around the stroke", () => {
+    expect(normalizeDrawing({ x: 0, y: 0 }, [{ x: 100, y: 50 }, { x: 140, y: 80 }], 4)).toEqual({
+      location: { x: 98, y: 48 },
+      points: [{ x: 2, y: 2 }, { x: 42, y: 32 }],
+      width: 44,
+      height: 34,
+    });
+  });
+
+  it("draws single points as dots", () => {
+    expect(toPathData([{ x: 1, y: 2 }, { x: 3, y: 4 }])).toBe("M 1 2 L 3 4");
+    expect(toPathData([{ x: 1, y: 2 }], { x: 10, y: 0 })).toBe("M 11 2 L 11 2");
+  });
+});
+
+describe("Drawing items", () => {
+  it("keeps strokes where they were drawn", () => {
+    const id = putDrawing();
+    expect(board.getBoardItemByType('drawing', id)).toMatchObject({
+      location: { x: 98, y: 98 },
+      width: 104,
+      height: 24,
+      color: "#333333",
+      strokeWidth: 4,
+    });
+  });
+
+  it("needs at least one point", () => {
+    expect(() => board.putBoardItem('drawing', { points: [] })).toThrow("A drawing needs at least one point");
+  });
+
+  it("is told apart from images", () => {
+    const drawing = board.getBoardItemByType('drawing', putDrawing());
+    expect(getPluginForItem(drawing)).toBe(plugin);
+    expect(getPlugin('image').isItem(drawing)).toBe(false);
+  });
+
+  it("keeps its stroke in place when the stroke width changes", () => {
+    const id = putDrawing();
+    plugin.updateItem(board, id, { strokeWidth: 8 });
+    expect(board.getBoardItemByType('drawing', id)).toMatchObject({
+      location: { x: 96, y: 96 },
+      points: [{ x: 4, y: 4 }, { x: 54, y: 24 }, { x: 104, y: 4 }],
+      width: 108,
+      height: 28,
+    });
+  });
+
+  it("cycles the stroke width of selected drawings", () => {
+    const [strokeWidthItem] = plugin.getSelectionMenuItems();
+    const id = putDrawing();
+    const appState = store.getAppState();
+    strokeWidthItem.itemClickHandler(board, [id], appState, {});
+    expect(board.getBoardItemByType('drawing', id).strokeWidth).toBe(8);
+    expect(appState.ui.currentDrawingStrokeWidth).toBe(8);
+  });
+
+  it("moves with its stroke", () => {
+    const id = putDrawing();
+    board.moveBoardItem('drawing', id, { x: 300, y: 300 });
+    const drawing = board.getBoardItemByType('drawing', id);
+    expect(drawing.location).toEqual({ x: 300, y: 300 });
+    expect(drawing.points[0]).toEqual({ x: 2, y: 2 });
+  });
+
+  it("is exported as a path", () => {
+    putDrawing({ color: "#d83b3b" });
+    const svg = createBoardSvg(board, { margin: 0, measureText: () => 0 });
+    const path = svg.querySelector("g.drawing path");
+    expect(path.getAttribute("d")).toBe("M 100 100 L 150 120 L 200 100");
+    expect(path.getAttribute("stroke")).toBe("#d83b3b");
+  });
+});
+
+describe("Pen capture", () => {
+  let domElement;
+  let capture;
+
+  beforeEach(() => {
+    domElement = document.createElement("div");
+    document.body.appendChild(domElement);
+    domElement.getBoundingClientRect = () => ({ left: 0, top: 0 });
+    capture = plugin.setupBoardEvents(domElement, board, new SelectionManager(), store);
+  });
+
+  afterEach(() => capture.cleanup());
+
+  const press = (target, type, x, y) =>
+    target.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true }));
+
+  function drawStroke(target = domElement) {
+    press(target, "mousedown", 100, 100);
+    press(document, "mousemove", 110, 101);
+    press(document, "mousemove", 150, 100);
+    press(document, "mousemove", 200, 150);
+    press(document, "mouseup", 200, 150);
+    press(target, "click", 200, 150);
+  }
+
+  it("adds each stroke drawn in pen mode as a simplified drawing", () => {
+    const ui = store.getAppState().ui;
+    ui.penModeActive = true;
+    ui.boardScale = 1;
+    ui.currentDrawingColor = "#4646d8";
+    ui.currentDrawingStrokeWidth = 2;
+    const onBoardClick = jest.fn();
+    domElement.addEventListener("click", onBoardClick);
+
+    drawStroke();
+
+    const drawings = Object.values(store.getState().drawings);
+    expect(drawings).toHaveLength(1);
+    expect(drawings[0]).toMatchObject({
+      color: "#4646d8",
+      strokeWidth: 2,
+      location: { x: 99, y: 99 },
+      points: [{ x: 1, y: 1 }, { x: 51, y: 1 }, { x: 101, y: 51 }],
+    });
+    // Pen mode stays on, and the click ending the stroke is not seen by the board
+    expect(ui.penModeActive).toBe(true);
+    expect(onBoardClick).not.toHaveBeenCalled();
+    expect(domElement.querySelector(".drawing-preview")).toBeNull();
+
+    board.undo();
+    expect(Object.values(store.getState().drawings)).toHaveLength(0);
+  });
+
+  it("draws over items instead of selecting them", () => {
+    store.getAppState().ui.penModeActive = true;
+    const item = document.createElement("div");
+    domElement.appendChild(item);
+    const onItemPress = jest.fn();
+    item.addEventListener("mousedown", onItemPress);
+
+    drawStroke(item);
+
+    expect(onItemPress).not.toHaveBeenCalled();
+    expect(Object.values(store.getState().drawings)).toHaveLength(1);
+  });
+
+  it("does nothing outside pen mode or on read-only boards", () => {
+    drawStroke();
+    store.getAppState().ui.penModeActive = true;
+    board.setReadOnly(true);
+    drawStroke();
+    expect(Object.values(store.getState().drawings)).toHaveLength(0);
+  });
+});
+
+describe("Drawing rendering", () => {
+  it("renders the stroke and a wider path to hit it", () => {
+    const id = putDrawing({ strokeWidth: 2 });
+    const selectionManager = new SelectionManager();
+    selectionManager.registerSelection('drawings', new Selection({ onDrawingChange: () => {} }, 'drawings', 'onDrawingChange', store));
+    const domElement = document.createElement("div");
+    const renderDrawing = plugin.createRenderer(board, domElement, selectionManager, [], store);
+    renderDrawing(id, board.getBoardItemByType('drawing', id));
+
+    const container = domElement.querySelector(`.drawing-${id}`);
+    expect(container.style.left).toBe("99px");
+    expect(container.path.getAttribute("d")).toBe("M 1 1 L 51 21 L 101 1");
+    expect(container.hitPath.getAttribute("stroke-width")).toBe("12");
+
+    container.hitPath.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    expect(selectionManager.getSelection('drawings').isSelected(id)).toBeTruthy();
+
+    board.deleteBoardItem('drawing', id);
+    renderDrawing(id, undefined);
+    expect(domElement.querySelector(`.drawing-${id}`)).toBeNull();
+  });
+});
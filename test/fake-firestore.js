@@ -0,0 +1,189 @@
+/**
+ * Fake Firestore for tests of FirestoreStore, installed as global.firebase.
+ *
+ * Documents remember their data in serverDocs, keyed by path, so tests can
+ * look at what was written and change it behind the store's back. A board's
+ * subcollections are kept by name ("stickies", "connectors", ...), and
+ * snapshots only arrive when a test sends them with emit, so the order of
+ * local and remote changes is always the same.
+ */
+
+export function firestoreError(code) {
+  const error = new Error(`Firestore says ${code}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.boardData] - Data of board documents nobody wrote yet
+ * @param {string} [options.uid] - Id of the signed in user, whose email address is <uid>@example.com
+ * @returns {{collections: Object, serverDocs: Object, boardDoc: Function}} The fake's state;
+ *   boardDoc(name) returns the document of a board
+ */
+export function createFakeFirestore({ boardData = { creatorId: "u1" }, uid = "u1" } = {}) {
+  const collections = {};
+  const serverDocs = {};
+  const docs = {};
+
+  const createDoc = (path, id) => ({
+    id,
+    path,
+    listeners: [],
+    onSnapshot: jest.fn(function (listener) {
+      this.listeners.push(listener);
+      return () => this.listeners.splice(this.listeners.indexOf(listener), 1);
+    }),
+    get: jest.fn(() => Promise.resolve({ id, exists: path in serverDocs, data: () => serverDocs[path] })),
+    set: jest.fn((data, options) => {
+      serverDocs[path] = options && options.merge ? { ...serverDocs[path], ...data } : { ...data };
+      return Promise.resolve();
+    }),
+    update: jest.fn((data) => {
+      if (!(path in serverDocs)) {
+        return Promise.reject(firestoreError("not-found"));
+      }
+      serverDocs[path] = { ...serverDocs[path], ...data };
+      return Promise.resolve();
+    }),
+    delete: jest.fn(() => {
+      delete serverDocs[path];
+      return Promise.resolve();
+    }),
+  });
+
+  const doc = (path) => {
+    docs[path] = docs[path] || createDoc(path, path.split("/").pop());
+    return docs[path];
+  };
+
+  // Subcollection of a board, kept by name
+  const collection = (name) => {
+    if (!collections[name]) {
+      let count = 0;
+      const byId = {};
+      collections[name] = {
+        docs: byId,
+        listeners: [],
+        doc: (id = `${name}-${++count}`) => {
+          byId[id] = doc(`${name}/${id}`);
+          return byId[id];
+        },
+        onSnapshot: (listener) => {
+          collections[name].listeners.push(listener);
+          return () => collections[name].listeners.splice(collections[name].listeners.indexOf(listener), 1);
+        },
+        get: () => Promise.resolve({
+          docs: Object.values(byId).filter((ref) => ref.path in serverDocs).map((ref) => ({ id: ref.id, ref })),
+        }),
+        // What a snapshot says is on the server
+        remember: (type, id, data) => {
+          const ref = collections[name].doc(id);
+          if (type === "removed") {
+            delete serverDocs[ref.path];
+          } else {
+            serverDocs[ref.path] = { ...data };
+          }
+        },
+      };
+    }
+    return collections[name];
+  };
+
+  const boardDoc = (name) => {
+    const path = `boards/${name}`;
+    const ref = doc(path);
+    if (!ref.collection) {
+      if (!(path in serverDocs)) {
+        serverDocs[path] = { ...boardData };
+      }
+      ref.remember = (data) => {
+        serverDocs[path] = { ...data };
+      };
+      ref.collection = jest.fn(collection);
+    }
+    return ref;
+  };
+
+  // Board queries, refused like firestore.rules does unless they only ask for boards the user is a member of
+  const email = `${uid}@example.com`;
+  const isMembership = ({ field, operator, value }) => (field === "creatorId" && operator === "==" && value === uid) ||
+    (["editors", "viewers"].includes(field) && operator === "array-contains" && [uid, email].includes(value));
+  const boardQuery = (filters = [], order = null, max = Infinity, after = null) => ({
+    where: (field, operator, value) => boardQuery([...filters, { field, operator, value }], order, max, after),
+    orderBy: (field, direction = "asc") => boardQuery(filters, { field, direction }, max, after),
+    limit: (count) => boardQuery(filters, order, count, after),
+    startAfter: (snapshot) => boardQuery(filters, order, max, snapshot),
+    get: () => {
+      if (!filters.some(isMembership)) {
+        return Promise.reject(firestoreError("permission-denied"));
+      }
+      let results = Object.keys(serverDocs)
+        .filter((path) => /^boards\/[^/]+$/.test(path))
+        .map((path) => ({ id: path.split("/")[1], ref: boardDoc(path.split("/")[1]), exists: true, data: () => serverDocs[path] }))
+        .filter((snapshot) => filters.every(({ field, operator, value }) => operator === "=="
+          ? snapshot.data()[field] === value
+          : (snapshot.data()[field] || []).includes(value)));
+      if (order) {
+        const sign = order.direction === "desc" ? -1 : 1;
+        results.sort((a, b) => sign * ((a.data()[order.field] || 0) - (b.data()[order.field] || 0)));
+      }
+      if (after) {
+        results = results.slice(results.findIndex((snapshot) => snapshot.id === after.id) + 1);
+      }
+      const docs = results.slice(0, max);
+      return Promise.resolve({ docs, size: docs.length, forEach: (callback) => docs.forEach(callback) });
+    },
+  });
+
+  global.firebase = {
+    apps: [{}],
+    firestore: () => ({
+      collection: () => ({ doc: boardDoc, ...boardQuery() }),
+      doc,
+      batch: () => {
+        const deletes = [];
+        return {
+          delete: jest.fn((ref) => deletes.push(ref)),
+          commit: () => Promise.all(deletes.map((ref) => ref.delete())),
+        };
+      },
+      enablePersistence: () => Promise.resolve(),
+    }),
+    auth: () => ({ currentUser: { uid, email } }),
+  };
+  return { collections, serverDocs, boardDoc };
+}
+
+/**
+ * Sends snapshot changes to the listeners of a subcollection
+ * @param {Object} collection - Subcollection of the fake
+ * @param {Array<[string, string, Object]>} changes - [type, id, data] of each change
+ */
+export function emit(collection, changes) {
+  changes.forEach(([type, id, data]) => collection.remember(type, id, data));
+  collection.listeners.slice().forEach((listener) => listener({
+    docChanges: () => changes.map(([type, id, data]) => ({ type, doc: { id, data: () => data } })),
+  }));
+  // Listeners of single documents
+  changes.forEach(([type, id, data]) => {
+    collection.doc(id).listeners.slice().forEach((listener) => listener({
+      id,
+      exists: type !== "removed",
+      data: () => (type === "removed" ? undefined : data),
+    }));
+  });
+}
+
+/**
+ * Sends a snapshot of a board document to its listeners
+ * @param {Object} boardDoc - Board document of the fake
+ * @param {Object} data - Board data
+ */
+export function emitBoard(boardDoc, data) {
+  boardDoc.remember(data);
+  boardDoc.listeners.slice().forEach((listener) => listener({ id: boardDoc.id, exists: true, data: () => data }));
+}
+
+// Lets the promises of sent writes resolve
+export const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
@@ -0,0 +1,176 @@
+/**
+ * @jest-environment jsdom
+ */
+import { FieldVersions } from "../scripts/network/field-versions.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { Board } from "../scripts/board/board.js";
+import { BufferedObserver } from "../scripts/ui/buffered-observer.js";
+import { mount } from "../scripts/ui/render-to-dom.js";
+import { createFakeFirestore, emit, firestoreError, settle } from "./fake-firestore.js";
+
+describe("Field versions", () => {
+  it("passes snapshots of documents without local edits through", () => {
+    const versions = new FieldVersions();
+    const remote = { text: "theirs" };
+    expect(versions.mergeRemote("stickies/1", remote, { text: "old" })).toEqual({ data: remote, conflicts: [] });
+  });
+
+  it("keeps unsaved local fields and takes the other fields from the server", () => {
+    const versions = new FieldVersions();
+    versions.recordEdit("stickies/1", { color: "blue" }, { text: "a", color: "gold" });
+    const { data, conflicts } = versions.mergeRemote("stickies/1", { text: "b", color: "gold" }, { text: "a", color: "blue" });
+    expect(data).toEqual({ text: "b", color: "blue" });
+    expect(conflicts).toEqual([]);
+  });
+
+  it("reports a conflict once when both sides change a field", () => {
+    const versions = new FieldVersions();
+    versions.recordEdit("stickies/1", { text: "mine" }, { text: "a" });
+    expect(versions.mergeRemote("stickies/1", { text: "theirs" }).conflicts).toEqual(["text"]);
+    expect(versions.mergeRemote("stickies/1", { text: "theirs", color: "red" }).conflicts).toEqual([]);
+    expect(versions.getConflicts("stickies/1")).toEqual({ text: "theirs" });
+
+    // Our write arrives
+    expect(versions.mergeRemote("stickies/1", { text: "mine", color: "red" }).data.text).toBe("mine");
+    versions.dismissConflicts("stickies/1");
+    expect(versions.getConflicts("stickies/1")).toEqual({});
+    expect(versions.documents.size).toBe(0);
+  });
+
+  it("doesn't take its own earlier writes for somebody else's", () => {
+    const versions = new FieldVersions();
+    versions.recordEdit("stickies/1", { text: "a" }, { text: "" });
+    versions.recordSent("stickies/1", { text: "a" });
+    versions.recordEdit("stickies/1", { text: "ab" });
+    const { data, conflicts } = versions.mergeRemote("stickies/1", { text: "a" });
+    expect(data.text).toBe("ab");
+    expect(conflicts).toEqual([]);
+  });
+});
+
+describe("Concurrent sticky edits", () => {
+  let fake;
+  let store;
+  let stickies;
+
+  beforeEach(() => {
+    window.appState = undefined;
+    document.body.innerHTML = "";
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation((callback) => callback());
+    fake = createFakeFirestore();
+    store = new FirestoreStore("shared-board");
+    store.connect();
+    stickies = fake.collections.stickies;
+    emit(stickies, [["added", "s1", { text: "Draft", color: "khaki", location: { x: 0, y: 0 } }]]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.firebase;
+  });
+
+  it("writes back only the fields an undone step changed", async () => {
+    const board = new Board(store);
+    board.moveBoardItem("sticky", "s1", { x: 100, y: 100 });
+    store.debouncer.flushAll();
+    await settle();
+    emit(stickies, [["modified", "s1", { text: "Theirs", color: "khaki", location: { x: 100, y: 100 } }]]);
+
+    board.undo();
+    store.debouncer.flushAll();
+    await settle();
+    expect(stickies.docs.s1.update).toHaveBeenLastCalledWith({ location: { x: 0, y: 0 } });
+    expect(stickies.docs.s1.set).not.toHaveBeenCalled();
+    expect(store.getSticky("s1")).toMatchObject({ text: "Theirs", location: { x: 0, y: 0 } });
+  });
+
+  it("doesn't let a snapshot of another field undo an unsaved edit", () => {
+    store.updateText("s1", "Draft, edited");
+    emit(stickies, [["modified", "s1", { text: "Draft", color: "pink", location: { x: 0, y: 0 } }]]);
+    expect(store.getSticky("s1")).toMatchObject({ text: "Draft, edited", color: "pink" });
+  });
+
+  it("shows text typed by others once editing ends", () => {
+    store.beginFieldEdit("sticky", "s1", "text");
+    emit(stickies, [["modified", "s1", { text: "Theirs", color: "khaki", location: { x: 0, y: 0 } }]]);
+    expect(store.getSticky("s1").text).toBe("Draft");
+
+    store.endFieldEdit("sticky", "s1", "text");
+    expect(store.getSticky("s1").text).toBe("Theirs");
+    expect(store.getFieldConflicts("sticky", "s1")).toEqual({});
+  });
+
+  it("keeps the local text when both edit it, and reports the other text", async () => {
+    const observer = { onStickyChange: jest.fn() };
+    store.addObserver(observer);
+    store.beginFieldEdit("sticky", "s1", "text");
+    store.updateText("s1", "Mine");
+    emit(stickies, [["modified", "s1", { text: "Theirs", color: "khaki", location: { x: 0, y: 0 } }]]);
+    expect(store.getSticky("s1").text).toBe("Mine");
+    expect(store.getFieldConflicts("sticky", "s1")).toEqual({ text: "Theirs" });
+
+    store.debouncer.flushAll();
+    await settle();
+    store.endFieldEdit("sticky", "s1", "text");
+    expect(stickies.docs.s1.update).toHaveBeenCalledWith({ text: "Mine" });
+    expect(store.getSticky("s1").text).toBe("Mine");
+
+    store.dismissFieldConflicts("sticky", "s1");
+    expect(store.getFieldConflicts("sticky", "s1")).toEqual({});
+    expect(observer.onStickyChange).toHaveBeenLastCalledWith("s1");
+  });
+
+  it("finds the conflict when the other text arrived before typing started", () => {
+    store.beginFieldEdit("sticky", "s1", "text");
+    emit(stickies, [["modified", "s1", { text: "Theirs", color: "khaki", location: { x: 0, y: 0 } }]]);
+    store.updateText("s1", "Draft and mine");
+    expect(store.getFieldConflicts("sticky", "s1")).toEqual({ text: "Theirs" });
+  });
+
+  it("forgets unsaved edits when an item is replaced by undo", () => {
+    store.updateText("s1", "Typo");
+    store.restoreBoardItem("sticky", "s1", { text: "Draft", color: "khaki", location: { x: 0, y: 0 } });
+    emit(stickies, [["modified", "s1", { text: "Draft", color: "khaki", location: { x: 0, y: 0 } }]]);
+    expect(store.getSticky("s1").text).toBe("Draft");
+    expect(stickies.docs.s1.update).not.toHaveBeenCalled();
+  });
+
+  it("shows the server's values again when an update is refused", async () => {
+    stickies.docs.s1.update.mockImplementationOnce(() => Promise.reject(firestoreError("permission-denied")));
+    store.updateText("s1", "Not allowed");
+    store.debouncer.flushAll();
+    await settle();
+    expect(store.getSticky("s1").text).toBe("Draft");
+
+    // The refused text is no local edit anymore
+    emit(stickies, [["modified", "s1", { text: "Theirs", color: "khaki", location: { x: 0, y: 0 } }]]);
+    expect(store.getSticky("s1").text).toBe("Theirs");
+    expect(store.getFieldConflicts("sticky", "s1")).toEqual({});
+  });
+
+  it("keeps the text being typed and marks the sticky", () => {
+    const originalResizeObserver = global.ResizeObserver;
+    global.ResizeObserver = class { observe() {} disconnect() {} };
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const board = new Board(store);
+    const mounted = mount(board, root, BufferedObserver, store);
+    mounted.render();
+    const container = root.querySelector(".sticky-s1");
+    const textarea = container.inputElement;
+
+    textarea.dispatchEvent(new Event("focus"));
+    textarea.value = "Typing";
+    textarea.dispatchEvent(new Event("input"));
+    emit(stickies, [["modified", "s1", { text: "Theirs", color: "khaki", location: { x: 0, y: 0 } }]]);
+    mounted.render();
+    expect(textarea.value).toBe("Typing");
+    expect(container.classList.contains("conflict")).toBe(true);
+    expect(container.querySelector(".sticky-conflict-badge").title).toContain("Theirs");
+
+    container.querySelector(".sticky-conflict-badge").click();
+    mounted.render();
+    expect(container.classList.contains("conflict")).toBe(false);
+    global.ResizeObserver = originalResizeObserver;
+  });
+});
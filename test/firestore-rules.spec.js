@@ -0,0 +1,101 @@
+/**
+ * @jest-environment jsdom
+ */
+import fs from "fs";
+import path from "path";
+import { BoardItemPlugin } from "../scripts/board-items/plugin-interface.js";
+import { getAllPlugins, loadPlugins, registerPlugin } from "../scripts/board-items/plugin-registry.js";
+
+/**
+ * Checks firestore.rules against what the app does. The rules themselves run
+ * in Firestore; these tests read which collections of a board the item rule
+ * covers and which board queries are allowed.
+ */
+const rules = fs.readFileSync(path.join(__dirname, "..", "firestore.rules"), "utf8");
+
+// Everything inside match /boards/{boardId}
+const boardRules = rules.slice(rules.indexOf("{", rules.indexOf("match /boards/{boardId}")) + 1);
+const itemRule = /match \/\{contents\}\/\{itemId\} \{([\s\S]*?)\n\s*\}/.exec(boardRules)[1];
+
+function getExcludedCollections() {
+  const lists = [...itemRule.matchAll(/!\(contents in \[([^\]]*)\]\)/g)].map((match) => match[1]);
+  expect(lists).toHaveLength(2);
+  expect(lists[0]).toBe(lists[1]);
+  return lists[0].split(",").map((name) => name.trim().replace(/'/g, ""));
+}
+
+function canReadAndWriteItems(collection) {
+  return !getExcludedCollections().includes(collection) &&
+    /allow read: if .*canView\(boardData\(boardId\)\)/.test(itemRule) &&
+    /allow write: if .*canEdit\(boardData\(boardId\)\)/.test(itemRule);
+}
+
+function createPlugin(type) {
+  return class extends BoardItemPlugin {
+    getType() { return type; }
+    getSelectionType() { return `${type}s`; }
+    getContainerBaseClass() { return `${type}-container`; }
+    getContainerClassPrefix() { return `${type}-`; }
+    createRenderer() { return () => {}; }
+    createItem() {}
+    deleteItem() {}
+    moveItem() {}
+    getItem() {}
+    getLocation() {}
+    updateItem() {}
+    isItem() { return false; }
+    isElement() { return false; }
+    getBounds() { return null; }
+    isConnectorConnectedToItem() { return false; }
+    isEndpointConnected() { return false; }
+    getConnectorEndpointData(id) { return { itemId: id, itemType: type }; }
+    getDefaultColor() { return "gold"; }
+    getColorPalette() { return []; }
+    getCreationModeFlag() { return null; }
+    getMenuItems() { return []; }
+  };
+}
+
+describe("Firestore rules for board items", () => {
+  it("leave out exactly the collections that have rules of their own", () => {
+    const ownRules = [...boardRules.matchAll(/match \/([a-z]+)\/\{\w+\}/g)].map((match) => match[1]);
+    expect(getExcludedCollections().sort()).toEqual(ownRules.sort());
+  });
+
+  it("cover connectors and the collections of all built-in plugins", () => {
+    expect(canReadAndWriteItems("connectors")).toBe(true);
+    getAllPlugins().forEach((plugin) => {
+      expect(canReadAndWriteItems(plugin.getSelectionType())).toBe(true);
+    });
+  });
+
+  it("cover the collection of a plugin registered at runtime", () => {
+    const Plugin = createPlugin("sketch");
+    registerPlugin(new Plugin());
+    expect(canReadAndWriteItems("sketchs")).toBe(true);
+  });
+
+  it("cover the collection of a plugin loaded from a module URL", async () => {
+    const { loaded } = await loadPlugins(["https://example.com/mark.js"], async () => ({ default: createPlugin("mark") }));
+    expect(loaded).toEqual(["mark"]);
+    expect(canReadAndWriteItems("marks")).toBe(true);
+  });
+
+  it("keep plugins from using collections that have rules of their own", () => {
+    getExcludedCollections().forEach((collection) => {
+      class Plugin extends createPlugin("intruder") {
+        getSelectionType() { return collection; }
+      }
+      expect(() => registerPlugin(new Plugin())).toThrow(`Invalid storage key for plugin intruder: ${collection}`);
+    });
+  });
+});
+
+describe("Firestore rules for the board list", () => {
+  it("only allow queries for boards the user is a member of", () => {
+    const listRule = /allow list: ([^;]*);/.exec(boardRules)[1];
+    expect(listRule).toContain("resource.data.creatorId == request.auth.uid");
+    expect(listRule).toContain("listsUser(resource.data.get('editors', []))");
+    expect(listRule).toContain("listsUser(resource.data.get('viewers', []))");
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { getAllPlugins } from "../scripts/board-items/plugin-registry.js";
+import { createFakeFirestore, emit, emitBoard } from "./fake-firestore.js";
+
+let fake;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  jest.spyOn(window, "requestAnimationFrame").mockImplementation((callback) => callback());
+  fake = createFakeFirestore();
+  store = new FirestoreStore("synced-board");
+  store.connect();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.firebase;
+});
+
+describe("Plugin subcollections", () => {
+  it("listens to the subcollection of every plugin", () => {
+    getAllPlugins().forEach((plugin) => {
+      expect(fake.collections[plugin.getSelectionType()].listeners).toHaveLength(1);
+    });
+    expect(fake.collections.connectors.listeners).toHaveLength(1);
+  });
+
+  it("applies remote changes and notifies observers of the item type", () => {
+    const observer = { onBoardItemChange: jest.fn(), onFrameChange: jest.fn() };
+    store.addObserver(observer);
+
+    emit(fake.collections.frames, [["added", "f1", { title: "Column", location: { x: 0, y: 0 } }]]);
+    expect(store.getBoardItem("frame", "f1").title).toBe("Column");
+    expect(observer.onBoardItemChange).toHaveBeenCalledWith("frame", "f1");
+    expect(observer.onFrameChange).toHaveBeenCalledWith("f1");
+
+    emit(fake.collections.frames, [["removed", "f1"]]);
+    expect(store.getState().frames.f1).toBeUndefined();
+  });
+
+  it("writes created and updated items to their plugin's subcollection", () => {
+    const id = store.createBoardItem("drawing", { points: [], location: { x: 0, y: 0 } });
+    expect(fake.collections.drawings.docs[id].set).toHaveBeenCalledWith({ points: [], location: { x: 0, y: 0 } }, { merge: true });
+
+    store.updateBoardItem("drawing", id, { color: "red" });
+    store.debouncer.flushAll();
+    expect(fake.collections.drawings.docs[id].update).toHaveBeenCalledWith({ color: "red" });
+    expect(() => store.createBoardItem("hologram", {})).toThrow("Unknown board item type: hologram");
+  });
+
+  it("deletes the subcollections of every plugin with the board", async () => {
+    fake.boardDoc("synced-board").collection.mockClear();
+    await expect(FirestoreStore.deleteBoard("synced-board", "u1")).resolves.toBe(true);
+    const deleted = fake.boardDoc("synced-board").collection.mock.calls.map(([name]) => name);
+    expect(deleted).toEqual([...getAllPlugins().map((plugin) => plugin.getSelectionType()), "connectors", "votes"]);
+    expect(fake.boardDoc("synced-board").delete).toHaveBeenCalled();
+  });
+});
+
+describe("Loading", () => {
+  it("tells observers once the board and all its items arrived", () => {
+    const observer = { onItemsLoaded: jest.fn() };
+    store.addObserver(observer);
+    emitBoard(fake.boardDoc("synced-board"), { creatorId: "u1", title: "Synced", createOn: 1 });
+    emit(fake.collections.connectors, []);
+    getAllPlugins().slice(1).forEach((plugin) => emit(fake.collections[plugin.getSelectionType()], []));
+    expect(store.areItemsLoaded()).toBe(false);
+    expect(observer.onItemsLoaded).not.toHaveBeenCalled();
+
+    const first = getAllPlugins()[0].getSelectionType();
+    emit(fake.collections[first], [["added", "i1", { location: { x: 0, y: 0 } }]]);
+    expect(store.areItemsLoaded()).toBe(true);
+    expect(observer.onItemsLoaded).toHaveBeenCalledTimes(1);
+    expect(store.getState()[first].i1).toBeDefined();
+  });
+
+  it("stops notifying removed observers", () => {
+    const observer = { onBoardChange: jest.fn() };
+    store.addObserver(observer);
+    store.removeObserver(observer);
+    store.updateBoard({ title: "Renamed" });
+    expect(observer.onBoardChange).not.toHaveBeenCalled();
+  });
+});
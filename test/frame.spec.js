@@ -0,0 +1,257 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { getPluginForItem } from "../scripts/board-items/board-item-interface.js";
+import { createDragManager, findItemsIntersectingRect } from "../scripts/ui/drag-manager.js";
+import { createMinimap } from "../scripts/ui/minimap.js";
+import { findOwnedItems, moveSelection } from "../scripts/ui/movement-utils.js";
+import { createBoardSvg } from "../scripts/ui/svg-export.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { Selection } from "../scripts/ui/selection.js";
+
+// Fixed-width font keeps text layout deterministic
+const measureText = (text, fontSize) => text.length * fontSize * 0.5;
+
+const plugin = getPlugin('frame');
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putFrame(data = {}) {
+  return board.putBoardItem('frame', { title: "Went well", location: { x: 0, y: 0 }, ...data });
+}
+
+function createSelectionManager() {
+  const selectionManager = new SelectionManager();
+  const observer = { onStickyChange: () => {}, onFrameChange: () => {}, onConnectorChange: () => {} };
+  selectionManager.registerSelection('stickies', new Selection(observer, 'stickies', 'onStickyChange', store));
+  selectionManager.registerSelection('frames', new Selection(observer, 'frames', 'onFrameChange', store));
+  selectionManager.registerSelection('connectors', new Selection(observer, 'connectors', 'onConnectorChange', store));
+  return selectionManager;
+}
+
+/**
+ * A frame holding two connected stickies and a free connector, and a sticky outside it
+ */
+function createRetroColumn() {
+  const frameId = putFrame();
+  const a = board.putBoardItem('sticky', { text: "a", location: { x: 100, y: 100 } });
+  const b = board.putBoardItem('sticky', { text: "b", location: { x: 300, y: 100 } });
+  const outside = board.putBoardItem('sticky', { text: "outside", location: { x: 800, y: 100 } });
+  const between = board.putConnector({
+    originItemId: a, originItemType: 'sticky',
+    destinationItemId: b, destinationItemType: 'sticky',
+    curveControlPoint: { x: 200, y: 200 },
+  });
+  const free = board.putConnector({
+    originPoint: { x: 100, y: 300 },
+    destinationPoint: { x: 300, y: 300 },
+    curveControlPoint: { x: 200, y: 350 },
+  });
+  return { frameId, a, b, outside, between, free };
+}
+
+describe("Frame items", () => {
+  it("creates frames with a default size and color and a snapped location", () => {
+    const id = putFrame({ title: "", location: { x: 103, y: 207 } });
+    expect(board.getBoardItemByType('frame', id)).toMatchObject({
+      title: "",
+      width: 600,
+      height: 400,
+      color: "#f2f2f2",
+      location: { x: 100, y: 210 },
+    });
+  });
+
+  it("keeps titles on one line", () => {
+    const id = putFrame();
+    plugin.updateItem(board, id, { title: "To\nimprove" });
+    expect(board.getBoardItemByType('frame', id).title).toBe("To improve");
+  });
+
+  it("is told apart from images", () => {
+    const frame = board.getBoardItemByType('frame', putFrame());
+    expect(getPluginForItem(frame)).toBe(plugin);
+    expect(getPlugin('image').isItem(frame)).toBe(false);
+    expect(getPlugin('sticky').isItem(frame)).toBe(false);
+  });
+
+  it("does not shrink below the minimum size", () => {
+    const id = putFrame();
+    board.resizeBoardItem('frame', id, { width: 20, height: 250.6 });
+    expect(board.getBoardItemByType('frame', id)).toMatchObject({ width: 100, height: 251 });
+  });
+
+  it("is labelled in the minimap by its title", () => {
+    expect(plugin.getMinimapLabel({ title: "Actions" })).toBe("Actions");
+    expect(plugin.getMinimapLabel({ title: "" })).toBe("Frame");
+  });
+});
+
+describe("Frame contents", () => {
+  it("owns items inside it and connectors with a free end", () => {
+    const { frameId, a, b, between, free } = createRetroColumn();
+    const owned = plugin.getOwnedItems(board, frameId);
+    expect(owned.items).toEqual([{ type: 'sticky', id: a }, { type: 'sticky', id: b }]);
+    // Connectors between items move along with those items
+    expect(owned.connectorIds).toEqual([free]);
+    expect(owned.connectorIds).not.toContain(between);
+  });
+
+  it("does not own items sticking out of it", () => {
+    const frameId = putFrame();
+    board.putBoardItem('sticky', { text: "edge", location: { x: 560, y: 100 } });
+    expect(plugin.getOwnedItems(board, frameId).items).toEqual([]);
+  });
+
+  it("leaves out items that are moved anyway", () => {
+    const { frameId, a, b } = createRetroColumn();
+    const owned = findOwnedItems(board, { frame: [frameId], sticky: [a] });
+    expect(owned.itemIdsByType).toEqual({ sticky: [b] });
+  });
+
+  it("moves its contents when dragged", () => {
+    const { frameId, a, b, outside, between, free } = createRetroColumn();
+    const selectionManager = createSelectionManager();
+    const dragManager = createDragManager(document.createElement("div"), board, selectionManager, store, () => {});
+    const originalRaf = global.requestAnimationFrame;
+    global.requestAnimationFrame = (callback) => callback();
+
+    dragManager.startDrag(frameId, 'frame', new MouseEvent("mousedown", { clientX: 10, clientY: 10 }));
+    document.dispatchEvent(new MouseEvent("mousemove", { clientX: 30, clientY: 20 }));
+    document.dispatchEvent(new MouseEvent("mousemove", { clientX: 60, clientY: 40 }));
+    document.dispatchEvent(new MouseEvent("mouseup", { clientX: 60, clientY: 40 }));
+    global.requestAnimationFrame = originalRaf;
+    dragManager.cleanup();
+
+    expect(board.getBoardItemLocationByType('frame', frameId)).toEqual({ x: 50, y: 30 });
+    expect(board.getBoardItemLocationByType('sticky', a)).toEqual({ x: 150, y: 130 });
+    expect(board.getBoardItemLocationByType('sticky', b)).toEqual({ x: 350, y: 130 });
+    expect(board.getBoardItemLocationByType('sticky', outside)).toEqual({ x: 800, y: 100 });
+    // Curve handles move once, however many moved items they belong to
+    expect(board.getConnector(between).curveControlPoint).toEqual({ x: 250, y: 230 });
+    expect(board.getConnector(free)).toMatchObject({
+      originPoint: { x: 150, y: 330 },
+      destinationPoint: { x: 350, y: 330 },
+      curveControlPoint: { x: 250, y: 380 },
+    });
+
+    board.undo();
+    expect(board.getBoardItemLocationByType('frame', frameId)).toEqual({ x: 0, y: 0 });
+    expect(board.getBoardItemLocationByType('sticky', a)).toEqual({ x: 100, y: 100 });
+    expect(board.getConnector(free).originPoint).toEqual({ x: 100, y: 300 });
+  });
+
+  it("moves its contents with the selection", () => {
+    const { frameId, a, free } = createRetroColumn();
+    const selectionManager = createSelectionManager();
+    selectionManager.selectItem('frames', frameId);
+
+    moveSelection(20, 10, board, selectionManager, selectionManager.getSelection('connectors'));
+
+    expect(board.getBoardItemLocationByType('sticky', a)).toEqual({ x: 120, y: 110 });
+    expect(board.getConnector(free).curveControlPoint).toEqual({ x: 220, y: 360 });
+  });
+});
+
+describe("Frame layering", () => {
+  it("is exported behind items created before it", () => {
+    board.putBoardItem('sticky', { text: "note", location: { x: 100, y: 100 } });
+    putFrame();
+    const svg = createBoardSvg(board, { measureText });
+    const groups = Array.from(svg.querySelectorAll("g.frame, g.sticky"));
+    expect(groups.map((group) => group.getAttribute("class"))).toEqual(["frame", "sticky"]);
+    expect(svg.querySelector("g.frame text").textContent).toBe("Went well");
+  });
+
+  it("is only selected by a marquee that encloses it", () => {
+    const frameId = putFrame();
+    const stickyId = board.putBoardItem('sticky', { text: "note", location: { x: 100, y: 100 } });
+    const hitsInside = findItemsIntersectingRect(store, board.getOrigin(), { minX: 50, minY: 50, maxX: 200, maxY: 200 });
+    expect(hitsInside).toEqual([{ selectionType: 'stickies', id: stickyId }]);
+
+    const hitsAround = findItemsIntersectingRect(store, board.getOrigin(), { minX: -10, minY: -10, maxX: 610, maxY: 410 });
+    expect(hitsAround).toContainEqual({ selectionType: 'frames', id: frameId });
+  });
+});
+
+describe("Frame rendering", () => {
+  function render(id) {
+    const selectionManager = createSelectionManager();
+    const domElement = document.createElement("div");
+    document.body.appendChild(domElement);
+    const renderFrame = plugin.createRenderer(board, domElement, selectionManager, [], store);
+    renderFrame(id, board.getBoardItemByType('frame', id));
+    return { domElement, renderFrame };
+  }
+
+  it("draws frames below other items", () => {
+    const id = putFrame({ zIndex: 1000 });
+    const { domElement } = render(id);
+    const container = domElement.querySelector(`.frame-${id}`);
+    expect(Number(container.style.zIndex)).toBeLessThan(0);
+    expect(container.style.width).toBe("600px");
+    expect(container.inputElement.value).toBe("Went well");
+    expect(container.inputElement.readOnly).toBe(true);
+  });
+
+  it("renames after a double click on the title", () => {
+    const id = putFrame();
+    const { domElement } = render(id);
+    const container = domElement.querySelector(`.frame-${id}`);
+
+    container.titleBar.dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(container.classList.contains("editing")).toBe(true);
+
+    container.inputElement.value = "Actions";
+    container.inputElement.dispatchEvent(new Event("input"));
+    expect(board.getBoardItemByType('frame', id).title).toBe("Actions");
+
+    container.inputElement.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+    expect(container.classList.contains("editing")).toBe(false);
+  });
+});
+
+describe("Frame minimap labels", () => {
+  it("centers the viewport on a frame when its label is clicked", () => {
+    const originalResizeObserver = global.ResizeObserver;
+    global.ResizeObserver = class { observe() {} disconnect() {} };
+    const root = document.createElement("div");
+    const scrollContainer = document.createElement("div");
+    const boardContainer = document.createElement("div");
+    const boardElement = document.createElement("div");
+    boardContainer.appendChild(boardElement);
+    scrollContainer.appendChild(boardContainer);
+    root.appendChild(scrollContainer);
+    document.body.appendChild(root);
+    Object.defineProperties(scrollContainer, {
+      clientWidth: { value: 400 },
+      clientHeight: { value: 200 },
+      scrollLeft: { value: 0, writable: true },
+      scrollTop: { value: 0, writable: true },
+    });
+    store.getAppState().ui.boardScale = 1;
+    putFrame({ title: "Actions", location: { x: 1200, y: 600 } });
+
+    const minimap = createMinimap(board, scrollContainer, boardElement, store, () => {});
+    const label = root.querySelector(".minimap-label");
+    expect(label.textContent).toBe("Actions");
+
+    label.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    // Frame center (1500, 800) in the middle of the 400x200 viewport
+    expect(scrollContainer.scrollLeft).toBe(1300);
+    expect(scrollContainer.scrollTop).toBe(700);
+
+    minimap.destroy();
+    global.ResizeObserver = originalResizeObserver;
+  });
+});
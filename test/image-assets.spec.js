@@ -0,0 +1,219 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  AssetStore,
+  InMemoryAssetBackend,
+  HttpAssetBackend,
+  setAssetStore,
+} from "../scripts/network/asset-store.js";
+import { getScaledSize, prepareImage } from "../scripts/board-items/plugins/image/image-processing.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { exportBoard, getImageAssetIds } from "../scripts/board/board-export.js";
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { BufferedObserver } from "../scripts/ui/buffered-observer.js";
+import { mount } from "../scripts/ui/render-to-dom.js";
+
+// jsdom doesn't decode images, so pasted images keep their size
+jest.mock("../scripts/board-items/plugins/image/image-processing.js", () => ({
+  ...jest.requireActual("../scripts/board-items/plugins/image/image-processing.js"),
+  prepareImage: jest.fn(async (file) => ({ blob: file, width: 40, height: 30 })),
+}));
+
+const pngBlob = (content = "png") => new Blob([content], { type: "image/png" });
+
+// Lets the callbacks of finished asset loads run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+});
+
+afterEach(() => {
+  setAssetStore(null);
+  jest.restoreAllMocks();
+});
+
+describe("AssetStore", () => {
+  it("stores images and returns them as data URLs", async () => {
+    const local = new InMemoryAssetBackend();
+    const assets = new AssetStore(local);
+    const id = await assets.put(pngBlob());
+    expect(local.blobs.has(id)).toBe(true);
+    expect(await assets.getUrl(id)).toMatch(/^data:image\/png;base64,/);
+    expect(assets.getCachedUrl(id)).toBe(await assets.getUrl(id));
+  });
+
+  it("loads assets from the remote backend and keeps them locally", async () => {
+    const local = new InMemoryAssetBackend();
+    const remote = new InMemoryAssetBackend();
+    await remote.put("abc", pngBlob());
+    const assets = new AssetStore(local, remote);
+    expect(assets.getCachedUrl("abc")).toBeNull();
+    expect(await assets.getUrl("abc")).toMatch(/^data:image\/png/);
+    expect(local.blobs.has("abc")).toBe(true);
+  });
+
+  it("rejects missing assets and tries again later", async () => {
+    const remote = new InMemoryAssetBackend();
+    const assets = new AssetStore(new InMemoryAssetBackend(), remote);
+    await expect(assets.getUrl("abc")).rejects.toThrow("Image abc is not available");
+    await remote.put("abc", pngBlob());
+    await expect(assets.getUrl("abc")).resolves.toMatch(/^data:image\/png/);
+  });
+
+  it("doesn't keep an image whose upload failed", async () => {
+    const remote = new InMemoryAssetBackend();
+    remote.put = jest.fn(() => Promise.reject(new Error("offline")));
+    const assets = new AssetStore(new InMemoryAssetBackend(), remote);
+    await expect(assets.put(pngBlob())).rejects.toThrow("offline");
+    expect(assets.loaded.size).toBe(0);
+  });
+});
+
+describe("HttpAssetBackend", () => {
+  it("uploads and downloads assets by id", async () => {
+    const blob = pngBlob();
+    const fetchFn = jest.fn(async (url, options) => {
+      if (options) return { ok: true, status: 204 };
+      return url.endsWith("/abc") ? { ok: true, status: 200, blob: async () => blob } : { ok: false, status: 404 };
+    });
+    const backend = new HttpAssetBackend("http://localhost:9100/assets/", fetchFn);
+    await backend.put("abc", blob);
+    expect(fetchFn).toHaveBeenCalledWith("http://localhost:9100/assets/abc", {
+      method: "PUT",
+      headers: { "Content-Type": "image/png" },
+      body: blob,
+    });
+    expect(await backend.get("abc")).toBe(blob);
+    expect(await backend.get("other")).toBeNull();
+  });
+
+  it("reports failed requests and invalid ids", async () => {
+    const backend = new HttpAssetBackend("/assets", async () => ({ ok: false, status: 500 }));
+    await expect(backend.get("abc")).rejects.toThrow("status 500");
+    await expect(backend.put("abc", pngBlob())).rejects.toThrow("status 500");
+    await expect(backend.get("../secrets")).rejects.toThrow("Invalid asset id");
+  });
+});
+
+describe("Pasted images", () => {
+  it("scales large images down to fit the maximum size", () => {
+    expect(getScaledSize(3200, 1600)).toEqual({ width: 1600, height: 800 });
+    expect(getScaledSize(1000, 4000, 500)).toEqual({ width: 125, height: 500 });
+    expect(getScaledSize(800, 600)).toEqual({ width: 800, height: 600 });
+  });
+
+  it("are stored as assets", async () => {
+    setAssetStore(new AssetStore(new InMemoryAssetBackend()));
+    const board = new Board(new LocalDatastore());
+    const id = await getPlugin("image").createItemFromFile(pngBlob(), board, { x: 10, y: 10 });
+    const image = board.getBoardItemByType("image", id);
+    expect(prepareImage).toHaveBeenCalled();
+    expect(image.assetId).toBeTruthy();
+    expect(image.dataUrl).toBeUndefined();
+    expect(image).toMatchObject({ naturalWidth: 40, naturalHeight: 30 });
+  });
+
+  it("stay in the item when there is no asset store or the upload fails", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const board = new Board(new LocalDatastore());
+    const plugin = getPlugin("image");
+    const inline = await plugin.createItemFromFile(pngBlob(), board, { x: 10, y: 10 });
+    expect(board.getBoardItemByType("image", inline).dataUrl).toMatch(/^data:image\/png/);
+
+    const remote = new InMemoryAssetBackend();
+    remote.put = () => Promise.reject(new Error("offline"));
+    setAssetStore(new AssetStore(new InMemoryAssetBackend(), remote));
+    const fallback = await plugin.createItemFromFile(pngBlob(), board, { x: 10, y: 10 });
+    const image = board.getBoardItemByType("image", fallback);
+    expect(image.dataUrl).toMatch(/^data:image\/png/);
+    expect(image.assetId).toBeUndefined();
+  });
+
+  it("accept either a data URL or an asset id", () => {
+    const board = new Board(new LocalDatastore());
+    const size = { naturalWidth: 40, naturalHeight: 30, location: { x: 0, y: 0 } };
+    expect(() => board.putBoardItem("image", { ...size, assetId: "abc" })).not.toThrow();
+    expect(() => board.putBoardItem("image", size)).toThrow("Invalid image data");
+  });
+
+  it("are recognized by their picture data, not by their size", () => {
+    const plugin = getPlugin("image");
+    const size = { width: 40, height: 30, naturalWidth: 40, naturalHeight: 30, location: { x: 0, y: 0 } };
+    expect(plugin.isItem({ ...size, dataUrl: "data:image/png;base64,AA==" })).toBe(true);
+    expect(plugin.isItem({ ...size, assetId: "abc" })).toBe(true);
+    // Items of other plugins that are sized in pixels too
+    expect(plugin.isItem({ width: 40, height: 30, label: "note", location: { x: 0, y: 0 } })).toBe(false);
+  });
+});
+
+describe("Image assets on the board", () => {
+  let originalResizeObserver;
+
+  beforeEach(() => {
+    originalResizeObserver = global.ResizeObserver;
+    global.ResizeObserver = class { observe() {} disconnect() {} };
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation((callback) => callback());
+  });
+
+  afterEach(() => {
+    global.ResizeObserver = originalResizeObserver;
+  });
+
+  function mountBoard(board) {
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const mounted = mount(board, root, BufferedObserver, board.getStore());
+    mounted.render();
+    return { root, mounted };
+  }
+
+  it("shows a placeholder until the asset is loaded", async () => {
+    const local = new InMemoryAssetBackend();
+    await local.put("abc", pngBlob());
+    const assets = new AssetStore(local);
+    setAssetStore(assets);
+    const board = new Board(new LocalDatastore());
+    const id = board.putBoardItem("image", { assetId: "abc", naturalWidth: 40, naturalHeight: 30, location: { x: 0, y: 0 } });
+    const { root } = mountBoard(board);
+    const container = root.querySelector(`.image-${id}`);
+    expect(container.classList.contains("loading")).toBe(true);
+
+    await assets.getUrl("abc");
+    await settle();
+    expect(container.classList.contains("loading")).toBe(false);
+    expect(container.image.src).toMatch(/^data:image\/png/);
+  });
+
+  it("marks images whose asset can't be loaded", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const assets = new AssetStore(new InMemoryAssetBackend());
+    setAssetStore(assets);
+    const board = new Board(new LocalDatastore());
+    const id = board.putBoardItem("image", { assetId: "gone", naturalWidth: 40, naturalHeight: 30, location: { x: 0, y: 0 } });
+    const { root } = mountBoard(board);
+
+    await assets.getUrl("gone").catch(() => {});
+    await settle();
+    const container = root.querySelector(`.image-${id}`);
+    expect(container.classList.contains("missing")).toBe(true);
+    expect(container.image.getAttribute("src")).toBeNull();
+  });
+
+  it("are embedded in exports once loaded", async () => {
+    const assets = new AssetStore(new InMemoryAssetBackend());
+    setAssetStore(assets);
+    const board = new Board(new LocalDatastore());
+    const assetId = await assets.put(pngBlob());
+    const id = board.putBoardItem("image", { assetId, naturalWidth: 40, naturalHeight: 30, location: { x: 0, y: 0 } });
+
+    expect(getImageAssetIds(board)).toEqual([assetId]);
+    const exported = exportBoard(board).state.images[id];
+    expect(exported.dataUrl).toBe(assets.getCachedUrl(assetId));
+    expect(exported.assetId).toBeUndefined();
+    expect(board.getBoardItemByType("image", id).dataUrl).toBeUndefined();
+  });
+});
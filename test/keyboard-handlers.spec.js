@@ -792,3 +792,137 @@ describe("deleteSelectedItems", () => {
     expect(board.deleteConnector).not.toHaveBeenCalled();
   });
 });
+
+describe("Undo/redo keyboard shortcuts", () => {
+  let board;
+  let selectionManager;
+  let selectedConnectors;
+  let callbacks;
+
+  beforeEach(() => {
+    mockAppState.stickies = {};
+    mockAppState.connectors = {};
+    mockAppState.idGen = 0;
+    board = new Board(new LocalDatastore());
+    const emptySelection = {
+      hasItems: jest.fn(() => false),
+      forEach: jest.fn(),
+      isSelected: jest.fn(() => false)
+    };
+    selectionManager = { getSelection: jest.fn(() => emptySelection) };
+    selectedConnectors = emptySelection;
+    callbacks = {
+      onZoomChange: jest.fn(),
+      onNewStickyRequest: jest.fn(),
+      onConnectorRequest: jest.fn(),
+      onCancelAction: jest.fn(),
+      onHistoryChange: jest.fn()
+    };
+  });
+
+  function pressKey(options) {
+    const event = new KeyboardEvent('keydown', options);
+    const calls = mockDocument.body.addEventListener.mock.calls;
+    calls[calls.length - 1][1](event);
+    return event;
+  }
+
+  it("should undo with Ctrl+Z and redo with Ctrl+Shift+Z", () => {
+    const cleanup = setupKeyboardHandlers(
+      board, selectionManager, selectedConnectors, mockAppState, callbacks
+    );
+    const id = board.putBoardItem('sticky', { text: "undo me", location: { x: 50, y: 50 } });
+
+    const undoEvent = pressKey({ key: 'z', ctrlKey: true });
+    expect(undoEvent.preventDefault).toHaveBeenCalled();
+    expect(() => board.getBoardItemByType('sticky', id)).toThrow("No such sticky");
+    expect(callbacks.onHistoryChange).toHaveBeenCalledTimes(1);
+
+    pressKey({ key: 'Z', ctrlKey: true, shiftKey: true });
+    expect(board.getBoardItemByType('sticky', id).text).toBe("undo me");
+    expect(callbacks.onHistoryChange).toHaveBeenCalledTimes(2);
+
+    cleanup();
+  });
+
+  it("should not report a change when there is nothing to undo", () => {
+    const cleanup = setupKeyboardHandlers(
+      board, selectionManager, selectedConnectors, mockAppState, callbacks
+    );
+
+    pressKey({ key: 'z', ctrlKey: true });
+    expect(callbacks.onHistoryChange).not.toHaveBeenCalled();
+    expect(getKeyboardState().currentState).toBe('idle');
+
+    cleanup();
+  });
+
+  it("should not treat a plain 'z' as undo", () => {
+    const cleanup = setupKeyboardHandlers(
+      board, selectionManager, selectedConnectors, mockAppState, callbacks
+    );
+    const id = board.putBoardItem('sticky', { text: "stay", location: { x: 50, y: 50 } });
+
+    pressKey({ key: 'z' });
+    expect(board.getBoardItemByType('sticky', id).text).toBe("stay");
+
+    cleanup();
+  });
+});
+
+describe("Search keyboard shortcut", () => {
+  let board;
+  let selectionManager;
+  let callbacks;
+
+  beforeEach(() => {
+    board = new Board(new LocalDatastore());
+    const emptySelection = {
+      hasItems: jest.fn(() => false),
+      forEach: jest.fn(),
+      isSelected: jest.fn(() => false)
+    };
+    selectionManager = { getSelection: jest.fn(() => emptySelection) };
+    callbacks = {
+      onZoomChange: jest.fn(),
+      onNewStickyRequest: jest.fn(),
+      onConnectorRequest: jest.fn(),
+      onCancelAction: jest.fn(),
+      onSearchRequest: jest.fn()
+    };
+  });
+
+  function pressKey(options) {
+    const event = new KeyboardEvent('keydown', options);
+    const calls = mockDocument.body.addEventListener.mock.calls;
+    calls[calls.length - 1][1](event);
+    return event;
+  }
+
+  it("should open the search instead of the browser's find with Ctrl+F", () => {
+    const cleanup = setupKeyboardHandlers(
+      board, selectionManager, selectionManager.getSelection(), mockAppState, callbacks
+    );
+
+    const event = pressKey({ key: 'f', ctrlKey: true });
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(callbacks.onSearchRequest).toHaveBeenCalledTimes(1);
+
+    pressKey({ key: 'f' });
+    expect(callbacks.onSearchRequest).toHaveBeenCalledTimes(1);
+
+    cleanup();
+  });
+
+  it("should search read-only boards too", () => {
+    board.setReadOnly(true);
+    const cleanup = setupKeyboardHandlers(
+      board, selectionManager, selectionManager.getSelection(), mockAppState, callbacks
+    );
+
+    pressKey({ key: 'F', ctrlKey: true });
+    expect(callbacks.onSearchRequest).toHaveBeenCalledTimes(1);
+
+    cleanup();
+  });
+});
@@ -453,6 +453,22 @@ describe("LocalStorage Persistence - BDD Scenarios", () => {
         expect(savedData['observer-board'].data.stickies[id]).toBeUndefined();
       });
 
+      it("Given a persistence observer, When any plugin's item is created, Then it should automatically save", () => {
+        // Given
+        const persistence = new LocalStoragePersistence('observer-board');
+        const store = new LocalDatastore();
+        store.addObserver(persistence);
+        clearLocalStorage(); // Clear any initial state
+
+        // When
+        const id = store.createBoardItem('shape', { location: { x: 50, y: 50 } });
+
+        // Then
+        const savedData = JSON.parse(localStorage.getItem('put-it-up-boards'));
+        expect(savedData['observer-board'].data.shapes[id]).toBeDefined();
+        expect(savedData['observer-board'].data.shapeIdGen).toBe(1);
+      });
+
       it("Given a persistence observer, When the board is updated, Then it should automatically save", () => {
         // Given
         const persistence = new LocalStoragePersistence('observer-board');
@@ -0,0 +1,225 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { LocalStoragePersistence } from "../scripts/board/local-storage-persistence.js";
+import { BoardItemPlugin } from "../scripts/board-items/plugin-interface.js";
+import { getPlugin, loadPlugins, registerPlugin } from "../scripts/board-items/plugin-registry.js";
+import { forceKeyboardStateTransition, getKeyboardState } from "../scripts/ui/keyboard-handlers.js";
+import { BufferedObserver } from "../scripts/ui/buffered-observer.js";
+import { mount } from "../scripts/ui/render-to-dom.js";
+import { createRenderer } from "../scripts/board-items/connector.js";
+import { getAnchorPoint } from "../scripts/board-items/connector-anchors.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+/**
+ * A small third-party item type: a labelled badge. Each test registers its
+ * own type, since plugins stay registered.
+ */
+function createBadgePlugin(type) {
+  class BadgePlugin extends BoardItemPlugin {
+    getType() { return type; }
+    getSelectionType() { return `${type}s`; }
+    getContainerBaseClass() { return `${type}-container`; }
+    getContainerClassPrefix() { return `${type}-`; }
+    createRenderer(board, domElement) {
+      return (id, item) => {
+        let container = domElement[`${type}-${id}`];
+        if (!item) {
+          container?.remove();
+          return;
+        }
+        if (!container) {
+          container = document.createElement("div");
+          container.className = `${type}-container ${type}-${id}`;
+          domElement[`${type}-${id}`] = container;
+          domElement.appendChild(container);
+        }
+        container.textContent = item.label;
+      };
+    }
+    createItem(board, data) { return board.getStore().createBoardItem(type, { label: "New", ...data }); }
+    deleteItem(board, id) { board.getStore().deleteBoardItem(type, id); }
+    moveItem(board, id, location) { board.getStore().updateBoardItem(type, id, { location }); }
+    getItem(board, id) { return board.getStore().getBoardItem(type, id); }
+    getLocation(board, id) { return this.getItem(board, id).location; }
+    updateItem(board, id, updates) { board.getStore().updateBoardItem(type, id, updates); }
+    isItem(data) { return typeof data.label === "string"; }
+    isElement(element) { return element.classList.contains(`${type}-container`); }
+    getBounds(item, origin) {
+      return { centerX: item.location.x - origin.x + 20, centerY: item.location.y - origin.y + 20, width: 40, height: 40 };
+    }
+    isConnectorConnectedToItem(connector, id) {
+      return (connector.originItemType === type && connector.originItemId == id) ||
+        (connector.destinationItemType === type && connector.destinationItemId == id);
+    }
+    isEndpointConnected(connector, endpoint) { return connector[`${endpoint}ItemType`] === type; }
+    getConnectorEndpointData(id) { return { itemId: id, itemType: type }; }
+    getDefaultColor() { return "gold"; }
+    getColorPalette() { return []; }
+    getCreationModeFlag() { return `nextClickCreates${type}`; }
+    getMenuItems() {
+      return [{
+        itemLabel: "Badge",
+        className: `new-${type}`,
+        itemClickHandler: (appState) => { appState.ui[this.getCreationModeFlag()] = true; },
+      }];
+    }
+  }
+  return BadgePlugin;
+}
+
+describe("Validating plugins", () => {
+  it("rejects plugins that miss required methods", () => {
+    class HalfPlugin extends BoardItemPlugin {
+      getType() { return "half"; }
+    }
+    expect(() => registerPlugin(new HalfPlugin())).toThrow("Plugin HalfPlugin does not implement createRenderer()");
+    expect(() => registerPlugin({ getType: () => "plain" })).toThrow("does not implement createRenderer()");
+    expect(() => registerPlugin(null)).toThrow("A plugin must be an object");
+    expect(getPlugin("half")).toBeUndefined();
+  });
+
+  it("rejects types and storage keys that are taken", () => {
+    const Badge = createBadgePlugin("connector");
+    expect(() => registerPlugin(new Badge())).toThrow("Invalid plugin type: connector");
+    const Sticky = createBadgePlugin("sticky");
+    expect(() => registerPlugin(new Sticky())).toThrow("Plugin already registered: sticky");
+
+    class Duplicate extends createBadgePlugin("tag") {
+      getSelectionType() { return "stickies"; }
+    }
+    expect(() => registerPlugin(new Duplicate())).toThrow("Storage key already in use: stickies");
+    class Bad extends createBadgePlugin("label") {
+      getSelectionType() { return "votes"; }
+    }
+    expect(() => registerPlugin(new Bad())).toThrow("Invalid storage key for plugin label: votes");
+  });
+});
+
+describe("Registering plugins after startup", () => {
+  it("adds the plugin's state", () => {
+    store.getAppState();
+    const Badge = createBadgePlugin("badge");
+    registerPlugin(new Badge());
+    const appState = store.getAppState();
+    expect(appState.badges).toEqual({});
+    expect(appState.badgeIdGen).toBe(0);
+    expect(appState.ui.nextClickCreatesbadge).toBe(false);
+
+    const id = board.putBoardItem("badge", { location: { x: 10, y: 10 } });
+    expect(board.getBoardItemByType("badge", id).label).toBe("New");
+    board.undo();
+    expect(store.getState().badges[id]).toBeUndefined();
+  });
+
+  it("renders and offers menu items and a creation mode for plugins registered on a mounted board", () => {
+    const originalResizeObserver = global.ResizeObserver;
+    global.ResizeObserver = class { observe() {} disconnect() {} };
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const mounted = mount(board, root, BufferedObserver, store);
+    const Chip = createBadgePlugin("chip");
+    registerPlugin(new Chip());
+
+    const menuItem = root.querySelector(".new-chip");
+    expect(menuItem).not.toBeNull();
+    menuItem.click();
+    expect(store.getAppState().ui.nextClickCreateschip).toBe(true);
+
+    const id = board.putBoardItem("chip", { label: "Hello", location: { x: 0, y: 0 } });
+    mounted.render();
+    expect(root.querySelector(`.chip-${id}`).textContent).toBe("Hello");
+    expect(() => mounted.observer.onChipChange(id)).not.toThrow();
+
+    forceKeyboardStateTransition("chip_creation_mode");
+    expect(getKeyboardState().stateData.activeMode).toBe("chip_creation");
+    forceKeyboardStateTransition("idle");
+    expect(store.getAppState().ui.nextClickCreateschip).toBe(false);
+    mounted.unmount();
+    global.ResizeObserver = originalResizeObserver;
+  });
+
+  it("leaves boards that were unmounted alone", () => {
+    const originalResizeObserver = global.ResizeObserver;
+    global.ResizeObserver = class { observe() {} disconnect() {} };
+    const root = document.createElement("div");
+    document.body.appendChild(root);
+    const mounted = mount(board, root, BufferedObserver, store);
+    mounted.unmount();
+    const Token = createBadgePlugin("token");
+    registerPlugin(new Token());
+
+    expect(root.querySelector(".new-token")).toBeNull();
+    expect(mounted.observer.onTokenChange).toBeUndefined();
+    global.ResizeObserver = originalResizeObserver;
+  });
+
+  it("keeps saved items of plugins that aren't registered yet", () => {
+    const persistence = new LocalStoragePersistence("plugin-board");
+    persistence.initializeAppState();
+    store.addObserver(persistence);
+    const saved = JSON.parse(localStorage.getItem("put-it-up-boards") || "{}");
+    localStorage.setItem("put-it-up-boards", JSON.stringify({
+      ...saved,
+      "plugin-board": { metadata: { name: "plugin-board" }, data: { pins: { 1: { label: "Saved", location: { x: 0, y: 0 } } }, pinIdGen: 1 } },
+    }));
+
+    board.putBoardItem("sticky", { text: "meanwhile", location: { x: 0, y: 0 } });
+    const Pin = createBadgePlugin("pin");
+    registerPlugin(new Pin());
+    expect(board.getBoardItemByType("pin", "1").label).toBe("Saved");
+    expect(board.putBoardItem("pin", { location: { x: 0, y: 0 } })).toBe("2");
+  });
+  it("attaches connectors to the plugin's bounds when its items have text like stickies", () => {
+    class Note extends createBadgePlugin("note") {
+      isItem(data) { return typeof data.text === "string"; }
+    }
+    const plugin = registerPlugin(new Note());
+    const left = board.putBoardItem("note", { text: "left", location: { x: 0, y: 0 } });
+    const right = board.putBoardItem("note", { text: "right", location: { x: 300, y: 0 } });
+    const id = board.putConnector({
+      originItemId: left, originItemType: "note", originAnchor: { side: "right", position: 0.5 },
+      destinationItemId: right, destinationItemType: "note", destinationAnchor: { side: "left", position: 0.5 },
+      routing: "straight",
+    });
+    const container = document.createElement("div");
+    createRenderer(board, container, () => ({ isSelected: () => false }))(id, board.getConnector(id));
+
+    const { bendPoints } = container.querySelector(`.connector-${id}`);
+    const boundsOf = (noteId) => plugin.getBounds(board.getBoardItemByType("note", noteId), board.getOrigin());
+    expect(bendPoints[0]).toEqual(getAnchorPoint(boundsOf(left), { side: "right", position: 0.5 }));
+    expect(bendPoints[bendPoints.length - 1]).toEqual(getAnchorPoint(boundsOf(right), { side: "left", position: 0.5 }));
+  });
+});
+
+describe("Loading plugins from modules", () => {
+  it("registers default exports and reports modules that fail", async () => {
+    const modules = {
+      "https://example.com/star.js": { default: createBadgePlugin("star") },
+      "https://example.com/broken.js": { default: { getType: () => "broken" } },
+    };
+    const importModule = (url) => modules[url] ? Promise.resolve(modules[url]) : Promise.reject(new Error(`Cannot load ${url}`));
+
+    const result = await loadPlugins([
+      "https://example.com/star.js",
+      "https://example.com/broken.js",
+      "https://example.com/missing.js",
+    ], importModule);
+    expect(result.loaded).toEqual(["star"]);
+    expect(result.failed.map(({ url }) => url)).toEqual(["https://example.com/broken.js", "https://example.com/missing.js"]);
+    expect(result.failed[1].error.message).toBe("Cannot load https://example.com/missing.js");
+    expect(getPlugin("star")).toBeDefined();
+  });
+});
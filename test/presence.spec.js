@@ -0,0 +1,280 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  PresenceChannel,
+  InMemoryPresenceBackend,
+  FirestorePresenceBackend,
+  getPresenceColor,
+  presenceColors,
+} from "../scripts/network/presence.js";
+import { createPresenceLayer } from "../scripts/ui/presence-layer.js";
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { Selection } from "../scripts/ui/selection.js";
+
+const alice = { uid: "alice-uid", displayName: "Alice Liddell" };
+const bob = { uid: "bob-uid", email: "bob@example.com" };
+
+let now;
+const clock = () => now;
+
+function createChannel(backend, user, clientId, options = {}) {
+  return new PresenceChannel(backend, user, {
+    clientId,
+    now: clock,
+    heartbeatMs: 1000,
+    staleMs: 3000,
+    cursorThrottleMs: 100,
+    ...options,
+  });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  now = 10000;
+  window.appState = undefined;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("PresenceChannel", () => {
+  it("lists other connected clients with their name and color", () => {
+    const backend = new InMemoryPresenceBackend();
+    const a = createChannel(backend, alice, "a");
+    const b = createChannel(backend, bob, "b");
+    a.start();
+    b.start();
+
+    expect(a.getPeers()).toEqual([
+      expect.objectContaining({ clientId: "b", uid: "bob-uid", name: "bob@example.com", color: getPresenceColor("bob-uid") }),
+    ]);
+    expect(b.getPeers().map((peer) => peer.name)).toEqual(["Alice Liddell"]);
+  });
+
+  it("requires a signed in user", () => {
+    expect(() => new PresenceChannel(new InMemoryPresenceBackend(), null)).toThrow("Presence requires a signed in user");
+  });
+
+  it("shares cursor positions, throttled to the latest position", () => {
+    const backend = new InMemoryPresenceBackend();
+    const a = createChannel(backend, alice, "a");
+    const b = createChannel(backend, bob, "b");
+    a.start();
+    b.start();
+    const write = jest.spyOn(backend, "write");
+
+    a.updateCursor({ x: 10.4, y: 20.6 });
+    a.updateCursor({ x: 30, y: 40 });
+    a.updateCursor({ x: 50, y: 60 });
+    expect(b.getPeers()[0].cursor).toBeNull();
+
+    now += 100;
+    jest.advanceTimersByTime(100);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(b.getPeers()[0].cursor).toEqual({ x: 50, y: 60 });
+
+    a.updateCursor(null);
+    now += 100;
+    jest.advanceTimersByTime(100);
+    expect(b.getPeers()[0].cursor).toBeNull();
+  });
+
+  it("shares selections and skips writes when nothing changed", () => {
+    const backend = new InMemoryPresenceBackend();
+    const a = createChannel(backend, alice, "a", { cursorThrottleMs: 0 });
+    const b = createChannel(backend, bob, "b");
+    a.start();
+    b.start();
+    const write = jest.spyOn(backend, "write");
+
+    a.updateSelection({ stickies: ["2", "1"], images: [], connectors: ["4"] });
+    expect(b.getPeers()[0].selection).toEqual({ connectors: ["4"], stickies: ["1", "2"] });
+    a.updateSelection({ stickies: ["1", "2"], connectors: ["4"] });
+    expect(write).toHaveBeenCalledTimes(1);
+  });
+
+  it("notifies observers and removes clients that stop", () => {
+    const backend = new InMemoryPresenceBackend();
+    const a = createChannel(backend, alice, "a");
+    const b = createChannel(backend, bob, "b");
+    const observer = { onPresenceChange: jest.fn() };
+    a.addObserver(observer);
+    a.start();
+    b.start();
+    expect(observer.onPresenceChange).toHaveBeenCalled();
+
+    b.stop();
+    expect(a.getPeers()).toEqual([]);
+    expect(backend.entries).not.toHaveProperty("b");
+  });
+
+  it("expires clients that stopped sending heartbeats", () => {
+    const backend = new InMemoryPresenceBackend();
+    const a = createChannel(backend, alice, "a");
+    const b = createChannel(backend, bob, "b");
+    a.start();
+    b.start();
+
+    // b keeps its heartbeat going, so it stays listed
+    now += 2500;
+    jest.advanceTimersByTime(2500);
+    expect(a.getPeers()).toHaveLength(1);
+
+    // b's tab is gone without cleaning up
+    b.started = false;
+    clearInterval(b.heartbeatTimer);
+    const observer = { onPresenceChange: jest.fn() };
+    a.addObserver(observer);
+    now += 3500;
+    jest.advanceTimersByTime(3500);
+    expect(a.getPeers()).toEqual([]);
+    expect(observer.onPresenceChange).toHaveBeenCalled();
+  });
+
+  it("ignores stale entries left behind before joining", () => {
+    const backend = new InMemoryPresenceBackend();
+    backend.write("old", { uid: "ghost", name: "Ghost", lastSeen: now - 60000 });
+    const a = createChannel(backend, alice, "a");
+    a.start();
+    expect(a.getPeers()).toEqual([]);
+  });
+
+  it("maps Firestore document changes onto the backend interface", () => {
+    let snapshotListener;
+    const docs = {};
+    const collectionRef = {
+      doc: jest.fn((id) => (docs[id] = docs[id] || { set: jest.fn(), delete: jest.fn() })),
+      onSnapshot: jest.fn((listener) => {
+        snapshotListener = listener;
+        return () => {};
+      }),
+    };
+    const backend = new FirestorePresenceBackend(collectionRef);
+    const onChange = jest.fn();
+    backend.subscribe(onChange);
+    backend.write("a", { name: "Alice" });
+    backend.remove("a");
+    expect(docs.a.set).toHaveBeenCalledWith({ name: "Alice" });
+    expect(docs.a.delete).toHaveBeenCalled();
+
+    snapshotListener({
+      docChanges: () => [
+        { type: "added", doc: { id: "b", data: () => ({ name: "Bob" }) } },
+        { type: "removed", doc: { id: "c", data: () => ({}) } },
+      ],
+    });
+    expect(onChange).toHaveBeenCalledWith("updated", "b", { name: "Bob" });
+    expect(onChange).toHaveBeenCalledWith("removed", "c", {});
+  });
+
+  it("gives every user a color from the palette", () => {
+    expect(presenceColors).toContain(getPresenceColor("alice-uid"));
+    expect(getPresenceColor("alice-uid")).toBe(getPresenceColor("alice-uid"));
+  });
+});
+
+describe("Presence layer", () => {
+  function setup() {
+    const store = new LocalDatastore();
+    const board = new Board(store);
+    const stickyId = board.putBoardItem("sticky", { text: "hi", location: { x: 100, y: 200 } });
+    const root = document.createElement("div");
+    const domElement = document.createElement("div");
+    root.appendChild(domElement);
+    document.body.appendChild(root);
+
+    const selectionManager = new SelectionManager();
+    const observer = { onStickyChange: () => {}, onImageChange: () => {}, onConnectorChange: () => {} };
+    selectionManager.registerSelection("stickies", new Selection(observer, "stickies", "onStickyChange", store));
+    selectionManager.registerSelection("connectors", new Selection(observer, "connectorSelection", "onConnectorChange", store));
+
+    const backend = new InMemoryPresenceBackend();
+    const local = createChannel(backend, alice, "a", { cursorThrottleMs: 0 });
+    const remote = createChannel(backend, bob, "b", { cursorThrottleMs: 0 });
+    local.start();
+    remote.start();
+    const layer = createPresenceLayer(board, local, domElement, root, selectionManager, store);
+    return { board, store, stickyId, root, domElement, selectionManager, local, remote, layer };
+  }
+
+  it("draws remote cursors with a name label at board coordinates", () => {
+    const { board, domElement, remote, layer } = setup();
+    const origin = board.getOrigin();
+    remote.updateCursor({ x: origin.x + 300, y: origin.y + 150 });
+    layer.render();
+
+    const cursor = domElement.querySelector(".presence-cursor");
+    expect(cursor.style.left).toBe("300px");
+    expect(cursor.style.top).toBe("150px");
+    expect(cursor.querySelector(".presence-cursor-label").textContent).toBe("bob@example.com");
+    layer.destroy();
+  });
+
+  it("outlines items selected by others", () => {
+    const { board, stickyId, domElement, remote, layer } = setup();
+    remote.updateSelection({ stickies: [stickyId] });
+    layer.render();
+
+    const outline = domElement.querySelector(".presence-selection");
+    const origin = board.getOrigin();
+    expect(outline.style.left).toBe(`${100 - origin.x}px`);
+    expect(outline.style.width).toBe("70px");
+    layer.destroy();
+  });
+
+  it("lists connected users and does not render names as markup", () => {
+    const { root, local, layer } = setup();
+    const backend = local.backend;
+    const mallory = createChannel(backend, { uid: "m", displayName: "<img src=x onerror=alert(1)>" }, "m");
+    mallory.start();
+    mallory.updateCursor({ x: 0, y: 0 });
+    jest.advanceTimersByTime(100);
+    layer.render();
+
+    const badges = root.querySelectorAll(".presence-user");
+    expect(Array.from(badges).map((badge) => badge.title)).toEqual([
+      "Alice Liddell (you)",
+      "bob@example.com",
+      "<img src=x onerror=alert(1)>",
+    ]);
+    expect(root.querySelector("img")).toBeNull();
+    layer.destroy();
+  });
+
+  it("draws without copying the board", () => {
+    const { board, stickyId, domElement, remote, layer } = setup();
+    const getState = jest.spyOn(board, "getState");
+    remote.updateSelection({ stickies: [stickyId] });
+    remote.updateCursor({ x: 0, y: 0 });
+    layer.render();
+    expect(domElement.querySelector(".presence-selection")).not.toBeNull();
+    expect(getState).not.toHaveBeenCalled();
+    layer.destroy();
+  });
+
+  it("stops following the board and the channel once destroyed", () => {
+    const { store, local, layer } = setup();
+    const observers = store.observers.length;
+    layer.destroy();
+    expect(store.observers).toHaveLength(observers - 1);
+    expect(local.observers).toHaveLength(0);
+  });
+
+  it("publishes the local selection and cursor", () => {
+    const { board, stickyId, domElement, selectionManager, remote, layer } = setup();
+    selectionManager.selectItem("stickies", stickyId);
+    document.dispatchEvent(new MouseEvent("mouseup"));
+    jest.runOnlyPendingTimers();
+    expect(remote.getPeers()[0].selection).toEqual({ stickies: [stickyId] });
+
+    domElement.getBoundingClientRect = () => ({ left: 10, top: 20 });
+    domElement.dispatchEvent(new MouseEvent("mousemove", { clientX: 60, clientY: 70 }));
+    const origin = board.getOrigin();
+    expect(remote.getPeers()[0].cursor).toEqual({ x: origin.x + 50, y: origin.y + 50 });
+    layer.destroy();
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { getPluginForItem } from "../scripts/board-items/board-item-interface.js";
+import { createShapeSvgElement, getShapeTextBox } from "../scripts/board-items/plugins/shape/shape-dom.js";
+import { resizeFromSide } from "../scripts/ui/movement-utils.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { Selection } from "../scripts/ui/selection.js";
+
+// Fixed-width font keeps text layout deterministic
+const measureText = (text, fontSize) => text.length * fontSize * 0.5;
+
+const plugin = getPlugin('shape');
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putShape(data = {}) {
+  return board.putBoardItem('shape', { location: { x: 103, y: 207 }, ...data });
+}
+
+describe("Shape items", () => {
+  it("creates rectangles with default size, colors and a snapped location", () => {
+    const id = putShape();
+    expect(board.getBoardItemByType('shape', id)).toMatchObject({
+      shape: "rectangle",
+      width: 140,
+      height: 70,
+      text: "",
+      color: "#ffffff",
+      strokeColor: "#444444",
+      location: { x: 100, y: 210 },
+    });
+  });
+
+  it("uses the shape kind last picked in the menu", () => {
+    store.getAppState().ui.currentShapeKind = "diamond";
+    expect(board.getBoardItemByType('shape', putShape()).shape).toBe("diamond");
+  });
+
+  it("rejects unknown shape kinds", () => {
+    expect(() => putShape({ shape: "hexagon" })).toThrow("Unknown shape hexagon");
+    const id = putShape();
+    expect(() => plugin.updateItem(board, id, { shape: "star" })).toThrow("Unknown shape star");
+  });
+
+  it("keeps line breaks in text", () => {
+    const id = putShape();
+    plugin.updateItem(board, id, { text: "Start\nhere" });
+    expect(board.getBoardItemByType('shape', id).text).toBe("Start\nhere");
+  });
+
+  it("is told apart from stickies and images", () => {
+    const shape = board.getBoardItemByType('shape', putShape({ text: "Decide" }));
+    expect(getPluginForItem(shape)).toBe(plugin);
+    expect(getPlugin('sticky').isItem(shape)).toBe(false);
+    expect(getPlugin('image').isItem(shape)).toBe(false);
+    expect(plugin.isItem({ text: "sticky", location: { x: 0, y: 0 } })).toBe(false);
+  });
+
+  it("provides bounds and endpoint data for connectors", () => {
+    const id = putShape({ width: 200, height: 100 });
+    const shape = board.getBoardItemByType('shape', id);
+    expect(plugin.getBounds(shape, { x: 0, y: 0 })).toEqual({ centerX: 200, centerY: 260, width: 200, height: 100 });
+    expect(plugin.getConnectorEndpointData(id)).toEqual({ itemId: id, itemType: 'shape' });
+  });
+
+  it("deletes the connectors attached to a deleted shape", () => {
+    const a = putShape();
+    const b = putShape({ location: { x: 400, y: 200 } });
+    const stickyId = board.putBoardItem('sticky', { text: "note", location: { x: 700, y: 200 } });
+    const between = board.putConnector({ originItemId: a, originItemType: 'shape', destinationItemId: b, destinationItemType: 'shape' });
+    const toSticky = board.putConnector({ originItemId: b, originItemType: 'shape', destinationItemId: stickyId, destinationItemType: 'sticky' });
+
+    board.deleteBoardItem('shape', a);
+
+    expect(board.getConnectorSafe(between)).toBeUndefined();
+    expect(board.getConnectorSafe(toSticky)).toBeDefined();
+  });
+});
+
+describe("Shape resizing", () => {
+  const original = { width: 140, height: 70, location: { x: 100, y: 100 } };
+
+  it("keeps the opposite side in place", () => {
+    expect(resizeFromSide(original, 'right', 30, 0, 20)).toEqual({ width: 170, height: 70, location: { x: 100, y: 100 } });
+    expect(resizeFromSide(original, 'left', 30, 0, 20)).toEqual({ width: 110, height: 70, location: { x: 130, y: 100 } });
+    expect(resizeFromSide(original, 'top', 0, -20, 20)).toEqual({ width: 140, height: 90, location: { x: 100, y: 80 } });
+  });
+
+  it("does not shrink below the minimum size", () => {
+    expect(resizeFromSide(original, 'bottom', 0, -500, 20).height).toBe(20);
+    expect(resizeFromSide(original, 'left', 500, 0, 20)).toEqual({ width: 20, height: 70, location: { x: 220, y: 100 } });
+  });
+
+  it("resizes freely as one undo step", () => {
+    const id = putShape();
+    board.resizeBoardItem('shape', id, { width: 301.4, height: 5, location: { x: 90, y: 210 } });
+    expect(board.getBoardItemByType('shape', id)).toMatchObject({ width: 301, height: 20, location: { x: 90, y: 210 } });
+
+    board.undo();
+    expect(board.getBoardItemByType('shape', id)).toMatchObject({ width: 140, height: 70, location: { x: 100, y: 210 } });
+  });
+});
+
+describe("Shape menu items", () => {
+  const [shapeItem, strokeItem] = plugin.getSelectionMenuItems();
+
+  it("cycles the kind of all selected shapes", () => {
+    const a = putShape();
+    const b = putShape({ shape: "ellipse" });
+    const appState = store.getAppState();
+
+    shapeItem.itemClickHandler(board, [a, b], appState, {});
+    expect(board.getBoardItemByType('shape', a).shape).toBe("rounded-rectangle");
+    expect(board.getBoardItemByType('shape', b).shape).toBe("rounded-rectangle");
+    expect(appState.ui.currentShapeKind).toBe("rounded-rectangle");
+
+    shapeItem.itemClickHandler(board, [a], appState, { shiftKey: true });
+    expect(board.getBoardItemByType('shape', a).shape).toBe("rectangle");
+  });
+
+  it("cycles the stroke color", () => {
+    const id = putShape();
+    strokeItem.itemClickHandler(board, [id], store.getAppState(), {});
+    expect(board.getBoardItemByType('shape', id).strokeColor).toBe("#000000");
+  });
+});
+
+describe("Shape SVG", () => {
+  const bounds = { centerX: 100, centerY: 50, width: 200, height: 100 };
+
+  it("draws an outline for each kind", () => {
+    const outline = (shape) =>
+      createShapeSvgElement({ shape, color: "khaki" }, bounds, { measureText }, { fill: "#fff", stroke: "#444" }).firstChild;
+
+    expect(outline("rectangle").tagName).toBe("rect");
+    expect(outline("rectangle").getAttribute("rx")).toBeNull();
+    expect(outline("rounded-rectangle").getAttribute("rx")).toBe("12");
+    expect(outline("ellipse").tagName).toBe("ellipse");
+    expect(outline("diamond").getAttribute("points")).toBe("100,1 199,50 100,99 1,50");
+    expect(outline("ellipse").getAttribute("fill")).toBe("khaki");
+    expect(outline("ellipse").getAttribute("stroke")).toBe("#444");
+  });
+
+  it("centers the text lines", () => {
+    const group = createShapeSvgElement({ shape: "rectangle", text: "Yes\nNo" }, bounds, { measureText }, { fill: "#fff", stroke: "#444" });
+    const tspans = Array.from(group.querySelectorAll("tspan"));
+    expect(tspans.map((tspan) => tspan.textContent)).toEqual(["Yes", "No"]);
+    expect(tspans.every((tspan) => tspan.getAttribute("x") === "100")).toBe(true);
+    const [first, second] = tspans.map((tspan) => Number(tspan.getAttribute("y")));
+    // Two lines of 16px text at 1.2 line height centered on y = 50
+    expect(first).toBeCloseTo(50 - 19.2 + 16);
+    expect(second - first).toBeCloseTo(19.2);
+  });
+
+  it("keeps text inside ellipses and diamonds", () => {
+    expect(getShapeTextBox("rectangle", 200, 100)).toEqual({ x: 6, y: 6, width: 188, height: 88 });
+    expect(getShapeTextBox("diamond", 200, 100)).toEqual({ x: 56, y: 31, width: 88, height: 38 });
+  });
+});
+
+describe("Shape rendering", () => {
+  function render(id) {
+    const selectionManager = new SelectionManager();
+    const observer = { onShapeChange: () => {} };
+    selectionManager.registerSelection('shapes', new Selection(observer, 'shapes', 'onShapeChange', store));
+    const domElement = document.createElement("div");
+    document.body.appendChild(domElement);
+    const renderShape = plugin.createRenderer(board, domElement, selectionManager, [], store);
+    renderShape(id, board.getBoardItemByType('shape', id));
+    return { domElement, renderShape };
+  }
+
+  it("creates a container with an outline and read-only text", () => {
+    const id = putShape({ shape: "ellipse", text: "Start" });
+    const { domElement } = render(id);
+
+    const container = domElement.querySelector(`.shape-${id}`);
+    expect(container.classList.contains("shape-container")).toBe(true);
+    expect(container.dataset.shape).toBe("ellipse");
+    expect(container.style.width).toBe("140px");
+    expect(container.querySelector(".shape-outline ellipse")).toBeTruthy();
+    expect(container.inputElement.value).toBe("Start");
+    expect(container.inputElement.readOnly).toBe(true);
+  });
+
+  it("edits text after a double click", () => {
+    const id = putShape();
+    const { domElement } = render(id);
+    const container = domElement.querySelector(`.shape-${id}`);
+
+    container.dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(container.classList.contains("editing")).toBe(true);
+    expect(container.inputElement.readOnly).toBe(false);
+
+    container.inputElement.value = "Decide";
+    container.inputElement.dispatchEvent(new Event("input"));
+    expect(board.getBoardItemByType('shape', id).text).toBe("Decide");
+
+    container.inputElement.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+    expect(container.classList.contains("editing")).toBe(false);
+  });
+
+  it("removes the container when the shape is deleted", () => {
+    const id = putShape();
+    const { domElement, renderShape } = render(id);
+    board.deleteBoardItem('shape', id);
+    renderShape(id, undefined);
+    expect(domElement.querySelector(`.shape-${id}`)).toBeNull();
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import {
+  continueBulletList,
+  getFormattingShortcut,
+  getStickyPlainText,
+  hasStickyMarkup,
+  normalizeStickyText,
+  parseStickyMarkup,
+  renderStickyMarkup,
+  toggleBulletList,
+  toggleInlineFormat,
+} from "../scripts/board-items/plugins/sticky/sticky-markup.js";
+import { wrapText } from "../scripts/board-items/text-fitting.js";
+import { findStickyMatches } from "../scripts/board/sticky-search.js";
+import { getAllPlugins, getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { Selection } from "../scripts/ui/selection.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { createBoardSvg } from "../scripts/ui/svg-export.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putSticky(text) {
+  return board.putBoardItem("sticky", { text, location: { x: 100, y: 100 } });
+}
+
+describe("Parsing sticky markup", () => {
+  it("reads bold, italic and strikethrough, also nested", () => {
+    const [line] = parseStickyMarkup("a **bold _and italic_** ~~gone~~");
+    expect(line.spans).toEqual([
+      { text: "a " },
+      { text: "bold ", bold: true },
+      { text: "and italic", bold: true, italic: true },
+      { text: " " },
+      { text: "gone", strike: true },
+    ]);
+  });
+
+  it("leaves unclosed markers and snake_case words alone", () => {
+    expect(getStickyPlainText("**not bold")).toBe("**not bold");
+    expect(getStickyPlainText("my_var_name")).toBe("my_var_name");
+    expect(getStickyPlainText("2 * 3 ** 4")).toBe("2 * 3 ** 4");
+    expect(hasStickyMarkup("plain words")).toBe(false);
+  });
+
+  it("reads bullets and line breaks", () => {
+    const lines = parseStickyMarkup("Todo:\n- milk\n- eggs");
+    expect(lines.map((line) => line.bullet)).toEqual([false, true, true]);
+    expect(getStickyPlainText("Todo:\n- milk\n- eggs")).toBe("Todo:\n• milk\n• eggs");
+  });
+
+  it("links web addresses without trailing punctuation", () => {
+    const [line] = parseStickyMarkup("see www.example.com/a_b, or https://example.org.");
+    const links = line.spans.filter((span) => span.href);
+    expect(links.map((span) => span.href)).toEqual(["https://www.example.com/a_b", "https://example.org"]);
+  });
+
+  it("normalizes line endings and control characters", () => {
+    expect(normalizeStickyText("a\r\nb\rc\td\u0007")).toBe("a\nb\nc d");
+    expect(normalizeStickyText(undefined)).toBe("");
+  });
+});
+
+describe("Rendering sticky markup", () => {
+  it("builds formatted elements and links", () => {
+    const element = document.createElement("div");
+    renderStickyMarkup(element, "**Plan**\n- read https://example.com");
+    const lines = element.querySelectorAll(".sticky-line");
+    expect(lines).toHaveLength(2);
+    expect(lines[0].querySelector("strong").textContent).toBe("Plan");
+    expect(lines[1].classList.contains("sticky-bullet")).toBe(true);
+    const link = lines[1].querySelector("a.sticky-link");
+    expect(link.getAttribute("href")).toBe("https://example.com");
+    expect(link.target).toBe("_blank");
+    expect(link.rel).toBe("noopener noreferrer");
+  });
+
+  it("never turns text into HTML", () => {
+    const element = document.createElement("div");
+    renderStickyMarkup(element, '<img src=x onerror="alert(1)"> **<script>x</script>** javascript:alert(1)');
+    expect(element.querySelector("img")).toBeNull();
+    expect(element.querySelector("script")).toBeNull();
+    expect(element.querySelector("a")).toBeNull();
+    expect(element.textContent).toContain("<script>x</script>");
+  });
+});
+
+describe("Editing sticky markup", () => {
+  it("wraps and unwraps the selection", () => {
+    const bolded = toggleInlineFormat("make this bold", 5, 9, "bold");
+    expect(bolded).toEqual({ value: "make **this** bold", selectionStart: 7, selectionEnd: 11 });
+    expect(toggleInlineFormat(bolded.value, bolded.selectionStart, bolded.selectionEnd, "bold").value).toBe("make this bold");
+    expect(toggleInlineFormat("make _this_ bold", 5, 11, "italic").value).toBe("make this bold");
+  });
+
+  it("keeps spaces at the edges of the selection outside the markers", () => {
+    expect(toggleInlineFormat("a word here", 1, 7, "strike").value).toBe("a ~~word~~ here");
+  });
+
+  it("inserts markers at the caret", () => {
+    expect(toggleInlineFormat("ab", 1, 1, "italic")).toEqual({ value: "a__b", selectionStart: 2, selectionEnd: 2 });
+  });
+
+  it("toggles bullets on the selected lines", () => {
+    const listed = toggleBulletList("one\ntwo\nthree", 1, 5);
+    expect(listed.value).toBe("- one\n- two\nthree");
+    expect(toggleBulletList(listed.value, listed.selectionStart, listed.selectionEnd).value).toBe("one\ntwo\nthree");
+  });
+
+  it("continues and ends bullet lists on Enter", () => {
+    expect(continueBulletList("- one", 5, 5)).toEqual({ value: "- one\n- ", selectionStart: 8, selectionEnd: 8 });
+    expect(continueBulletList("- one\n- ", 8, 8)).toEqual({ value: "- one\n", selectionStart: 6, selectionEnd: 6 });
+    expect(continueBulletList("one", 3, 3)).toBeNull();
+  });
+
+  it("maps shortcuts to formatting", () => {
+    expect(getFormattingShortcut({ key: "b", ctrlKey: true })).toBe("bold");
+    expect(getFormattingShortcut({ key: "I", metaKey: true })).toBe("italic");
+    expect(getFormattingShortcut({ key: "X", ctrlKey: true, shiftKey: true })).toBe("strike");
+    expect(getFormattingShortcut({ key: "*", code: "Digit8", ctrlKey: true, shiftKey: true })).toBe("bullets");
+    expect(getFormattingShortcut({ key: "b" })).toBeNull();
+  });
+});
+
+describe("Formatted stickies on the board", () => {
+  let domElement;
+  let render;
+
+  beforeEach(() => {
+    const selectionManager = new SelectionManager();
+    getAllPlugins().forEach((plugin) => {
+      const observer = { onChange: () => {} };
+      selectionManager.registerSelection(plugin.getSelectionType(), new Selection(observer, plugin.getSelectionType(), "onChange", store));
+    });
+    domElement = document.createElement("div");
+    document.body.appendChild(domElement);
+    const renderSticky = getPlugin("sticky").createRenderer(board, domElement, selectionManager, [], store);
+    render = (id) => renderSticky(id, board.getBoardItemByType("sticky", id));
+  });
+
+  it("keeps line breaks in stored text", () => {
+    const id = putSticky("one\ntwo");
+    expect(board.getBoardItemByType("sticky", id).text).toBe("one\ntwo");
+  });
+
+  it("shows formatted text only when there is markup", () => {
+    const plainId = putSticky("just text");
+    render(plainId);
+    expect(domElement["sticky-" + plainId].classList.contains("rich-text")).toBe(false);
+
+    const id = putSticky("a **bold** idea");
+    render(id);
+    const container = domElement["sticky-" + id];
+    expect(container.classList.contains("rich-text")).toBe(true);
+    expect(container.inputElement.value).toBe("a **bold** idea");
+    expect(container.richText.querySelector("strong").textContent).toBe("bold");
+  });
+
+  it("formats the selection with keyboard shortcuts while editing", () => {
+    const id = putSticky("make this bold");
+    render(id);
+    const container = domElement["sticky-" + id];
+    const textarea = container.inputElement;
+    textarea.focus();
+    expect(container.classList.contains("editing")).toBe(true);
+
+    textarea.setSelectionRange(5, 9);
+    const event = new KeyboardEvent("keydown", { key: "b", ctrlKey: true, bubbles: true, cancelable: true });
+    textarea.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(board.getBoardItemByType("sticky", id).text).toBe("make **this** bold");
+    expect([textarea.selectionStart, textarea.selectionEnd]).toEqual([7, 11]);
+    expect(container.richText.querySelector("strong").textContent).toBe("this");
+  });
+
+  it("ignores shortcuts on read-only boards", () => {
+    const id = putSticky("text");
+    board.setReadOnly(true);
+    render(id);
+    const textarea = domElement["sticky-" + id].inputElement;
+    textarea.focus();
+    textarea.setSelectionRange(0, 4);
+    textarea.dispatchEvent(new KeyboardEvent("keydown", { key: "i", ctrlKey: true, bubbles: true }));
+    expect(board.getBoardItemByType("sticky", id).text).toBe("text");
+  });
+
+  it("finds stickies by their words, not their markers", () => {
+    const id = putSticky("the **release** plan");
+    expect(findStickyMatches(store.getState().stickies, "release plan")).toEqual([id]);
+  });
+});
+
+describe("Exporting formatted stickies", () => {
+  it("keeps hard line breaks when wrapping", () => {
+    const measure = (text) => text.length * 10;
+    expect(wrapText("aa bb\n\ncc", 50, measure)).toEqual(["aa bb", "", "cc"]);
+  });
+
+  it("draws the plain text with bullets", () => {
+    putSticky("**Todo**\n- milk");
+    const svg = createBoardSvg(board, { measureText: (text, fontSize) => text.length * fontSize * 0.5 });
+    const lines = Array.from(svg.querySelectorAll(".sticky tspan")).map((tspan) => tspan.textContent);
+    expect(lines).toEqual(["Todo", "• milk"]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { createBoardSvg, serializeSvg } from "../scripts/ui/svg-export.js";
+import { wrapText, fitTextInBox } from "../scripts/board-items/text-fitting.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { Selection } from "../scripts/ui/selection.js";
+
+// Fixed-width font keeps text layout deterministic
+const measureText = (text, fontSize) => text.length * fontSize * 0.5;
+
+beforeEach(() => {
+  window.appState = undefined;
+});
+
+function createBoard() {
+  const board = new Board(new LocalDatastore());
+  const a = board.putBoardItem('sticky', { text: "went well", location: { x: 100, y: 100 }, color: "pink" });
+  const c = board.putBoardItem('sticky', { text: "to improve", location: { x: 400, y: 100 } });
+  const imageId = board.putBoardItem('image', {
+    location: { x: 100, y: 400 },
+    width: 100,
+    height: 80,
+    dataUrl: "data:image/png;base64,AAAA",
+    naturalWidth: 100,
+    naturalHeight: 80,
+  });
+  const connectorId = board.putConnector({
+    originItemId: a, originItemType: 'sticky',
+    destinationItemId: c, destinationItemType: 'sticky',
+    arrowHead: 'hollow', color: '#ff0000'
+  });
+  return { board, a, c, imageId, connectorId };
+}
+
+function createSelectionManager(store) {
+  const selectionManager = new SelectionManager();
+  const observer = { onStickyChange: () => {}, onImageChange: () => {}, onConnectorChange: () => {} };
+  selectionManager.registerSelection('stickies', new Selection(observer, 'stickies', 'onStickyChange', store));
+  selectionManager.registerSelection('images', new Selection(observer, 'images', 'onImageChange', store));
+  selectionManager.registerSelection('connectors', new Selection(observer, 'connectorSelection', 'onConnectorChange', store));
+  return selectionManager;
+}
+
+describe("SVG export", () => {
+  it("renders stickies, images and connectors with arrow head markers", () => {
+    const { board, connectorId } = createBoard();
+    const svg = createBoardSvg(board, { measureText });
+
+    const rects = svg.querySelectorAll("g.sticky rect");
+    expect(rects).toHaveLength(2);
+    expect(rects[0].getAttribute("fill")).toBe("pink");
+    expect(rects[1].getAttribute("fill")).toBe("khaki");
+    expect(svg.querySelector("image").getAttribute("href")).toBe("data:image/png;base64,AAAA");
+
+    const path = svg.querySelector("g.connector path");
+    expect(path.getAttribute("stroke")).toBe("#ff0000");
+    const markerId = path.getAttribute("marker-end").match(/url\(#(.+)\)/)[1];
+    const marker = svg.querySelector(`defs marker[id="${markerId}"]`);
+    expect(marker).toBeTruthy();
+    expect(markerId).toContain(connectorId);
+    // Interactive handles are not exported
+    expect(svg.querySelector(".connector-handle")).toBeNull();
+  });
+
+  it("sizes the document to the content plus margin", () => {
+    const { board } = createBoard();
+    const origin = board.getOrigin();
+    const svg = createBoardSvg(board, { measureText, margin: 10 });
+    const [x, y, width, height] = svg.getAttribute("viewBox").split(" ").map(Number);
+
+    // Top-left sticky starts at (100, 100) in board coordinates
+    expect(x).toBe(100 - origin.x - 10);
+    expect(y).toBe(100 - origin.y - 10);
+    // Right-most sticky ends at 470, bottom-most image at 480
+    expect(x + width).toBe(470 - origin.x + 10);
+    expect(y + height).toBe(480 - origin.y + 10);
+    expect(svg.getAttribute("width")).toBe(String(width));
+  });
+
+  it("wraps sticky text and centers it", () => {
+    const board = new Board(new LocalDatastore());
+    board.putBoardItem('sticky', { text: "one two three four", location: { x: 0, y: 0 } });
+    const svg = createBoardSvg(board, { measureText });
+
+    const text = svg.querySelector("g.sticky text");
+    expect(text.getAttribute("text-anchor")).toBe("middle");
+    const lines = Array.from(text.querySelectorAll("tspan")).map((tspan) => tspan.textContent);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(" ")).toBe("one two three four");
+  });
+
+  it("exports only the selection and connectors between selected items", () => {
+    const { board, a, c, imageId } = createBoard();
+    const selectionManager = createSelectionManager(board.getStore());
+
+    selectionManager.selectItem('stickies', a);
+    let svg = createBoardSvg(board, { measureText, selectionManager, selectionOnly: true });
+    expect(svg.querySelectorAll("g.sticky")).toHaveLength(1);
+    expect(svg.querySelector("g.connector")).toBeNull();
+    expect(svg.querySelector("image")).toBeNull();
+
+    selectionManager.selectItem('stickies', c, { addToSelection: true });
+    svg = createBoardSvg(board, { measureText, selectionManager, selectionOnly: true });
+    expect(svg.querySelectorAll("g.sticky")).toHaveLength(2);
+    expect(svg.querySelector("g.connector")).toBeTruthy();
+
+    selectionManager.selectItem('images', imageId);
+    svg = createBoardSvg(board, { measureText, selectionManager, selectionOnly: true });
+    expect(svg.querySelector("g.sticky")).toBeNull();
+    expect(svg.querySelector("image")).toBeTruthy();
+  });
+
+  it("fails when there is nothing to export", () => {
+    const board = new Board(new LocalDatastore());
+    expect(() => createBoardSvg(board, { measureText })).toThrow("The board is empty");
+    board.putBoardItem('sticky', { text: "a", location: { x: 0, y: 0 } });
+    const selectionManager = createSelectionManager(board.getStore());
+    expect(() => createBoardSvg(board, { measureText, selectionManager, selectionOnly: true }))
+      .toThrow("Nothing selected to export");
+  });
+
+  it("serializes a standalone document", () => {
+    const { board } = createBoard();
+    const text = serializeSvg(createBoardSvg(board, { measureText }));
+    expect(text.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(text).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(text.match(/xmlns=/g)).toHaveLength(1);
+    expect(text).toContain(">went</tspan>");
+  });
+});
+
+describe("Text fitting for SVG", () => {
+  const measure = (s) => s.length * 10;
+
+  it("wraps at whitespace without exceeding the width", () => {
+    expect(wrapText("aa bb cc dd", 50, measure)).toEqual(["aa bb", "cc dd"]);
+  });
+
+  it("keeps words longer than the width on their own line", () => {
+    expect(wrapText("a verylongword b", 50, measure)).toEqual(["a", "verylongword", "b"]);
+  });
+
+  it("picks the largest font size that fits the box", () => {
+    const { fontSize, lines } = fitTextInBox("hello", 50, 100, measureText);
+    expect(fontSize).toBe(20);
+    expect(lines).toEqual(["hello"]);
+  });
+
+  it("falls back to the minimum font size", () => {
+    const { fontSize } = fitTextInBox("a".repeat(500), 20, 20, measureText);
+    expect(fontSize).toBe(8);
+  });
+});
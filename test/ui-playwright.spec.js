@@ -421,7 +421,7 @@ describe("Board UI", () => {
       await page.keyboard.type("z");
       await thingsSettleDown();
       
-      // Test 4: Escape should exit edit mode and save (newlines are stripped from saved text)
+      // Test 4: Escape should exit edit mode and save (line breaks are kept in saved text)
       await page.keyboard.press("Escape");
       await thingsSettleDown();
       expect(await isInEditMode()).toBe(false);
@@ -431,7 +431,7 @@ describe("Board UI", () => {
       await thingsSettleDown();
       
       // Verify final text - should have "x", "z", and "y" characters
-      // Newlines are stripped when saved, so content like "Testingx\ny\nz" becomes "Testingxyz"
+      // Line breaks are kept when saved, so content like "Testingx\ny\nz" is saved as typed
       const textAfterEscape = await getStickyText();
       
       // Verify all characters we typed are present (exact order/position may vary due to cursor behavior)
@@ -0,0 +1,303 @@
+/**
+ * @jest-environment jsdom
+ */
+import { Board } from "../scripts/board/board.js";
+import { LocalDatastore } from "../scripts/board/local-datastore.js";
+import { LocalStoragePersistence } from "../scripts/board/local-storage-persistence.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import {
+  getChangedVoteStickyIds,
+  getSessionVotes,
+  getVoterId,
+  getVotingSession,
+  LOCAL_VOTER_ID,
+} from "../scripts/board/board-voting.js";
+import { getAllPlugins, getPlugin } from "../scripts/board-items/plugin-registry.js";
+import { Selection } from "../scripts/ui/selection.js";
+import { SelectionManager } from "../scripts/ui/selection-manager.js";
+import { setupStickyVoting } from "../scripts/ui/sticky-voting.js";
+import { showVotingDialog } from "../scripts/ui/voting-dialog.js";
+import { createFakeFirestore, emit, emitBoard } from "./fake-firestore.js";
+
+let board;
+let store;
+
+beforeEach(() => {
+  window.appState = undefined;
+  document.body.innerHTML = "";
+  localStorage.clear();
+  store = new LocalDatastore();
+  board = new Board(store);
+});
+
+function putSticky(location = { x: 100, y: 100 }) {
+  return board.putBoardItem("sticky", { text: "idea", location });
+}
+
+describe("Voting sessions", () => {
+  it("reads sessions and ignores votes of other sessions", () => {
+    expect(getVotingSession({})).toBeNull();
+    expect(getVotingSession({ voting: { sessionId: "s1", votesPerParticipant: 99 } })).toMatchObject({
+      sessionId: "s1",
+      active: false,
+      votesPerParticipant: 3,
+    });
+    expect(getSessionVotes({ sessionId: "old", votes: { 1: 2 } }, "new")).toEqual({});
+    expect(getSessionVotes({ sessionId: "new", votes: { 1: 2, 2: 0 } }, "new")).toEqual({ 1: 2 });
+    expect(getVoterId(null)).toBe(LOCAL_VOTER_ID);
+    expect(getVoterId({ uid: "u1" })).toBe("u1");
+  });
+
+  it("lists the stickies whose votes changed", () => {
+    expect(getChangedVoteStickyIds({ sessionId: "s", votes: { 1: 1, 2: 1 } }, { sessionId: "s", votes: { 1: 2, 2: 1 } })).toEqual(["1"]);
+    expect(getChangedVoteStickyIds({ sessionId: "a", votes: { 1: 1 } }, { sessionId: "b", votes: { 1: 1 } })).toEqual(["1"]);
+  });
+
+  it("limits votes to the budget of the session", () => {
+    const id = putSticky();
+    expect(() => board.castVote(id)).toThrow("Voting is not open");
+    board.startVoting(2);
+    board.castVote(id);
+    board.castVote(id);
+    expect(board.getVotesLeft()).toBe(0);
+    expect(() => board.castVote(id)).toThrow("No votes left");
+    expect(board.getStickyVotes(id)).toEqual({ total: 2, own: 2 });
+
+    expect(board.removeVote(id)).toBe(true);
+    expect(board.getVotesLeft()).toBe(1);
+    expect(() => board.startVoting(0)).toThrow("Invalid number of votes: 0");
+  });
+
+  it("hides the votes of others until they are revealed", () => {
+    const id = putSticky();
+    board.setVoterId("facilitator");
+    board.startVoting();
+    board.castVote(id);
+    board.setVoterId("participant");
+    board.castVote(id);
+    board.castVote(id);
+    expect(board.getStickyVotes(id)).toEqual({ total: 2, own: 2 });
+
+    expect(() => board.revealVotes()).toThrow("Only the facilitator can reveal votes");
+    board.setVoterId("facilitator");
+    board.revealVotes();
+    expect(board.getStickyVotes(id)).toEqual({ total: 3, own: 1 });
+  });
+
+  it("starts new sessions from zero and keeps votes out of undo history", () => {
+    const id = putSticky();
+    board.startVoting();
+    board.castVote(id);
+    board.endVoting();
+    expect(board.getVotesLeft()).toBe(0);
+    expect(board.getStickyVotes(id).total).toBe(1);
+    expect(board.canUndo()).toBe(true);
+    board.undo();
+    expect(store.getState().stickies[id]).toBeUndefined();
+    expect(board.getStickyVotes(id).total).toBe(0);
+    board.redo();
+
+    board.startVoting(4);
+    expect(board.getStickyVotes(id)).toEqual({ total: 0, own: 0 });
+    expect(board.getVotesLeft()).toBe(4);
+    board.clearVotes();
+    expect(board.getStickyVotes(id)).toBeNull();
+  });
+
+  it("leaves clearing and restarting an open session to the facilitator", () => {
+    board.setVoterId("facilitator");
+    board.startVoting();
+    board.setVoterId("participant");
+    expect(() => board.clearVotes()).toThrow("Only the facilitator can clear votes");
+    expect(() => board.startVoting()).toThrow("Only the facilitator can restart voting");
+    expect(board.getVotingSession().facilitatorId).toBe("facilitator");
+
+    board.setVoterId("facilitator");
+    board.endVoting();
+    // Anybody may start the next session
+    board.setVoterId("participant");
+    board.startVoting(2);
+    expect(board.getVotingSession()).toMatchObject({ facilitatorId: "participant", votesPerParticipant: 2 });
+    board.clearVotes();
+    expect(board.getVotingSession()).toBeNull();
+  });
+
+  it("lets viewers vote but not run sessions", () => {
+    const id = putSticky();
+    board.startVoting();
+    board.setReadOnly(true);
+    board.castVote(id);
+    expect(board.getStickyVotes(id).own).toBe(1);
+    expect(() => board.endVoting()).toThrow("Board is read-only");
+  });
+
+  it("sorts stickies by votes into their places as one undo step", () => {
+    const first = putSticky({ x: 0, y: 0 });
+    const second = putSticky({ x: 200, y: 0 });
+    const third = putSticky({ x: 400, y: 0 });
+    board.startVoting(5);
+    board.castVote(third);
+    board.castVote(third);
+    board.castVote(second);
+
+    board.sortStickiesByVotes([first, second, third]);
+    const x = (id) => board.getBoardItemLocationByType("sticky", id).x;
+    expect([x(third), x(second), x(first)]).toEqual([0, 200, 400]);
+
+    board.undo();
+    expect([x(first), x(second), x(third)]).toEqual([0, 200, 400]);
+  });
+});
+
+describe("Voting on the board", () => {
+  let domElement;
+  let render;
+
+  beforeEach(() => {
+    const selectionManager = new SelectionManager();
+    getAllPlugins().forEach((plugin) => {
+      const observer = { onChange: () => {} };
+      selectionManager.registerSelection(plugin.getSelectionType(), new Selection(observer, plugin.getSelectionType(), "onChange", store));
+    });
+    domElement = document.createElement("div");
+    document.body.appendChild(domElement);
+    const renderSticky = getPlugin("sticky").createRenderer(board, domElement, selectionManager, [], store);
+    render = (id) => renderSticky(id, board.getBoardItemByType("sticky", id));
+  });
+
+  it("shows vote counts as badges", () => {
+    const id = putSticky();
+    render(id);
+    const container = domElement["sticky-" + id];
+    expect(container.querySelector(".sticky-vote-badge")).toBeNull();
+
+    board.startVoting();
+    board.castVote(id);
+    board.castVote(id);
+    render(id);
+    expect(container.voteBadge.textContent).toBe("2");
+    expect(container.voteBadge.classList.contains("own-votes")).toBe(true);
+
+    board.clearVotes();
+    render(id);
+    expect(container.voteBadge.style.display).toBe("none");
+  });
+
+  it("counts votes without copying the board", () => {
+    const id = putSticky();
+    board.startVoting();
+    board.castVote(id);
+    const getState = jest.spyOn(store, "getState");
+    render(id);
+    expect(board.getStickyVotes(id)).toEqual({ total: 1, own: 1 });
+    expect(getState).not.toHaveBeenCalled();
+  });
+
+  it("votes on click and takes votes back on Shift+click", () => {
+    const id = putSticky();
+    render(id);
+    const onVote = jest.fn();
+    const cleanup = setupStickyVoting(domElement, board, onVote);
+    const container = domElement["sticky-" + id];
+    const click = (shiftKey = false) =>
+      container.sticky.dispatchEvent(new MouseEvent("click", { bubbles: true, shiftKey }));
+
+    click();
+    expect(board.getStickyVotes(id)).toBeNull();
+
+    board.startVoting(1);
+    click();
+    click();
+    expect(board.getStickyVotes(id).own).toBe(1);
+    expect(onVote).toHaveBeenCalledTimes(1);
+
+    const mousedown = new MouseEvent("mousedown", { bubbles: true, cancelable: true });
+    container.sticky.dispatchEvent(mousedown);
+    expect(mousedown.defaultPrevented).toBe(true);
+
+    click(true);
+    expect(board.getStickyVotes(id).own).toBe(0);
+    cleanup();
+  });
+
+  it("starts and ends sessions from the dialog", () => {
+    const onChange = jest.fn();
+    const dialog = showVotingDialog(board, onChange);
+    const form = document.querySelector(".voting-dialog");
+    form.elements.votes.value = "5";
+    form.dispatchEvent(new Event("submit", { cancelable: true }));
+    expect(board.getVotingSession()).toMatchObject({ active: true, votesPerParticipant: 5, facilitatorId: LOCAL_VOTER_ID });
+    expect(form.querySelector(".voting-status").textContent).toContain("5 of 5 votes left");
+
+    form.querySelector(".voting-end").click();
+    expect(board.getVotingSession()).toMatchObject({ active: false, revealed: true });
+    expect(onChange).toHaveBeenCalledTimes(2);
+    dialog.close();
+    expect(document.querySelector(".voting-dialog")).toBeNull();
+  });
+});
+
+describe("Storing votes", () => {
+  it("keeps votes of offline boards in LocalStorage", () => {
+    const persistence = new LocalStoragePersistence("vote-board");
+    store.addObserver(persistence);
+    const id = putSticky();
+    board.startVoting();
+    board.castVote(id);
+
+    window.appState = undefined;
+    store = new LocalDatastore();
+    board = new Board(store);
+    new LocalStoragePersistence("vote-board").loadFromLocalStorage();
+    expect(board.getStickyVotes(id)).toEqual({ total: 1, own: 1 });
+  });
+
+  it("writes each voter's votes to their own Firestore document", () => {
+    const firestoreStore = new FirestoreStore("vote-board");
+    const set = jest.fn(() => Promise.resolve());
+    firestoreStore.voteRef = { doc: jest.fn(() => ({ set })) };
+    firestoreStore.stickyRef = {
+      doc: (id = "sticky-1") => ({ id, path: `stickies/${id}`, set: jest.fn(), update: jest.fn() }),
+    };
+    firestoreStore.readyForUse = true;
+    const firestoreBoard = new Board(firestoreStore);
+    firestoreBoard.setVoterId("user-1");
+    const id = firestoreBoard.putBoardItem("sticky", { text: "idea", location: { x: 0, y: 0 } });
+    firestoreBoard.startVoting();
+    const { sessionId } = firestoreBoard.getVotingSession();
+
+    firestoreBoard.castVote(id);
+    expect(firestoreStore.voteRef.doc).toHaveBeenCalledWith("user-1");
+    expect(set).toHaveBeenCalledWith({ uid: "user-1", sessionId, votes: { [id]: 1 } });
+    expect(firestoreBoard.getStickyVotes(id)).toEqual({ total: 1, own: 1 });
+  });
+
+  it("reads only the user's own Firestore vote entry until the votes are revealed", () => {
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation((callback) => callback());
+    const fake = createFakeFirestore({ uid: "u1" });
+    const firestoreStore = new FirestoreStore("vote-board");
+    firestoreStore.connect();
+    const firestoreBoard = new Board(firestoreStore);
+    firestoreBoard.setVoterId("u1");
+    emit(fake.collections.stickies, [["added", "s1", { text: "idea", location: { x: 0, y: 0 } }]]);
+    const voting = { sessionId: "v1", active: true, votesPerParticipant: 3, revealed: false, facilitatorId: "u2" };
+    const boardDoc = fake.boardDoc("vote-board");
+    emitBoard(boardDoc, { creatorId: "u2", title: "Votes", createOn: 1, voting });
+
+    expect(fake.collections.votes.listeners).toHaveLength(0);
+    emit(fake.collections.votes, [["added", "u1", { uid: "u1", sessionId: "v1", votes: { s1: 1 } }]]);
+    expect(firestoreBoard.getStickyVotes("s1")).toEqual({ total: 1, own: 1 });
+
+    emitBoard(boardDoc, { creatorId: "u2", title: "Votes", createOn: 1, voting: { ...voting, revealed: true } });
+    expect(fake.collections.votes.listeners).toHaveLength(1);
+    emit(fake.collections.votes, [["added", "u2", { uid: "u2", sessionId: "v1", votes: { s1: 2 } }]]);
+    expect(firestoreBoard.getStickyVotes("s1")).toEqual({ total: 3, own: 1 });
+
+    // A new session hides the votes of others again
+    emitBoard(boardDoc, { creatorId: "u2", title: "Votes", createOn: 1, voting: { ...voting, sessionId: "v2" } });
+    expect(fake.collections.votes.listeners).toHaveLength(0);
+    expect(Object.keys(firestoreStore.getVotes())).toEqual(["u1"]);
+    delete global.firebase;
+    jest.restoreAllMocks();
+  });
+});
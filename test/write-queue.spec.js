@@ -0,0 +1,333 @@
+/**
+ * @jest-environment jsdom
+ */
+import { WriteQueue, InMemoryWriteStorage, applyWrites, isPermanentWriteError } from "../scripts/network/write-queue.js";
+import { FirestoreStore } from "../scripts/network/network-firestore.js";
+import { createSyncStatus } from "../scripts/ui/sync-status.js";
+import { createFakeFirestore, emit, emitBoard, firestoreError, settle } from "./fake-firestore.js";
+
+describe("Write queue", () => {
+  let storage;
+  let sent;
+  let queue;
+
+  beforeEach(async () => {
+    storage = new InMemoryWriteStorage();
+    sent = [];
+    queue = new WriteQueue("board-1", storage, async (write) => {
+      sent.push(write.path);
+    });
+    await queue.load();
+  });
+
+  it("keeps writes made while offline, also in storage", async () => {
+    queue.setOnline(false);
+    queue.enqueue({ path: "stickies/1", type: "set", data: { text: "a" } });
+    queue.enqueue({ path: "stickies/1", type: "update", data: { text: "b" } });
+    await settle();
+
+    expect(sent).toEqual([]);
+    expect(queue.getPendingCount()).toBe(2);
+    const stored = await storage.load("board-1");
+    expect(stored.map((write) => write.type)).toEqual(["set", "update"]);
+    expect(await storage.load("board-2")).toEqual([]);
+  });
+
+  it("sends writes in order once back online and forgets them", async () => {
+    const counts = [];
+    queue.addObserver({ onPendingWritesChange: (count) => counts.push(count) });
+    queue.setOnline(false);
+    queue.enqueue({ path: "stickies/1", type: "set", data: { text: "a" } });
+    queue.enqueue({ path: "connectors/2", type: "delete" });
+    queue.enqueue({ path: "stickies/1", type: "update", data: { text: "b" } });
+
+    queue.setOnline(true);
+    await settle();
+    expect(sent).toEqual(["stickies/1", "connectors/2", "stickies/1"]);
+    expect(queue.getPendingCount()).toBe(0);
+    expect(await storage.load("board-1")).toEqual([]);
+    expect(counts[counts.length - 1]).toBe(0);
+  });
+
+  it("sends writes of an earlier session before new ones", async () => {
+    await storage.put({ boardName: "board-1", seq: 5, path: "stickies/old", type: "update", data: { text: "old" } });
+    const next = new WriteQueue("board-1", storage, async (write) => {
+      sent.push(write.path);
+    });
+    next.enqueue({ path: "stickies/new", type: "set", data: { text: "new" } });
+    expect(sent).toEqual([]);
+
+    await next.load();
+    await settle();
+    expect(sent).toEqual(["stickies/old", "stickies/new"]);
+  });
+
+  it("leaves writes of other open tabs to them", async () => {
+    const locks = new FakeLockManager();
+    const sentBy = { first: [], second: [] };
+    const first = new WriteQueue("board-1", storage, async (write) => {
+      sentBy.first.push(write.path);
+    }, { locks });
+    await first.load();
+    first.setOnline(false);
+    first.enqueue({ path: "stickies/1", type: "update", data: { text: "a" } });
+
+    const second = new WriteQueue("board-1", storage, async (write) => {
+      sentBy.second.push(write.path);
+    }, { locks });
+    await second.load();
+    second.enqueue({ path: "stickies/2", type: "update", data: { text: "b" } });
+    first.setOnline(true);
+    await settle();
+
+    expect(sentBy).toEqual({ first: ["stickies/1"], second: ["stickies/2"] });
+    expect(await storage.load("board-1")).toEqual([]);
+  });
+
+  it("sends writes of closed tabs once", async () => {
+    const locks = new FakeLockManager();
+    const closed = new WriteQueue("board-1", storage, async () => {}, { locks });
+    await closed.load();
+    closed.setOnline(false);
+    closed.enqueue({ path: "stickies/1", type: "update", data: { text: "a" } });
+    closed.enqueue({ path: "stickies/2", type: "update", data: { text: "b" } });
+    closed.destroy();
+    await settle();
+
+    const tabs = [1, 2].map(() => new WriteQueue("board-1", storage, async (write) => {
+      sent.push(write.path);
+    }, { locks }));
+    await Promise.all(tabs.map((tab) => tab.load()));
+    await settle();
+
+    expect(sent).toEqual(["stickies/1", "stickies/2"]);
+    expect(await storage.load("board-1")).toEqual([]);
+  });
+
+  it("drops writes the server refuses and reports them", async () => {
+    const rejected = [];
+    queue.execute = async (write) => {
+      if (write.path === "stickies/1") {
+        throw firestoreError("permission-denied");
+      }
+      sent.push(write.path);
+    };
+    queue.addObserver({ onWriteRejected: (write, error) => rejected.push([write.path, error.code]) });
+    queue.enqueue({ path: "stickies/1", type: "update", data: { text: "a" } });
+    queue.enqueue({ path: "stickies/2", type: "update", data: { text: "b" } });
+    await settle();
+
+    expect(rejected).toEqual([["stickies/1", "permission-denied"]]);
+    expect(sent).toEqual(["stickies/2"]);
+    expect(queue.getPendingCount()).toBe(0);
+  });
+
+  it("tries again later when a write fails for a while", async () => {
+    jest.useFakeTimers();
+    let failures = 1;
+    queue.execute = async (write) => {
+      if (failures-- > 0) {
+        throw firestoreError("unavailable");
+      }
+      sent.push(write.path);
+    };
+    queue.enqueue({ path: "stickies/1", type: "update", data: { text: "a" } });
+    queue.enqueue({ path: "stickies/2", type: "update", data: { text: "b" } });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual([]);
+    expect(queue.getPendingCount()).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(sent).toEqual(["stickies/1", "stickies/2"]);
+    jest.useRealTimers();
+  });
+
+  it("tells which errors are permanent", () => {
+    expect(isPermanentWriteError(firestoreError("permission-denied"))).toBe(true);
+    expect(isPermanentWriteError(firestoreError("unavailable"))).toBe(false);
+    expect(isPermanentWriteError(new Error("network"))).toBe(false);
+  });
+
+  it("applies pending writes to server data", () => {
+    const server = { text: "a", color: "red" };
+    expect(applyWrites(server, [{ type: "update", data: { text: "b" } }])).toEqual({ text: "b", color: "red" });
+    expect(applyWrites(server, [{ type: "set", data: { text: "c" } }])).toEqual({ text: "c" });
+    expect(applyWrites(server, [{ type: "delete" }])).toBeNull();
+    expect(applyWrites(null, [{ type: "set", data: { text: "d" }, options: { merge: true } }])).toEqual({ text: "d" });
+  });
+});
+
+// Web Locks as far as the write queue uses them
+class FakeLockManager {
+  held = new Set();
+
+  request = async (name, options, callback) => {
+    if (this.held.has(name)) {
+      return callback(null);
+    }
+    this.held.add(name);
+    try {
+      return await callback({ name });
+    } finally {
+      this.held.delete(name);
+    }
+  };
+}
+
+function setNavigatorOnline(online) {
+  Object.defineProperty(window.navigator, "onLine", { configurable: true, get: () => online });
+  window.dispatchEvent(new Event(online ? "online" : "offline"));
+}
+
+describe("Firestore with a write queue", () => {
+  let fake;
+  let store;
+
+  beforeEach(async () => {
+    window.appState = undefined;
+    document.body.innerHTML = "";
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation((callback) => callback());
+    fake = createFakeFirestore();
+    store = new FirestoreStore("hybrid-board", 400, { writeStorage: new InMemoryWriteStorage() });
+    store.connect();
+    await settle();
+  });
+
+  afterEach(() => {
+    store.disconnect();
+    setNavigatorOnline(true);
+    jest.restoreAllMocks();
+    delete global.firebase;
+  });
+
+  it("shows offline changes as pending and saves them on reconnect", async () => {
+    const root = document.createElement("div");
+    const status = createSyncStatus(root, store.writeQueue);
+    expect(status.element.style.display).toBe("none");
+
+    setNavigatorOnline(false);
+    const id = store.createBoardItem("sticky", { text: "offline", location: { x: 0, y: 0 } });
+    store.updateText(id, "still offline");
+    store.debouncer.flushAll();
+    await settle();
+    expect(fake.serverDocs[`stickies/${id}`]).toBeUndefined();
+    expect(status.element.textContent).toBe("Offline, 2 changes pending");
+
+    // Snapshots from the cache don't undo changes that are still pending
+    emit(fake.collections.stickies, [["added", id, { text: "offline", location: { x: 0, y: 0 } }]]);
+    expect(store.getSticky(id).text).toBe("still offline");
+
+    setNavigatorOnline(true);
+    await settle();
+    expect(fake.serverDocs[`stickies/${id}`].text).toBe("still offline");
+    expect(store.writeQueue.getPendingCount()).toBe(0);
+    expect(status.element.style.display).toBe("none");
+  });
+
+  it("reports fields that others changed while we were offline", async () => {
+    fake.serverDocs["stickies/s1"] = { text: "first", color: "gold" };
+    emit(fake.collections.stickies, [["added", "s1", { text: "first", color: "gold" }]]);
+    const conflicts = [];
+    store.writeQueue.addObserver({ onWriteConflict: (write, fields) => conflicts.push(fields) });
+
+    setNavigatorOnline(false);
+    store.updateText("s1", "mine");
+    store.updateColor("s1", "blue");
+    store.debouncer.flushAll();
+    fake.serverDocs["stickies/s1"].text = "theirs";
+
+    setNavigatorOnline(true);
+    await settle();
+    expect(conflicts).toEqual([["text"]]);
+    expect(fake.serverDocs["stickies/s1"]).toEqual({ text: "mine", color: "blue" });
+  });
+
+  it("undoes changes the server refuses", async () => {
+    const rejected = jest.fn();
+    store.writeQueue.addObserver({ onWriteRejected: rejected });
+    setNavigatorOnline(false);
+    // Deleted by somebody else before we went offline, so the update can't be saved
+    emit(fake.collections.stickies, [["added", "gone", { text: "old" }]]);
+    delete fake.serverDocs["stickies/gone"];
+    store.updateText("gone", "new");
+    store.debouncer.flushAll();
+
+    setNavigatorOnline(true);
+    await settle();
+    expect(rejected).toHaveBeenCalledTimes(1);
+    expect(rejected.mock.calls[0][1].code).toBe("not-found");
+    expect(store.getSticky("gone").text).toBe("old");
+  });
+
+  it("undoes refused changes to the board and to votes", async () => {
+    const boardDoc = fake.boardDoc("hybrid-board");
+    emitBoard(boardDoc, { creatorId: "u1", title: "Old", createOn: 1, origin: { x: 0, y: 0 }, limit: { x: 12000, y: 6750 } });
+    boardDoc.update.mockImplementationOnce(() => Promise.reject(firestoreError("permission-denied")));
+    fake.collections.votes.doc("u1").set.mockImplementationOnce(() => Promise.reject(firestoreError("permission-denied")));
+    const boardChanges = jest.fn();
+    store.addObserver({ onBoardChange: boardChanges });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    setNavigatorOnline(false);
+    store.updateBoardTitle("New");
+    store.updateVotes("u1", { sessionId: "v1", votes: { s1: 1 } });
+    store.debouncer.flushAll();
+    expect(store.getBoard({}).title).toBe("New");
+
+    setNavigatorOnline(true);
+    await settle();
+    expect(store.getBoard({}).title).toBe("Old");
+    expect(store.getVotes()).toEqual({});
+    expect(boardChanges).toHaveBeenCalledTimes(2);
+  });
+
+  it("queues the migration of old board documents", async () => {
+    setNavigatorOnline(false);
+    emitBoard(fake.boardDoc("hybrid-board"), { origin: { x: 0, y: 0 }, limit: { x: 12000, y: 6750 } });
+    await settle();
+    expect(store.writeQueue.getPendingWrites("boards/hybrid-board")).toHaveLength(1);
+    expect(fake.serverDocs["boards/hybrid-board"].title).toBeUndefined();
+
+    setNavigatorOnline(true);
+    await settle();
+    expect(fake.serverDocs["boards/hybrid-board"]).toMatchObject({ creatorId: "u1", editors: [], title: "hybrid-board" });
+  });
+
+  it("queues the creation of new board documents", async () => {
+    setNavigatorOnline(false);
+    delete fake.serverDocs["boards/hybrid-board"];
+    store.getBoard({ origin: { x: 0, y: 0 }, limit: { x: 12000, y: 6750 } });
+    await settle();
+    expect(store.writeQueue.getPendingWrites("boards/hybrid-board").map((write) => write.type)).toEqual(["set"]);
+
+    setNavigatorOnline(true);
+    await settle();
+    expect(fake.serverDocs["boards/hybrid-board"]).toMatchObject({ creatorId: "u1", title: "hybrid-board" });
+  });
+
+  it("stops listening to the board and the connection once disconnected", async () => {
+    emit(fake.collections.stickies, [["added", "s1", { text: "old" }]]);
+    store.updateText("s1", "saved on the way out");
+    store.disconnect();
+    await settle();
+    expect(fake.serverDocs["stickies/s1"].text).toBe("saved on the way out");
+
+    emit(fake.collections.stickies, [["modified", "s1", { text: "later" }]]);
+    expect(store.getSticky("s1").text).toBe("saved on the way out");
+    expect(fake.boardDoc("hybrid-board").listeners).toHaveLength(0);
+    expect(fake.collections.votes.doc("u1").listeners).toHaveLength(0);
+    window.dispatchEvent(new Event("online"));
+    expect(store.writeQueue.isOnline()).toBe(false);
+  });
+
+  it("shows items created in an earlier offline session", async () => {
+    const storage = new InMemoryWriteStorage();
+    await storage.put({ boardName: "other-board", seq: 1, path: "stickies/queued", type: "set", data: { text: "from before", location: { x: 0, y: 0 } }, options: { merge: true } });
+    setNavigatorOnline(false);
+    const other = new FirestoreStore("other-board", 400, { writeStorage: storage });
+    other.connect();
+    await settle();
+    expect(other.getSticky("queued").text).toBe("from before");
+    expect(other.writeQueue.getPendingCount()).toBe(1);
+  });
+});
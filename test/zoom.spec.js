@@ -0,0 +1,174 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  zoomScale,
+  changeZoomLevel,
+  clampZoom,
+  setZoomLimits,
+  getZoomLimits,
+  getWheelZoomScale,
+  calculateAnchoredScroll,
+  setupZoomGestures,
+  DEFAULT_MIN_ZOOM,
+  DEFAULT_MAX_ZOOM,
+} from "../scripts/ui/zoom.js";
+import { calculateMovementDelta } from "../scripts/ui/movement-utils.js";
+
+afterEach(() => {
+  setZoomLimits(DEFAULT_MIN_ZOOM, DEFAULT_MAX_ZOOM);
+});
+
+describe("Zoom limits", () => {
+  it("clamps scales to the configured range", () => {
+    setZoomLimits(0.25, 2);
+    expect(getZoomLimits()).toEqual({ min: 0.25, max: 2 });
+    expect(clampZoom(0.1)).toBe(0.25);
+    expect(clampZoom(5)).toBe(2);
+    expect(clampZoom(1.3)).toBe(1.3);
+  });
+
+  it("rejects invalid limits", () => {
+    expect(() => setZoomLimits(0, 1)).toThrow("Invalid zoom limits");
+    expect(() => setZoomLimits(2, 1)).toThrow("Invalid zoom limits");
+  });
+});
+
+describe("Preset zoom levels", () => {
+  it("cycles through the presets", () => {
+    expect(changeZoomLevel(zoomScale[0], false)).toBe(zoomScale[1]);
+    expect(changeZoomLevel(1, false)).toBe(zoomScale[0]);
+    expect(changeZoomLevel(zoomScale[0], true)).toBe(1);
+  });
+
+  it("steps to the nearest preset from arbitrary scales", () => {
+    expect(changeZoomLevel(0.45, false)).toBe(0.6);
+    expect(changeZoomLevel(0.45, true)).toBe(0.3);
+    expect(changeZoomLevel(1.7, false)).toBe(zoomScale[0]);
+    expect(changeZoomLevel(1.7, true)).toBe(1);
+    expect(changeZoomLevel(0.6000000001, false)).toBe(1);
+  });
+
+  it("skips presets outside the zoom limits", () => {
+    setZoomLimits(0.5, 3);
+    expect(changeZoomLevel(1, false)).toBe(0.6);
+    expect(changeZoomLevel(0.6, true)).toBe(1);
+  });
+});
+
+describe("Wheel zoom", () => {
+  it("zooms in for negative and out for positive deltas", () => {
+    expect(getWheelZoomScale(1, { deltaY: -100, deltaMode: 0 })).toBeGreaterThan(1);
+    expect(getWheelZoomScale(1, { deltaY: 100, deltaMode: 0 })).toBeLessThan(1);
+  });
+
+  it("is symmetric, so zooming in and out again returns to the same scale", () => {
+    const zoomedIn = getWheelZoomScale(0.8, { deltaY: -40, deltaMode: 0 });
+    expect(getWheelZoomScale(zoomedIn, { deltaY: 40, deltaMode: 0 })).toBeCloseTo(0.8, 10);
+  });
+
+  it("treats line deltas like larger pixel deltas", () => {
+    expect(getWheelZoomScale(1, { deltaY: 3, deltaMode: 1 }))
+      .toBeCloseTo(getWheelZoomScale(1, { deltaY: 48, deltaMode: 0 }), 10);
+  });
+
+  it("stays within the zoom limits", () => {
+    expect(getWheelZoomScale(1, { deltaY: -100000, deltaMode: 0 })).toBe(DEFAULT_MAX_ZOOM);
+    expect(getWheelZoomScale(1, { deltaY: 100000, deltaMode: 0 })).toBe(DEFAULT_MIN_ZOOM);
+  });
+});
+
+describe("Cursor anchored zoom", () => {
+  // Board coordinate shown at a viewport position, see applyZoomToBoard
+  const boardPointAt = (scroll, anchor, scale) => ({
+    x: (scroll.scrollLeft + anchor.x) / scale,
+    y: (scroll.scrollTop + anchor.y) / scale,
+  });
+
+  it.each([
+    [1, 1.37],
+    [0.3, 2.5],
+    [1.85, 0.42],
+  ])("keeps the board point under the cursor fixed from %p to %p", (oldScale, newScale) => {
+    const scroll = { scrollLeft: 1234, scrollTop: 567 };
+    const anchor = { x: 310, y: 145 };
+    const newScroll = calculateAnchoredScroll(scroll, anchor, oldScale, newScale);
+
+    const before = boardPointAt(scroll, anchor, oldScale);
+    const after = boardPointAt(newScroll, anchor, newScale);
+    expect(after.x).toBeCloseTo(before.x, 8);
+    expect(after.y).toBeCloseTo(before.y, 8);
+  });
+
+  it("moves items by the pointer distance in board pixels at any scale", () => {
+    const scale = 1.37;
+    const { dx, dy } = calculateMovementDelta(100, 100, 100 + 137, 100 - 68.5, scale);
+    expect(dx).toBeCloseTo(100, 8);
+    expect(dy).toBeCloseTo(-50, 8);
+  });
+});
+
+describe("Zoom gestures", () => {
+  let container;
+  let scale;
+  let onZoom;
+  let teardown;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    scale = 1;
+    onZoom = jest.fn((newScale) => { scale = newScale; });
+    teardown = setupZoomGestures(container, { getScale: () => scale, onZoom });
+  });
+
+  afterEach(() => {
+    teardown();
+    container.remove();
+  });
+
+  function wheel(init) {
+    const event = new WheelEvent("wheel", { bubbles: true, cancelable: true, ...init });
+    container.dispatchEvent(event);
+    return event;
+  }
+
+  function touch(type, points) {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    event.touches = points.map(([clientX, clientY]) => ({ clientX, clientY }));
+    container.dispatchEvent(event);
+    return event;
+  }
+
+  it("zooms at the cursor on ctrl+wheel and keeps the page from zooming", () => {
+    const event = wheel({ deltaY: -50, ctrlKey: true, clientX: 200, clientY: 120 });
+    expect(event.defaultPrevented).toBe(true);
+    expect(onZoom).toHaveBeenCalledWith(expect.any(Number), 200, 120);
+    expect(scale).toBeGreaterThan(1);
+  });
+
+  it("leaves plain wheel events to scrolling", () => {
+    const event = wheel({ deltaY: -50 });
+    expect(event.defaultPrevented).toBe(false);
+    expect(onZoom).not.toHaveBeenCalled();
+  });
+
+  it("does not report a zoom when already at the limit", () => {
+    scale = DEFAULT_MAX_ZOOM;
+    wheel({ deltaY: -50, ctrlKey: true });
+    expect(onZoom).not.toHaveBeenCalled();
+  });
+
+  it("pinches relative to the scale at the start of the gesture around the midpoint", () => {
+    touch("touchstart", [[100, 100], [200, 100]]);
+    touch("touchmove", [[50, 100], [250, 100]]);
+    expect(onZoom).toHaveBeenLastCalledWith(2, 150, 100);
+
+    touch("touchmove", [[125, 100], [175, 100]]);
+    expect(onZoom).toHaveBeenLastCalledWith(0.5, 150, 100);
+
+    touch("touchend", [[125, 100]]);
+    touch("touchmove", [[0, 0], [300, 0]]);
+    expect(onZoom).toHaveBeenCalledTimes(2);
+  });
+});